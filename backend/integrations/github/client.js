@@ -10,8 +10,9 @@ const { graphql } = require('@octokit/graphql');
 const OctokitWithPlugins = Octokit.plugin(throttling);
 
 class GitHubClient {
-  constructor(token) {
+  constructor(token, options = {}) {
     this.token = token;
+    this.organizationId = options.organizationId || null;
     
     // Initialize Octokit with throttling plugin
     this.octokit = new OctokitWithPlugins({
@@ -146,7 +147,8 @@ class GitHubClient {
       this.octokit.pulls.listFiles({
         owner,
         repo,
-        pull_number: pullNumber
+        pull_number: pullNumber,
+        per_page: 100
       })
     );
   }
@@ -166,19 +168,39 @@ class GitHubClient {
   
   /**
    * Create pull request review
+   * Inline comments take `{ path, line, side, body }` and must point at
+   * lines that are part of the diff.
    */
-  async createPullRequestReview(owner, repo, pullNumber, body, event = 'COMMENT') {
+  async createPullRequestReview(owner, repo, pullNumber, body, event = 'COMMENT', comments = [], commitId = undefined) {
     return this.makeRequest(() =>
       this.octokit.pulls.createReview({
         owner,
         repo,
         pull_number: pullNumber,
+        commit_id: commitId,
         body,
-        event
+        event,
+        comments
       })
     );
   }
   
+  /**
+   * Get the decoded content of a file at a ref
+   */
+  async getFileContent(owner, repo, path, ref) {
+    const response = await this.makeRequest(() =>
+      this.octokit.repos.getContent({
+        owner,
+        repo,
+        path,
+        ref
+      })
+    );
+    
+    return Buffer.from(response.data.content, 'base64').toString('utf8');
+  }
+  
   /**
    * List commits for a repository
    */
@@ -206,6 +228,35 @@ class GitHubClient {
     );
   }
   
+  /**
+   * Get the full file tree at a ref
+   */
+  async getTree(owner, repo, ref) {
+    return this.makeRequest(() =>
+      this.octokit.git.getTree({
+        owner,
+        repo,
+        tree_sha: ref,
+        recursive: '1'
+      })
+    );
+  }
+  
+  /**
+   * Get the decoded content of a blob
+   */
+  async getBlob(owner, repo, sha) {
+    const response = await this.makeRequest(() =>
+      this.octokit.git.getBlob({
+        owner,
+        repo,
+        file_sha: sha
+      })
+    );
+    
+    return Buffer.from(response.data.content, 'base64').toString('utf8');
+  }
+  
   /**
    * Create webhook for repository
    */
@@ -283,12 +334,33 @@ class GitHubClient {
   }
   
   /**
-   * Notify about rate limit exceeded (implement based on notification system)
+   * Notify the organization that the rate limit is exhausted
    */
   async notifyRateLimitExceeded() {
-    const rateLimit = await this.getRateLimit();
-    console.error('GitHub API rate limit exceeded. Reset at:', rateLimit.core.reset);
-    // TODO: Integrate with notification system
+    try {
+      const rateLimit = await this.getRateLimit();
+      console.error('GitHub API rate limit exceeded. Reset at:', rateLimit.core.reset);
+      
+      if (!this.organizationId) {
+        return;
+      }
+      
+      // Loaded lazily so the client still works outside the API server
+      const notificationService = require('../../src/services/notification.service');
+      
+      await notificationService.notify({
+        organizationId: this.organizationId,
+        eventType: 'integration.github.rate_limit',
+        severity: 'warning',
+        title: 'GitHub API rate limit exceeded',
+        message: `GitHub requests will fail until ${rateLimit.core.reset.toISOString()}`,
+        data: rateLimit,
+        dedupKey: `github.rate_limit:${rateLimit.core.reset.getTime()}`
+      });
+    } catch (error) {
+      // The caller still gets the RateLimitError
+      console.error('Failed to send rate limit notification:', error);
+    }
   }
 }
 
@@ -308,8 +380,8 @@ class AuthenticationError extends Error {
 }
 
 // Factory function to create a GitHub client
-function createGitHubClient(token) {
-  return new GitHubClient(token);
+function createGitHubClient(token, options = {}) {
+  return new GitHubClient(token, options);
 }
 
 module.exports = {
@@ -36,7 +36,7 @@ export async function processEvent(eventName, data) {
 /**
  * Handle pull_request events
  */
-export async function handlePullRequestEvent(data, { spawnAgent, upsertPullRequest }) {
+export async function handlePullRequestEvent(data, { spawnAgent, queueCodeReview, upsertPullRequest }) {
   const { payload } = data;
   const { action, pull_request, repository } = payload;
   
@@ -67,29 +67,12 @@ export async function handlePullRequestEvent(data, { spawnAgent, upsertPullReque
   // Trigger actions based on event type
   switch (action) {
     case 'opened':
-      await spawnAgent('CodeReviewAgent', {
-        task: 'analyze_pr',
-        data: {
-          prId: pull_request.id,
-          prNumber: pull_request.number,
-          repoFullName: repository.full_name,
-          title: pull_request.title,
-          baseBranch: pull_request.base.ref,
-          headBranch: pull_request.head.ref
-        }
-      });
-      break;
-      
     case 'synchronize':
-      // New commits pushed to PR
-      await spawnAgent('CodeReviewAgent', {
-        task: 'review_new_commits',
-        data: {
-          prId: pull_request.id,
-          prNumber: pull_request.number,
-          repoFullName: repository.full_name
-        }
-      });
+    case 'ready_for_review':
+      // Reviews go through the agent task queue, same as the core webhook handler
+      if (!pull_request.draft) {
+        await queueCodeReview(payload);
+      }
       break;
       
     case 'closed':
@@ -105,18 +88,6 @@ export async function handlePullRequestEvent(data, { spawnAgent, upsertPullReque
         });
       }
       break;
-      
-    case 'ready_for_review':
-      // Draft PR marked as ready
-      await spawnAgent('CodeReviewAgent', {
-        task: 'full_pr_review',
-        data: {
-          prId: pull_request.id,
-          prNumber: pull_request.number,
-          repoFullName: repository.full_name
-        }
-      });
-      break;
   }
 }
 
@@ -91,6 +91,10 @@ const dependencies = {
     };
   },
   
+  async queueCodeReview(payload) {
+    console.log(`[AGENT] Queued code review for ${payload.repository.full_name}#${payload.pull_request.number}`);
+  },
+  
   // Data storage
   async upsertRepository(data) {
     const id = `${data.organizationId}:${data.fullName}`;
@@ -124,6 +128,14 @@ const dependencies = {
     console.log(`Stored release: ${data.tagName}`);
   },
   
+  async getIndexedFiles(organizationId, repositoryFullName) {
+    return new Map();
+  },
+  
+  async indexCodeFiles(data) {
+    console.log(`Indexed ${data.files.length} files of ${data.repositoryFullName}`);
+  },
+  
   // Alerts
   async alertIntegrationIssue(organizationId, service, issue) {
     console.log(`[ALERT] ${organizationId}/${service}:`, issue);
@@ -41,7 +41,7 @@ export async function checkGitHubIntegration(integration, { decrypt }) {
   
   try {
     const accessToken = decrypt(integration.credentials);
-    const client = new GitHubClient(accessToken);
+    const client = new GitHubClient(accessToken, { organizationId: integration.organizationId });
     
     // 1. Authentication check
     checks.authentication = await checkAuthentication(client);
@@ -286,11 +286,11 @@ export class GitHubHealthMonitor {
         try {
           const result = await checkGitHubIntegration(integration, this.dependencies);
           
-          this.lastResults.set(integration.organizationId, result);
-          
           // Alert if status changed to unhealthy or degraded
           await this.handleStatusChange(integration, result);
           
+          this.lastResults.set(integration.organizationId, result);
+          
         } catch (error) {
           console.error(`Health check failed for org ${integration.organizationId}:`, error);
         }
@@ -25,7 +25,8 @@ import {
   incrementalSync, 
   scheduledSync,
   syncPullRequests,
-  syncCommits 
+  syncCommits,
+  syncCodeIndex 
 } from './sync.js';
 import { 
   checkGitHubIntegration,
@@ -46,6 +47,7 @@ export function initializeGitHubIntegration(app, dependencies) {
     encrypt,
     decrypt,
     spawnAgent,
+    queueCodeReview,
     upsertRepository,
     upsertPullRequest,
     upsertIssue,
@@ -53,6 +55,9 @@ export function initializeGitHubIntegration(app, dependencies) {
     upsertDeployment,
     updateDeployment,
     upsertRelease,
+    getIndexedFiles,
+    indexCodeFiles,
+    codeIndexOptions,
     getAllIntegrations,
     alertIntegrationIssue
   } = dependencies;
@@ -61,6 +66,7 @@ export function initializeGitHubIntegration(app, dependencies) {
   initializeEventHandlers({
     eventBus,
     spawnAgent,
+    queueCodeReview,
     upsertPullRequest,
     upsertIssue,
     upsertDeployment,
@@ -99,7 +105,10 @@ export function initializeGitHubIntegration(app, dependencies) {
         getIntegration,
         decrypt,
         upsertRepository,
-        upsertPullRequest
+        upsertPullRequest,
+        getIndexedFiles,
+        indexCodeFiles,
+        codeIndexOptions
       });
       
       res.json({
@@ -133,7 +142,7 @@ export function initializeGitHubIntegration(app, dependencies) {
         return res.status(404).json({ error: 'Integration not found' });
       }
       
-      const client = new GitHubClient(decrypt(integration.credentials));
+      const client = new GitHubClient(decrypt(integration.credentials), { organizationId });
       const repos = await client.listRepositories();
       
       res.json({
@@ -159,7 +168,7 @@ export function initializeGitHubIntegration(app, dependencies) {
         return res.status(404).json({ error: 'Integration not found' });
       }
       
-      const client = new GitHubClient(decrypt(integration.credentials));
+      const client = new GitHubClient(decrypt(integration.credentials), { organizationId });
       const pulls = await client.listPullRequests(owner, repo, state);
       
       res.json({
@@ -183,7 +192,7 @@ export function initializeGitHubIntegration(app, dependencies) {
         return res.status(404).json({ error: 'Integration not found' });
       }
       
-      const client = new GitHubClient(decrypt(integration.credentials));
+      const client = new GitHubClient(decrypt(integration.credentials), { organizationId });
       
       // Use GraphQL for detailed PR info
       const prDetails = await client.query(queries.GET_PULL_REQUEST_DETAILS, {
@@ -223,6 +232,9 @@ export function initializeGitHubIntegration(app, dependencies) {
       decrypt,
       upsertRepository,
       upsertPullRequest,
+      getIndexedFiles,
+      indexCodeFiles,
+      codeIndexOptions,
       getLastSyncTime: async (orgId, service) => {
         const integration = await getIntegration(orgId, service);
         return integration?.lastSyncAt;
@@ -255,7 +267,7 @@ export async function createGitHubClient(organizationId, { getIntegration, decry
   }
   
   const accessToken = decrypt(integration.credentials);
-  return new GitHubClient(accessToken);
+  return new GitHubClient(accessToken, { organizationId });
 }
 
 /**
@@ -280,6 +292,7 @@ export {
   scheduledSync,
   syncPullRequests,
   syncCommits,
+  syncCodeIndex,
   checkGitHubIntegration,
   GitHubHealthMonitor,
   getHealthStatusEndpoint,
@@ -6,11 +6,14 @@
 import { GitHubClient } from './client.js';
 import { GET_PULL_REQUEST_DETAILS, GET_REPOSITORY_WITH_PRS } from './queries.js';
 import { setupWebhook } from './webhooks.js';
+import { isIndexable } from '../../src/utils/codeSearch.js';
 
 /**
  * Sync all GitHub data for an organization
  */
-export async function syncGitHubData(organizationId, { getIntegration, decrypt, upsertRepository, upsertPullRequest }) {
+export async function syncGitHubData(organizationId, dependencies) {
+  const { getIntegration, decrypt, upsertRepository, upsertPullRequest, indexCodeFiles } = dependencies;
+
   console.log(`Starting GitHub sync for organization ${organizationId}`);
   
   const integration = await getIntegration(organizationId, 'github');
@@ -20,12 +23,13 @@ export async function syncGitHubData(organizationId, { getIntegration, decrypt,
   }
   
   const accessToken = decrypt(integration.credentials);
-  const client = new GitHubClient(accessToken);
+  const client = new GitHubClient(accessToken, { organizationId });
   
   const syncStartTime = Date.now();
   const stats = {
     repositories: 0,
     pullRequests: 0,
+    indexedFiles: 0,
     errors: []
   };
   
@@ -77,6 +81,18 @@ export async function syncGitHubData(organizationId, { getIntegration, decrypt,
         
         stats.pullRequests += prCount;
         
+        // Refresh the code search index, when the host provides one
+        if (indexCodeFiles) {
+          stats.indexedFiles += await syncCodeIndex(
+            client,
+            repo.owner.login,
+            repo.name,
+            repo.default_branch,
+            organizationId,
+            dependencies
+          );
+        }
+        
         // Setup webhook for this repository
         await setupWebhookForRepository(client, repo.owner.login, repo.name);
         
@@ -185,6 +201,67 @@ export async function syncPullRequests(client, owner, repo, organizationId, { up
   }
 }
 
+/**
+ * Update the code search index of a repository
+ * Only files whose blob SHA changed since the last run are downloaded;
+ * files no longer in the tree are dropped. Returns the number of files indexed.
+ */
+export async function syncCodeIndex(client, owner, repo, branch, organizationId, { getIndexedFiles, indexCodeFiles, codeIndexOptions = {} }) {
+  const { maxFiles = 2000, maxFileBytes = 200 * 1024 } = codeIndexOptions;
+  const repositoryFullName = `${owner}/${repo}`;
+  
+  try {
+    const { data: tree } = await client.getTree(owner, repo, branch);
+    
+    const sources = tree.tree
+      .filter(item => item.type === 'blob' && isIndexable(item.path, item.size, maxFileBytes))
+      .slice(0, maxFiles);
+    
+    if (tree.truncated) {
+      console.warn(`Tree of ${repositoryFullName} is truncated, indexing the first ${sources.length} files`);
+    }
+    
+    const indexed = getIndexedFiles ? await getIndexedFiles(organizationId, repositoryFullName) : new Map();
+    const current = new Set(sources.map(item => item.path));
+    
+    const changed = sources.filter(item => indexed.get(item.path) !== item.sha);
+    const removedPaths = [...indexed.keys()].filter(path => !current.has(path));
+    
+    if (changed.length === 0 && removedPaths.length === 0) {
+      return 0;
+    }
+    
+    console.log(`Indexing ${changed.length} files for ${repositoryFullName}, removing ${removedPaths.length}`);
+    
+    const files = [];
+    for (const item of changed) {
+      try {
+        const content = await client.getBlob(owner, repo, item.sha);
+        // Binary files that slipped past the extension filter
+        if (!content.includes('\u0000')) {
+          files.push({ path: item.path, sha: item.sha, content });
+        }
+      } catch (error) {
+        console.error(`Error fetching ${repositoryFullName}/${item.path}:`, error.message);
+      }
+    }
+    
+    await indexCodeFiles({
+      organizationId,
+      repositoryFullName,
+      commitSha: tree.sha,
+      files,
+      removedPaths
+    });
+    
+    return files.length;
+    
+  } catch (error) {
+    console.error(`Error indexing code for ${repositoryFullName}:`, error.message);
+    return 0;
+  }
+}
+
 /**
  * Sync commits for a repository
  */
@@ -259,7 +336,7 @@ export async function incrementalSync(organizationId, dependencies) {
   console.log(`Starting incremental sync since ${lastSyncTime}`);
   
   const accessToken = decrypt(integration.credentials);
-  const client = new GitHubClient(accessToken);
+  const client = new GitHubClient(accessToken, { organizationId });
   
   // Only sync repositories that have been updated since last sync
   const repos = await client.listRepositories({
@@ -283,6 +360,17 @@ export async function incrementalSync(organizationId, dependencies) {
       organizationId,
       dependencies
     );
+    
+    if (dependencies.indexCodeFiles) {
+      await syncCodeIndex(
+        client,
+        repo.owner.login,
+        repo.name,
+        repo.default_branch,
+        organizationId,
+        dependencies
+      );
+    }
   }
   
   await updateIntegration(integration.id, { lastSyncAt: new Date() });
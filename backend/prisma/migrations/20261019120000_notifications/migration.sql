@@ -0,0 +1,67 @@
+-- CreateTable
+CREATE TABLE "notification_rules" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "organization_id" UUID NOT NULL,
+    "name" VARCHAR(255) NOT NULL,
+    "event_pattern" VARCHAR(255) NOT NULL,
+    "min_severity" VARCHAR(20) NOT NULL DEFAULT 'info',
+    "channel" VARCHAR(50) NOT NULL,
+    "recipients" JSONB NOT NULL DEFAULT '{}',
+    "dedup_window_seconds" INTEGER NOT NULL DEFAULT 300,
+    "throttle_limit" INTEGER,
+    "throttle_window_seconds" INTEGER NOT NULL DEFAULT 3600,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "created_by" UUID,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "notification_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "notifications" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "organization_id" UUID NOT NULL,
+    "rule_id" UUID,
+    "event_type" VARCHAR(100) NOT NULL,
+    "severity" VARCHAR(20) NOT NULL,
+    "title" VARCHAR(255) NOT NULL,
+    "message" TEXT,
+    "data" JSONB NOT NULL DEFAULT '{}',
+    "dedup_key" VARCHAR(255),
+    "channel" VARCHAR(50) NOT NULL,
+    "recipients" JSONB NOT NULL DEFAULT '{}',
+    "status" VARCHAR(50) NOT NULL DEFAULT 'pending',
+    "error" TEXT,
+    "delivered_at" TIMESTAMPTZ(6),
+    "acknowledged_by" UUID,
+    "acknowledged_at" TIMESTAMPTZ(6),
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "notifications_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "notification_rules_organization_id_enabled_idx" ON "notification_rules"("organization_id", "enabled");
+
+-- CreateIndex
+CREATE INDEX "notifications_organization_id_created_at_idx" ON "notifications"("organization_id", "created_at" DESC);
+
+-- CreateIndex
+CREATE INDEX "notifications_organization_id_acknowledged_at_idx" ON "notifications"("organization_id", "acknowledged_at");
+
+-- CreateIndex
+CREATE INDEX "notifications_rule_id_idx" ON "notifications"("rule_id");
+
+-- AddForeignKey
+ALTER TABLE "notification_rules" ADD CONSTRAINT "notification_rules_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "notifications" ADD CONSTRAINT "notifications_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "notifications" ADD CONSTRAINT "notifications_rule_id_fkey" FOREIGN KEY ("rule_id") REFERENCES "notification_rules"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "notifications" ADD CONSTRAINT "notifications_acknowledged_by_fkey" FOREIGN KEY ("acknowledged_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,49 @@
+-- CreateTable
+CREATE TABLE "ai_usage" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "organization_id" UUID NOT NULL,
+    "user_id" UUID,
+    "agent_name" VARCHAR(100),
+    "provider" VARCHAR(50) NOT NULL,
+    "model" VARCHAR(100),
+    "prompt_tokens" INTEGER NOT NULL DEFAULT 0,
+    "completion_tokens" INTEGER NOT NULL DEFAULT 0,
+    "tokens_used" INTEGER NOT NULL DEFAULT 0,
+    "cost" DECIMAL(12,6) NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ai_usage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ai_budgets" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "organization_id" UUID NOT NULL,
+    "daily_limit" DECIMAL(12,2),
+    "monthly_limit" DECIMAL(12,2),
+    "soft_limit_percent" INTEGER NOT NULL DEFAULT 80,
+    "hard_limit" BOOLEAN NOT NULL DEFAULT true,
+    "updated_by" UUID,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "ai_budgets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ai_usage_organization_id_created_at_idx" ON "ai_usage"("organization_id", "created_at" DESC);
+
+-- CreateIndex
+CREATE INDEX "ai_usage_organization_id_user_id_idx" ON "ai_usage"("organization_id", "user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ai_budgets_organization_id_key" ON "ai_budgets"("organization_id");
+
+-- AddForeignKey
+ALTER TABLE "ai_usage" ADD CONSTRAINT "ai_usage_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ai_usage" ADD CONSTRAINT "ai_usage_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ai_budgets" ADD CONSTRAINT "ai_budgets_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "code_chunks" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "organization_id" UUID NOT NULL,
+    "repository_id" UUID NOT NULL,
+    "path" VARCHAR(1024) NOT NULL,
+    "blob_sha" VARCHAR(64) NOT NULL,
+    "start_line" INTEGER NOT NULL,
+    "end_line" INTEGER NOT NULL,
+    "content" TEXT NOT NULL,
+    "terms" JSONB NOT NULL DEFAULT '{}',
+    "length" INTEGER NOT NULL DEFAULT 0,
+    "embedding" DOUBLE PRECISION[],
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "code_chunks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "code_chunks_repository_id_path_idx" ON "code_chunks"("repository_id", "path");
+
+-- CreateIndex
+CREATE INDEX "code_chunks_organization_id_idx" ON "code_chunks"("organization_id");
+
+-- CreateIndex
+CREATE INDEX "code_chunks_terms_idx" ON "code_chunks" USING GIN ("terms");
+
+-- AddForeignKey
+ALTER TABLE "code_chunks" ADD CONSTRAINT "code_chunks_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "code_chunks" ADD CONSTRAINT "code_chunks_repository_id_fkey" FOREIGN KEY ("repository_id") REFERENCES "repositories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -14,6 +14,8 @@ const routes = require('./routes');
 const typeDefs = require('./graphql/typeDefs');
 const resolvers = require('./graphql/resolvers');
 const { verifyAccessToken } = require('./utils/jwt');
+const rbac = require('./services/rbac.service');
+const sessionService = require('./services/session.service');
 
 const createApp = async (httpServer) => {
   const app = express();
@@ -80,11 +82,13 @@ const createApp = async (httpServer) => {
           const token = authHeader.substring(7);
           const decoded = verifyAccessToken(token);
           
-          if (decoded) {
+          if (decoded && !(await sessionService.isAccessTokenRevoked(decoded.jti))) {
+            const membership = await rbac.getMembership(decoded.userId, decoded.organizationId);
             user = {
               id: decoded.userId,
               organizationId: decoded.organizationId,
-              role: decoded.role,
+              role: membership?.role || null,
+              permissions: membership?.permissions || [],
             };
           }
         }
@@ -13,6 +13,10 @@ module.exports = {
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
   },
   
+  rbac: {
+    cacheTtlMs: parseInt(process.env.RBAC_CACHE_TTL_MS) || 30 * 1000,
+  },
+  
   encryption: {
     key: process.env.ENCRYPTION_KEY,
   },
@@ -55,4 +59,130 @@ module.exports = {
   logging: {
     level: process.env.LOG_LEVEL || 'info',
   },
+  
+  eventBus: {
+    consumerGroup: process.env.EVENT_BUS_CONSUMER_GROUP || 'companyos-backend',
+    streamMaxLength: parseInt(process.env.EVENT_BUS_STREAM_MAX_LENGTH) || 10000,
+    maxAttempts: parseInt(process.env.EVENT_BUS_MAX_ATTEMPTS) || 5,
+    retryBaseMs: parseInt(process.env.EVENT_BUS_RETRY_BASE_MS) || 10000,
+    blockMs: parseInt(process.env.EVENT_BUS_BLOCK_MS) || 5000,
+  },
+  
+  agentQueue: {
+    enabled: process.env.AGENT_QUEUE_ENABLED !== 'false',
+    concurrency: parseInt(process.env.AGENT_QUEUE_CONCURRENCY) || 2,
+    pollMs: parseInt(process.env.AGENT_QUEUE_POLL_MS) || 2000,
+    maxRetries: parseInt(process.env.AGENT_QUEUE_MAX_RETRIES) || 3,
+    retryBaseMs: parseInt(process.env.AGENT_QUEUE_RETRY_BASE_MS) || 30000,
+    staleAfterMs: parseInt(process.env.AGENT_QUEUE_STALE_AFTER_MS) || 30 * 60 * 1000,
+  },
+  
+  sandbox: {
+    // docker runs each command in a throwaway container; process uses prlimit and unshare on the host
+    driver: process.env.SANDBOX_DRIVER || 'docker',
+    image: process.env.SANDBOX_IMAGE || 'node:20-bookworm-slim',
+    rootDir: process.env.SANDBOX_ROOT_DIR,
+    timeoutMs: parseInt(process.env.SANDBOX_TIMEOUT_MS) || 2 * 60 * 1000,
+    installTimeoutMs: parseInt(process.env.SANDBOX_INSTALL_TIMEOUT_MS) || 5 * 60 * 1000,
+    cpus: parseFloat(process.env.SANDBOX_CPUS) || 1,
+    cpuSeconds: parseInt(process.env.SANDBOX_CPU_SECONDS) || 120,
+    memoryMb: parseInt(process.env.SANDBOX_MEMORY_MB) || 1024,
+    maxOutputBytes: parseInt(process.env.SANDBOX_MAX_OUTPUT_BYTES) || 1024 * 1024,
+  },
+  
+  codeIndex: {
+    enabled: process.env.CODE_INDEX_ENABLED !== 'false',
+    // Local hashed vectors next to BM25; no text leaves the server
+    embeddings: process.env.CODE_INDEX_EMBEDDINGS === 'true',
+    embeddingDimensions: parseInt(process.env.CODE_INDEX_EMBEDDING_DIMENSIONS) || 256,
+    embeddingWeight: parseFloat(process.env.CODE_INDEX_EMBEDDING_WEIGHT) || 0.3,
+    maxFiles: parseInt(process.env.CODE_INDEX_MAX_FILES) || 2000,
+    maxFileBytes: parseInt(process.env.CODE_INDEX_MAX_FILE_BYTES) || 200 * 1024,
+    chunkLines: parseInt(process.env.CODE_INDEX_CHUNK_LINES) || 60,
+    chunkOverlap: parseInt(process.env.CODE_INDEX_CHUNK_OVERLAP) || 10,
+    contextFiles: parseInt(process.env.CODE_INDEX_CONTEXT_FILES) || 5,
+    contextMaxChars: parseInt(process.env.CODE_INDEX_CONTEXT_MAX_CHARS) || 12000,
+  },
+  
+  approvals: {
+    ttlHours: parseInt(process.env.APPROVAL_TTL_HOURS) || 72,
+    expirySweepMs: parseInt(process.env.APPROVAL_EXPIRY_SWEEP_MS) || 5 * 60 * 1000,
+  },
+  
+  monitoring: {
+    healthPaths: (process.env.MONITORING_HEALTH_PATHS || '/').split(',').map(p => p.trim()),
+    probeTimeoutMs: parseInt(process.env.MONITORING_PROBE_TIMEOUT_MS) || 10000,
+    slowResponseMs: parseInt(process.env.MONITORING_SLOW_RESPONSE_MS) || 2000,
+    alertThreshold: parseInt(process.env.MONITORING_ALERT_THRESHOLD) || 60,
+  },
+  
+  notifications: {
+    defaultChannel: process.env.NOTIFICATION_DEFAULT_CHANNEL || 'websocket',
+    dedupWindowSeconds: parseInt(process.env.NOTIFICATION_DEDUP_WINDOW_SECONDS) || 300,
+    slackWebhookUrl: process.env.SLACK_ALERT_WEBHOOK_URL,
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+      from: process.env.SMTP_FROM || 'CompanyOS <alerts@companyos.com>',
+    },
+  },
+  
+  mail: {
+    // smtp, file (writes each message to outboxDir) or console
+    transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'),
+    outboxDir: process.env.MAIL_OUTBOX_DIR || 'tmp/mail',
+  },
+  
+  invitations: {
+    secret: process.env.INVITATION_SECRET || process.env.JWT_SECRET,
+    ttlHours: parseInt(process.env.INVITATION_TTL_HOURS) || 7 * 24,
+  },
+  
+  mfa: {
+    // Account name shown in authenticator apps
+    issuer: process.env.MFA_ISSUER || 'CompanyOS',
+    // Time between the password step of a login and the code step
+    challengeExpiresIn: process.env.MFA_CHALLENGE_EXPIRES_IN || '5m',
+    setupTtlSeconds: parseInt(process.env.MFA_SETUP_TTL_SECONDS) || 600,
+    recoveryCodeCount: parseInt(process.env.MFA_RECOVERY_CODE_COUNT) || 10,
+  },
+  
+  llm: {
+    defaultProvider: process.env.LLM_DEFAULT_PROVIDER || 'anthropic',
+    // Tried in order after the requested provider fails or its circuit is open
+    fallbackChain: (process.env.LLM_FALLBACK_CHAIN || 'anthropic,openai,ollama').split(',').map(p => p.trim()),
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES) || 2,
+    retryBaseMs: parseInt(process.env.LLM_RETRY_BASE_MS) || 500,
+    retryMaxMs: parseInt(process.env.LLM_RETRY_MAX_MS) || 8000,
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD) || 5,
+      resetTimeoutMs: parseInt(process.env.LLM_CIRCUIT_RESET_MS) || 60000,
+    },
+    cache: {
+      enabled: process.env.LLM_CACHE_ENABLED !== 'false',
+      ttlSeconds: parseInt(process.env.LLM_CACHE_TTL_SECONDS) || 86400,
+    },
+    // Model per task type and provider; an explicit `model` in a request wins
+    taskModels: {
+      generateCode: {
+        anthropic: 'claude-3-5-sonnet-20241022',
+        openai: 'gpt-4-turbo-preview',
+      },
+      refactorCode: {
+        anthropic: 'claude-3-5-sonnet-20241022',
+        openai: 'gpt-4-turbo-preview',
+      },
+      reviewCode: {
+        anthropic: 'claude-3-haiku-20240307',
+        openai: 'gpt-3.5-turbo',
+      },
+      generateTests: {
+        anthropic: 'claude-3-haiku-20240307',
+        openai: 'gpt-3.5-turbo',
+      },
+    },
+  },
 };
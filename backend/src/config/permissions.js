@@ -0,0 +1,71 @@
+/**
+ * Permissions
+ * Everything a member of an organization may be allowed to do, and the
+ * permission sets of the built-in roles
+ *
+ * Organizations can add custom roles with any subset of these permissions.
+ */
+
+const PERMISSIONS = {
+  'organization:read': 'View the organization and its members',
+  'organization:update': 'Change organization settings',
+  'security:manage': 'Require two-factor authentication for sensitive actions',
+  'members:manage': 'Add and remove members and change their roles',
+  'roles:manage': 'Create, edit and delete custom roles',
+  'integrations:read': 'View connected integrations',
+  'integrations:sync': 'Trigger integration syncs',
+  'integrations:manage': 'Connect and disconnect integrations',
+  'github:read': 'Browse repositories and pull requests',
+  'github:write': 'Edit files, merge pull requests and request reviews',
+  'deployments:read': 'View deployments and their logs',
+  'deployments:create': 'Trigger deployments',
+  'deployments:rollback': 'Roll back deployments',
+  'notifications:manage': 'Edit notification routing rules',
+  'ai:read': 'View AI tasks, approvals, the audit log and usage',
+  'ai:generate': 'Run AI coding agents',
+  'ai:approve': 'Approve and reject AI changes',
+  'ai:auto_apply': 'Apply AI changes without review',
+  'ai:rollback': 'Roll back applied AI changes',
+  'ai:manage': 'Change AI settings, budgets and approval policies',
+};
+
+const ALL = Object.keys(PERMISSIONS);
+
+// Security policy stays with owners
+const ADMIN = ALL.filter(permission => permission !== 'security:manage');
+
+const VIEWER = [
+  'organization:read',
+  'integrations:read',
+  'github:read',
+  'deployments:read',
+  'ai:read',
+];
+
+const MEMBER = [
+  ...VIEWER,
+  'integrations:sync',
+  'github:write',
+  'deployments:create',
+  'ai:generate',
+];
+
+const BUILT_IN_ROLES = {
+  owner: ALL,
+  admin: ADMIN,
+  member: MEMBER,
+  viewer: VIEWER,
+};
+
+// Need a two-factor sign-in in organizations that require it
+const MFA_PROTECTED_PERMISSIONS = [
+  'ai:approve',
+  'ai:rollback',
+  'deployments:rollback',
+];
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  MFA_PROTECTED_PERMISSIONS,
+};
@@ -37,6 +37,11 @@ const redisSubClient = process.env.REDIS_URL
   ? new Redis(process.env.REDIS_URL)
   : new Redis({ host: 'localhost', port: 6379 });
 
+// Dedicated client for blocking stream reads (XREADGROUP BLOCK)
+const redisStreamClient = process.env.REDIS_URL 
+  ? new Redis(process.env.REDIS_URL)
+  : new Redis({ host: 'localhost', port: 6379 });
+
 redisPubClient.on('connect', () => {
   logger.info('Redis pub client connected');
 });
@@ -45,8 +50,13 @@ redisSubClient.on('connect', () => {
   logger.info('Redis sub client connected');
 });
 
+redisStreamClient.on('connect', () => {
+  logger.info('Redis stream client connected');
+});
+
 module.exports = {
   redisClient,
   redisPubClient,
   redisSubClient,
+  redisStreamClient,
 };
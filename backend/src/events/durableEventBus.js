@@ -0,0 +1,430 @@
+const os = require('os');
+const { redisClient, redisStreamClient } = require('../config/redis');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const STREAM_PREFIX = 'companyos:stream:';
+const DEAD_LETTER_STREAM = 'companyos:stream:dead-letter';
+const FAILURES_KEY = 'companyos:stream:failures';
+
+/**
+ * Durable event bus backed by Redis Streams
+ *
+ * Every event published through the EventBus is also appended to a stream
+ * per event type. Subscribers here read through a consumer group, so several
+ * backend instances share the work, and an event is only acknowledged once
+ * all local handlers succeed. Failed events are retried with exponential
+ * backoff and moved to the dead-letter stream after `maxAttempts`.
+ *
+ * Handlers may run more than once for the same event and must be idempotent.
+ */
+class DurableEventBus {
+  constructor(options = {}) {
+    this.group = options.consumerGroup || config.eventBus.consumerGroup;
+    this.consumer = `${os.hostname()}-${process.pid}`;
+    this.maxLength = options.streamMaxLength || config.eventBus.streamMaxLength;
+    this.maxAttempts = options.maxAttempts || config.eventBus.maxAttempts;
+    this.retryBaseMs = options.retryBaseMs || config.eventBus.retryBaseMs;
+    this.blockMs = options.blockMs || config.eventBus.blockMs;
+
+    this.handlers = new Map();
+    this.running = false;
+    this.retryTimer = null;
+    // Entries this process is handling, as `${stream}:${id}`, so retries leave them alone
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Get the stream key for an event type
+   */
+  streamKey(eventType) {
+    return `${STREAM_PREFIX}${eventType}`;
+  }
+
+  /**
+   * Append a serialized event to its stream
+   */
+  async append(eventType, message) {
+    try {
+      return await redisClient.xadd(
+        this.streamKey(eventType),
+        'MAXLEN', '~', this.maxLength,
+        '*',
+        'message', message
+      );
+    } catch (error) {
+      logger.error(`Failed to append event ${eventType} to stream:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to an event type through the consumer group
+   */
+  async subscribe(eventType, handler) {
+    try {
+      await this.ensureGroup(eventType);
+
+      if (!this.handlers.has(eventType)) {
+        this.handlers.set(eventType, []);
+      }
+      this.handlers.get(eventType).push(handler);
+
+      this.start();
+
+      logger.debug(`Durable subscription to event: ${eventType}`);
+    } catch (error) {
+      logger.error(`Failed to subscribe durably to event ${eventType}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a handler for an event type
+   */
+  unsubscribe(eventType, handler) {
+    const handlers = this.handlers.get(eventType);
+    if (!handlers) {
+      return;
+    }
+
+    const index = handlers.indexOf(handler);
+    if (index > -1) {
+      handlers.splice(index, 1);
+    }
+
+    if (handlers.length === 0) {
+      this.handlers.delete(eventType);
+    }
+  }
+
+  /**
+   * Create the consumer group for a stream if it does not exist
+   */
+  async ensureGroup(eventType) {
+    try {
+      await redisClient.xgroup('CREATE', this.streamKey(eventType), this.group, '$', 'MKSTREAM');
+    } catch (error) {
+      if (!error.message.includes('BUSYGROUP')) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Start the read and retry loops
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.readLoop();
+    this.scheduleRetry();
+
+    logger.info(`Durable event bus started (group: ${this.group}, consumer: ${this.consumer})`);
+  }
+
+  /**
+   * Stop consuming. In-flight handlers are allowed to finish.
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    redisStreamClient.disconnect();
+    logger.info('Durable event bus stopped');
+  }
+
+  /**
+   * Read new entries for all subscribed streams
+   */
+  async readLoop() {
+    while (this.running) {
+      const eventTypes = Array.from(this.handlers.keys());
+
+      if (eventTypes.length === 0) {
+        await sleep(this.blockMs);
+        continue;
+      }
+
+      try {
+        const result = await redisStreamClient.xreadgroup(
+          'GROUP', this.group, this.consumer,
+          'COUNT', 10,
+          'BLOCK', this.blockMs,
+          'STREAMS',
+          ...eventTypes.map(eventType => this.streamKey(eventType)),
+          ...eventTypes.map(() => '>')
+        );
+
+        if (!result) {
+          continue;
+        }
+
+        for (const [stream, entries] of result) {
+          for (const [id, fields] of entries) {
+            await this.processEntry(stream, id, fields, 1);
+          }
+        }
+      } catch (error) {
+        if (!this.running) {
+          break;
+        }
+
+        logger.error('Durable event bus read error:', error);
+        await sleep(1000);
+      }
+    }
+  }
+
+  /**
+   * Run retryPending every `retryBaseMs`, one pass at a time
+   * The next pass is scheduled when the previous one ends, so a slow
+   * pass never overlaps the next.
+   */
+  scheduleRetry() {
+    this.retryTimer = setTimeout(async () => {
+      await this.retryPending();
+
+      if (this.running) {
+        this.scheduleRetry();
+      }
+    }, this.retryBaseMs);
+  }
+
+  /**
+   * Claim pending entries whose backoff has elapsed and retry them
+   * Entries still being handled here are skipped: they are pending because
+   * their handler has not finished, not because it failed.
+   */
+  async retryPending() {
+    for (const eventType of this.handlers.keys()) {
+      const stream = this.streamKey(eventType);
+
+      try {
+        const pending = await redisClient.xpending(stream, this.group, '-', '+', 100);
+
+        for (const [id, , idleMs, deliveries] of pending) {
+          if (this.inFlight.has(`${stream}:${id}`)) {
+            continue;
+          }
+
+          if (deliveries >= this.maxAttempts) {
+            await this.deadLetter(stream, id, deliveries);
+            continue;
+          }
+
+          if (idleMs < this.backoffMs(deliveries)) {
+            continue;
+          }
+
+          const claimed = await redisClient.xclaim(
+            stream, this.group, this.consumer, this.backoffMs(deliveries), id
+          );
+
+          for (const [claimedId, fields] of claimed) {
+            if (!fields) {
+              // Entry was trimmed from the stream, nothing left to retry
+              await this.ack(stream, claimedId);
+              continue;
+            }
+
+            await this.processEntry(stream, claimedId, fields, deliveries + 1);
+          }
+        }
+      } catch (error) {
+        logger.error(`Failed to retry pending events for ${eventType}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Run local handlers for one stream entry and acknowledge on success
+   */
+  async processEntry(stream, id, fields, attempt) {
+    const envelope = parseFields(fields);
+    if (!envelope) {
+      logger.error(`Malformed stream entry ${stream} ${id}, acknowledging`);
+      await this.ack(stream, id);
+      return;
+    }
+
+    const { eventType, data, timestamp } = envelope;
+    const handlers = this.handlers.get(eventType) || [];
+    const key = `${stream}:${id}`;
+
+    this.inFlight.add(key);
+    try {
+      for (const handler of handlers) {
+        await handler(data, { eventType, timestamp, id, attempt });
+      }
+
+      await this.ack(stream, id);
+    } catch (error) {
+      logger.error(`Durable handler for ${eventType} failed (attempt ${attempt}/${this.maxAttempts}):`, error);
+      await redisClient.hset(FAILURES_KEY, key, error.message);
+
+      if (attempt >= this.maxAttempts) {
+        await this.deadLetter(stream, id, attempt);
+      }
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Acknowledge an entry and clear its failure record
+   */
+  async ack(stream, id) {
+    await redisClient.xack(stream, this.group, id);
+    await redisClient.hdel(FAILURES_KEY, `${stream}:${id}`);
+  }
+
+  /**
+   * Move an entry that keeps failing to the dead-letter stream
+   */
+  async deadLetter(stream, id, attempts) {
+    try {
+      const [entry] = await redisClient.xrange(stream, id, id);
+      const lastError = await redisClient.hget(FAILURES_KEY, `${stream}:${id}`);
+
+      if (entry) {
+        await redisClient.xadd(
+          DEAD_LETTER_STREAM,
+          'MAXLEN', '~', this.maxLength,
+          '*',
+          'message', toObject(entry[1]).message || '',
+          'stream', stream,
+          'originalId', id,
+          'group', this.group,
+          'attempts', String(attempts),
+          'error', lastError || 'Max attempts exceeded'
+        );
+      }
+
+      await this.ack(stream, id);
+
+      logger.warn(`Event ${stream} ${id} moved to dead-letter stream after ${attempts} attempts`);
+    } catch (error) {
+      logger.error(`Failed to dead-letter event ${stream} ${id}:`, error);
+    }
+  }
+
+  /**
+   * Exponential backoff before the next delivery attempt
+   */
+  backoffMs(deliveries) {
+    return this.retryBaseMs * Math.pow(2, Math.max(deliveries - 1, 0));
+  }
+
+  /**
+   * Replay events of a type from a point in time
+   * The entries are appended to the stream again, so the consumer group
+   * delivers them to every subscribed instance with the usual retries and
+   * dead-lettering. Works from any process, subscribed or not.
+   */
+  async replay(eventType, since, { until = null, count = 1000 } = {}) {
+    const start = `${new Date(since).getTime()}-0`;
+    const end = until ? `${new Date(until).getTime()}-0` : '+';
+
+    const entries = await redisClient.xrange(this.streamKey(eventType), start, end, 'COUNT', count);
+
+    const stats = { replayed: 0, skipped: 0 };
+
+    for (const [id, fields] of entries) {
+      if (!parseFields(fields)) {
+        stats.skipped++;
+        logger.warn(`Skipping malformed ${eventType} entry ${id} in replay`);
+        continue;
+      }
+
+      await this.append(eventType, toObject(fields).message);
+      stats.replayed++;
+    }
+
+    logger.info(`Replayed ${stats.replayed} ${eventType} events since ${new Date(since).toISOString()}`);
+
+    return stats;
+  }
+
+  /**
+   * List entries in the dead-letter stream, newest first
+   */
+  async getDeadLetters(count = 100) {
+    const entries = await redisClient.xrevrange(DEAD_LETTER_STREAM, '+', '-', 'COUNT', count);
+
+    return entries.map(([id, fields]) => {
+      const record = toObject(fields);
+      return {
+        id,
+        stream: record.stream,
+        originalId: record.originalId,
+        attempts: parseInt(record.attempts),
+        error: record.error,
+        event: record.message ? JSON.parse(record.message) : null,
+      };
+    });
+  }
+
+  /**
+   * Put a dead-lettered event back on its stream for another round of attempts
+   */
+  async requeueDeadLetter(deadLetterId) {
+    const [entry] = await redisClient.xrange(DEAD_LETTER_STREAM, deadLetterId, deadLetterId);
+    if (!entry) {
+      throw new Error(`Dead-letter entry ${deadLetterId} not found`);
+    }
+
+    const record = toObject(entry[1]);
+    const id = await redisClient.xadd(
+      record.stream,
+      'MAXLEN', '~', this.maxLength,
+      '*',
+      'message', record.message
+    );
+    await redisClient.xdel(DEAD_LETTER_STREAM, deadLetterId);
+
+    logger.info(`Requeued dead-letter ${deadLetterId} to ${record.stream} as ${id}`);
+    return id;
+  }
+
+  /**
+   * Get all durable subscriptions
+   */
+  getSubscriptions() {
+    return Array.from(this.handlers.keys());
+  }
+}
+
+/**
+ * Convert a flat [field, value, ...] array into an object
+ */
+const toObject = (fields) => {
+  const record = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    record[fields[i]] = fields[i + 1];
+  }
+  return record;
+};
+
+/**
+ * Parse the event envelope stored in a stream entry
+ */
+const parseFields = (fields) => {
+  try {
+    return JSON.parse(toObject(fields).message);
+  } catch (error) {
+    return null;
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Export singleton instance
+module.exports = new DurableEventBus();
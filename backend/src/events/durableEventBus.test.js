@@ -0,0 +1,123 @@
+jest.mock('../config/redis', () => ({
+  redisClient: {
+    xadd: jest.fn(),
+    xack: jest.fn(),
+    xpending: jest.fn(),
+    xclaim: jest.fn(),
+    xrange: jest.fn(),
+    hset: jest.fn(),
+    hget: jest.fn(),
+    hdel: jest.fn()
+  },
+  redisStreamClient: { disconnect: jest.fn() }
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { redisClient } = require('../config/redis');
+const durableEventBus = require('./durableEventBus');
+
+const STREAM = 'companyos:stream:github.push';
+
+const entry = (data) => ['message', JSON.stringify({ eventType: 'github.push', data, timestamp: '2024-05-01T12:00:00.000Z' })];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  durableEventBus.handlers = new Map();
+  durableEventBus.inFlight.clear();
+});
+
+describe('retryPending', () => {
+  it('leaves entries that are still being handled alone', async () => {
+    let finish;
+    durableEventBus.handlers.set('github.push', [() => new Promise(resolve => { finish = resolve; })]);
+
+    const handling = durableEventBus.processEntry(STREAM, '1-0', entry({ ref: 'main' }), 1);
+
+    // Idle past every backoff, and at the attempt limit
+    redisClient.xpending.mockResolvedValue([['1-0', 'consumer', 10 * 60 * 1000, durableEventBus.maxAttempts]]);
+    await durableEventBus.retryPending();
+
+    expect(redisClient.xclaim).not.toHaveBeenCalled();
+    expect(redisClient.xrange).not.toHaveBeenCalled();
+    expect(redisClient.xack).not.toHaveBeenCalled();
+
+    finish();
+    await handling;
+
+    expect(redisClient.xack).toHaveBeenCalledWith(STREAM, durableEventBus.group, '1-0');
+    expect(durableEventBus.inFlight.size).toBe(0);
+  });
+
+  it('claims and retries a failed entry once its backoff has passed', async () => {
+    const handler = jest.fn();
+    durableEventBus.handlers.set('github.push', [handler]);
+
+    redisClient.xpending.mockResolvedValue([['1-0', 'consumer', durableEventBus.backoffMs(1), 1]]);
+    redisClient.xclaim.mockResolvedValue([['1-0', entry({ ref: 'main' })]]);
+    await durableEventBus.retryPending();
+
+    expect(handler).toHaveBeenCalledWith({ ref: 'main' }, expect.objectContaining({ id: '1-0', attempt: 2 }));
+    expect(redisClient.xack).toHaveBeenCalledWith(STREAM, durableEventBus.group, '1-0');
+  });
+
+  it('dead-letters an entry that is out of attempts and not running', async () => {
+    durableEventBus.handlers.set('github.push', [jest.fn()]);
+
+    redisClient.xpending.mockResolvedValue([['1-0', 'consumer', 0, durableEventBus.maxAttempts]]);
+    redisClient.xrange.mockResolvedValue([['1-0', entry({ ref: 'main' })]]);
+    await durableEventBus.retryPending();
+
+    expect(redisClient.xadd).toHaveBeenCalledWith(
+      'companyos:stream:dead-letter', 'MAXLEN', '~', durableEventBus.maxLength, '*',
+      'message', expect.any(String),
+      'stream', STREAM,
+      'originalId', '1-0',
+      'group', durableEventBus.group,
+      'attempts', String(durableEventBus.maxAttempts),
+      'error', 'Max attempts exceeded'
+    );
+    expect(redisClient.xack).toHaveBeenCalledWith(STREAM, durableEventBus.group, '1-0');
+  });
+});
+
+describe('scheduleRetry', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    durableEventBus.running = false;
+    clearTimeout(durableEventBus.retryTimer);
+    jest.restoreAllMocks();
+  });
+
+  it('does not start a pass while the previous one is running', async () => {
+    jest.useFakeTimers();
+    let finish;
+    const retryPending = jest.spyOn(durableEventBus, 'retryPending')
+      .mockImplementation(() => new Promise(resolve => { finish = resolve; }));
+
+    durableEventBus.running = true;
+    durableEventBus.scheduleRetry();
+
+    await jest.advanceTimersByTimeAsync(durableEventBus.retryBaseMs * 5);
+    expect(retryPending).toHaveBeenCalledTimes(1);
+
+    finish();
+    await jest.advanceTimersByTimeAsync(durableEventBus.retryBaseMs);
+    expect(retryPending).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('replay', () => {
+  it('appends the events in the range to the stream again', async () => {
+    redisClient.xrange.mockResolvedValue([
+      ['1714564800000-0', entry({ ref: 'main' })],
+      ['1714564800001-0', ['message', 'not json']]
+    ]);
+
+    const stats = await durableEventBus.replay('github.push', '2024-05-01T12:00:00Z', { until: '2024-05-01T13:00:00Z' });
+
+    expect(redisClient.xrange).toHaveBeenCalledWith(STREAM, '1714564800000-0', '1714568400000-0', 'COUNT', 1000);
+    expect(redisClient.xadd).toHaveBeenCalledTimes(1);
+    expect(redisClient.xadd).toHaveBeenCalledWith(STREAM, 'MAXLEN', '~', durableEventBus.maxLength, '*', 'message', entry({ ref: 'main' })[1]);
+    expect(stats).toEqual({ replayed: 1, skipped: 1 });
+  });
+});
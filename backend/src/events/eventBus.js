@@ -1,6 +1,15 @@
 const { redisPubClient, redisSubClient } = require('../config/redis');
+const durableEventBus = require('./durableEventBus');
 const logger = require('../utils/logger');
 
+const CHANNEL_PREFIX = 'companyos:events:';
+
+/**
+ * Check if an event type is a glob pattern (e.g. github.*, slack.interaction.*)
+ * Uses Redis glob syntax, so `*` also matches across dots.
+ */
+const isPattern = (eventType) => /[*?[]/.test(eventType);
+
 class EventBus {
   constructor() {
     this.handlers = new Map();
@@ -15,6 +24,10 @@ class EventBus {
       this.handleMessage(channel, message);
     });
     
+    redisSubClient.on('pmessage', (pattern, channel, message) => {
+      this.handleMessage(channel, message, pattern);
+    });
+    
     redisSubClient.on('error', (err) => {
       logger.error('Redis subscription error:', err);
     });
@@ -22,8 +35,11 @@ class EventBus {
   
   /**
    * Publish an event
+   * Appended to the durable stream, unless `durable: false` is passed for
+   * short-lived traffic, and then delivered live over pub/sub. Appending
+   * first means live subscribers never see an event the stream lacks.
    */
-  async publish(eventType, data) {
+  async publish(eventType, data, { durable = true } = {}) {
     try {
       const message = JSON.stringify({
         eventType,
@@ -31,7 +47,10 @@ class EventBus {
         timestamp: new Date().toISOString(),
       });
       
-      await redisPubClient.publish(`companyos:events:${eventType}`, message);
+      if (durable) {
+        await durableEventBus.append(eventType, message);
+      }
+      await redisPubClient.publish(`${CHANNEL_PREFIX}${eventType}`, message);
       
       logger.debug(`Event published: ${eventType}`);
     } catch (error) {
@@ -41,11 +60,11 @@ class EventBus {
   }
   
   /**
-   * Subscribe to an event type
+   * Subscribe to an event type or a glob pattern such as `github.*`
    */
   async subscribe(eventType, handler) {
     try {
-      const channel = `companyos:events:${eventType}`;
+      const channel = `${CHANNEL_PREFIX}${eventType}`;
       
       // Add handler to local map
       if (!this.handlers.has(eventType)) {
@@ -53,8 +72,12 @@ class EventBus {
       }
       this.handlers.get(eventType).push(handler);
       
-      // Subscribe to Redis channel
-      await redisSubClient.subscribe(channel);
+      // Subscribe to Redis channel or pattern
+      if (isPattern(eventType)) {
+        await redisSubClient.psubscribe(channel);
+      } else {
+        await redisSubClient.subscribe(channel);
+      }
       
       logger.debug(`Subscribed to event: ${eventType}`);
     } catch (error) {
@@ -64,11 +87,11 @@ class EventBus {
   }
   
   /**
-   * Unsubscribe from an event type
+   * Unsubscribe from an event type or pattern
    */
   async unsubscribe(eventType, handler) {
     try {
-      const channel = `companyos:events:${eventType}`;
+      const channel = `${CHANNEL_PREFIX}${eventType}`;
       
       // Remove handler from local map
       if (this.handlers.has(eventType)) {
@@ -81,7 +104,12 @@ class EventBus {
         // If no more handlers, unsubscribe from Redis
         if (handlers.length === 0) {
           this.handlers.delete(eventType);
-          await redisSubClient.unsubscribe(channel);
+          
+          if (isPattern(eventType)) {
+            await redisSubClient.punsubscribe(channel);
+          } else {
+            await redisSubClient.unsubscribe(channel);
+          }
         }
       }
       
@@ -94,18 +122,26 @@ class EventBus {
   
   /**
    * Handle incoming message from Redis
+   * Redis delivers one `message` for the exact channel and one `pmessage`
+   * per matching pattern, so each delivery runs the handlers registered
+   * under that exact type or pattern. Together every matching handler
+   * receives the event exactly once.
    */
-  async handleMessage(channel, message) {
+  async handleMessage(channel, message, pattern = null) {
     try {
       const { eventType, data, timestamp } = JSON.parse(message);
       
-      // Get handlers for this event type
-      const handlers = this.handlers.get(eventType) || [];
+      const subscription = pattern
+        ? pattern.substring(CHANNEL_PREFIX.length)
+        : eventType;
+      
+      // Get handlers for this event type or pattern
+      const handlers = this.handlers.get(subscription) || [];
       
       // Execute all handlers
       for (const handler of handlers) {
         try {
-          await handler(data, { eventType, timestamp });
+          await handler(data, { eventType, timestamp, pattern: pattern ? subscription : null });
         } catch (error) {
           logger.error(`Error in event handler for ${eventType}:`, error);
         }
@@ -116,7 +152,7 @@ class EventBus {
   }
   
   /**
-   * Get all active subscriptions
+   * Get all active subscriptions (event types and patterns)
    */
   getSubscriptions() {
     return Array.from(this.handlers.keys());
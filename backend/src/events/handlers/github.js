@@ -1,7 +1,13 @@
-const eventBus = require('../eventBus');
+const eventBus = require('../durableEventBus');
 const eventService = require('../../services/event.service');
+const agentTaskQueue = require('../../services/ai-agent/task-queue');
+const codeIndexService = require('../../services/code-index.service');
+const { query } = require('../../config/database');
 const logger = require('../../utils/logger');
 
+// Pull request actions that get an automated review
+const REVIEW_ACTIONS = ['opened', 'synchronize', 'ready_for_review'];
+
 /**
  * Initialize GitHub event handlers
  */
@@ -26,9 +32,10 @@ const initializeGitHubHandlers = () => {
           title: payload.pull_request.title,
         },
       });
-      
-      // TODO: Trigger code review agent
-      logger.info('TODO: Spawn CodeReviewAgent for PR analysis');
+    }
+    
+    if (REVIEW_ACTIONS.includes(payload.action) && !payload.pull_request.draft) {
+      await queueCodeReview(payload);
     }
     
     if (payload.action === 'closed' && payload.pull_request.merged) {
@@ -80,6 +87,8 @@ const initializeGitHubHandlers = () => {
         },
       });
       
+      await queueCodeIndex(payload);
+      
       // TODO: Trigger deployment
       logger.info('TODO: Trigger deployment pipeline');
     }
@@ -88,6 +97,66 @@ const initializeGitHubHandlers = () => {
   logger.info('GitHub event handlers initialized');
 };
 
+/**
+ * Queue a CodeReviewAgent run for a pull request
+ * One task is queued per organization that connected the repository, so each
+ * review runs with that organization's GitHub credentials and records.
+ */
+const queueCodeReview = async (payload) => {
+  const { pull_request: pr, repository } = payload;
+  
+  // Webhook payloads carry GitHub ids, the repository rows map them to our organizations
+  const result = await query(
+    `SELECT DISTINCT organization_id FROM repositories WHERE github_id = $1`,
+    [repository.id]
+  );
+  
+  if (result.rows.length === 0) {
+    logger.warn(`No organization for repository ${repository.full_name}, skipping code review`);
+    return;
+  }
+  
+  for (const { organization_id: organizationId } of result.rows) {
+    await agentTaskQueue.enqueue({
+      organizationId,
+      agentType: 'code_review',
+      agentName: 'CodeReviewAgent',
+      taskType: 'code.review',
+      description: `Review ${repository.full_name}#${pr.number}: ${pr.title}`,
+      priority: 7,
+      inputData: {
+        owner: repository.owner.login,
+        repo: repository.name,
+        prNumber: pr.number,
+        headSha: pr.head.sha,
+        githubPullRequestId: pr.id,
+      },
+    });
+  }
+  
+  logger.info(`Code review queued for ${repository.full_name}#${pr.number} (${payload.action}) in ${result.rows.length} organization(s)`);
+};
+
+/**
+ * Queue a code index sync after a push to the default branch
+ */
+const queueCodeIndex = async (payload) => {
+  const { repository } = payload;
+  
+  const result = await query(
+    `SELECT DISTINCT organization_id FROM repositories WHERE github_id = $1`,
+    [repository.id]
+  );
+  
+  for (const { organization_id: organizationId } of result.rows) {
+    await codeIndexService.queueSync(organizationId, {
+      fullName: repository.full_name,
+      branch: repository.default_branch,
+      commitSha: payload.after,
+    });
+  }
+};
+
 /**
  * Calculate PR merge time in hours
  */
@@ -97,4 +166,4 @@ const calculateMergeTime = (pr) => {
   return (merged - created) / (1000 * 60 * 60); // hours
 };
 
-module.exports = { initializeGitHubHandlers };
+module.exports = { initializeGitHubHandlers, queueCodeReview };
@@ -1,5 +1,8 @@
-const eventBus = require('../eventBus');
+const eventBus = require('../durableEventBus');
 const eventService = require('../../services/event.service');
+const agentTaskQueue = require('../../services/ai-agent/task-queue');
+const notificationService = require('../../services/notification.service');
+const { query } = require('../../config/database');
 const logger = require('../../utils/logger');
 
 /**
@@ -54,8 +57,7 @@ const initializeVercelHandlers = () => {
       },
     });
     
-    // TODO: Trigger monitoring agent
-    logger.info('TODO: Spawn MonitoringAgent for deployment health check');
+    await queueDeploymentCheck(payload);
   });
   
   // Deployment error
@@ -75,11 +77,97 @@ const initializeVercelHandlers = () => {
       },
     });
     
-    // TODO: Send alert
-    logger.info('TODO: Send alert for deployment failure');
+    await notificationService.notify({
+      organizationId: await resolveOrganizationId(payload),
+      eventType: 'deployment.error',
+      severity: payload.target === 'production' || payload.deployment.target === 'production'
+        ? 'critical'
+        : 'warning',
+      title: `Deployment of ${payload.deployment.name} failed`,
+      message: payload.deployment.errorMessage || `Deployment ${payload.deployment.url} failed`,
+      data: {
+        deploymentId: payload.deployment.id,
+        url: payload.deployment.url,
+        projectName: payload.deployment.name,
+      },
+      dedupKey: `deployment.error:${payload.deployment.id}`,
+    });
   });
   
   logger.info('Vercel event handlers initialized');
 };
 
+/**
+ * Map a webhook payload to our organization
+ * Payloads carry Vercel ids: a known deployment, or the team of the integration.
+ */
+const resolveOrganizationId = async (payload) => {
+  const result = await query(
+    `SELECT organization_id FROM deployments WHERE vercel_deployment_id = $1
+     UNION ALL
+     SELECT organization_id FROM integrations
+     WHERE service = 'vercel' AND metadata->>'teamId' = $2
+     LIMIT 1`,
+    [payload.deployment.id, payload.team?.id || null]
+  );
+  
+  return result.rows[0]?.organization_id || null;
+};
+
+/**
+ * Mark the deployment ready and queue a MonitoringAgent check
+ */
+const queueDeploymentCheck = async (payload) => {
+  const { deployment } = payload;
+  
+  const organizationId = await resolveOrganizationId(payload);
+  if (!organizationId) {
+    logger.warn(`No organization for Vercel deployment ${deployment.id}, skipping health check`);
+    return;
+  }
+  
+  const upserted = await query(
+    `INSERT INTO deployments (
+      organization_id, vercel_deployment_id, project_name, url, state,
+      environment, commit_sha, branch, ready_at, updated_at
+     ) VALUES ($1, $2, $3, $4, 'ready', $5, $6, $7, NOW(), NOW())
+     ON CONFLICT (vercel_deployment_id)
+     DO UPDATE SET state = 'ready', ready_at = COALESCE(deployments.ready_at, NOW()), updated_at = NOW()
+     WHERE deployments.organization_id = EXCLUDED.organization_id
+     RETURNING id, project_name`,
+    [
+      organizationId,
+      deployment.id,
+      deployment.name,
+      deployment.url,
+      payload.target || deployment.target || 'preview',
+      deployment.meta?.githubCommitSha || null,
+      deployment.meta?.githubCommitRef || null,
+    ]
+  );
+  
+  // No row back means the deployment id is already owned by another organization
+  const row = upserted.rows[0];
+  if (!row) {
+    logger.warn(`Vercel deployment ${deployment.id} belongs to another organization, skipping health check`);
+    return;
+  }
+  
+  await agentTaskQueue.enqueue({
+    organizationId,
+    agentType: 'monitoring',
+    agentName: 'MonitoringAgent',
+    taskType: 'deployment.monitor',
+    description: `Health check for ${deployment.url}`,
+    priority: 8,
+    inputData: {
+      deploymentId: row.id,
+      projectName: row.project_name,
+    },
+    maxRetries: 1,
+  });
+  
+  logger.info(`Health check queued for deployment ${deployment.url}`);
+};
+
 module.exports = { initializeVercelHandlers };
@@ -1,11 +1,48 @@
 const organizationService = require('../../services/organization.service');
 const integrationService = require('../../services/integration.service');
 const eventService = require('../../services/event.service');
+const rbac = require('../../services/rbac.service');
 const { GraphQLError } = require('graphql');
 const { PubSub } = require('graphql-subscriptions');
 
 const pubsub = new PubSub();
 
+/**
+ * Same check as the requirePermission middleware: the organization must be
+ * the active one and the user must hold every permission there
+ */
+const assertPermission = (context, organizationId, ...permissions) => {
+  const { user } = context;
+  
+  if (organizationId !== user.organizationId || !permissions.every(permission => user.permissions.includes(permission))) {
+    throw new GraphQLError('Forbidden', {
+      extensions: { code: 'FORBIDDEN' },
+    });
+  }
+};
+
+const assertAssignable = async (context, organizationId, role) => {
+  await withRbacErrors(() => rbac.assertAssignable(organizationId, role, context.user.id));
+};
+
+const assertManageable = async (context, organizationId, userId) => {
+  await withRbacErrors(() => rbac.assertManageable(organizationId, userId, context.user.id));
+};
+
+// Service errors carry an HTTP status; map the ones users can cause
+const withRbacErrors = async (fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+    throw new GraphQLError(error.message, {
+      extensions: { code: error.statusCode === 403 ? 'FORBIDDEN' : 'BAD_USER_INPUT' },
+    });
+  }
+};
+
 const resolvers = {
   Query: {
     // Organizations
@@ -16,6 +53,8 @@ const resolvers = {
         });
       }
       
+      assertPermission(context, id, 'organization:read');
+      
       return await organizationService.getById(id);
     },
     
@@ -37,6 +76,8 @@ const resolvers = {
         });
       }
       
+      assertPermission(context, context.user.organizationId, 'integrations:read');
+      
       return await integrationService.getAll(context.user.organizationId);
     },
     
@@ -47,6 +88,8 @@ const resolvers = {
         });
       }
       
+      assertPermission(context, context.user.organizationId, 'integrations:read');
+      
       const integration = await integrationService.get(context.user.organizationId, service);
       
       // Remove credentials before sending
@@ -106,11 +149,7 @@ const resolvers = {
         });
       }
       
-      if (!['owner', 'admin'].includes(context.user.role)) {
-        throw new GraphQLError('Forbidden', {
-          extensions: { code: 'FORBIDDEN' },
-        });
-      }
+      assertPermission(context, id, 'organization:update');
       
       return await organizationService.update(id, input);
     },
@@ -123,11 +162,8 @@ const resolvers = {
         });
       }
       
-      if (!['owner', 'admin'].includes(context.user.role)) {
-        throw new GraphQLError('Forbidden', {
-          extensions: { code: 'FORBIDDEN' },
-        });
-      }
+      assertPermission(context, organizationId, 'members:manage');
+      await assertAssignable(context, organizationId, role.toLowerCase());
       
       return await organizationService.addMember(organizationId, userId, role.toLowerCase());
     },
@@ -139,13 +175,11 @@ const resolvers = {
         });
       }
       
-      if (!['owner', 'admin'].includes(context.user.role)) {
-        throw new GraphQLError('Forbidden', {
-          extensions: { code: 'FORBIDDEN' },
-        });
-      }
+      assertPermission(context, organizationId, 'members:manage');
+      await assertManageable(context, organizationId, userId);
+      await assertAssignable(context, organizationId, role.toLowerCase());
       
-      return await organizationService.updateMemberRole(organizationId, userId, role.toLowerCase());
+      return await withRbacErrors(() => organizationService.updateMemberRole(organizationId, userId, role.toLowerCase()));
     },
     
     removeMember: async (_, { organizationId, userId }, context) => {
@@ -155,13 +189,10 @@ const resolvers = {
         });
       }
       
-      if (!['owner', 'admin'].includes(context.user.role)) {
-        throw new GraphQLError('Forbidden', {
-          extensions: { code: 'FORBIDDEN' },
-        });
-      }
+      assertPermission(context, organizationId, 'members:manage');
+      await assertManageable(context, organizationId, userId);
       
-      await organizationService.removeMember(organizationId, userId);
+      await withRbacErrors(() => organizationService.removeMember(organizationId, userId));
       return true;
     },
   },
@@ -201,13 +232,18 @@ const resolvers = {
     },
   },
   
-  // Field resolvers
+  // Field resolvers; `organizations` lists every membership, so these
+  // check the parent against the active organization like the queries do
   Organization: {
-    members: async (parent) => {
+    members: async (parent, _, context) => {
+      assertPermission(context, parent.id, 'organization:read');
+      
       return await organizationService.getMembers(parent.id);
     },
     
-    integrations: async (parent) => {
+    integrations: async (parent, _, context) => {
+      assertPermission(context, parent.id, 'integrations:read');
+      
       return await integrationService.getAll(parent.id);
     },
   },
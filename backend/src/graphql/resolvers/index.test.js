@@ -0,0 +1,46 @@
+jest.mock('../../services/organization.service', () => ({ getMembers: jest.fn(), getUserOrganizations: jest.fn() }));
+jest.mock('../../services/integration.service', () => ({ getAll: jest.fn() }));
+jest.mock('../../services/event.service', () => ({}));
+jest.mock('../../services/rbac.service', () => ({}));
+
+const organizationService = require('../../services/organization.service');
+const integrationService = require('../../services/integration.service');
+const resolvers = require('./index');
+
+const context = (permissions) => ({
+  user: { id: 'user-1', organizationId: 'org-1', permissions },
+});
+
+describe('Organization field resolvers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    organizationService.getMembers.mockResolvedValue([]);
+    integrationService.getAll.mockResolvedValue([]);
+  });
+
+  it('resolve members and integrations of the active organization', async () => {
+    const ctx = context(['organization:read', 'integrations:read']);
+
+    await resolvers.Organization.members({ id: 'org-1' }, {}, ctx);
+    await resolvers.Organization.integrations({ id: 'org-1' }, {}, ctx);
+
+    expect(organizationService.getMembers).toHaveBeenCalledWith('org-1');
+    expect(integrationService.getAll).toHaveBeenCalledWith('org-1');
+  });
+
+  it('refuse other organizations the user belongs to', async () => {
+    const ctx = context(['organization:read', 'integrations:read']);
+
+    await expect(resolvers.Organization.members({ id: 'org-2' }, {}, ctx))
+      .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } });
+    await expect(resolvers.Organization.integrations({ id: 'org-2' }, {}, ctx))
+      .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } });
+    expect(organizationService.getMembers).not.toHaveBeenCalled();
+    expect(integrationService.getAll).not.toHaveBeenCalled();
+  });
+
+  it('refuse integrations without integrations:read', async () => {
+    await expect(resolvers.Organization.integrations({ id: 'org-1' }, {}, context(['organization:read'])))
+      .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } });
+  });
+});
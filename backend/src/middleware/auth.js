@@ -1,9 +1,14 @@
 const { verifyAccessToken } = require('../utils/jwt');
+const { MFA_PROTECTED_PERMISSIONS } = require('../config/permissions');
+const rbac = require('../services/rbac.service');
+const sessionService = require('../services/session.service');
 const logger = require('../utils/logger');
 
 /**
  * Authentication middleware
  * Verifies JWT token and attaches user to request
+ * Role and permissions come from the user's membership of the token's
+ * organization, never from the token itself.
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -26,11 +31,23 @@ const authenticate = async (req, res, next) => {
       });
     }
     
+    if (await sessionService.isAccessTokenRevoked(decoded.jti)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Token has been revoked',
+      });
+    }
+    
     // Attach user info to request
+    const membership = await rbac.getMembership(decoded.userId, decoded.organizationId);
     req.user = {
       id: decoded.userId,
       organizationId: decoded.organizationId,
-      role: decoded.role,
+      sessionId: decoded.sid || null,
+      role: membership?.role || null,
+      permissions: membership?.permissions || [],
+      mfa: Boolean(decoded.mfa),
+      requireMfa: Boolean(membership?.requireMfa),
     };
     
     next();
@@ -67,6 +84,50 @@ const authorize = (...allowedRoles) => {
   };
 };
 
+/**
+ * Permission middleware factory
+ * Checks that the user holds every permission in the active organization.
+ * Pass `{ organizationParam }` as the last argument for routes that name an
+ * organization in the URL; they are refused unless it is the active one.
+ * Where the organization requires it, MFA-protected permissions also need a
+ * session signed in with a second factor.
+ */
+const requirePermission = (...permissions) => {
+  const options = typeof permissions[permissions.length - 1] === 'object' ? permissions.pop() : {};
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required',
+      });
+    }
+    
+    const organizationId = options.organizationParam && req.params[options.organizationParam];
+    const inOrganization = !organizationId || organizationId === req.user.organizationId;
+    
+    if (!inOrganization || !permissions.every(permission => req.user.permissions.includes(permission))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Insufficient permissions',
+      });
+    }
+    
+    const needsMfa = req.user.requireMfa && !req.user.mfa
+      && permissions.some(permission => MFA_PROTECTED_PERMISSIONS.includes(permission));
+    
+    if (needsMfa) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This organization requires two-factor authentication for this action',
+        mfaRequired: true,
+      });
+    }
+    
+    next();
+  };
+};
+
 /**
  * Optional authentication
  * Attaches user if token is valid, but doesn't require it
@@ -79,11 +140,16 @@ const optionalAuth = async (req, res, next) => {
       const token = authHeader.substring(7);
       const decoded = verifyAccessToken(token);
       
-      if (decoded) {
+      if (decoded && !(await sessionService.isAccessTokenRevoked(decoded.jti))) {
+        const membership = await rbac.getMembership(decoded.userId, decoded.organizationId);
         req.user = {
           id: decoded.userId,
           organizationId: decoded.organizationId,
-          role: decoded.role,
+          sessionId: decoded.sid || null,
+          role: membership?.role || null,
+          permissions: membership?.permissions || [],
+          mfa: Boolean(decoded.mfa),
+          requireMfa: Boolean(membership?.requireMfa),
         };
       }
     }
@@ -94,8 +160,18 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Client details recorded on a login session
+ */
+const sessionContext = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip || null,
+});
+
 module.exports = {
   authenticate,
   authorize,
+  requirePermission,
   optionalAuth,
+  sessionContext,
 };
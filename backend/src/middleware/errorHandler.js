@@ -49,6 +49,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     error: err.name || 'Error',
     message,
+    ...(err.details && { details: err.details }),
     ...(config.env === 'development' && { stack: err.stack }),
   });
 };
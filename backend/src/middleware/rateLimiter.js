@@ -45,6 +45,23 @@ const strictLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Token refresh limiter; looser than strict since clients refresh on every expiry
+const refreshLimiter = rateLimit({
+  store: new RedisStore({
+    // @ts-expect-error - Known issue with types
+    sendCommand: (command, ...args) => redisClient.call(command, ...args),
+    prefix: 'rl:refresh:',
+  }),
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 refreshes per window
+  message: {
+    error: 'Too Many Requests',
+    message: 'Too many token refreshes, please sign in again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Webhook rate limiter (more lenient)
 const webhookLimiter = rateLimit({
   store: new RedisStore({
@@ -69,5 +86,6 @@ const webhookLimiter = rateLimit({
 module.exports = {
   standardLimiter,
   strictLimiter,
+  refreshLimiter,
   webhookLimiter,
 };
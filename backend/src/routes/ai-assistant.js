@@ -1,10 +1,82 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { authenticate } = require('../middleware/auth');
+const { body, param } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const validate = require('../middleware/validator');
+const organizationService = require('../services/organization.service');
+const aiStreamService = require('../services/ai-stream.service');
+const { getInstance: getLLM } = require('../services/llm/manager');
 
 const router = express.Router();
 
+const PROVIDERS = ['anthropic', 'openai', 'ollama'];
+
+// Per-request override of the organization's provider and model
+const providerValidators = [
+  body('provider').optional().isIn(PROVIDERS),
+  body('model').optional().isString().trim().isLength({ min: 1, max: 100 }),
+];
+
+/**
+ * GET /api/ai/assistant/settings
+ * Get the organization's assistant provider and model
+ */
+router.get('/settings', authenticate, requirePermission('ai:read'), async (req, res, next) => {
+  try {
+    const settings = await getAISettings(req.user.organizationId);
+
+    res.json({
+      settings,
+      availableProviders: getLLM().getAvailableProviders(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/ai/assistant/settings
+ * Choose the provider and model used by the assistant
+ */
+router.put(
+  '/settings',
+  authenticate,
+  requirePermission('ai:manage'),
+  [
+    body('provider').isIn(PROVIDERS),
+    body('model').optional({ nullable: true }).isString().trim().isLength({ min: 1, max: 100 }),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const organization = await organizationService.getById(req.user.organizationId);
+
+      if (!organization) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Organization not found',
+        });
+      }
+
+      // update() replaces the settings column, so keep the other keys
+      const settings = organization.settings || {};
+      const updated = await organizationService.update(req.user.organizationId, {
+        settings: {
+          ...settings,
+          ai: {
+            ...settings.ai,
+            provider: req.body.provider,
+            model: req.body.model || null,
+          },
+        },
+      });
+
+      res.json({ settings: updated.settings.ai });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /api/ai/assistant/chat
  * Chat with AI coding assistant
@@ -12,11 +84,13 @@ const router = express.Router();
 router.post(
   '/chat',
   authenticate,
+  requirePermission('ai:generate'),
   [
     body('messages').isArray(),
     body('messages.*.role').isIn(['user', 'assistant']),
     body('messages.*.content').isString(),
     body('context').optional().isObject(),
+    ...providerValidators,
   ],
   validate,
   async (req, res, next) => {
@@ -26,38 +100,94 @@ router.post(
       // Build system prompt based on context
       const systemPrompt = buildSystemPrompt(context);
 
-      // Call Claude API
-      const axios = require('axios');
-      const response = await axios.post(
-        'https://api.anthropic.com/v1/messages',
-        {
-          model: 'claude-3-5-sonnet-20241022',
-          max_tokens: 4096,
-          system: systemPrompt,
-          messages: messages.map((m) => ({
-            role: m.role,
-            content: m.content,
-          })),
-        },
-        {
-          headers: {
-            'x-api-key': process.env.ANTHROPIC_API_KEY,
-            'anthropic-version': '2023-06-01',
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const result = await complete(req, {
+        systemPrompt,
+        messages: messages.map((m) => ({
+          role: m.role,
+          content: m.content,
+        })),
+        maxTokens: 4096,
+      });
 
-      const assistantMessage = response.data.content[0].text;
-      const messageType = detectMessageType(assistantMessage);
+      const messageType = detectMessageType(result.text);
 
       res.json({
-        message: assistantMessage,
+        message: result.text,
         type: messageType,
-        usage: response.data.usage,
+        usage: formatUsage(result),
       });
     } catch (error) {
-      console.error('AI Assistant error:', error.response?.data || error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/ai/assistant/chat/stream
+ * Chat with the assistant, streaming the reply as it is generated
+ * Sent as Server-Sent Events, or to the user's socket room with `transport: 'socket'`.
+ */
+router.post(
+  '/chat/stream',
+  authenticate,
+  requirePermission('ai:generate'),
+  [
+    body('messages').isArray(),
+    body('messages.*.role').isIn(['user', 'assistant']),
+    body('messages.*.content').isString(),
+    body('context').optional().isObject(),
+    body('transport').optional().isIn(['sse', 'socket']),
+    ...providerValidators,
+  ],
+  validate,
+  async (req, res, next) => {
+    let request;
+    try {
+      const { messages, context } = req.body;
+
+      request = await buildRequest(req, {
+        systemPrompt: buildSystemPrompt(context),
+        messages: messages.map((m) => ({
+          role: m.role,
+          content: m.content,
+        })),
+        maxTokens: 4096,
+      });
+    } catch (error) {
+      return next(error);
+    }
+
+    const stream = aiStreamService.open(req, res, req.body.transport);
+
+    await aiStreamService.run(stream, async () => {
+      const result = await getLLM().streamComplete(
+        { ...request, signal: stream.signal },
+        (text) => stream.send('chunk', { text })
+      );
+
+      return {
+        message: result.text,
+        type: detectMessageType(result.text),
+        usage: formatUsage(result),
+      };
+    });
+  }
+);
+
+/**
+ * POST /api/ai/assistant/streams/:streamId/cancel
+ * Stop a streamed generation
+ */
+router.post(
+  '/streams/:streamId/cancel',
+  authenticate,
+  [param('streamId').isUUID()],
+  validate,
+  async (req, res, next) => {
+    try {
+      await aiStreamService.cancel(req.params.streamId, req.user.id);
+      res.status(202).json({ streamId: req.params.streamId, status: 'cancelling' });
+    } catch (error) {
       next(error);
     }
   }
@@ -70,10 +200,12 @@ router.post(
 router.post(
   '/code-review',
   authenticate,
+  requirePermission('ai:generate'),
   [
     body('code').isString(),
     body('language').optional().isString(),
     body('filename').optional().isString(),
+    ...providerValidators,
   ],
   validate,
   async (req, res, next) => {
@@ -95,39 +227,21 @@ Be specific and actionable. Format your response in markdown.`;
 ${code}
 \`\`\``;
 
-      const axios = require('axios');
-      const response = await axios.post(
-        'https://api.anthropic.com/v1/messages',
-        {
-          model: 'claude-3-5-sonnet-20241022',
-          max_tokens: 4096,
-          system: systemPrompt,
-          messages: [
-            {
-              role: 'user',
-              content: userPrompt,
-            },
-          ],
-        },
-        {
-          headers: {
-            'x-api-key': process.env.ANTHROPIC_API_KEY,
-            'anthropic-version': '2023-06-01',
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const result = await complete(req, {
+        systemPrompt,
+        prompt: userPrompt,
+        maxTokens: 4096,
+      });
 
-      const review = response.data.content[0].text;
+      const review = result.text;
       const suggestions = extractSuggestions(review);
 
       res.json({
         review,
         suggestions,
-        usage: response.data.usage,
+        usage: formatUsage(result),
       });
     } catch (error) {
-      console.error('Code review error:', error.response?.data || error.message);
       next(error);
     }
   }
@@ -140,54 +254,38 @@ ${code}
 router.post(
   '/generate-code',
   authenticate,
+  requirePermission('ai:generate'),
   [
     body('prompt').isString(),
     body('language').optional().isString(),
     body('context').optional().isObject(),
+    ...providerValidators,
   ],
   validate,
   async (req, res, next) => {
     try {
-      const { prompt, language, context } = req.body;
+      const { prompt, language } = req.body;
 
       const systemPrompt = `You are an expert software engineer. Generate clean, well-documented, production-ready code based on user requirements. 
 Include comments explaining complex logic. Follow best practices and modern patterns.
 ${language ? `Generate ${language} code.` : ''}`;
 
-      const axios = require('axios');
-      const response = await axios.post(
-        'https://api.anthropic.com/v1/messages',
-        {
-          model: 'claude-3-5-sonnet-20241022',
-          max_tokens: 4096,
-          system: systemPrompt,
-          messages: [
-            {
-              role: 'user',
-              content: prompt,
-            },
-          ],
-        },
-        {
-          headers: {
-            'x-api-key': process.env.ANTHROPIC_API_KEY,
-            'anthropic-version': '2023-06-01',
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const result = await complete(req, {
+        systemPrompt,
+        prompt,
+        maxTokens: 4096,
+      });
 
-      const generatedCode = response.data.content[0].text;
+      const generatedCode = result.text;
       const codeBlocks = extractCodeBlocks(generatedCode);
 
       res.json({
         code: codeBlocks[0]?.code || generatedCode,
         language: codeBlocks[0]?.language || language,
         explanation: generatedCode,
-        usage: response.data.usage,
+        usage: formatUsage(result),
       });
     } catch (error) {
-      console.error('Code generation error:', error.response?.data || error.message);
       next(error);
     }
   }
@@ -200,7 +298,8 @@ ${language ? `Generate ${language} code.` : ''}`;
 router.post(
   '/refactor',
   authenticate,
-  [body('code').isString(), body('goal').optional().isString()],
+  requirePermission('ai:generate'),
+  [body('code').isString(), body('goal').optional().isString(), ...providerValidators],
   validate,
   async (req, res, next) => {
     try {
@@ -220,40 +319,22 @@ Provide the refactored code and explain the changes.`;
 ${code}
 \`\`\``;
 
-      const axios = require('axios');
-      const response = await axios.post(
-        'https://api.anthropic.com/v1/messages',
-        {
-          model: 'claude-3-5-sonnet-20241022',
-          max_tokens: 4096,
-          system: systemPrompt,
-          messages: [
-            {
-              role: 'user',
-              content: userPrompt,
-            },
-          ],
-        },
-        {
-          headers: {
-            'x-api-key': process.env.ANTHROPIC_API_KEY,
-            'anthropic-version': '2023-06-01',
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const result = await complete(req, {
+        systemPrompt,
+        prompt: userPrompt,
+        maxTokens: 4096,
+      });
 
-      const refactorResponse = response.data.content[0].text;
+      const refactorResponse = result.text;
       const codeBlocks = extractCodeBlocks(refactorResponse);
 
       res.json({
         refactoredCode: codeBlocks[0]?.code || code,
         explanation: refactorResponse,
         changes: extractChanges(refactorResponse),
-        usage: response.data.usage,
+        usage: formatUsage(result),
       });
     } catch (error) {
-      console.error('Refactor error:', error.response?.data || error.message);
       next(error);
     }
   }
@@ -266,7 +347,8 @@ ${code}
 router.post(
   '/explain',
   authenticate,
-  [body('code').isString()],
+  requirePermission('ai:generate'),
+  [body('code').isString(), ...providerValidators],
   validate,
   async (req, res, next) => {
     try {
@@ -281,37 +363,17 @@ Break down complex logic into simple terms. Explain the purpose, how it works, a
 ${code}
 \`\`\``;
 
-      const axios = require('axios');
-      const response = await axios.post(
-        'https://api.anthropic.com/v1/messages',
-        {
-          model: 'claude-3-5-sonnet-20241022',
-          max_tokens: 2048,
-          system: systemPrompt,
-          messages: [
-            {
-              role: 'user',
-              content: userPrompt,
-            },
-          ],
-        },
-        {
-          headers: {
-            'x-api-key': process.env.ANTHROPIC_API_KEY,
-            'anthropic-version': '2023-06-01',
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      const explanation = response.data.content[0].text;
+      const result = await complete(req, {
+        systemPrompt,
+        prompt: userPrompt,
+        maxTokens: 2048,
+      });
 
       res.json({
-        explanation,
-        usage: response.data.usage,
+        explanation: result.text,
+        usage: formatUsage(result),
       });
     } catch (error) {
-      console.error('Explain error:', error.response?.data || error.message);
       next(error);
     }
   }
@@ -324,6 +386,7 @@ ${code}
 router.post(
   '/apply-suggestion',
   authenticate,
+  requirePermission('ai:generate'),
   [body('suggestionId').isString(), body('code').isString()],
   validate,
   async (req, res, next) => {
@@ -342,6 +405,54 @@ router.post(
 
 // Helper functions
 
+async function getAISettings(organizationId) {
+  const organization = await organizationService.getById(organizationId);
+  const settings = organization?.settings?.ai || {};
+
+  return {
+    provider: settings.provider || null,
+    model: settings.model || null,
+  };
+}
+
+/**
+ * Build an LLM request with the organization's provider, attributed to the caller
+ * A provider or model in the request body overrides the organization setting.
+ */
+async function buildRequest(req, params) {
+  const settings = await getAISettings(req.user.organizationId);
+  const provider = req.body.provider || settings.provider || undefined;
+
+  // A model saved for one provider means nothing to another
+  const model = req.body.model
+    || (settings.model && (!req.body.provider || req.body.provider === settings.provider) ? settings.model : undefined);
+
+  return {
+    ...params,
+    provider,
+    model,
+    organizationId: req.user.organizationId,
+    userId: req.user.id,
+  };
+}
+
+async function complete(req, params) {
+  return getLLM().complete(await buildRequest(req, params));
+}
+
+function formatUsage(result) {
+  return {
+    provider: result.provider,
+    requestedProvider: result.requestedProvider,
+    model: result.model,
+    promptTokens: result.promptTokens,
+    completionTokens: result.completionTokens,
+    tokensUsed: result.tokensUsed,
+    cost: result.cost,
+    budget: result.budget,
+  };
+}
+
 function buildSystemPrompt(context) {
   let prompt = `You are an expert AI coding assistant integrated into Company OS. 
 You help developers write better code through reviews, suggestions, and generation.
@@ -11,6 +11,14 @@ const CodeAgent = require('../services/ai-agent/code-agent');
 const ApprovalClassifier = require('../services/ai-agent/approval-classifier');
 const GitHubExecutor = require('../services/ai-agent/github-executor');
 const { getInstance: getAuditLog } = require('../services/ai-agent/audit-log');
+const agentTaskQueue = require('../services/ai-agent/task-queue');
+const approvalWorkflow = require('../services/ai-agent/approval-workflow');
+const changeRollback = require('../services/ai-agent/change-rollback');
+const { openSandbox } = require('../services/ai-agent/task-handlers');
+const { touchedPaths } = require('../services/ai-agent/change-set');
+const aiStreamService = require('../services/ai-stream.service');
+const aiUsageService = require('../services/ai-usage.service');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 // Middleware to check validation errors
@@ -22,170 +30,432 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+/**
+ * Organization the request acts for
+ */
+const getOrganizationId = (req) => req.user?.organizationId;
+
+/**
+ * Applying a change without review needs its own permission, and a
+ * repository of the organization to apply it to
+ */
+const checkAutoApply = (req, res, next) => {
+  if (req.body.autoApply && !req.user.permissions.includes('ai:auto_apply')) {
+    return res.status(403).json({ error: 'You are not allowed to auto-apply changes' });
+  }
+  if (req.body.autoApply && !req.body.repositoryId) {
+    return res.status(400).json({ error: 'repositoryId is required to auto-apply changes' });
+  }
+  next();
+};
+
+/**
+ * Executor for the request's repository, when the change may be auto-applied
+ * Resolved before the agent runs so a missing integration fails fast.
+ */
+const autoApplyExecutor = (req) => req.body.autoApply
+  ? GitHubExecutor.forRepository(getOrganizationId(req), { repositoryId: req.body.repositoryId })
+  : null;
+
+/**
+ * Who an agent run is billed to
+ */
+const agentContext = (req) => ({
+  organizationId: getOrganizationId(req),
+  userId: req.user?.id
+});
+
+/**
+ * Validators for the repository a task works in
+ * The agent checks it out to read files and run its tests, unless
+ * `runTests` is false, and pulls related code from its index.
+ */
+const repositoryValidators = [
+  body('repositoryId').optional().isUUID(),
+  body('runTests').optional().isBoolean()
+];
+
+/**
+ * Validators for the code a task works on
+ * With `files` the agent answers with a change set across them.
+ */
+const codeContextValidators = [
+  body('files').optional().isArray({ max: 50 }).withMessage('files must be a list of at most 50 files'),
+  body('files.*.path').isString().notEmpty().withMessage('Each file needs a path'),
+  body('files.*.content').optional().isString(),
+  ...repositoryValidators
+];
+
+/**
+ * Run a CodeAgent in a checkout of the request's repository
+ * `createAgent` gets the sandbox, or null without a repository; the
+ * sandbox is removed once `run` settles.
+ */
+const withWorkspace = async (req, createAgent, run) => {
+  const { repositoryId, runTests } = req.body;
+  const repository = repositoryId
+    ? await GitHubExecutor.resolveRepository(getOrganizationId(req), { repositoryId })
+    : null;
+
+  const sandbox = await openSandbox(getOrganizationId(req), repository, { runTests });
+  try {
+    return await run(createAgent(sandbox), repository);
+  } finally {
+    await sandbox?.destroy();
+  }
+};
+
+/**
+ * Queue a CodeAgent task instead of running it in the request
+ * Responds 202 with the task ID; progress arrives over agent.task.* events.
+ */
+const enqueueCodeTask = async (req, res, { taskType, description, inputData }) => {
+  const organizationId = getOrganizationId(req);
+  if (!organizationId) {
+    return res.status(400).json({ error: 'An active organization is required to queue a task' });
+  }
+
+  try {
+    const task = await agentTaskQueue.enqueue({
+      organizationId,
+      agentType: 'code',
+      agentName: 'CodeAgent',
+      taskType,
+      description,
+      priority: req.body.priority,
+      inputData
+    });
+
+    res.status(202).json({
+      taskId: task.id,
+      success: true,
+      status: task.status,
+      priority: task.priority
+    });
+  } catch (error) {
+    logger.error('Enqueue agent task error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Hold a change that needs review until someone approves it
+ * Returns the pending task, or null when there is nothing to apply.
+ */
+const proposeChange = async (req, { classification, taskType, description, inputData, output, proposal }) => {
+  const organizationId = getOrganizationId(req);
+  if (!classification.needsApproval || !(proposal.changes?.length || proposal.path) || !organizationId) {
+    return null;
+  }
+
+  // Approved changes are applied to the repository the task worked on
+  const repository = inputData.repositoryId
+    ? await GitHubExecutor.resolveRepository(organizationId, { repositoryId: inputData.repositoryId })
+    : null;
+
+  return approvalWorkflow.createPending({
+    organizationId,
+    taskType,
+    description,
+    inputData,
+    output,
+    proposal: approvalWorkflow.buildProposal({
+      ...proposal,
+      owner: repository?.owner,
+      repo: repository?.repo,
+      baseBranch: repository?.defaultBranch
+    })
+  });
+};
+
+/**
+ * Generate a feature with a CodeAgent, then classify, audit and stage it
+ * Shared by the plain and the streaming generate-feature endpoints.
+ */
+const generateFeature = async (req, taskId, createAgent) => {
+  const { description, language = 'javascript', filePath, context = '', files, repositoryId, runTests, autoApply = false } = req.body;
+  const executor = await autoApplyExecutor(req);
+
+  const { agent, result, baseBranch } = await withWorkspace(req, createAgent, async (codeAgent, repository) => {
+    const task = {
+      type: 'generate',
+      description,
+      language,
+      filePath,
+      context,
+      files,
+      repositoryId,
+      runTests,
+      baseBranch: repository?.defaultBranch
+    };
+
+    // Set task context
+    codeAgent.addContext('task', task);
+
+    // Execute reasoning workflow
+    return { agent: codeAgent, result: await codeAgent.reason(task), baseBranch: task.baseBranch };
+  });
+  const changeSet = result.implementation.changeSet || [];
+
+  // Nothing is staged or applied for a cancelled run
+  agent.signal?.throwIfAborted();
+
+  // Classify for approval
+  const classifier = await ApprovalClassifier.forOrganization(getOrganizationId(req));
+  const classification = classifier.classify({
+    type: 'generate',
+    code: result.implementation.code,
+    filePath,
+    changes: changeSet,
+    securityIssues: result.testResults.security.issues,
+    testResults: result.testResults,
+    description,
+    baseBranch
+  });
+
+  // Log to audit
+  const auditLog = await getAuditLog();
+  await auditLog.logCodeGeneration({
+    organizationId: getOrganizationId(req),
+    taskId,
+    agentName: 'CodeAgent',
+    input: { description, language, filePath },
+    output: result.implementation,
+    cost: result.implementation.cost,
+    approved: classification.autoApproved
+  });
+
+  const pendingApproval = await proposeChange(req, {
+    classification,
+    taskType: 'code.generate',
+    description,
+    inputData: { description, language, filePath, context, files, repositoryId, runTests, autoApply },
+    output: { code: result.implementation.code, classification, cost: result.implementation.cost },
+    proposal: {
+      type: 'generate',
+      description,
+      changes: changeSet,
+      autoMerge: autoApply
+    }
+  });
+
+  // Auto-apply if approved and requested
+  let applicationResult = null;
+  if (classification.autoApproved && autoApply && changeSet.length > 0) {
+    applicationResult = await executor.executeCodeChange({
+      changes: changeSet,
+      description,
+      type: 'generate',
+      autoMerge: true,
+      baseBranch
+    });
+
+    await auditLog.logCommit({
+      organizationId: getOrganizationId(req),
+      taskId,
+      agentName: 'CodeAgent',
+      repository: executor.repository.fullName,
+      branch: applicationResult.branch,
+      files: touchedPaths(changeSet),
+      commitSha: applicationResult.commits[0]?.commit,
+      prNumber: applicationResult.pullRequest?.number,
+      merged: applicationResult.merged
+    });
+  }
+
+  return {
+    taskId,
+    success: true,
+    code: result.implementation.code,
+    changeSet,
+    language,
+    classification,
+    steps: result.steps,
+    testResults: result.testResults,
+    cost: result.implementation.cost,
+    application: applicationResult,
+    approvalTaskId: pendingApproval?.id || null
+  };
+};
+
 /**
  * POST /api/ai/generate-feature
  * Generate a new feature from description
  */
 router.post('/generate-feature',
+  authenticate,
+  requirePermission('ai:generate'),
+  checkAutoApply,
   [
     body('description').notEmpty().withMessage('Description is required'),
     body('language').optional().isString(),
     body('filePath').optional().isString(),
     body('context').optional().isString(),
-    body('autoApply').optional().isBoolean()
+    ...codeContextValidators,
+    body('autoApply').optional().isBoolean(),
+    body('async').optional().isBoolean(),
+    body('priority').optional().isInt({ min: 1, max: 10 }).toInt()
   ],
   validateRequest,
   async (req, res) => {
-    const { description, language = 'javascript', filePath, context = '', autoApply = false } = req.body;
+    const { description, language = 'javascript', filePath, context = '', files, repositoryId, runTests, autoApply = false } = req.body;
     const taskId = `task_${Date.now()}`;
 
-    try {
-      const agent = new CodeAgent();
-      
-      // Set task context
-      agent.addContext('task', {
-        type: 'generate',
-        description,
-        language,
-        filePath,
-        context
-      });
-
-      // Execute reasoning workflow
-      const result = await agent.reason({
-        type: 'generate',
+    if (req.body.async) {
+      return enqueueCodeTask(req, res, {
+        taskType: 'code.generate',
         description,
-        language,
-        filePath,
-        context
-      });
-
-      // Classify for approval
-      const classifier = new ApprovalClassifier();
-      const classification = classifier.classify({
-        type: 'generate',
-        code: result.implementation.code,
-        filePath,
-        securityIssues: result.testResults.security.issues,
-        testResults: result.testResults,
-        description
-      });
-
-      // Log to audit
-      const auditLog = await getAuditLog();
-      await auditLog.logCodeGeneration({
-        taskId,
-        agentName: 'CodeAgent',
-        input: { description, language, filePath },
-        output: result.implementation,
-        cost: result.implementation.cost,
-        approved: classification.autoApproved
+        inputData: { description, language, filePath, context, files, repositoryId, runTests, autoApply }
       });
+    }
 
-      // Auto-apply if approved and requested
-      let applicationResult = null;
-      if (classification.autoApproved && autoApply && filePath) {
-        const executor = new GitHubExecutor({
-          owner: process.env.GITHUB_OWNER,
-          repo: process.env.GITHUB_REPO
-        });
-
-        applicationResult = await executor.executeCodeChange({
-          changes: [{
-            path: filePath,
-            content: result.implementation.code,
-            description
-          }],
-          description,
-          type: 'generate',
-          autoMerge: true
-        });
-
-        await auditLog.logCommit({
-          taskId,
-          agentName: 'CodeAgent',
-          branch: applicationResult.branch,
-          files: [filePath],
-          commitSha: applicationResult.commits[0]?.commit,
-          prNumber: applicationResult.pullRequest?.number
-        });
-      }
+    try {
+      const result = await generateFeature(req, taskId, (sandbox) => new CodeAgent({ ...agentContext(req), sandbox }));
 
-      res.json({
-        taskId,
-        success: true,
-        code: result.implementation.code,
-        language,
-        classification,
-        steps: result.steps,
-        testResults: result.testResults,
-        cost: result.implementation.cost,
-        application: applicationResult
-      });
+      res.json(result);
     } catch (error) {
       logger.error('Generate feature error:', error);
       
       const auditLog = await getAuditLog();
       await auditLog.logError({
+        organizationId: getOrganizationId(req),
         taskId,
         agentName: 'CodeAgent',
         error,
         context: { description, language, filePath }
       });
 
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message });
     }
   }
 );
 
+/**
+ * POST /api/ai/generate-feature/stream
+ * Generate a feature, streaming reasoning steps and the code as it is written
+ * Sent as Server-Sent Events, or to the user's socket room with `transport: 'socket'`.
+ * The final `done` frame carries the same result as /generate-feature plus usage.
+ */
+router.post('/generate-feature/stream',
+  authenticate,
+  requirePermission('ai:generate'),
+  checkAutoApply,
+  [
+    body('description').notEmpty().withMessage('Description is required'),
+    body('language').optional().isString(),
+    body('filePath').optional().isString(),
+    body('context').optional().isString(),
+    ...codeContextValidators,
+    body('autoApply').optional().isBoolean(),
+    body('transport').optional().isIn(['sse', 'socket'])
+  ],
+  validateRequest,
+  async (req, res) => {
+    const { description, language = 'javascript', filePath } = req.body;
+    const taskId = `task_${Date.now()}`;
+
+    const stream = aiStreamService.open(req, res, req.body.transport);
+
+    await aiStreamService.run(stream, async () => {
+      let agent = null;
+      const createAgent = (sandbox) => {
+        agent = new CodeAgent({
+          ...agentContext(req),
+          sandbox,
+          signal: stream.signal,
+          onStep: ({ step, timestamp }) => stream.send('step', { step, timestamp }),
+          onChunk: (text) => stream.send('chunk', { text })
+        });
+        return agent;
+      };
+
+      try {
+        const result = await generateFeature(req, taskId, createAgent);
+        return { ...result, usage: agent.usage };
+      } catch (error) {
+        if (!stream.signal.aborted) {
+          const auditLog = await getAuditLog();
+          await auditLog.logError({
+            organizationId: getOrganizationId(req),
+            taskId,
+            agentName: 'CodeAgent',
+            error,
+            context: { description, language, filePath }
+          });
+        }
+        throw error;
+      }
+    });
+  }
+);
+
 /**
  * POST /api/ai/fix-bug
  * Fix a bug in existing code
  */
 router.post('/fix-bug',
+  authenticate,
+  requirePermission('ai:generate'),
+  checkAutoApply,
   [
-    body('code').notEmpty().withMessage('Code is required'),
+    body('code').if(body('files').not().exists()).notEmpty().withMessage('Code or files are required'),
     body('issue').notEmpty().withMessage('Issue description is required'),
     body('language').optional().isString(),
     body('filePath').optional().isString(),
-    body('autoApply').optional().isBoolean()
+    ...codeContextValidators,
+    body('autoApply').optional().isBoolean(),
+    body('async').optional().isBoolean(),
+    body('priority').optional().isInt({ min: 1, max: 10 }).toInt()
   ],
   validateRequest,
   async (req, res) => {
-    const { code, issue, language = 'javascript', filePath, autoApply = false } = req.body;
+    const { code, issue, language = 'javascript', filePath, files, repositoryId, runTests, autoApply = false } = req.body;
     const taskId = `task_${Date.now()}`;
 
-    try {
-      const agent = new CodeAgent();
-      
-      agent.addContext('task', {
-        type: 'fix',
-        code,
-        description: issue,
-        language,
-        filePath
+    if (req.body.async) {
+      return enqueueCodeTask(req, res, {
+        taskType: 'code.fix',
+        description: `Fix: ${issue}`,
+        inputData: { code, description: issue, language, filePath, files, repositoryId, runTests, autoApply }
       });
+    }
 
-      const result = await agent.reason({
-        type: 'fix',
-        code,
-        description: issue,
-        language,
-        filePath
+    try {
+      const executor = await autoApplyExecutor(req);
+
+      const { result, baseBranch } = await withWorkspace(req, (sandbox) => new CodeAgent({ ...agentContext(req), sandbox }), async (agent, repository) => {
+        const task = {
+          type: 'fix',
+          code,
+          description: issue,
+          language,
+          filePath,
+          files,
+          repositoryId,
+          runTests,
+          baseBranch: repository?.defaultBranch
+        };
+
+        agent.addContext('task', task);
+        return { result: await agent.reason(task), baseBranch: task.baseBranch };
       });
+      const changeSet = result.implementation.changeSet || [];
 
-      const classifier = new ApprovalClassifier();
+      const classifier = await ApprovalClassifier.forOrganization(getOrganizationId(req));
       const classification = classifier.classify({
         type: 'fix',
         code: result.implementation.code,
         filePath,
+        changes: changeSet,
         securityIssues: result.testResults.security.issues,
         testResults: result.testResults,
-        description: issue
+        description: issue,
+        baseBranch
       });
 
       const auditLog = await getAuditLog();
       await auditLog.logCodeGeneration({
+        organizationId: getOrganizationId(req),
         taskId,
         agentName: 'CodeAgent',
         input: { description: issue, language, filePath },
@@ -194,41 +464,63 @@ router.post('/fix-bug',
         approved: classification.autoApproved
       });
 
+      const pendingApproval = await proposeChange(req, {
+        classification,
+        taskType: 'code.fix',
+        description: `Fix: ${issue}`,
+        inputData: { code, description: issue, language, filePath, files, repositoryId, runTests, autoApply },
+        output: { code: result.implementation.code, classification, cost: result.implementation.cost },
+        proposal: {
+          type: 'fix',
+          description: `Fix: ${issue}`,
+          changes: changeSet,
+          autoMerge: autoApply
+        }
+      });
+
       // Auto-apply if approved
       let applicationResult = null;
-      if (classification.autoApproved && autoApply && filePath) {
-        const executor = new GitHubExecutor({
-          owner: process.env.GITHUB_OWNER,
-          repo: process.env.GITHUB_REPO
-        });
-
+      if (classification.autoApproved && autoApply && changeSet.length > 0) {
         applicationResult = await executor.executeCodeChange({
-          changes: [{
-            path: filePath,
-            content: result.implementation.code,
-            description: `Fix: ${issue}`
-          }],
+          changes: changeSet,
           description: `Fix: ${issue}`,
           type: 'fix',
-          autoMerge: true
+          autoMerge: true,
+          baseBranch
         });
+
+        if (applicationResult.branch) {
+          await auditLog.logCommit({
+            organizationId: getOrganizationId(req),
+            taskId,
+            agentName: 'CodeAgent',
+            repository: executor.repository.fullName,
+            branch: applicationResult.branch,
+            files: touchedPaths(changeSet),
+            commitSha: applicationResult.commits[0]?.commit,
+            prNumber: applicationResult.pullRequest?.number,
+            merged: applicationResult.merged
+          });
+        }
       }
 
       res.json({
         taskId,
         success: true,
         fixedCode: result.implementation.code,
+        changeSet,
         explanation: result.implementation.explanation,
         originalCode: code,
         classification,
         steps: result.steps,
         testResults: result.testResults,
         cost: result.implementation.cost,
-        application: applicationResult
+        application: applicationResult,
+        approvalTaskId: pendingApproval?.id || null
       });
     } catch (error) {
       logger.error('Fix bug error:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message });
     }
   }
 );
@@ -238,48 +530,65 @@ router.post('/fix-bug',
  * Refactor existing code
  */
 router.post('/refactor',
+  authenticate,
+  requirePermission('ai:generate'),
+  checkAutoApply,
   [
-    body('code').notEmpty().withMessage('Code is required'),
+    body('code').if(body('files').not().exists()).notEmpty().withMessage('Code or files are required'),
     body('goal').optional().isString(),
     body('language').optional().isString(),
-    body('filePath').optional().isString()
+    body('filePath').optional().isString(),
+    ...codeContextValidators,
+    body('async').optional().isBoolean(),
+    body('priority').optional().isInt({ min: 1, max: 10 }).toInt()
   ],
   validateRequest,
   async (req, res) => {
-    const { code, goal = 'improve readability and maintainability', language = 'javascript', filePath } = req.body;
+    const { code, goal = 'improve readability and maintainability', language = 'javascript', filePath, files, repositoryId, runTests } = req.body;
     const taskId = `task_${Date.now()}`;
 
-    try {
-      const agent = new CodeAgent();
-      
-      agent.addContext('task', {
-        type: 'refactor',
-        code,
-        goal,
-        language,
-        filePath
+    if (req.body.async) {
+      return enqueueCodeTask(req, res, {
+        taskType: 'code.refactor',
+        description: `Refactor: ${goal}`,
+        inputData: { code, goal, language, filePath, files, repositoryId, runTests }
       });
+    }
 
-      const result = await agent.reason({
-        type: 'refactor',
-        code,
-        goal,
-        language,
-        filePath
+    try {
+      const { result, baseBranch } = await withWorkspace(req, (sandbox) => new CodeAgent({ ...agentContext(req), sandbox }), async (agent, repository) => {
+        const task = {
+          type: 'refactor',
+          code,
+          goal,
+          language,
+          filePath,
+          files,
+          repositoryId,
+          runTests,
+          baseBranch: repository?.defaultBranch
+        };
+
+        agent.addContext('task', task);
+        return { result: await agent.reason(task), baseBranch: task.baseBranch };
       });
+      const changeSet = result.implementation.changeSet || [];
 
-      const classifier = new ApprovalClassifier();
+      const classifier = await ApprovalClassifier.forOrganization(getOrganizationId(req));
       const classification = classifier.classify({
         type: 'refactor',
         code: result.implementation.code,
         filePath,
+        changes: changeSet,
         securityIssues: result.testResults.security.issues,
         testResults: result.testResults,
-        description: goal
+        description: goal,
+        baseBranch
       });
 
       const auditLog = await getAuditLog();
       await auditLog.logCodeGeneration({
+        organizationId: getOrganizationId(req),
         taskId,
         agentName: 'CodeAgent',
         input: { description: goal, language, filePath },
@@ -288,20 +597,35 @@ router.post('/refactor',
         approved: classification.autoApproved
       });
 
+      const pendingApproval = await proposeChange(req, {
+        classification,
+        taskType: 'code.refactor',
+        description: `Refactor: ${goal}`,
+        inputData: { code, goal, language, filePath, files, repositoryId, runTests },
+        output: { code: result.implementation.code, classification, cost: result.implementation.cost },
+        proposal: {
+          type: 'refactor',
+          description: `Refactor: ${goal}`,
+          changes: changeSet
+        }
+      });
+
       res.json({
         taskId,
         success: true,
         refactoredCode: result.implementation.code,
         changes: result.implementation.changes,
+        changeSet,
         originalCode: code,
         classification,
         steps: result.steps,
         testResults: result.testResults,
-        cost: result.implementation.cost
+        cost: result.implementation.cost,
+        approvalTaskId: pendingApproval?.id || null
       });
     } catch (error) {
       logger.error('Refactor error:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message });
     }
   }
 );
@@ -311,37 +635,49 @@ router.post('/refactor',
  * Generate tests for existing code
  */
 router.post('/add-tests',
+  authenticate,
+  requirePermission('ai:generate'),
+  checkAutoApply,
   [
     body('code').notEmpty().withMessage('Code is required'),
     body('framework').optional().isString(),
     body('coverage').optional().isString(),
-    body('language').optional().isString()
+    body('language').optional().isString(),
+    ...repositoryValidators,
+    body('async').optional().isBoolean(),
+    body('priority').optional().isInt({ min: 1, max: 10 }).toInt()
   ],
   validateRequest,
   async (req, res) => {
-    const { code, framework = 'jest', coverage = 'comprehensive', language = 'javascript' } = req.body;
+    const { code, framework = 'jest', coverage = 'comprehensive', language = 'javascript', repositoryId, runTests } = req.body;
     const taskId = `task_${Date.now()}`;
 
-    try {
-      const agent = new CodeAgent();
-      
-      agent.addContext('task', {
-        type: 'test',
-        code,
-        testFramework: framework,
-        coverage,
-        language
+    if (req.body.async) {
+      return enqueueCodeTask(req, res, {
+        taskType: 'code.test',
+        description: 'Generate tests',
+        inputData: { code, testFramework: framework, coverage, language, repositoryId, runTests }
       });
+    }
 
-      const result = await agent.reason({
-        type: 'test',
-        code,
-        testFramework: framework,
-        coverage,
-        language
+    try {
+      const result = await withWorkspace(req, (sandbox) => new CodeAgent({ ...agentContext(req), sandbox }), (agent, repository) => {
+        const task = {
+          type: 'test',
+          code,
+          testFramework: framework,
+          coverage,
+          language,
+          repositoryId,
+          runTests,
+          baseBranch: repository?.defaultBranch
+        };
+
+        agent.addContext('task', task);
+        return agent.reason(task);
       });
 
-      const classifier = new ApprovalClassifier();
+      const classifier = await ApprovalClassifier.forOrganization(getOrganizationId(req));
       const classification = classifier.classify({
         type: 'test',
         code: result.implementation.testCode,
@@ -352,6 +688,7 @@ router.post('/add-tests',
 
       const auditLog = await getAuditLog();
       await auditLog.logCodeGeneration({
+        organizationId: getOrganizationId(req),
         taskId,
         agentName: 'CodeAgent',
         input: { description: 'Generate tests', language, framework },
@@ -371,7 +708,7 @@ router.post('/add-tests',
       });
     } catch (error) {
       logger.error('Add tests error:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message });
     }
   }
 );
@@ -381,8 +718,11 @@ router.post('/add-tests',
  * Review a pull request
  */
 router.post('/review-pr',
+  authenticate,
+  requirePermission('ai:generate'),
   [
     body('prNumber').isInt().withMessage('PR number is required'),
+    body('repositoryId').isUUID().withMessage('repositoryId is required'),
     body('checkFor').optional().isArray()
   ],
   validateRequest,
@@ -392,9 +732,8 @@ router.post('/review-pr',
 
     try {
       // Get PR details from GitHub
-      const executor = new GitHubExecutor({
-        owner: process.env.GITHUB_OWNER,
-        repo: process.env.GITHUB_REPO
+      const executor = await GitHubExecutor.forRepository(getOrganizationId(req), {
+        repositoryId: req.body.repositoryId
       });
 
       const pr = await executor.getPullRequest({ number: prNumber });
@@ -406,14 +745,16 @@ router.post('/review-pr',
         code: pr.body || 'No code provided',
         language: 'javascript',
         context: `PR #${prNumber}: ${pr.title}`,
-        checkFor
+        checkFor,
+        ...agentContext(req)
       });
 
       const auditLog = await getAuditLog();
       await auditLog.logCodeReview({
+        organizationId: getOrganizationId(req),
         taskId,
         agentName: 'CodeAgent',
-        filePath: `PR #${prNumber}`,
+        filePath: `${executor.repository.fullName}#${prNumber}`,
         review: reviewResult.review,
         cost: reviewResult.cost
       });
@@ -458,32 +799,128 @@ ${reviewResult.review.securityConcerns.map((concern, i) => `${i + 1}. ${concern}
       });
     } catch (error) {
       logger.error('Review PR error:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/ai/tasks
+ * List queued agent tasks for an organization
+ */
+router.get('/tasks',
+  authenticate,
+  requirePermission('ai:read'),
+  [
+    query('status').optional().isString(),
+    query('taskType').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ],
+  validateRequest,
+  async (req, res) => {
+    const organizationId = getOrganizationId(req);
+    const { status, taskType, limit = 50, offset = 0 } = req.query;
+
+    if (!organizationId) {
+      return res.status(400).json({ error: 'An active organization is required' });
+    }
+
+    try {
+      const tasks = await agentTaskQueue.getTasks(organizationId, { status, taskType, limit, offset });
+
+      res.json({
+        success: true,
+        count: tasks.length,
+        tasks
+      });
+    } catch (error) {
+      logger.error('Get agent tasks error:', error);
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/ai/tasks/:taskId
+ * Get the status and output of a queued agent task
+ */
+router.get('/tasks/:taskId',
+  authenticate,
+  requirePermission('ai:read'),
+  [
+    param('taskId').isUUID().withMessage('Valid task ID is required')
+  ],
+  validateRequest,
+  async (req, res) => {
+    const organizationId = getOrganizationId(req);
+
+    if (!organizationId) {
+      return res.status(400).json({ error: 'An active organization is required' });
+    }
+
+    try {
+      const task = await agentTaskQueue.getTask(req.params.taskId, organizationId);
+
+      if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+
+      res.json({ success: true, task });
+    } catch (error) {
+      logger.error('Get agent task error:', error);
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/ai/tasks/:taskId/rollback
+ * Revert a change an agent applied, through a revert PR or on its own branch
+ */
+router.post('/tasks/:taskId/rollback',
+  authenticate,
+  requirePermission('ai:rollback'),
+  [
+    param('taskId').isString().isLength({ min: 1, max: 100 }).withMessage('Valid task ID is required'),
+    body('reason').isString().trim().notEmpty().withMessage('Reason is required')
+  ],
+  validateRequest,
+  async (req, res) => {
+    const { taskId } = req.params;
+
+    try {
+      const rollback = await changeRollback.rollback(taskId, req.user.organizationId, req.user, req.body.reason);
+
+      res.json({
+        success: true,
+        taskId,
+        rollback
+      });
+    } catch (error) {
+      logger.error('Rollback task error:', error);
+      res.status(error.statusCode || 500).json({ error: error.message });
     }
   }
 );
 
 /**
  * GET /api/ai/pending-approvals
- * Get all pending approval tasks
+ * Get all changes awaiting a human decision
  */
 router.get('/pending-approvals',
+  authenticate,
+  requirePermission('ai:read'),
   [
-    query('limit').optional().isInt({ min: 1, max: 100 }),
-    query('offset').optional().isInt({ min: 0 })
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
   ],
   validateRequest,
   async (req, res) => {
     const { limit = 50, offset = 0 } = req.query;
 
     try {
-      const auditLog = await getAuditLog();
-      const allEntries = auditLog.getAll(1000);
-      
-      // Find tasks awaiting approval
-      const pendingTasks = allEntries
-        .filter(e => e.type === 'code_generation' && e.needsApproval && !e.approved)
-        .slice(offset, offset + limit);
+      const pendingTasks = await approvalWorkflow.getPending(req.user.organizationId, { limit, offset });
 
       res.json({
         success: true,
@@ -492,126 +929,149 @@ router.get('/pending-approvals',
       });
     } catch (error) {
       logger.error('Get pending approvals error:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message });
     }
   }
 );
 
 /**
  * POST /api/ai/approve/:id
- * Approve a pending task
+ * Approve a pending change; it is applied once it has every approval the
+ * approval policy asks for
  */
 router.post('/approve/:id',
+  authenticate,
+  requirePermission('ai:approve'),
   [
-    param('id').notEmpty().withMessage('Task ID is required'),
-    body('userId').notEmpty().withMessage('User ID is required'),
+    param('id').isUUID().withMessage('Valid task ID is required'),
     body('comment').optional().isString()
   ],
   validateRequest,
   async (req, res) => {
     const { id } = req.params;
-    const { userId, comment = '' } = req.body;
+    const { comment = '' } = req.body;
 
     try {
-      const auditLog = await getAuditLog();
-      
-      await auditLog.logApproval({
-        taskId: id,
-        approved: true,
-        approvedBy: userId,
-        reason: comment || 'Approved by human reviewer'
-      });
+      const task = await approvalWorkflow.approve(id, req.user.organizationId, req.user, comment);
+
+      const awaiting = task.status === 'awaiting_approval';
 
       res.json({
-        success: true,
+        success: awaiting || task.status === 'completed',
         taskId: id,
-        approved: true,
-        approvedBy: userId
+        approved: !awaiting,
+        approvedBy: req.user.id,
+        status: task.status,
+        approvals: task.approvals,
+        application: task.output_data?.application || null,
+        error: task.error_message || undefined
       });
     } catch (error) {
       logger.error('Approve task error:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message });
     }
   }
 );
 
 /**
  * POST /api/ai/reject/:id
- * Reject a pending task
+ * Reject a pending change
  */
 router.post('/reject/:id',
+  authenticate,
+  requirePermission('ai:approve'),
   [
-    param('id').notEmpty().withMessage('Task ID is required'),
-    body('userId').notEmpty().withMessage('User ID is required'),
+    param('id').isUUID().withMessage('Valid task ID is required'),
     body('reason').notEmpty().withMessage('Reason is required')
   ],
   validateRequest,
   async (req, res) => {
     const { id } = req.params;
-    const { userId, reason } = req.body;
+    const { reason } = req.body;
 
     try {
-      const auditLog = await getAuditLog();
-      
-      await auditLog.logApproval({
-        taskId: id,
-        approved: false,
-        approvedBy: userId,
-        reason
-      });
+      await approvalWorkflow.reject(id, req.user.organizationId, req.user, reason);
 
       res.json({
         success: true,
         taskId: id,
         approved: false,
-        rejectedBy: userId,
+        rejectedBy: req.user.id,
         reason
       });
     } catch (error) {
       logger.error('Reject task error:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message });
     }
   }
 );
 
 /**
  * GET /api/ai/audit-log
- * Get audit log entries
+ * Get audit log entries, newest first
  */
 router.get('/audit-log',
+  authenticate,
+  requirePermission('ai:read'),
   [
     query('type').optional().isString(),
     query('taskId').optional().isString(),
+    query('agentName').optional().isString(),
     query('startDate').optional().isISO8601(),
     query('endDate').optional().isISO8601(),
-    query('limit').optional().isInt({ min: 1, max: 500 })
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
   ],
   validateRequest,
   async (req, res) => {
-    const { type, taskId, startDate, endDate, limit = 100 } = req.query;
+    const { type, taskId, agentName, startDate, endDate, limit = 100, offset = 0 } = req.query;
 
     try {
       const auditLog = await getAuditLog();
-      
-      let entries;
-      if (taskId) {
-        entries = auditLog.getByTaskId(taskId);
-      } else if (startDate && endDate) {
-        entries = auditLog.getByDateRange(startDate, endDate);
-      } else if (type) {
-        entries = auditLog.getByType(type, limit);
-      } else {
-        entries = auditLog.getAll(limit);
-      }
+      const { entries, total } = await auditLog.find(req.user.organizationId, {
+        type,
+        taskId,
+        agentName,
+        startDate,
+        endDate,
+        limit,
+        offset
+      });
 
       res.json({
         success: true,
         count: entries.length,
+        total,
+        limit,
+        offset,
         entries
       });
     } catch (error) {
       logger.error('Get audit log error:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/ai/audit-log/verify
+ * Check the audit hash chain for edited or deleted entries
+ */
+router.get('/audit-log/verify',
+  authenticate,
+  requirePermission('ai:read'),
+  async (req, res) => {
+    try {
+      const auditLog = await getAuditLog();
+      const verification = await auditLog.verify(req.user.organizationId);
+
+      res.json({
+        success: true,
+        ...verification
+      });
+    } catch (error) {
+      logger.error('Verify audit log error:', error);
+      res.status(error.statusCode || 500).json({ error: error.message });
     }
   }
 );
@@ -621,6 +1081,8 @@ router.get('/audit-log',
  * Get AI usage statistics
  */
 router.get('/stats',
+  authenticate,
+  requirePermission('ai:read'),
   [
     query('startDate').optional().isISO8601(),
     query('endDate').optional().isISO8601()
@@ -631,10 +1093,9 @@ router.get('/stats',
 
     try {
       const auditLog = await getAuditLog();
-      const stats = auditLog.getStats(startDate, endDate);
+      const stats = await auditLog.getStats(req.user.organizationId, startDate, endDate);
       
-      const llm = getLLM();
-      const llmStats = llm.getUsageStats();
+      const llmStats = await aiUsageService.getUsage(req.user.organizationId, { startDate, endDate });
 
       res.json({
         success: true,
@@ -644,7 +1105,7 @@ router.get('/stats',
       });
     } catch (error) {
       logger.error('Get stats error:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message });
     }
   }
 );
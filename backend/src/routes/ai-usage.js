@@ -0,0 +1,76 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const aiUsageService = require('../services/ai-usage.service');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validator');
+
+const router = express.Router();
+
+/**
+ * GET /api/ai/usage
+ * AI spend for the organization, by provider, model, user and agent
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermission('ai:read'),
+  [
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const usage = await aiUsageService.getUsage(req.user.organizationId, {
+        startDate: req.query.startDate,
+        endDate: req.query.endDate,
+      });
+
+      res.json({ usage });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/ai/usage/budget
+ * Budget, spend against it and this month's burn-down
+ */
+router.get('/budget', authenticate, requirePermission('ai:read'), async (req, res, next) => {
+  try {
+    const status = await aiUsageService.getBudgetStatus(req.user.organizationId);
+    const burnDown = await aiUsageService.getBurnDown(req.user.organizationId);
+
+    res.json({ ...status, burnDown });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/ai/usage/budget
+ * Set daily and monthly limits in USD; null removes a limit
+ */
+router.put(
+  '/budget',
+  authenticate,
+  requirePermission('ai:manage'),
+  [
+    body('dailyLimit').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+    body('monthlyLimit').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+    body('softLimitPercent').optional().isInt({ min: 1, max: 100 }).toInt(),
+    body('hardLimit').optional().isBoolean().toBoolean(),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const budget = await aiUsageService.setBudget(req.user.organizationId, req.body, req.user.id);
+      res.json({ budget });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
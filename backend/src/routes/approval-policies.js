@@ -0,0 +1,122 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const approvalPolicies = require('../services/ai-agent/approval-policy');
+const ApprovalClassifier = require('../services/ai-agent/approval-classifier');
+const { buildChangeSet } = require('../services/ai-agent/change-set');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validator');
+
+const router = express.Router();
+
+/**
+ * GET /api/ai/approval-policies
+ * Active approval policy and every saved version
+ */
+router.get('/', authenticate, requirePermission('ai:read'), async (req, res, next) => {
+  try {
+    const [active, versions] = await Promise.all([
+      approvalPolicies.getActive(req.user.organizationId),
+      approvalPolicies.listVersions(req.user.organizationId),
+    ]);
+
+    res.json({ active, versions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/ai/approval-policies
+ * Save a policy as a new version and make it active
+ */
+router.put(
+  '/',
+  authenticate,
+  requirePermission('ai:manage'),
+  [
+    body('rules').isArray().withMessage('Rules must be a list'),
+    body('defaults').optional().isObject(),
+    body('description').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const policy = await approvalPolicies.save(req.user.organizationId, req.body, req.user.id);
+      res.status(201).json({ policy });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/ai/approval-policies/versions/:version/activate
+ * Roll back to an earlier policy version
+ */
+router.post(
+  '/versions/:version/activate',
+  authenticate,
+  requirePermission('ai:manage'),
+  [param('version').isInt({ min: 1 }).toInt()],
+  validate,
+  async (req, res, next) => {
+    try {
+      const policy = await approvalPolicies.activate(req.user.organizationId, req.params.version, req.user.id);
+      res.json({ policy });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/ai/approval-policies/dry-run
+ * Classify a change without storing anything and explain which rules fired
+ * Checks the active policy, or `policy` when given, so a draft can be tried
+ * before it is saved.
+ */
+router.post(
+  '/dry-run',
+  authenticate,
+  requirePermission('ai:read'),
+  [
+    body('change').isObject().withMessage('Change is required'),
+    body('change.type').optional().isString(),
+    body('change.filePath').optional().isString(),
+    body('change.code').optional().isString(),
+    body('change.changes').optional().isArray(),
+    body('change.securityIssues').optional().isArray(),
+    body('change.agentName').optional().isString(),
+    body('change.baseBranch').optional().isString(),
+    body('policy').optional().isObject(),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { change, policy: draft } = req.body;
+
+      const classifier = draft
+        ? new ApprovalClassifier({
+          policy: { version: null, ...await approvalPolicies.validateForOrganization(req.user.organizationId, draft) },
+        })
+        : await ApprovalClassifier.forOrganization(req.user.organizationId);
+
+      const { classification, facts, evaluation } = classifier.explain({
+        ...change,
+        changes: change.changes ? buildChangeSet(change.changes) : undefined,
+      });
+
+      res.json({
+        policyVersion: evaluation.version,
+        draft: Boolean(draft),
+        classification,
+        facts,
+        rules: evaluation.rules,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,10 +1,11 @@
 const express = require('express');
-const { body } = require('express-validator');
 const authService = require('../services/auth.service');
-const { authenticate } = require('../middleware/auth');
-const { strictLimiter } = require('../middleware/rateLimiter');
+const sessionService = require('../services/session.service');
+const mfaService = require('../services/mfa.service');
+const { authenticate, sessionContext } = require('../middleware/auth');
+const { strictLimiter, refreshLimiter } = require('../middleware/rateLimiter');
 const validate = require('../middleware/validator');
-const { verifyRefreshToken, generateAccessToken } = require('../utils/jwt');
+const { body, param } = require('express-validator');
 
 const router = express.Router();
 
@@ -46,7 +47,30 @@ router.post(
   validate,
   async (req, res, next) => {
     try {
-      const result = await authService.login(req.body);
+      const result = await authService.login(req.body, sessionContext(req));
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/login/mfa
+ * Second login step for users with two-factor authentication
+ * Takes the challenge token from /login and an authenticator or recovery code.
+ */
+router.post(
+  '/login/mfa',
+  strictLimiter,
+  [
+    body('challengeToken').isJWT(),
+    body('code').isString().trim().notEmpty(),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const result = await authService.completeMfaLogin(req.body, sessionContext(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -56,73 +80,241 @@ router.post(
 
 /**
  * POST /api/auth/refresh
- * Refresh access token
+ * Exchange a refresh token for a new access and refresh token
+ * Each refresh token works once; reusing one revokes its session.
+ */
+router.post(
+  '/refresh',
+  refreshLimiter,
+  [body('refreshToken').isString().notEmpty().withMessage('Refresh token required')],
+  validate,
+  async (req, res, next) => {
+    try {
+      const result = await authService.refresh(req.body.refreshToken, sessionContext(req));
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/auth/me
+ * Get current user
+ */
+router.get('/me', authenticate, async (req, res, next) => {
+  try {
+    const user = await authService.getUserById(req.user.id);
+    res.json({
+      user: {
+        ...user,
+        organizationId: req.user.organizationId,
+        role: req.user.role,
+        permissions: req.user.permissions,
+        mfaEnabled: Boolean(user.mfa_enabled_at),
+        mfaVerified: req.user.mfa,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/me/organizations
+ * Organizations the current user belongs to
  */
-router.post('/refresh', async (req, res, next) => {
+router.get('/me/organizations', authenticate, async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
-    
-    if (!refreshToken) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Refresh token required',
+    const organizations = await authService.getOrganizations(req.user.id, req.user.organizationId);
+    res.json({ organizations, activeOrganizationId: req.user.organizationId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/switch-organization
+ * Issue tokens scoped to another of the user's organizations
+ * The organization also becomes the default for new sessions unless
+ * `remember` is false.
+ */
+router.post(
+  '/switch-organization',
+  authenticate,
+  [
+    body('organizationId').isUUID(),
+    body('remember').optional().isBoolean().toBoolean(),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const result = await authService.switchOrganization(req.user.id, req.body.organizationId, {
+        remember: req.body.remember,
+        sessionId: req.user.sessionId,
+        context: sessionContext(req),
       });
+      res.json(result);
+    } catch (error) {
+      next(error);
     }
-    
-    const decoded = verifyRefreshToken(refreshToken);
-    
-    if (!decoded) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Invalid refresh token',
-      });
+  }
+);
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+router.post('/logout', authenticate, async (req, res, next) => {
+  try {
+    if (req.user.sessionId) {
+      await sessionService.revoke(req.user.id, req.user.sessionId, 'logout');
     }
-    
-    // Get user
-    const user = await authService.getUserById(decoded.userId);
-    
-    if (!user) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'User not found',
-      });
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * Active sessions of the current user, with device, IP and last use
+ */
+router.get('/sessions', authenticate, async (req, res, next) => {
+  try {
+    const sessions = await sessionService.list(req.user.id, req.user.sessionId);
+    res.json({ sessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Log out everywhere, this session included
+ */
+router.delete('/sessions', authenticate, async (req, res, next) => {
+  try {
+    const revoked = await sessionService.revokeAll(req.user.id);
+    res.json({ revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Log out one session
+ */
+router.delete(
+  '/sessions/:sessionId',
+  authenticate,
+  [param('sessionId').isUUID()],
+  validate,
+  async (req, res, next) => {
+    try {
+      await sessionService.revoke(req.user.id, req.params.sessionId, 'revoked_by_user');
+      res.status(204).send();
+    } catch (error) {
+      next(error);
     }
-    
-    // Generate new access token
-    const accessToken = generateAccessToken({
-      userId: user.id,
-      email: user.email,
-      role: user.org_role || user.role,
-      organizationId: user.organization_id,
-    });
-    
-    res.json({ accessToken });
+  }
+);
+
+/**
+ * GET /api/auth/mfa
+ * Two-factor authentication status of the current user
+ */
+router.get('/mfa', authenticate, async (req, res, next) => {
+  try {
+    const mfa = await mfaService.getStatus(req.user.id);
+    res.json({ mfa });
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * GET /api/auth/me
- * Get current user
+ * POST /api/auth/mfa/setup
+ * Start two-factor setup; responds with the secret and a QR code for it
  */
-router.get('/me', authenticate, async (req, res, next) => {
+router.post('/mfa/setup', authenticate, async (req, res, next) => {
   try {
     const user = await authService.getUserById(req.user.id);
-    res.json({ user });
+    const setup = await mfaService.startSetup(user);
+    res.json({ setup });
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * POST /api/auth/logout
- * Logout user (client-side token removal)
+ * POST /api/auth/mfa/enable
+ * Finish setup with a code from the app
+ * Responds with the recovery codes, shown only this once, and new tokens.
  */
-router.post('/logout', authenticate, (req, res) => {
-  // JWT is stateless, so logout happens client-side
-  // Could implement token blacklist if needed
-  res.json({ message: 'Logged out successfully' });
-});
+router.post(
+  '/mfa/enable',
+  strictLimiter,
+  authenticate,
+  [body('code').isString().trim().notEmpty()],
+  validate,
+  async (req, res, next) => {
+    try {
+      const result = await authService.enableMfa(req.user.id, req.body.code, {
+        sessionId: req.user.sessionId,
+        organizationId: req.user.organizationId,
+        context: sessionContext(req),
+      });
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/mfa/recovery-codes
+ * Replace the recovery codes, confirmed with a current code
+ */
+router.post(
+  '/mfa/recovery-codes',
+  strictLimiter,
+  authenticate,
+  [body('code').isString().trim().notEmpty()],
+  validate,
+  async (req, res, next) => {
+    try {
+      const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user.id, req.body.code);
+      res.json({ recoveryCodes });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/mfa/disable
+ * Turn two-factor authentication off, confirmed with a current code
+ */
+router.post(
+  '/mfa/disable',
+  strictLimiter,
+  authenticate,
+  [body('code').isString().trim().notEmpty()],
+  validate,
+  async (req, res, next) => {
+    try {
+      const result = await authService.disableMfa(req.user.id, req.body.code, {
+        sessionId: req.user.sessionId,
+        organizationId: req.user.organizationId,
+        context: sessionContext(req),
+      });
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const { param, query, body } = require('express-validator');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const validate = require('../middleware/validator');
 const { query: dbQuery } = require('../config/database');
 const integrationService = require('../services/integration.service');
@@ -15,6 +15,7 @@ const router = express.Router();
 router.get(
   '/',
   authenticate,
+  requirePermission('deployments:read'),
   [
     query('state').optional().isString(),
     query('environment').optional().isIn(['production', 'preview', 'development']),
@@ -64,7 +65,7 @@ router.get(
  * GET /api/deployments/:deploymentId
  * Get specific deployment details
  */
-router.get('/:deploymentId', authenticate, async (req, res, next) => {
+router.get('/:deploymentId', authenticate, requirePermission('deployments:read'), async (req, res, next) => {
   try {
     const result = await dbQuery(
       `SELECT 
@@ -96,7 +97,7 @@ router.get('/:deploymentId', authenticate, async (req, res, next) => {
 router.post(
   '/deploy',
   authenticate,
-  authorize('owner', 'admin', 'member'),
+  requirePermission('deployments:create'),
   [
     body('projectName').isString(),
     body('environment').isIn(['production', 'preview', 'development']),
@@ -181,7 +182,7 @@ router.post(
 router.post(
   '/:deploymentId/rollback',
   authenticate,
-  authorize('owner', 'admin'),
+  requirePermission('deployments:rollback'),
   async (req, res, next) => {
     try {
       // Get deployment details
@@ -236,7 +237,7 @@ router.post(
  * GET /api/deployments/:deploymentId/logs
  * Get deployment logs
  */
-router.get('/:deploymentId/logs', authenticate, async (req, res, next) => {
+router.get('/:deploymentId/logs', authenticate, requirePermission('deployments:read'), async (req, res, next) => {
   try {
     // Get deployment details
     const deployment = await dbQuery(
@@ -289,7 +290,7 @@ router.get('/:deploymentId/logs', authenticate, async (req, res, next) => {
  * GET /api/deployments/stats
  * Get deployment statistics
  */
-router.get('/stats', authenticate, async (req, res, next) => {
+router.get('/stats', authenticate, requirePermission('deployments:read'), async (req, res, next) => {
   try {
     const result = await dbQuery(
       `SELECT 
@@ -1,9 +1,11 @@
 const express = require('express');
 const { param, query, body } = require('express-validator');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const validate = require('../middleware/validator');
 const { createGitHubClient } = require('../../integrations/github/client');
 const integrationService = require('../services/integration.service');
+const agentTaskQueue = require('../services/ai-agent/task-queue');
+const codeIndexService = require('../services/code-index.service');
 const { decrypt } = require('../utils/encryption');
 const { query: dbQuery } = require('../config/database');
 
@@ -13,7 +15,7 @@ const router = express.Router();
  * GET /api/github/repositories
  * Get all repositories for the organization
  */
-router.get('/', authenticate, async (req, res, next) => {
+router.get('/', authenticate, requirePermission('github:read'), async (req, res, next) => {
   try {
     // Get GitHub integration
     const integration = await integrationService.get(req.user.organizationId, 'github');
@@ -45,7 +47,7 @@ router.get('/', authenticate, async (req, res, next) => {
  * GET /api/github/repositories/:repoId
  * Get specific repository details
  */
-router.get('/:repoId', authenticate, async (req, res, next) => {
+router.get('/:repoId', authenticate, requirePermission('github:read'), async (req, res, next) => {
   try {
     const result = await dbQuery(
       `SELECT * FROM repositories WHERE id = $1 AND organization_id = $2`,
@@ -72,6 +74,7 @@ router.get('/:repoId', authenticate, async (req, res, next) => {
 router.get(
   '/:repoId/tree',
   authenticate,
+  requirePermission('github:read'),
   [query('branch').optional().isString()],
   validate,
   async (req, res, next) => {
@@ -126,11 +129,48 @@ router.get(
   }
 );
 
+/**
+ * GET /api/github/:repoId/search
+ * Search the repository's code index
+ */
+router.get(
+  '/:repoId/search',
+  authenticate,
+  requirePermission('github:read'),
+  [
+    param('repoId').isUUID(),
+    query('q').isString().trim().notEmpty().withMessage('q is required'),
+    query('path').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { repository, index, results } = await codeIndexService.search(req.user.organizationId, {
+        repositoryId: req.params.repoId,
+        query: req.query.q,
+        pathPrefix: req.query.path || null,
+        limit: req.query.limit || 10,
+      });
+
+      res.json({ repository, index, results });
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: error.message,
+        });
+      }
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/github/repositories/:repoId/contents/:path
  * Get file contents
  */
-router.get('/:repoId/contents/*', authenticate, async (req, res, next) => {
+router.get('/:repoId/contents/*', authenticate, requirePermission('github:read'), async (req, res, next) => {
   try {
     const integration = await integrationService.get(req.user.organizationId, 'github');
     if (!integration) {
@@ -189,7 +229,7 @@ router.get('/:repoId/contents/*', authenticate, async (req, res, next) => {
 router.put(
   '/:repoId/contents/*',
   authenticate,
-  authorize('owner', 'admin', 'member'),
+  requirePermission('github:write'),
   [
     body('content').isString(),
     body('message').isString(),
@@ -272,6 +312,7 @@ router.put(
 router.get(
   '/pull-requests',
   authenticate,
+  requirePermission('github:read'),
   [query('state').optional().isIn(['open', 'closed', 'merged', 'all'])],
   validate,
   async (req, res, next) => {
@@ -315,7 +356,7 @@ router.get(
 router.post(
   '/pull-requests/:prId/merge',
   authenticate,
-  authorize('owner', 'admin', 'member'),
+  requirePermission('github:write'),
   async (req, res, next) => {
     try {
       const integration = await integrationService.get(req.user.organizationId, 'github');
@@ -382,23 +423,54 @@ router.post(
 router.post(
   '/pull-requests/:prId/request-review',
   authenticate,
-  authorize('owner', 'admin', 'member'),
+  requirePermission('github:write'),
   async (req, res, next) => {
     try {
-      // Update agent review status
+      const result = await dbQuery(
+        `SELECT pr.id, pr.github_id, pr.number, pr.title, r.full_name
+         FROM pull_requests pr
+         JOIN repositories r ON r.id = pr.repository_id
+         WHERE pr.id = $1 AND r.organization_id = $2`,
+        [req.params.prId, req.user.organizationId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Pull request not found',
+        });
+      }
+
+      const pr = result.rows[0];
+      const [owner, repo] = pr.full_name.split('/');
+
+      // No head SHA, so a manual request always runs a fresh review
+      const task = await agentTaskQueue.enqueue({
+        organizationId: req.user.organizationId,
+        agentType: 'code_review',
+        agentName: 'CodeReviewAgent',
+        taskType: 'code.review',
+        description: `Review ${pr.full_name}#${pr.number}: ${pr.title}`,
+        priority: 7,
+        inputData: {
+          owner,
+          repo,
+          prNumber: pr.number,
+          githubPullRequestId: pr.github_id,
+        },
+      });
+
       await dbQuery(
         `UPDATE pull_requests
-         SET agent_review_status = 'in_progress', updated_at = NOW()
+         SET agent_review_status = 'not_started', updated_at = NOW()
          WHERE id = $1`,
-        [req.params.prId]
+        [pr.id]
       );
 
-      // TODO: Trigger AI code review agent
-      // This would spawn a CodeReviewAgent with the PR details
-
-      res.json({
+      res.status(202).json({
         success: true,
         message: 'AI review requested',
+        taskId: task.id,
       });
     } catch (error) {
       next(error);
@@ -1,11 +1,16 @@
 const express = require('express');
 const authRoutes = require('./auth');
 const organizationRoutes = require('./organizations');
+const invitationRoutes = require('./invitations');
 const integrationRoutes = require('./integrations');
 const webhookRoutes = require('./webhooks');
 const githubRoutes = require('./github');
 const deploymentRoutes = require('./deployments');
 const aiAssistantRoutes = require('./ai-assistant');
+const aiUsageRoutes = require('./ai-usage');
+const approvalPolicyRoutes = require('./approval-policies');
+const aiCodingRoutes = require('./ai-coding');
+const notificationRoutes = require('./notifications');
 
 const router = express.Router();
 
@@ -20,10 +25,16 @@ router.get('/health', (req, res) => {
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/organizations', organizationRoutes);
+router.use('/invitations', invitationRoutes);
 router.use('/integrations', integrationRoutes);
 router.use('/webhooks', webhookRoutes);
 router.use('/github', githubRoutes);
 router.use('/deployments', deploymentRoutes);
 router.use('/ai/assistant', aiAssistantRoutes);
+router.use('/ai/usage', aiUsageRoutes);
+router.use('/ai/approval-policies', approvalPolicyRoutes);
+// After the more specific /ai routers
+router.use('/ai', aiCodingRoutes);
+router.use('/notifications', notificationRoutes);
 
 module.exports = router;
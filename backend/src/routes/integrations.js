@@ -1,7 +1,11 @@
 const express = require('express');
 const { param } = require('express-validator');
 const integrationService = require('../services/integration.service');
-const { authenticate, authorize } = require('../middleware/auth');
+const codeIndexService = require('../services/code-index.service');
+const rbac = require('../services/rbac.service');
+const { createGitHubClient } = require('../../integrations/github/client');
+const { query } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const validate = require('../middleware/validator');
 
 const router = express.Router();
@@ -10,7 +14,7 @@ const router = express.Router();
  * GET /api/integrations
  * Get all integrations for organization
  */
-router.get('/', authenticate, async (req, res, next) => {
+router.get('/', authenticate, requirePermission('integrations:read'), async (req, res, next) => {
   try {
     const integrations = await integrationService.getAll(req.user.organizationId);
     res.json({ integrations });
@@ -26,6 +30,7 @@ router.get('/', authenticate, async (req, res, next) => {
 router.get(
   '/:service',
   authenticate,
+  requirePermission('integrations:read'),
   [param('service').isIn(['github', 'vercel', 'figma', 'slack', 'twitter', 'linkedin'])],
   validate,
   async (req, res, next) => {
@@ -80,7 +85,6 @@ router.get(
         user = {
           id: decoded.userId,
           organizationId: decoded.organizationId,
-          role: decoded.role,
         };
       } else if (req.headers.authorization) {
         // Use standard auth middleware logic
@@ -98,7 +102,6 @@ router.get(
           user = {
             id: decoded.userId,
             organizationId: decoded.organizationId,
-            role: decoded.role,
           };
         }
       }
@@ -110,6 +113,13 @@ router.get(
         });
       }
       
+      if (!(await rbac.can(user.id, user.organizationId, 'integrations:manage'))) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Insufficient permissions',
+        });
+      }
+      
       if (service === 'github') {
         const clientId = process.env.GITHUB_CLIENT_ID;
         if (!clientId) {
@@ -229,7 +239,7 @@ router.get('/github/callback', async (req, res, next) => {
 router.delete(
   '/:service/disconnect',
   authenticate,
-  authorize('owner', 'admin', 'member'),
+  requirePermission('integrations:manage'),
   [param('service').isIn(['github', 'vercel', 'figma', 'slack', 'twitter', 'linkedin'])],
   validate,
   async (req, res, next) => {
@@ -242,6 +252,47 @@ router.delete(
   }
 );
 
+/**
+ * Store the repositories the GitHub integration can see and queue a code
+ * index sync for each. Repositories already connected by another
+ * organization are left alone.
+ */
+const syncGitHubRepositories = async (organizationId, integration) => {
+  const github = createGitHubClient(integration.credentials.accessToken, { organizationId });
+  const { data: repos } = await github.listRepositories();
+
+  let queued = 0;
+  for (const repo of repos) {
+    const stored = await query(
+      `INSERT INTO repositories (
+        organization_id, github_id, name, full_name, default_branch, visibility, last_sync_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (github_id)
+       DO UPDATE SET name = EXCLUDED.name, full_name = EXCLUDED.full_name,
+         default_branch = EXCLUDED.default_branch, visibility = EXCLUDED.visibility,
+         last_sync_at = NOW()
+       WHERE repositories.organization_id = EXCLUDED.organization_id
+       RETURNING id`,
+      [
+        organizationId,
+        repo.id,
+        repo.name,
+        repo.full_name,
+        repo.default_branch || 'main',
+        repo.private ? 'private' : 'public',
+      ]
+    );
+
+    if (stored.rows.length > 0 && await codeIndexService.queueSync(organizationId, { fullName: repo.full_name })) {
+      queued += 1;
+    }
+  }
+
+  await integrationService.updateLastSync(integration.id);
+
+  return { repositories: repos.length, indexTasks: queued };
+};
+
 /**
  * POST /api/integrations/:service/sync
  * Manually trigger sync for integration
@@ -249,11 +300,27 @@ router.delete(
 router.post(
   '/:service/sync',
   authenticate,
-  authorize('owner', 'admin', 'member'),
+  requirePermission('integrations:sync'),
   [param('service').isIn(['github', 'vercel', 'figma', 'slack', 'twitter', 'linkedin'])],
   validate,
   async (req, res, next) => {
     try {
+      if (req.params.service === 'github') {
+        const integration = await integrationService.get(req.user.organizationId, 'github');
+        if (!integration) {
+          return res.status(404).json({
+            error: 'Not Found',
+            message: 'Integration not found',
+          });
+        }
+
+        const stats = await syncGitHubRepositories(req.user.organizationId, integration);
+        return res.status(202).json({
+          message: 'Sync triggered for github',
+          ...stats,
+        });
+      }
+
       // Trigger sync (implementation depends on service)
       res.json({
         message: `Sync triggered for ${req.params.service}`,
@@ -271,6 +338,7 @@ router.post(
 router.get(
   '/:service/status',
   authenticate,
+  requirePermission('integrations:read'),
   [param('service').isIn(['github', 'vercel', 'figma', 'slack', 'twitter', 'linkedin'])],
   validate,
   async (req, res, next) => {
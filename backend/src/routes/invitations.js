@@ -0,0 +1,59 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const invitationService = require('../services/invitation.service');
+const { optionalAuth, sessionContext } = require('../middleware/auth');
+const { strictLimiter } = require('../middleware/rateLimiter');
+const validate = require('../middleware/validator');
+
+const router = express.Router();
+
+/**
+ * GET /api/invitations/:token
+ * Organization, role and inviter of an invitation link
+ */
+router.get(
+  '/:token',
+  strictLimiter,
+  [param('token').isJWT()],
+  validate,
+  async (req, res, next) => {
+    try {
+      const invitation = await invitationService.preview(req.params.token);
+      res.json({ invitation });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/invitations/:token/accept
+ * Accept as the signed-in user, or create an account with name and password
+ * Responds with tokens scoped to the organization, like login.
+ */
+router.post(
+  '/:token/accept',
+  strictLimiter,
+  optionalAuth,
+  [
+    param('token').isJWT(),
+    body('name').optional().trim().isLength({ min: 2, max: 100 }),
+    body('password').optional().isLength({ min: 8 }),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const result = await invitationService.accept(req.params.token, {
+        userId: req.user?.id,
+        name: req.body.name,
+        password: req.body.password,
+        context: sessionContext(req),
+      });
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const notificationService = require('../services/notification.service');
+const slackChannel = require('../services/notifications/slack');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validator');
+
+const router = express.Router();
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const CHANNELS = ['websocket', 'email', 'slack', 'stub'];
+
+const ruleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 255 }),
+    field('eventPattern').isString().trim().isLength({ min: 1, max: 255 }),
+    field('channel').isIn(CHANNELS),
+    body('minSeverity').optional().isIn(SEVERITIES),
+    body('recipients').optional().isObject(),
+    body('recipients.userIds').optional().isArray(),
+    body('recipients.userIds.*').isUUID(),
+    body('recipients.roles').optional().isArray(),
+    body('recipients.emails').optional().isArray(),
+    body('recipients.emails.*').optional().isEmail(),
+    body('recipients.webhookUrl')
+      .optional()
+      .custom((url) => slackChannel.isWebhookUrl(url))
+      .withMessage('Webhook URL must be a Slack incoming webhook (https://hooks.slack.com/...)'),
+    body('dedupWindowSeconds').optional().isInt({ min: 0 }),
+    body('throttleLimit').optional({ nullable: true }).isInt({ min: 1 }),
+    body('throttleWindowSeconds').optional().isInt({ min: 1 }),
+    body('enabled').optional().isBoolean(),
+  ];
+};
+
+/**
+ * GET /api/notifications
+ * List notifications for the organization
+ */
+router.get(
+  '/',
+  authenticate,
+  [
+    query('acknowledged').optional().isBoolean(),
+    query('severity').optional().isIn(SEVERITIES),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 }),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const notifications = await notificationService.list(req.user.organizationId, {
+        acknowledged: req.query.acknowledged === undefined ? undefined : req.query.acknowledged === 'true',
+        severity: req.query.severity,
+        limit: parseInt(req.query.limit) || 50,
+        offset: parseInt(req.query.offset) || 0,
+      });
+
+      res.json({ notifications });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/notifications/:notificationId/acknowledge
+ * Acknowledge a notification
+ */
+router.post(
+  '/:notificationId/acknowledge',
+  authenticate,
+  [param('notificationId').isUUID()],
+  validate,
+  async (req, res, next) => {
+    try {
+      const notification = await notificationService.acknowledge(
+        req.params.notificationId,
+        req.user.organizationId,
+        req.user.id
+      );
+
+      res.json({ notification });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/notifications/rules
+ * Get routing rules
+ */
+router.get(
+  '/rules',
+  authenticate,
+  requirePermission('notifications:manage'),
+  async (req, res, next) => {
+    try {
+      const rules = await notificationService.getRules(req.user.organizationId);
+      res.json({ rules });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/notifications/rules
+ * Create a routing rule
+ */
+router.post(
+  '/rules',
+  authenticate,
+  requirePermission('notifications:manage'),
+  ruleValidators(false),
+  validate,
+  async (req, res, next) => {
+    try {
+      const rule = await notificationService.createRule(
+        req.user.organizationId,
+        req.body,
+        req.user.id
+      );
+
+      res.status(201).json({ rule });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/notifications/rules/:ruleId
+ * Update a routing rule
+ */
+router.patch(
+  '/rules/:ruleId',
+  authenticate,
+  requirePermission('notifications:manage'),
+  [param('ruleId').isUUID(), ...ruleValidators(true)],
+  validate,
+  async (req, res, next) => {
+    try {
+      const rule = await notificationService.updateRule(
+        req.params.ruleId,
+        req.user.organizationId,
+        req.body
+      );
+
+      if (!rule) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Notification rule not found',
+        });
+      }
+
+      res.json({ rule });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/notifications/rules/:ruleId
+ * Delete a routing rule
+ */
+router.delete(
+  '/rules/:ruleId',
+  authenticate,
+  requirePermission('notifications:manage'),
+  [param('ruleId').isUUID()],
+  validate,
+  async (req, res, next) => {
+    try {
+      const deleted = await notificationService.deleteRule(req.params.ruleId, req.user.organizationId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Notification rule not found',
+        });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const { body, param } = require('express-validator');
 const organizationService = require('../services/organization.service');
-const { authenticate, authorize } = require('../middleware/auth');
+const rbac = require('../services/rbac.service');
+const invitationService = require('../services/invitation.service');
+const { PERMISSIONS } = require('../config/permissions');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const validate = require('../middleware/validator');
 
 const router = express.Router();
@@ -26,6 +29,7 @@ router.get('/', authenticate, async (req, res, next) => {
 router.get(
   '/:id',
   authenticate,
+  requirePermission('organization:read', { organizationParam: 'id' }),
   [param('id').isUUID()],
   validate,
   async (req, res, next) => {
@@ -79,7 +83,7 @@ router.post(
 router.patch(
   '/:id',
   authenticate,
-  authorize('owner', 'admin'),
+  requirePermission('organization:update', { organizationParam: 'id' }),
   [
     param('id').isUUID(),
     body('name').optional().trim().isLength({ min: 2, max: 100 }),
@@ -96,6 +100,30 @@ router.patch(
   }
 );
 
+/**
+ * PUT /api/organizations/:id/security
+ * Security policy; `requireMfa` makes approving AI changes and rolling back
+ * deployments need a two-factor sign-in
+ */
+router.put(
+  '/:id/security',
+  authenticate,
+  requirePermission('security:manage', { organizationParam: 'id' }),
+  [
+    param('id').isUUID(),
+    body('requireMfa').isBoolean().toBoolean(),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const security = await organizationService.updateSecurity(req.params.id, req.body);
+      res.json({ security });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/organizations/:id/members
  * Get organization members
@@ -103,6 +131,7 @@ router.patch(
 router.get(
   '/:id/members',
   authenticate,
+  requirePermission('organization:read', { organizationParam: 'id' }),
   [param('id').isUUID()],
   validate,
   async (req, res, next) => {
@@ -122,15 +151,17 @@ router.get(
 router.post(
   '/:id/members',
   authenticate,
-  authorize('owner', 'admin'),
+  requirePermission('members:manage', { organizationParam: 'id' }),
   [
     param('id').isUUID(),
     body('userId').isUUID(),
-    body('role').isIn(['owner', 'admin', 'member', 'viewer']),
+    body('role').isString().trim().isLength({ min: 1, max: 50 }),
   ],
   validate,
   async (req, res, next) => {
     try {
+      await rbac.assertAssignable(req.params.id, req.body.role, req.user.id);
+      
       const member = await organizationService.addMember(
         req.params.id,
         req.body.userId,
@@ -151,15 +182,18 @@ router.post(
 router.patch(
   '/:id/members/:userId',
   authenticate,
-  authorize('owner', 'admin'),
+  requirePermission('members:manage', { organizationParam: 'id' }),
   [
     param('id').isUUID(),
     param('userId').isUUID(),
-    body('role').isIn(['owner', 'admin', 'member', 'viewer']),
+    body('role').isString().trim().isLength({ min: 1, max: 50 }),
   ],
   validate,
   async (req, res, next) => {
     try {
+      await rbac.assertManageable(req.params.id, req.params.userId, req.user.id);
+      await rbac.assertAssignable(req.params.id, req.body.role, req.user.id);
+      
       const member = await organizationService.updateMemberRole(
         req.params.id,
         req.params.userId,
@@ -180,7 +214,7 @@ router.patch(
 router.delete(
   '/:id/members/:userId',
   authenticate,
-  authorize('owner', 'admin'),
+  requirePermission('members:manage', { organizationParam: 'id' }),
   [
     param('id').isUUID(),
     param('userId').isUUID(),
@@ -188,6 +222,7 @@ router.delete(
   validate,
   async (req, res, next) => {
     try {
+      await rbac.assertManageable(req.params.id, req.params.userId, req.user.id);
       await organizationService.removeMember(req.params.id, req.params.userId);
       res.status(204).send();
     } catch (error) {
@@ -196,4 +231,189 @@ router.delete(
   }
 );
 
+/**
+ * GET /api/organizations/:id/invitations
+ * Pending and expired invitations
+ */
+router.get(
+  '/:id/invitations',
+  authenticate,
+  requirePermission('members:manage', { organizationParam: 'id' }),
+  [param('id').isUUID()],
+  validate,
+  async (req, res, next) => {
+    try {
+      const invitations = await invitationService.list(req.params.id);
+      res.json({ invitations });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/organizations/:id/invitations
+ * Invite someone by email, with or without an account
+ */
+router.post(
+  '/:id/invitations',
+  authenticate,
+  requirePermission('members:manage', { organizationParam: 'id' }),
+  [
+    param('id').isUUID(),
+    body('email').isEmail().normalizeEmail(),
+    body('role').isString().trim().isLength({ min: 1, max: 50 }),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const invitation = await invitationService.create(req.params.id, req.body, req.user);
+      res.status(201).json({ invitation });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/organizations/:id/invitations/:invitationId/resend
+ * Email a fresh link and restart the expiry
+ */
+router.post(
+  '/:id/invitations/:invitationId/resend',
+  authenticate,
+  requirePermission('members:manage', { organizationParam: 'id' }),
+  [
+    param('id').isUUID(),
+    param('invitationId').isUUID(),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const invitation = await invitationService.resend(req.params.id, req.params.invitationId);
+      res.json({ invitation });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/organizations/:id/invitations/:invitationId
+ * Revoke a pending invitation
+ */
+router.delete(
+  '/:id/invitations/:invitationId',
+  authenticate,
+  requirePermission('members:manage', { organizationParam: 'id' }),
+  [
+    param('id').isUUID(),
+    param('invitationId').isUUID(),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      await invitationService.revoke(req.params.id, req.params.invitationId);
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/organizations/:id/roles
+ * Built-in and custom roles, with the catalog of permissions
+ */
+router.get(
+  '/:id/roles',
+  authenticate,
+  requirePermission('organization:read', { organizationParam: 'id' }),
+  [param('id').isUUID()],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { roles, permissions } = await rbac.listRoles(req.params.id);
+      res.json({ roles, permissions });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/organizations/:id/roles
+ * Create a custom role
+ */
+router.post(
+  '/:id/roles',
+  authenticate,
+  requirePermission('roles:manage', { organizationParam: 'id' }),
+  [
+    param('id').isUUID(),
+    body('name').trim().isLength({ min: 2, max: 50 }).matches(/^[a-z0-9_-]+$/),
+    body('description').optional({ nullable: true }).isString().isLength({ max: 500 }),
+    body('permissions').isArray(),
+    body('permissions.*').isIn(Object.keys(PERMISSIONS)),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const role = await rbac.createRole(req.params.id, req.body, req.user.id);
+      res.status(201).json({ role });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/organizations/:id/roles/:roleId
+ * Change a custom role's description or permissions
+ */
+router.patch(
+  '/:id/roles/:roleId',
+  authenticate,
+  requirePermission('roles:manage', { organizationParam: 'id' }),
+  [
+    param('id').isUUID(),
+    param('roleId').isUUID(),
+    body('description').optional({ nullable: true }).isString().isLength({ max: 500 }),
+    body('permissions').optional().isArray(),
+    body('permissions.*').isIn(Object.keys(PERMISSIONS)),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const role = await rbac.updateRole(req.params.id, req.params.roleId, req.body, req.user.id);
+      res.json({ role });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/organizations/:id/roles/:roleId
+ * Delete a custom role no member holds
+ */
+router.delete(
+  '/:id/roles/:roleId',
+  authenticate,
+  requirePermission('roles:manage', { organizationParam: 'id' }),
+  [
+    param('id').isUUID(),
+    param('roleId').isUUID(),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      await rbac.deleteRole(req.params.id, req.params.roleId);
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * Durable event bus maintenance
+ *
+ *   npm run events -- dead-letters [count]              list dead-lettered events, newest first
+ *   npm run events -- requeue <deadLetterId>            put a dead-lettered event back on its stream
+ *   npm run events -- replay <eventType> <since> [until] redeliver events published in a time range
+ *
+ * Times are anything Date understands, e.g. 2024-05-01T12:00:00Z. Replayed
+ * and requeued events are handled by the running backend instances.
+ */
+
+const durableEventBus = require('../events/durableEventBus');
+const { redisClient, redisPubClient, redisSubClient, redisStreamClient } = require('../config/redis');
+
+const USAGE = `Usage:
+  npm run events -- dead-letters [count]
+  npm run events -- requeue <deadLetterId>
+  npm run events -- replay <eventType> <since> [until]`;
+
+const commands = {
+  'dead-letters': async (count = '100') => {
+    const deadLetters = await durableEventBus.getDeadLetters(parseInt(count) || 100);
+
+    if (deadLetters.length === 0) {
+      console.log('No dead-lettered events');
+      return;
+    }
+
+    for (const entry of deadLetters) {
+      console.log(`${entry.id}  ${entry.stream}  attempts=${entry.attempts}  ${entry.error}`);
+      console.log(`  ${JSON.stringify(entry.event)}`);
+    }
+  },
+
+  requeue: async (deadLetterId) => {
+    if (!deadLetterId) {
+      throw usageError();
+    }
+
+    const id = await durableEventBus.requeueDeadLetter(deadLetterId);
+    console.log(`Requeued ${deadLetterId} as ${id}`);
+  },
+
+  replay: async (eventType, since, until = null) => {
+    if (!eventType || !since || Number.isNaN(Date.parse(since)) || (until && Number.isNaN(Date.parse(until)))) {
+      throw usageError();
+    }
+
+    const stats = await durableEventBus.replay(eventType, since, { until });
+    console.log(`Replayed ${stats.replayed} ${eventType} event(s), skipped ${stats.skipped} malformed`);
+  },
+};
+
+const usageError = () => {
+  const error = new Error(USAGE);
+  error.usage = true;
+  return error;
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  const run = commands[command];
+
+  try {
+    if (!run) {
+      throw usageError();
+    }
+
+    await run(...args);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error(error.usage ? error.message : `Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    for (const client of [redisClient, redisPubClient, redisSubClient, redisStreamClient]) {
+      client.disconnect();
+    }
+  }
+};
+
+main();
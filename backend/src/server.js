@@ -5,6 +5,13 @@ const { initializeWebSocket } = require('./websocket/server');
 const { initializeWebSocketHandlers } = require('./websocket/handlers');
 const { initializeGitHubHandlers } = require('./events/handlers/github');
 const { initializeVercelHandlers } = require('./events/handlers/vercel');
+const durableEventBus = require('./events/durableEventBus');
+const agentTaskQueue = require('./services/ai-agent/task-queue');
+const approvalWorkflow = require('./services/ai-agent/approval-workflow');
+const { initializeAgentTaskHandlers } = require('./services/ai-agent/task-handlers');
+const notificationService = require('./services/notification.service');
+const rbac = require('./services/rbac.service');
+const aiStreamService = require('./services/ai-stream.service');
 const { pool } = require('./config/database');
 const { redisClient } = require('./config/redis');
 const config = require('./config');
@@ -28,6 +35,10 @@ const startServer = async () => {
     initializeGitHubHandlers();
     initializeVercelHandlers();
     initializeWebSocketHandlers(io);
+    initializeAgentTaskHandlers();
+    await notificationService.initialize();
+    await rbac.initialize();
+    await aiStreamService.initialize();
     
     // Test database connection
     await pool.query('SELECT NOW()');
@@ -37,6 +48,14 @@ const startServer = async () => {
     await redisClient.ping();
     logger.info('Redis connected successfully');
     
+    // Start agent task workers
+    if (config.agentQueue.enabled) {
+      await agentTaskQueue.start();
+    }
+    
+    // Expire approvals nobody decided on
+    approvalWorkflow.start();
+    
     // Start server
     httpServer.listen(config.port, () => {
       logger.info(`🚀 Server running on port ${config.port}`);
@@ -53,6 +72,13 @@ const startServer = async () => {
       httpServer.close(async () => {
         logger.info('HTTP server closed');
         
+        // Let running agent tasks finish
+        approvalWorkflow.stop();
+        await agentTaskQueue.stop();
+        
+        // Stop consuming durable events
+        await durableEventBus.stop();
+        
         // Close database connections
         await pool.end();
         logger.info('Database pool closed');
@@ -1,17 +1,121 @@
 /**
  * Approval Classifier
  * Determines if AI-generated code changes need human approval
+ *
+ * The built-in rules run first; the organization's approval policy then
+ * decides on top of them and sets how many approvals, from which roles,
+ * the change needs.
  */
 
+const { summarize, touchedPaths } = require('./change-set');
+const approvalPolicies = require('./approval-policy');
+
 class ApprovalClassifier {
   constructor(config = {}) {
     this.rules = config.rules || this.getDefaultRules();
+    this.changeSetRules = config.changeSetRules || this.getDefaultChangeSetRules();
+    this.policy = config.policy || approvalPolicies.getDefault();
+  }
+
+  /**
+   * Classifier using an organization's active approval policy
+   */
+  static async forOrganization(organizationId, config = {}) {
+    const policy = organizationId
+      ? await approvalPolicies.getActive(organizationId)
+      : approvalPolicies.getDefault();
+
+    return new ApprovalClassifier({ ...config, policy });
   }
 
   /**
    * Classify a change and determine if it needs approval
+   * Pass `changes` (a change set) to classify several files together, and
+   * `agentName` and `baseBranch` for policies that look at them.
    */
   classify(change) {
+    return this.explain(change).classification;
+  }
+
+  /**
+   * Classify a change and show how the approval policy decided
+   * Returns { classification, facts, evaluation }, where the evaluation lists
+   * every policy rule and condition with whether it held.
+   */
+  explain(change) {
+    const classification = Array.isArray(change.changes) && change.changes.length > 0
+      ? this._classifyChangeSet(change)
+      : this._classifyFile(change);
+
+    const facts = this.getPolicyFacts(change, classification);
+    const evaluation = approvalPolicies.evaluate(this.policy, facts);
+
+    return { classification: this._applyPolicy(classification, evaluation), facts, evaluation };
+  }
+
+  /**
+   * Facts about a change that policy conditions are checked against
+   */
+  getPolicyFacts(change, classification) {
+    const changes = Array.isArray(change.changes) ? change.changes : [];
+    const paths = changes.length > 0 ? touchedPaths(changes) : [change.filePath].filter(Boolean);
+    const linesChanged = classification.summary
+      ? classification.summary.additions + classification.summary.deletions
+      : (change.code ? change.code.split('\n').length : 0);
+    const severities = (change.securityIssues || []).map(issue => issue.severity || 'high');
+
+    return {
+      type: change.type || null,
+      categories: [...new Set([
+        classification.category,
+        ...(classification.files || []).map(file => file.category)
+      ])],
+      agent: change.agentName || 'CodeAgent',
+      targetBranch: change.baseBranch || 'main',
+      paths,
+      riskLevel: classification.riskLevel,
+      securitySeverity: severities.reduce((max, level) => (max ? this._maxRiskLevel(max, level) : level), null),
+      linesChanged
+    };
+  }
+
+  /**
+   * Let the approval policy decide on top of the built-in rules
+   * A policy can always require approval, but only auto-approves changes
+   * the built-in rules did not find critical.
+   */
+  _applyPolicy(classification, evaluation) {
+    if (evaluation.effect === 'require_approval') {
+      classification.needsApproval = true;
+      classification.autoApproved = false;
+      classification.reason = classification.reason.filter(reason => !reason.includes('auto-approval criteria'));
+    } else if (evaluation.effect === 'auto_approve' && classification.riskLevel !== 'critical') {
+      classification.needsApproval = false;
+      classification.autoApproved = true;
+    }
+
+    for (const rule of evaluation.rules.filter(rule => rule.matched)) {
+      classification.reason.push(`Policy rule "${rule.name}"${rule.description ? `: ${rule.description}` : ''}`);
+      if (rule.effect === 'require_approval' && rule.riskLevel) {
+        classification.riskLevel = this._maxRiskLevel(classification.riskLevel, rule.riskLevel);
+      }
+    }
+
+    classification.requiredApprovals = classification.needsApproval ? evaluation.requiredApprovals : 0;
+    classification.approverRoles = classification.needsApproval ? evaluation.approverRoles : null;
+    classification.policy = {
+      version: evaluation.version,
+      effect: evaluation.effect,
+      matchedRules: evaluation.matchedRules
+    };
+
+    return classification;
+  }
+
+  /**
+   * Classify a single file with the built-in rules
+   */
+  _classifyFile(change) {
     const {
       type,
       code,
@@ -56,6 +160,69 @@ class ApprovalClassifier {
     return classification;
   }
 
+  /**
+   * Classify a change set as a whole
+   * Every file goes through the rules on its own, then rules about the set
+   * (security, tests, deletions, renames, size) apply once. The set needs
+   * approval if any file or set rule does.
+   */
+  _classifyChangeSet(change) {
+    const { changes, type, description = '' } = change;
+    const summary = summarize(changes);
+
+    const classification = {
+      needsApproval: false,
+      reason: [],
+      riskLevel: 'low',
+      autoApproved: false,
+      category: null,
+      files: [],
+      summary
+    };
+
+    for (const rule of this.changeSetRules) {
+      const result = rule.check(change, summary);
+      if (result.matches) {
+        classification.needsApproval = classification.needsApproval || result.needsApproval;
+        classification.reason.push(result.reason);
+        classification.riskLevel = this._maxRiskLevel(classification.riskLevel, result.riskLevel);
+      }
+    }
+
+    for (const file of changes) {
+      const fileClassification = this._classifyFile({
+        type,
+        description,
+        code: file.content || '',
+        filePath: file.path
+      });
+
+      classification.files.push({
+        path: file.path,
+        operation: file.operation,
+        needsApproval: fileClassification.needsApproval,
+        riskLevel: fileClassification.riskLevel,
+        category: fileClassification.category
+      });
+
+      if (fileClassification.needsApproval) {
+        classification.needsApproval = true;
+        classification.riskLevel = this._maxRiskLevel(classification.riskLevel, fileClassification.riskLevel);
+        classification.reason.push(...fileClassification.reason.map(reason => `${file.path}: ${reason}`));
+      }
+    }
+
+    const categories = [...new Set(classification.files.map(file => file.category))];
+    classification.category = categories.length === 1 ? categories[0] : 'multi-file';
+
+    if (!classification.needsApproval) {
+      classification.autoApproved = true;
+      classification.reason.push('Every file meets auto-approval criteria');
+    }
+
+    return classification;
+  }
+
   /**
    * Categorize the change type
    */
@@ -326,6 +493,63 @@ class ApprovalClassifier {
     ];
   }
 
+  /**
+   * Rules that look at a change set as a whole
+   * `check(change, summary)` gets the set and its line and operation counts.
+   */
+  getDefaultChangeSetRules() {
+    return [
+      {
+        name: 'security-issues',
+        check: (change) => ({
+          matches: (change.securityIssues?.length || 0) > 0,
+          needsApproval: true,
+          riskLevel: 'critical',
+          reason: `Security issues detected: ${change.securityIssues?.length || 0} issue(s)`
+        })
+      },
+      {
+        name: 'failed-tests',
+        check: (change) => ({
+          matches: change.testResults?.passed === false,
+          needsApproval: true,
+          riskLevel: 'critical',
+          reason: 'Tests failed - requires review'
+        })
+      },
+      {
+        name: 'file-deletion',
+        check: (change, summary) => ({
+          matches: (summary.operations.delete || 0) > 0,
+          needsApproval: true,
+          riskLevel: 'high',
+          reason: `Deletes ${summary.operations.delete || 0} file(s) - requires review`
+        })
+      },
+      {
+        name: 'file-rename',
+        check: (change, summary) => ({
+          matches: (summary.operations.rename || 0) > 0,
+          needsApproval: true,
+          riskLevel: 'medium',
+          reason: `Renames ${summary.operations.rename || 0} file(s) - requires review`
+        })
+      },
+      {
+        name: 'large-change-set',
+        check: (change, summary) => {
+          const lines = summary.additions + summary.deletions;
+          return {
+            matches: summary.files > 10 || lines > 100,
+            needsApproval: true,
+            riskLevel: 'high',
+            reason: `Large change set (${summary.files} files, ${lines} lines) - requires review`
+          };
+        }
+      }
+    ];
+  }
+
   /**
    * Add custom rule
    */
@@ -0,0 +1,466 @@
+/**
+ * Approval Policies
+ * Declarative, versioned per-organization rules for AI change approval
+ *
+ * A policy is a list of rules checked against facts about a change:
+ *
+ *   {
+ *     defaults: { approvals: 1, approverRoles: null },
+ *     rules: [{
+ *       name: 'production-config',
+ *       when: { paths: ['**\/production/**'], minRiskLevel: 'medium' },
+ *       effect: 'require_approval',        // or 'auto_approve'
+ *       approvals: 2,
+ *       approverRoles: ['owner', 'admin']
+ *     }]
+ *   }
+ *
+ * Every condition in `when` must hold; a list matches if any entry does.
+ * Any matching require_approval rule makes the change need approval, and the
+ * strictest of them (most approvals, then first listed) decides who may
+ * approve. An auto_approve rule only applies when nothing requires approval
+ * and the built-in checks found nothing critical.
+ *
+ * Approver roles are the organization's built-in or custom roles, and each
+ * must hold ai:approve so the change can actually be approved.
+ *
+ * Saving a policy adds a new version; older versions stay for audit and can
+ * be reactivated.
+ */
+
+const { query, transaction } = require('../../config/database');
+const rbac = require('../rbac.service');
+const { BUILT_IN_ROLES } = require('../../config/permissions');
+const logger = require('../../utils/logger');
+
+const LEVELS = ['low', 'medium', 'high', 'critical'];
+const EFFECTS = ['require_approval', 'auto_approve'];
+const MAX_APPROVALS = 10;
+
+const CONDITIONS = {
+  type: 'list',
+  category: 'list',
+  agent: 'list',
+  targetBranch: 'globs',
+  paths: 'globs',
+  minRiskLevel: 'level',
+  minSecuritySeverity: 'level',
+  linesChanged: 'range'
+};
+
+const DEFAULT_POLICY = {
+  defaults: { approvals: 1, approverRoles: null },
+  rules: [
+    {
+      name: 'production-config',
+      description: 'Production configuration changes need two admins',
+      when: {
+        paths: [
+          '**/production/**',
+          '**/prod/**',
+          '**/*.production.*',
+          '**/*.prod.*',
+          '**/production.*',
+          '**/.env.production*'
+        ]
+      },
+      effect: 'require_approval',
+      riskLevel: 'high',
+      approvals: 2,
+      approverRoles: ['owner', 'admin']
+    }
+  ]
+};
+
+class ApprovalPolicyService {
+  /**
+   * Active policy of an organization, or the default policy as version 0
+   */
+  async getActive(organizationId) {
+    const result = await query(
+      `SELECT * FROM approval_policies
+       WHERE organization_id = $1 AND is_active = true
+       LIMIT 1`,
+      [organizationId]
+    );
+
+    return result.rows[0] ? formatPolicy(result.rows[0]) : this.getDefault();
+  }
+
+  /**
+   * The policy used when an organization has not saved one
+   */
+  getDefault() {
+    return { version: 0, isActive: true, description: 'Default policy', ...DEFAULT_POLICY };
+  }
+
+  /**
+   * All saved versions, newest first
+   */
+  async listVersions(organizationId) {
+    const result = await query(
+      `SELECT * FROM approval_policies
+       WHERE organization_id = $1
+       ORDER BY version DESC`,
+      [organizationId]
+    );
+
+    return result.rows.map(formatPolicy);
+  }
+
+  /**
+   * Save a policy as a new version and make it active
+   */
+  async save(organizationId, policy, userId) {
+    const { rules, defaults } = await this.validateForOrganization(organizationId, policy);
+
+    const saved = await transaction(async (client) => {
+      // Serialize saves so two versions cannot get the same number
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`approval_policies:${organizationId}`]);
+
+      await client.query(
+        `UPDATE approval_policies SET is_active = false, updated_at = NOW()
+         WHERE organization_id = $1 AND is_active = true`,
+        [organizationId]
+      );
+
+      const result = await client.query(
+        `INSERT INTO approval_policies (
+          organization_id, version, description, rules, defaults, is_active, created_by, updated_at
+        )
+        SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, true, $5, NOW()
+        FROM approval_policies WHERE organization_id = $1
+        RETURNING *`,
+        [organizationId, policy.description || null, JSON.stringify(rules), JSON.stringify(defaults), userId]
+      );
+
+      return formatPolicy(result.rows[0]);
+    });
+
+    logger.info(`Approval policy v${saved.version} saved for organization ${organizationId}`);
+    return saved;
+  }
+
+  /**
+   * Make an earlier version active again
+   */
+  async activate(organizationId, version, userId) {
+    const activated = await transaction(async (client) => {
+      const existing = await client.query(
+        `SELECT id FROM approval_policies WHERE organization_id = $1 AND version = $2`,
+        [organizationId, version]
+      );
+
+      if (existing.rows.length === 0) {
+        const error = new Error(`Approval policy version ${version} not found`);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      await client.query(
+        `UPDATE approval_policies SET is_active = false, updated_at = NOW()
+         WHERE organization_id = $1 AND is_active = true`,
+        [organizationId]
+      );
+
+      const result = await client.query(
+        `UPDATE approval_policies SET is_active = true, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [existing.rows[0].id]
+      );
+
+      return formatPolicy(result.rows[0]);
+    });
+
+    logger.info(`Approval policy v${version} reactivated for organization ${organizationId} by ${userId}`);
+    return activated;
+  }
+
+  /**
+   * Check a policy against the organization's current roles
+   */
+  async validateForOrganization(organizationId, policy) {
+    const { roles } = await rbac.listRoles(organizationId);
+    return this.validate(policy, roles);
+  }
+
+  /**
+   * Check a policy and fill in defaults
+   * `roles` are the { name, permissions } approver roles may name; built-in
+   * roles only unless given. Throws a 400 error listing every problem.
+   */
+  validate(policy, roles = builtInRoles()) {
+    const problems = [];
+    const names = new Set();
+
+    if (!policy || !Array.isArray(policy.rules)) {
+      throw invalid(['rules must be a list']);
+    }
+
+    const defaults = {
+      approvals: policy.defaults?.approvals ?? 1,
+      approverRoles: policy.defaults?.approverRoles ?? null
+    };
+    checkApprovers(defaults, 'defaults', roles, problems);
+
+    const rules = policy.rules.map((rule, index) => {
+      const field = `rules[${index}]`;
+
+      if (!rule || typeof rule.name !== 'string' || rule.name.trim() === '') {
+        problems.push(`${field}.name is required`);
+      } else if (names.has(rule.name)) {
+        problems.push(`${field}.name "${rule.name}" is used twice`);
+      } else {
+        names.add(rule.name);
+      }
+
+      const effect = rule?.effect || 'require_approval';
+      if (!EFFECTS.includes(effect)) {
+        problems.push(`${field}.effect must be one of ${EFFECTS.join(', ')}`);
+      }
+
+      if (rule?.riskLevel != null && !LEVELS.includes(rule.riskLevel)) {
+        problems.push(`${field}.riskLevel must be one of ${LEVELS.join(', ')}`);
+      }
+
+      const when = rule?.when || {};
+      for (const [condition, value] of Object.entries(when)) {
+        checkCondition(condition, value, `${field}.when.${condition}`, problems);
+      }
+
+      const normalized = {
+        name: rule?.name,
+        description: rule?.description || null,
+        when,
+        effect,
+        riskLevel: rule?.riskLevel || null,
+        approvals: rule?.approvals ?? 1,
+        approverRoles: rule?.approverRoles ?? null,
+        enabled: rule?.enabled !== false
+      };
+      checkApprovers(normalized, field, roles, problems);
+
+      return normalized;
+    });
+
+    if (problems.length > 0) {
+      throw invalid(problems);
+    }
+
+    return { rules, defaults };
+  }
+
+  /**
+   * Check a policy against the facts of a change
+   * Returns the outcome with every rule and condition explained, so a dry
+   * run can show why a change does or does not need approval.
+   */
+  evaluate(policy, facts) {
+    const rules = (policy.rules || []).map((rule) => {
+      const conditions = Object.entries(rule.when || {}).map(([condition, expected]) =>
+        checkFact(condition, expected, facts)
+      );
+
+      return {
+        name: rule.name,
+        description: rule.description || null,
+        effect: rule.effect || 'require_approval',
+        enabled: rule.enabled !== false,
+        matched: rule.enabled !== false && conditions.every(condition => condition.passed),
+        conditions,
+        riskLevel: rule.riskLevel || null,
+        approvals: rule.approvals ?? 1,
+        approverRoles: rule.approverRoles ?? null
+      };
+    });
+
+    const matched = rules.filter(rule => rule.matched);
+    const requiring = matched.filter(rule => rule.effect === 'require_approval');
+
+    let effect = null;
+    if (requiring.length > 0) {
+      effect = 'require_approval';
+    } else if (matched.some(rule => rule.effect === 'auto_approve')) {
+      effect = 'auto_approve';
+    }
+
+    // Most approvals wins; on a tie the rule listed first
+    const strictest = requiring.reduce(
+      (current, rule) => (!current || rule.approvals > current.approvals ? rule : current),
+      null
+    );
+    const defaults = policy.defaults || DEFAULT_POLICY.defaults;
+
+    return {
+      version: policy.version ?? null,
+      effect,
+      matchedRules: matched.map(rule => rule.name),
+      riskLevel: matched.reduce((level, rule) => maxLevel(level, rule.riskLevel), null),
+      requiredApprovals: strictest ? strictest.approvals : defaults.approvals,
+      approverRoles: strictest ? strictest.approverRoles : defaults.approverRoles,
+      rules
+    };
+  }
+}
+
+/**
+ * Check one condition against the facts
+ */
+const checkFact = (condition, expected, facts) => {
+  let actual;
+  let passed;
+
+  switch (condition) {
+    case 'paths':
+      actual = facts.paths;
+      passed = facts.paths.some(path => toList(expected).some(glob => matchGlob(glob, path)));
+      break;
+    case 'targetBranch':
+      actual = facts.targetBranch;
+      passed = toList(expected).some(glob => matchGlob(glob, facts.targetBranch || ''));
+      break;
+    case 'category':
+      // A change set matches on its own category or any file's
+      actual = facts.categories;
+      passed = facts.categories.some(category => toList(expected).includes(category));
+      break;
+    case 'type':
+    case 'agent':
+      actual = facts[condition];
+      passed = toList(expected).includes(actual);
+      break;
+    case 'minRiskLevel':
+      actual = facts.riskLevel;
+      passed = LEVELS.indexOf(actual) >= LEVELS.indexOf(expected);
+      break;
+    case 'minSecuritySeverity':
+      actual = facts.securitySeverity;
+      passed = actual !== null && LEVELS.indexOf(actual) >= LEVELS.indexOf(expected);
+      break;
+    case 'linesChanged':
+      actual = facts.linesChanged;
+      passed = (expected.min === undefined || actual >= expected.min)
+        && (expected.max === undefined || actual <= expected.max);
+      break;
+    default:
+      actual = null;
+      passed = false;
+  }
+
+  return { condition, expected, actual, passed };
+};
+
+const checkCondition = (condition, value, field, problems) => {
+  const kind = CONDITIONS[condition];
+
+  if (!kind) {
+    problems.push(`${field} is not a known condition (${Object.keys(CONDITIONS).join(', ')})`);
+  } else if (kind === 'list' || kind === 'globs') {
+    if (toList(value).length === 0 || toList(value).some(entry => typeof entry !== 'string' || entry === '')) {
+      problems.push(`${field} must be a string or a list of strings`);
+    }
+  } else if (kind === 'level') {
+    if (!LEVELS.includes(value)) {
+      problems.push(`${field} must be one of ${LEVELS.join(', ')}`);
+    }
+  } else if (kind === 'range') {
+    const bounds = value && typeof value === 'object' ? value : {};
+    const valid = ['min', 'max'].every(key => bounds[key] === undefined || Number.isInteger(bounds[key]))
+      && (bounds.min !== undefined || bounds.max !== undefined);
+    if (!valid) {
+      problems.push(`${field} must be { min, max } with whole numbers`);
+    }
+  }
+};
+
+const checkApprovers = ({ approvals, approverRoles }, field, roles, problems) => {
+  if (!Number.isInteger(approvals) || approvals < 1 || approvals > MAX_APPROVALS) {
+    problems.push(`${field}.approvals must be a whole number from 1 to ${MAX_APPROVALS}`);
+  }
+
+  if (approverRoles === null) {
+    return;
+  }
+
+  const approvers = roles
+    .filter(role => role.permissions.includes('ai:approve'))
+    .map(role => role.name);
+
+  if (!Array.isArray(approverRoles) || approverRoles.length === 0 || approverRoles.some(role => !approvers.includes(role))) {
+    problems.push(`${field}.approverRoles must be null or a list of roles that can approve (${approvers.join(', ')})`);
+  }
+};
+
+const builtInRoles = () => Object.entries(BUILT_IN_ROLES).map(([name, permissions]) => ({ name, permissions }));
+
+/**
+ * Match a path against a glob
+ * Supports ** (any number of directories), * and ? within a segment, and {a,b}.
+ */
+const matchGlob = (glob, path) => {
+  let pattern = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) {
+        pattern += '\\{';
+      } else {
+        pattern += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+        i = end;
+      }
+    } else {
+      pattern += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${pattern}$`).test(path);
+};
+
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+const maxLevel = (a, b) => {
+  if (!b) {
+    return a;
+  }
+  return !a || LEVELS.indexOf(b) > LEVELS.indexOf(a) ? b : a;
+};
+
+const formatPolicy = (row) => ({
+  id: row.id,
+  version: row.version,
+  description: row.description,
+  rules: row.rules,
+  defaults: row.defaults,
+  isActive: row.is_active,
+  createdBy: row.created_by,
+  createdAt: row.created_at
+});
+
+const invalid = (problems) => {
+  const error = new Error(`Invalid approval policy: ${problems.join('; ')}`);
+  error.statusCode = 400;
+  error.details = problems;
+  return error;
+};
+
+// Export singleton instance
+module.exports = new ApprovalPolicyService();
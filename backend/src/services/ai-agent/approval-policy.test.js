@@ -0,0 +1,39 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../rbac.service', () => ({ listRoles: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const rbac = require('../rbac.service');
+const approvalPolicies = require('./approval-policy');
+
+const policy = (approverRoles) => ({
+  rules: [{ name: 'config', when: { paths: ['config/**'] }, approvals: 1, approverRoles }],
+});
+
+describe('approverRoles', () => {
+  it('accepts built-in roles that can approve', () => {
+    expect(approvalPolicies.validate(policy(['owner', 'admin'])).rules[0].approverRoles).toEqual(['owner', 'admin']);
+  });
+
+  it('rejects roles without ai:approve', () => {
+    expect(() => approvalPolicies.validate(policy(['member']))).toThrow(/approverRoles/);
+    expect(() => approvalPolicies.validate(policy(['viewer']))).toThrow(/approverRoles/);
+  });
+
+  it('checks custom roles against the organization', async () => {
+    rbac.listRoles.mockResolvedValue({
+      roles: [
+        { name: 'owner', permissions: ['ai:approve'] },
+        { name: 'release-manager', permissions: ['ai:read', 'ai:approve'] },
+        { name: 'contractor', permissions: ['ai:generate'] },
+      ],
+    });
+
+    await expect(approvalPolicies.validateForOrganization('org-1', policy(['release-manager'])))
+      .resolves.toMatchObject({ rules: [{ approverRoles: ['release-manager'] }] });
+    await expect(approvalPolicies.validateForOrganization('org-1', policy(['contractor'])))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(approvalPolicies.validateForOrganization('org-1', policy(['auditor'])))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(rbac.listRoles).toHaveBeenCalledWith('org-1');
+  });
+});
@@ -0,0 +1,438 @@
+/**
+ * Approval Workflow
+ * Holds AI changes that need a human decision and applies them once approved
+ *
+ * States (agent_tasks.status):
+ *   awaiting_approval → approved → completed | apply_failed
+ *   awaiting_approval → rejected
+ *   awaiting_approval → expired
+ *
+ * The approval policy may ask for several approvals, from given roles; a task
+ * stays awaiting_approval until it has them all (agent_task_approvals).
+ *
+ * Nothing is written to GitHub before approval: the branch and PR are only
+ * created when an approved change is applied, so rejected and expired changes
+ * leave nothing behind to clean up.
+ */
+
+const { query, transaction } = require('../../config/database');
+const GitHubExecutor = require('./github-executor');
+const { buildChangeSet, singleFileChangeSet, combinedDiff, touchedPaths } = require('./change-set');
+const { getInstance: getAuditLog } = require('./audit-log');
+const agentTaskQueue = require('./task-queue');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+class ApprovalWorkflow {
+  constructor(options = {}) {
+    this.ttlHours = options.ttlHours || config.approvals.ttlHours;
+    this.expirySweepMs = options.expirySweepMs || config.approvals.expirySweepMs;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Build the change payload that is stored with a pending task
+   * Takes a change set as `changes`, or a single file as `path` and `content`.
+   */
+  buildProposal({
+    type,
+    description,
+    path,
+    content,
+    originalContent = '',
+    changes = null,
+    owner = null,
+    repo = null,
+    baseBranch = 'main',
+    autoMerge = false,
+  }) {
+    const changeSet = changes ? buildChangeSet(changes) : singleFileChangeSet({ path, content, originalContent });
+
+    return {
+      type,
+      description,
+      owner,
+      repo,
+      // First file, for lists and notifications
+      path: changeSet[0]?.path || path,
+      baseBranch,
+      autoMerge,
+      changes: changeSet,
+      diff: combinedDiff(changeSet),
+    };
+  }
+
+  /**
+   * Changes stored with a proposal
+   * Proposals from before change sets hold one file as `path` and `content`,
+   * written whether or not it existed, which is what a create in a tree does.
+   */
+  proposalChanges(proposal) {
+    if (Array.isArray(proposal?.changes)) {
+      return proposal.changes;
+    }
+
+    return proposal?.path
+      ? [{ operation: 'create', path: proposal.path, content: proposal.content, description: proposal.description }]
+      : [];
+  }
+
+  /**
+   * Record a change produced inside a request as awaiting approval
+   */
+  async createPending({ organizationId, taskType, description, inputData, output, proposal }) {
+    const agentId = await agentTaskQueue.ensureAgent(organizationId, 'code', 'CodeAgent');
+    const requirements = agentTaskQueue.approvalRequirements(output);
+
+    const result = await query(
+      `INSERT INTO agent_tasks (
+        agent_id, task_type, description, status, input_data, output_data,
+        requires_human_approval, proposed_change, approval_expires_at,
+        required_approvals, approver_roles, approval_policy_version,
+        started_at, completed_at, duration_seconds, updated_at
+      )
+      VALUES ($1, $2, $3, 'awaiting_approval', $4, $5, true, $6,
+              NOW() + ($7 || ' hours')::INTERVAL, $8, $9, $10, NOW(), NOW(), 0, NOW())
+      RETURNING *`,
+      [
+        agentId,
+        taskType,
+        description,
+        JSON.stringify(inputData),
+        JSON.stringify(output),
+        JSON.stringify(proposal),
+        String(this.ttlHours),
+        requirements.requiredApprovals,
+        requirements.approverRoles,
+        requirements.policyVersion,
+      ]
+    );
+
+    const task = { ...result.rows[0], organization_id: organizationId };
+    await agentTaskQueue.publish('agent.task.needs_approval', task);
+
+    logger.info(`Change awaiting approval: ${task.id} (${proposal.repo}, ${proposal.changes.length} file(s))`);
+    return task;
+  }
+
+  /**
+   * List changes waiting for a decision
+   */
+  async getPending(organizationId, { limit = 50, offset = 0 } = {}) {
+    return agentTaskQueue.getTasks(organizationId, { status: 'awaiting_approval', limit, offset });
+  }
+
+  /**
+   * Record an approval of a pending change
+   * Once the change has every approval it needs it is applied to the
+   * repository; until then the task is returned with its approval count.
+   */
+  async approve(taskId, organizationId, user, comment = '') {
+    const outcome = await transaction(async (client) => {
+      // Lock the task so concurrent approvals are counted one at a time
+      const pending = await client.query(
+        `SELECT t.*, a.organization_id
+         FROM agent_tasks t
+         JOIN agents a ON a.id = t.agent_id
+         WHERE t.id = $1
+           AND a.organization_id = $2
+           AND t.status = 'awaiting_approval'
+           AND (t.approval_expires_at IS NULL OR t.approval_expires_at > NOW())
+         FOR UPDATE OF t`,
+        [taskId, organizationId]
+      );
+
+      const task = pending.rows[0];
+      if (!task) {
+        return null;
+      }
+
+      // Policies name built-in or custom roles that hold ai:approve, and
+      // user.role is the approver's current membership role
+      if (task.approver_roles?.length > 0 && !task.approver_roles.includes(user.role)) {
+        const error = new Error(`This change must be approved by: ${task.approver_roles.join(', ')}`);
+        error.statusCode = 403;
+        throw error;
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO agent_task_approvals (task_id, user_id, role, comment)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (task_id, user_id) DO NOTHING
+         RETURNING id`,
+        [taskId, user.id, user.role || 'member', comment || null]
+      );
+
+      if (inserted.rows.length === 0) {
+        const error = new Error('You have already approved this change');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const count = await client.query(
+        `SELECT COUNT(*)::INTEGER AS received FROM agent_task_approvals WHERE task_id = $1`,
+        [taskId]
+      );
+      const approvals = { received: count.rows[0].received, required: task.required_approvals || 1 };
+
+      if (approvals.received < approvals.required) {
+        return { task: { ...task, approvals }, approvals, complete: false };
+      }
+
+      const approved = await client.query(
+        `UPDATE agent_tasks
+         SET status = 'approved', approved_by = $2, approved_at = NOW(),
+             review_comment = $3, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [taskId, user.id, comment || null]
+      );
+
+      return { task: { ...task, ...approved.rows[0], approvals }, approvals, complete: true };
+    });
+
+    if (!outcome) {
+      throw await this.transitionError(taskId, organizationId);
+    }
+
+    const { task, approvals, complete } = outcome;
+    const auditLog = await getAuditLog();
+    await auditLog.logApproval({
+      organizationId,
+      taskId,
+      approved: complete,
+      approvedBy: user.id,
+      reason: approvals.required > 1
+        ? `Approval ${approvals.received} of ${approvals.required}${comment ? `: ${comment}` : ''}`
+        : comment || 'Approved by human reviewer'
+    });
+
+    if (!complete) {
+      logger.info(`Change ${taskId} has ${approvals.received} of ${approvals.required} approvals`);
+      return task;
+    }
+
+    return this.apply(task);
+  }
+
+  /**
+   * Who has approved a change so far
+   */
+  async getApprovals(taskId) {
+    const result = await query(
+      `SELECT ata.user_id, ata.role, ata.comment, ata.created_at,
+              u.name, u.email
+       FROM agent_task_approvals ata
+       JOIN users u ON u.id = ata.user_id
+       WHERE ata.task_id = $1
+       ORDER BY ata.created_at`,
+      [taskId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Run the stored change through GitHubExecutor
+   */
+  async apply(task) {
+    const proposal = task.proposed_change;
+    const auditLog = await getAuditLog();
+
+    let application;
+    let status;
+    let errorMessage = null;
+
+    const changes = this.proposalChanges(proposal);
+
+    // The repository must still be connected to the task's organization
+    const executor = changes.length > 0 && proposal?.owner && proposal?.repo
+      ? await GitHubExecutor.forRepository(task.organization_id, { fullName: `${proposal.owner}/${proposal.repo}` })
+        .catch((error) => {
+          errorMessage = error.message;
+          return null;
+        })
+      : null;
+
+    if (!executor) {
+      status = 'apply_failed';
+      errorMessage = errorMessage || 'No target repository or changes stored with the change';
+    } else {
+      application = await executor.executeCodeChange({
+        changes,
+        description: proposal.description,
+        type: proposal.type,
+        autoMerge: proposal.autoMerge,
+        baseBranch: proposal.baseBranch
+      });
+
+      if (application.pullRequest) {
+        status = 'completed';
+
+        await auditLog.logCommit({
+          organizationId: task.organization_id,
+          taskId: task.id,
+          agentName: 'CodeAgent',
+          repository: `${proposal.owner}/${proposal.repo}`,
+          baseBranch: proposal.baseBranch,
+          branch: application.branch,
+          files: touchedPaths(changes),
+          commitSha: application.commits[0]?.commit,
+          prNumber: application.pullRequest.number,
+          merged: application.merged
+        });
+      } else {
+        status = 'apply_failed';
+        errorMessage = application.errors.join('; ') || 'Failed to apply change';
+      }
+    }
+
+    const updated = await query(
+      `UPDATE agent_tasks
+       SET status = $2,
+           error_message = $3,
+           output_data = COALESCE(output_data, '{}'::jsonb) || jsonb_build_object('application', $4::jsonb),
+           proposed_change = proposed_change || jsonb_build_object('pullRequest', $5::jsonb),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        task.id,
+        status,
+        errorMessage,
+        JSON.stringify(application || null),
+        JSON.stringify(application?.pullRequest || null),
+      ]
+    );
+
+    const appliedTask = { ...task, ...updated.rows[0] };
+    await agentTaskQueue.publish('agent.task.completed', appliedTask);
+
+    if (status === 'apply_failed') {
+      logger.error(`Approved change ${task.id} could not be applied: ${errorMessage}`);
+    } else {
+      logger.info(`Approved change ${task.id} applied as PR #${application.pullRequest.number}`);
+    }
+
+    return appliedTask;
+  }
+
+  /**
+   * Reject a pending change
+   */
+  async reject(taskId, organizationId, user, reason) {
+    const result = await query(
+      `UPDATE agent_tasks t
+       SET status = 'rejected', approved_by = $3, approved_at = NOW(),
+           review_comment = $4, updated_at = NOW()
+       FROM agents a
+       WHERE t.id = $1
+         AND a.id = t.agent_id
+         AND a.organization_id = $2
+         AND t.status = 'awaiting_approval'
+       RETURNING t.*, a.organization_id`,
+      [taskId, organizationId, user.id, reason]
+    );
+
+    const task = result.rows[0];
+    if (!task) {
+      throw await this.transitionError(taskId, organizationId);
+    }
+
+    const auditLog = await getAuditLog();
+    await auditLog.logApproval({
+      organizationId,
+      taskId,
+      approved: false,
+      approvedBy: user.id,
+      reason
+    });
+
+    await agentTaskQueue.publish('agent.task.completed', task);
+    return task;
+  }
+
+  /**
+   * Expire changes nobody decided on in time
+   */
+  async expireStale() {
+    const result = await query(
+      `UPDATE agent_tasks t
+       SET status = 'expired', updated_at = NOW()
+       FROM agents a
+       WHERE a.id = t.agent_id
+         AND t.status = 'awaiting_approval'
+         AND t.approval_expires_at <= NOW()
+       RETURNING t.*, a.organization_id`
+    );
+
+    if (result.rowCount === 0) {
+      return 0;
+    }
+
+    const auditLog = await getAuditLog();
+
+    for (const task of result.rows) {
+      await auditLog.logApproval({
+        organizationId: task.organization_id,
+        taskId: task.id,
+        approved: false,
+        approvedBy: 'system',
+        reason: 'Approval expired'
+      });
+      await agentTaskQueue.publish('agent.task.completed', task);
+    }
+
+    logger.info(`Expired ${result.rowCount} pending approvals`);
+    return result.rowCount;
+  }
+
+  /**
+   * Explain why a task could not move out of awaiting_approval
+   */
+  async transitionError(taskId, organizationId) {
+    const task = await agentTaskQueue.getTask(taskId, organizationId);
+
+    let error;
+    if (!task) {
+      error = new Error('Task not found');
+      error.statusCode = 404;
+    } else if (task.status === 'awaiting_approval') {
+      error = new Error('Approval has expired');
+      error.statusCode = 410;
+    } else {
+      error = new Error(`Task is ${task.status}, not awaiting approval`);
+      error.statusCode = 409;
+    }
+
+    return error;
+  }
+
+  /**
+   * Start the expiry sweep
+   */
+  start() {
+    if (this.sweepTimer) {
+      return;
+    }
+
+    this.sweepTimer = setInterval(() => {
+      this.expireStale().catch(error => {
+        logger.error('Approval expiry sweep failed:', error);
+      });
+    }, this.expirySweepMs);
+  }
+
+  /**
+   * Stop the expiry sweep
+   */
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ApprovalWorkflow();
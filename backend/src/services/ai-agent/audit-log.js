@@ -1,52 +1,95 @@
 /**
  * AI Audit Log
  * Tracks all AI actions, changes, and decisions for accountability
+ *
+ * Entries live in Postgres, scoped by organization. Each entry stores the
+ * hash of the previous entry of its organization, so editing or deleting
+ * any row breaks the chain and shows up in verify().
  */
 
+const crypto = require('crypto');
+const { query, transaction } = require('../../config/database');
 const logger = require('../../utils/logger');
-const fs = require('fs').promises;
-const path = require('path');
+
+const GENESIS_HASH = '0'.repeat(64);
 
 class AuditLog {
   constructor(config = {}) {
-    this.logFile = config.logFile || path.join(process.cwd(), 'logs', 'ai-audit.log');
-    this.entries = [];
-    this.maxEntriesInMemory = config.maxEntriesInMemory || 1000;
+    this.verifyBatchSize = config.verifyBatchSize || 1000;
   }
 
   /**
    * Log an AI action
+   * Appends to the organization's hash chain; entries without an
+   * organization cannot be chained and are dropped with an error.
    */
   async log(entry) {
-    const logEntry = {
-      id: this._generateId(),
-      timestamp: new Date().toISOString(),
-      ...entry
-    };
+    const { organizationId, type, taskId = null, agentName = null, ...payload } = entry;
 
-    // Add to in-memory array
-    this.entries.push(logEntry);
-    
-    // Trim if too many entries
-    if (this.entries.length > this.maxEntriesInMemory) {
-      this.entries = this.entries.slice(-this.maxEntriesInMemory);
+    if (!organizationId) {
+      logger.error(`Audit entry ${type} for task ${taskId} has no organization, not recorded`);
+      return null;
     }
 
-    // Write to file
     try {
-      await this._writeToFile(logEntry);
+      return await transaction(async (client) => {
+        // Serialize appends per organization so the chain stays linear
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`ai_audit:${organizationId}`]);
+
+        const last = await client.query(
+          `SELECT sequence, hash FROM ai_audit_entries
+           WHERE organization_id = $1
+           ORDER BY sequence DESC
+           LIMIT 1`,
+          [organizationId]
+        );
+
+        const record = {
+          organizationId,
+          sequence: last.rows[0] ? Number(last.rows[0].sequence) + 1 : 1,
+          type,
+          taskId: taskId ? String(taskId) : null,
+          agentName,
+          createdAt: new Date().toISOString(),
+          payload: normalize(payload),
+          prevHash: last.rows[0]?.hash || GENESIS_HASH
+        };
+        record.hash = hashRecord(record);
+
+        const result = await client.query(
+          `INSERT INTO ai_audit_entries (
+            organization_id, sequence, entry_type, task_id, agent_name,
+            payload, prev_hash, hash, created_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          RETURNING *`,
+          [
+            record.organizationId,
+            record.sequence,
+            record.type,
+            record.taskId,
+            record.agentName,
+            JSON.stringify(record.payload),
+            record.prevHash,
+            record.hash,
+            record.createdAt
+          ]
+        );
+
+        return formatEntry(result.rows[0]);
+      });
     } catch (error) {
       logger.error('Failed to write audit log:', error);
+      return null;
     }
-
-    return logEntry;
   }
 
   /**
    * Log code generation
    */
-  async logCodeGeneration({ taskId, agentName, input, output, cost, approved }) {
+  async logCodeGeneration({ organizationId, taskId, agentName, input, output, cost, approved }) {
     return this.log({
+      organizationId,
       type: 'code_generation',
       taskId,
       agentName,
@@ -69,8 +112,9 @@ class AuditLog {
   /**
    * Log code review
    */
-  async logCodeReview({ taskId, agentName, filePath, review, cost }) {
+  async logCodeReview({ organizationId, taskId, agentName, filePath, review, cost }) {
     return this.log({
+      organizationId,
       type: 'code_review',
       taskId,
       agentName,
@@ -86,24 +130,30 @@ class AuditLog {
 
   /**
    * Log code commit
+   * `repository` (owner/repo) and `baseBranch` say where a rollback goes.
    */
-  async logCommit({ taskId, agentName, branch, files, commitSha, prNumber }) {
+  async logCommit({ organizationId, taskId, agentName, repository, baseBranch, branch, files, commitSha, prNumber, merged }) {
     return this.log({
+      organizationId,
       type: 'commit',
       taskId,
       agentName,
+      repository,
+      baseBranch,
       branch,
       files,
       commitSha,
-      prNumber
+      prNumber,
+      merged
     });
   }
 
   /**
    * Log approval decision
    */
-  async logApproval({ taskId, approved, approvedBy, reason, timestamp }) {
+  async logApproval({ organizationId, taskId, approved, approvedBy, reason, timestamp }) {
     return this.log({
+      organizationId,
       type: 'approval',
       taskId,
       approved,
@@ -116,21 +166,28 @@ class AuditLog {
   /**
    * Log rollback
    */
-  async logRollback({ taskId, reason, branch, commitSha }) {
+  async logRollback({ organizationId, taskId, reason, branch, commitSha, mode, repository, prNumber, revertedPrNumber, rolledBackBy }) {
     return this.log({
+      organizationId,
       type: 'rollback',
       taskId,
       reason,
       branch,
-      commitSha
+      commitSha,
+      mode,
+      repository,
+      prNumber,
+      revertedPrNumber,
+      rolledBackBy
     });
   }
 
   /**
    * Log error
    */
-  async logError({ taskId, agentName, error, context }) {
+  async logError({ organizationId, taskId, agentName, error, context }) {
     return this.log({
+      organizationId,
       type: 'error',
       taskId,
       agentName,
@@ -145,8 +202,9 @@ class AuditLog {
   /**
    * Log safety check
    */
-  async logSafetyCheck({ taskId, checks, passed, issues }) {
+  async logSafetyCheck({ organizationId, taskId, checks, passed, issues }) {
     return this.log({
+      organizationId,
       type: 'safety_check',
       taskId,
       checks,
@@ -157,64 +215,100 @@ class AuditLog {
   }
 
   /**
-   * Get entries by type
+   * Query entries for an organization, newest first
    */
-  getByType(type, limit = 100) {
-    return this.entries
-      .filter(e => e.type === type)
-      .slice(-limit)
-      .reverse();
-  }
+  async find(organizationId, filters = {}) {
+    const { type, taskId, agentName, startDate, endDate, limit = 100, offset = 0 } = filters;
 
-  /**
-   * Get entries by task ID
-   */
-  getByTaskId(taskId) {
-    return this.entries
-      .filter(e => e.taskId === taskId)
-      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-  }
+    let whereText = 'WHERE organization_id = $1';
+    const params = [organizationId];
+    let paramCount = 1;
 
-  /**
-   * Get entries by date range
-   */
-  getByDateRange(startDate, endDate) {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    return this.entries
-      .filter(e => {
-        const entryDate = new Date(e.timestamp);
-        return entryDate >= start && entryDate <= end;
-      })
-      .reverse();
+    if (type) {
+      paramCount++;
+      whereText += ` AND entry_type = $${paramCount}`;
+      params.push(type);
+    }
+
+    if (taskId) {
+      paramCount++;
+      whereText += ` AND task_id = $${paramCount}`;
+      params.push(String(taskId));
+    }
+
+    if (agentName) {
+      paramCount++;
+      whereText += ` AND agent_name = $${paramCount}`;
+      params.push(agentName);
+    }
+
+    if (startDate) {
+      paramCount++;
+      whereText += ` AND created_at >= $${paramCount}`;
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      paramCount++;
+      whereText += ` AND created_at <= $${paramCount}`;
+      params.push(endDate);
+    }
+
+    const [entries, count] = await Promise.all([
+      query(
+        `SELECT * FROM ai_audit_entries
+         ${whereText}
+         ORDER BY sequence DESC
+         LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*) AS total FROM ai_audit_entries ${whereText}`, params)
+    ]);
+
+    return {
+      entries: entries.rows.map(formatEntry),
+      total: parseInt(count.rows[0].total)
+    };
   }
 
   /**
-   * Get all entries
+   * Get all entries for a task, oldest first
    */
-  getAll(limit = 100) {
-    return this.entries.slice(-limit).reverse();
+  async getByTaskId(organizationId, taskId) {
+    const result = await query(
+      `SELECT * FROM ai_audit_entries
+       WHERE organization_id = $1 AND task_id = $2
+       ORDER BY sequence ASC`,
+      [organizationId, String(taskId)]
+    );
+
+    return result.rows.map(formatEntry);
   }
 
   /**
    * Get statistics
    */
-  getStats(startDate = null, endDate = null) {
-    let entries = this.entries;
-    
-    if (startDate || endDate) {
-      const start = startDate ? new Date(startDate) : new Date(0);
-      const end = endDate ? new Date(endDate) : new Date();
-      
-      entries = entries.filter(e => {
-        const entryDate = new Date(e.timestamp);
-        return entryDate >= start && entryDate <= end;
-      });
-    }
+  async getStats(organizationId, startDate = null, endDate = null) {
+    const result = await query(
+      `SELECT
+         entry_type,
+         COUNT(*) AS count,
+         COALESCE(SUM(CASE WHEN jsonb_typeof(payload->'cost') = 'number'
+                           THEN (payload->>'cost')::NUMERIC END), 0) AS cost,
+         COUNT(*) FILTER (WHERE entry_type = 'approval' AND payload->'approved' = 'true') AS approved,
+         COUNT(*) FILTER (WHERE entry_type = 'approval' AND payload->'approved' = 'false') AS rejected,
+         COUNT(*) FILTER (WHERE payload->'approved' = 'true'
+                            AND COALESCE(payload->'needsApproval', 'false') = 'false') AS auto_approved
+       FROM ai_audit_entries
+       WHERE organization_id = $1
+         AND ($2::TIMESTAMPTZ IS NULL OR created_at >= $2)
+         AND ($3::TIMESTAMPTZ IS NULL OR created_at <= $3)
+       GROUP BY entry_type`,
+      [organizationId, startDate, endDate]
+    );
 
     const stats = {
-      total: entries.length,
+      total: 0,
       byType: {},
       totalCost: 0,
       approvedActions: 0,
@@ -223,32 +317,18 @@ class AuditLog {
       errors: 0
     };
 
-    for (const entry of entries) {
-      // Count by type
-      stats.byType[entry.type] = (stats.byType[entry.type] || 0) + 1;
-
-      // Sum costs
-      if (entry.cost) {
-        stats.totalCost += entry.cost;
-      }
-
-      // Count approvals
-      if (entry.type === 'approval') {
-        if (entry.approved) {
-          stats.approvedActions++;
-        } else {
-          stats.rejectedActions++;
-        }
-      }
+    for (const row of result.rows) {
+      const count = parseInt(row.count);
 
-      // Count auto-approvals
-      if (entry.approved && !entry.needsApproval) {
-        stats.autoApproved++;
-      }
+      stats.total += count;
+      stats.byType[row.entry_type] = count;
+      stats.totalCost += parseFloat(row.cost);
+      stats.approvedActions += parseInt(row.approved);
+      stats.rejectedActions += parseInt(row.rejected);
+      stats.autoApproved += parseInt(row.auto_approved);
 
-      // Count errors
-      if (entry.type === 'error') {
-        stats.errors++;
+      if (row.entry_type === 'error') {
+        stats.errors += count;
       }
     }
 
@@ -258,9 +338,9 @@ class AuditLog {
   /**
    * Generate report
    */
-  async generateReport({ startDate, endDate, format = 'json' }) {
-    const stats = this.getStats(startDate, endDate);
-    const entries = this.getByDateRange(startDate, endDate);
+  async generateReport({ organizationId, startDate, endDate, format = 'json' }) {
+    const stats = await this.getStats(organizationId, startDate, endDate);
+    const { entries } = await this.find(organizationId, { startDate, endDate, limit: 50 });
 
     const report = {
       generated: new Date().toISOString(),
@@ -269,7 +349,7 @@ class AuditLog {
         end: endDate
       },
       stats,
-      recentEntries: entries.slice(0, 50)
+      recentEntries: entries
     };
 
     if (format === 'json') {
@@ -281,6 +361,89 @@ class AuditLog {
     }
   }
 
+  /**
+   * Verify the hash chain of an organization
+   * Recomputes every entry's hash and checks it links to the previous one.
+   * Store the returned headHash elsewhere to also detect a rewritten chain.
+   */
+  async verify(organizationId) {
+    const result = {
+      valid: true,
+      entriesChecked: 0,
+      headSequence: null,
+      headHash: null,
+      firstInvalid: null
+    };
+
+    let expectedPrevHash = null;
+    let expectedSequence = null;
+    let afterSequence = 0;
+
+    for (;;) {
+      const batch = await query(
+        `SELECT * FROM ai_audit_entries
+         WHERE organization_id = $1 AND sequence > $2
+         ORDER BY sequence ASC
+         LIMIT $3`,
+        [organizationId, afterSequence, this.verifyBatchSize]
+      );
+
+      if (batch.rows.length === 0) {
+        break;
+      }
+
+      for (const row of batch.rows) {
+        const sequence = Number(row.sequence);
+
+        // The chain either starts at genesis or right after a retention cut
+        if (expectedSequence === null) {
+          const anchor = await this._getRetentionAnchor(organizationId, sequence);
+          expectedSequence = sequence === 1 ? 1 : anchor?.deletedThroughSequence + 1;
+          expectedPrevHash = sequence === 1 ? GENESIS_HASH : anchor?.anchorHash;
+        }
+
+        const problem =
+          sequence !== expectedSequence ? `missing entries before sequence ${sequence}` :
+          row.prev_hash !== expectedPrevHash ? 'previous hash does not match' :
+          row.hash !== hashRecord(toRecord(row)) ? 'entry content does not match its hash' :
+          null;
+
+        if (problem) {
+          result.valid = false;
+          result.firstInvalid = { id: row.id, sequence, reason: problem };
+          return result;
+        }
+
+        result.entriesChecked++;
+        result.headSequence = sequence;
+        result.headHash = row.hash;
+
+        expectedSequence = sequence + 1;
+        expectedPrevHash = row.hash;
+        afterSequence = sequence;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the retention entry that explains where the chain now starts
+   */
+  async _getRetentionAnchor(organizationId, firstSequence) {
+    const result = await query(
+      `SELECT payload FROM ai_audit_entries
+       WHERE organization_id = $1
+         AND entry_type = 'retention'
+         AND (payload->>'deletedThroughSequence')::BIGINT = $2
+       ORDER BY sequence DESC
+       LIMIT 1`,
+      [organizationId, firstSequence - 1]
+    );
+
+    return result.rows[0]?.payload || null;
+  }
+
   /**
    * Format report as Markdown
    */
@@ -317,67 +480,127 @@ ${entry.approved !== undefined ? `- **Approved:** ${entry.approved}` : ''}
   }
 
   /**
-   * Clear old entries
+   * Delete entries older than the retention period
+   * The cut is recorded as a chain entry so verify() can tell pruning
+   * apart from tampering.
    */
-  async clearOldEntries(daysToKeep = 30) {
+  async clearOldEntries(organizationId, daysToKeep = 365) {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
 
-    this.entries = this.entries.filter(e => {
-      return new Date(e.timestamp) >= cutoffDate;
-    });
+    const deleted = await transaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`ai_audit:${organizationId}`]);
 
-    logger.info(`Cleared audit entries older than ${daysToKeep} days`);
-  }
+      const last = await client.query(
+        `SELECT sequence, hash FROM ai_audit_entries
+         WHERE organization_id = $1 AND created_at < $2
+         ORDER BY sequence DESC
+         LIMIT 1`,
+        [organizationId, cutoffDate]
+      );
 
-  /**
-   * Write entry to file
-   */
-  async _writeToFile(entry) {
-    try {
-      const logDir = path.dirname(this.logFile);
-      await fs.mkdir(logDir, { recursive: true });
-      
-      const line = JSON.stringify(entry) + '\n';
-      await fs.appendFile(this.logFile, line, 'utf-8');
-    } catch (error) {
-      console.error('Failed to write to audit log file:', error);
+      if (!last.rows[0]) {
+        return null;
+      }
+
+      const result = await client.query(
+        `DELETE FROM ai_audit_entries
+         WHERE organization_id = $1 AND sequence <= $2`,
+        [organizationId, last.rows[0].sequence]
+      );
+
+      return {
+        count: result.rowCount,
+        deletedThroughSequence: Number(last.rows[0].sequence),
+        anchorHash: last.rows[0].hash
+      };
+    });
+
+    if (!deleted) {
+      return 0;
     }
+
+    await this.log({
+      organizationId,
+      type: 'retention',
+      deletedThroughSequence: deleted.deletedThroughSequence,
+      anchorHash: deleted.anchorHash,
+      cutoff: cutoffDate.toISOString(),
+      deletedCount: deleted.count
+    });
+
+    logger.info(`Cleared ${deleted.count} audit entries older than ${daysToKeep} days for organization ${organizationId}`);
+    return deleted.count;
   }
+}
 
-  /**
-   * Generate unique ID
-   */
-  _generateId() {
-    return `audit_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+/**
+ * Drop undefined values and non-JSON types so the hash is reproducible
+ */
+const normalize = (value) => JSON.parse(JSON.stringify(value ?? {}));
+
+/**
+ * JSON with sorted keys; JSONB does not keep key order
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
   }
 
-  /**
-   * Load entries from file
-   */
-  async loadFromFile() {
-    try {
-      const content = await fs.readFile(this.logFile, 'utf-8');
-      const lines = content.split('\n').filter(line => line.trim());
-      
-      this.entries = lines
-        .map(line => {
-          try {
-            return JSON.parse(line);
-          } catch (error) {
-            return null;
-          }
-        })
-        .filter(entry => entry !== null);
-
-      logger.info(`Loaded ${this.entries.length} audit entries from file`);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        logger.error('Failed to load audit log file:', error);
-      }
-    }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
   }
-}
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash an entry together with the hash of the entry before it
+ */
+const hashRecord = (record) => crypto
+  .createHash('sha256')
+  .update(canonicalize({
+    organizationId: record.organizationId,
+    sequence: record.sequence,
+    type: record.type,
+    taskId: record.taskId,
+    agentName: record.agentName,
+    createdAt: record.createdAt,
+    payload: record.payload,
+    prevHash: record.prevHash
+  }))
+  .digest('hex');
+
+/**
+ * Rebuild the hashed fields from a stored row
+ */
+const toRecord = (row) => ({
+  organizationId: row.organization_id,
+  sequence: Number(row.sequence),
+  type: row.entry_type,
+  taskId: row.task_id,
+  agentName: row.agent_name,
+  createdAt: new Date(row.created_at).toISOString(),
+  payload: row.payload,
+  prevHash: row.prev_hash
+});
+
+/**
+ * Shape a stored row like the entries the API has always returned
+ */
+const formatEntry = (row) => ({
+  ...row.payload,
+  id: row.id,
+  sequence: Number(row.sequence),
+  timestamp: new Date(row.created_at).toISOString(),
+  type: row.entry_type,
+  taskId: row.task_id,
+  agentName: row.agent_name,
+  hash: row.hash,
+  prevHash: row.prev_hash
+});
 
 // Singleton instance
 let instance = null;
@@ -387,7 +610,6 @@ module.exports = {
   getInstance: async (config) => {
     if (!instance) {
       instance = new AuditLog(config);
-      await instance.loadFromFile();
     }
     return instance;
   }
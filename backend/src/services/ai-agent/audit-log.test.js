@@ -0,0 +1,160 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { query, transaction } = require('../../config/database');
+const { AuditLog } = require('./audit-log');
+
+const ORG = '00000000-0000-0000-0000-000000000001';
+
+/**
+ * In-memory ai_audit_entries table answering the statements AuditLog runs
+ */
+const createTable = () => {
+  const rows = [];
+
+  const run = async (sql, params = []) => {
+    if (sql.includes('pg_advisory_xact_lock')) {
+      return { rows: [] };
+    }
+
+    if (sql.includes('SELECT sequence, hash FROM ai_audit_entries')) {
+      const last = rows.filter(row => row.organization_id === params[0]).slice(-1);
+      return { rows: last };
+    }
+
+    if (sql.includes('INSERT INTO ai_audit_entries')) {
+      const row = {
+        id: `entry-${rows.length + 1}`,
+        organization_id: params[0],
+        sequence: String(params[1]),
+        entry_type: params[2],
+        task_id: params[3],
+        agent_name: params[4],
+        payload: JSON.parse(params[5]),
+        prev_hash: params[6],
+        hash: params[7],
+        created_at: new Date(params[8]),
+      };
+      rows.push(row);
+      return { rows: [row] };
+    }
+
+    if (sql.includes('SELECT * FROM ai_audit_entries')) {
+      const [organizationId, afterSequence, limit] = params;
+      return {
+        rows: rows
+          .filter(row => row.organization_id === organizationId && Number(row.sequence) > afterSequence)
+          .slice(0, limit),
+      };
+    }
+
+    if (sql.includes("entry_type = 'retention'")) {
+      return {
+        rows: rows.filter(row => row.entry_type === 'retention'
+          && row.payload.deletedThroughSequence === params[1]),
+      };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return { rows, run };
+};
+
+describe('AuditLog.verify', () => {
+  let table;
+  let auditLog;
+
+  beforeEach(async () => {
+    table = createTable();
+    query.mockImplementation(table.run);
+    transaction.mockImplementation(callback => callback({ query: table.run }));
+
+    // Small batches so verification crosses a page boundary
+    auditLog = new AuditLog({ verifyBatchSize: 2 });
+    for (let i = 1; i <= 5; i++) {
+      await auditLog.log({ organizationId: ORG, type: 'code_generation', taskId: `task-${i}`, cost: i });
+    }
+  });
+
+  it('accepts an untouched chain', async () => {
+    const result = await auditLog.verify(ORG);
+
+    expect(result).toEqual({
+      valid: true,
+      entriesChecked: 5,
+      headSequence: 5,
+      headHash: table.rows[4].hash,
+      firstInvalid: null,
+    });
+  });
+
+  it('links every entry to the hash of the one before it', () => {
+    expect(table.rows[0].prev_hash).toBe('0'.repeat(64));
+    for (let i = 1; i < table.rows.length; i++) {
+      expect(table.rows[i].prev_hash).toBe(table.rows[i - 1].hash);
+    }
+  });
+
+  it('reports an edited entry', async () => {
+    table.rows[2].payload.cost = 0;
+
+    const result = await auditLog.verify(ORG);
+
+    expect(result.valid).toBe(false);
+    expect(result.entriesChecked).toBe(2);
+    expect(result.firstInvalid).toEqual({
+      id: 'entry-3',
+      sequence: 3,
+      reason: 'entry content does not match its hash',
+    });
+  });
+
+  it('reports an entry re-hashed without fixing the next link', async () => {
+    const crypto = require('crypto');
+    table.rows[1].hash = crypto.createHash('sha256').update('forged').digest('hex');
+
+    const result = await auditLog.verify(ORG);
+
+    expect(result.firstInvalid.sequence).toBe(2);
+    expect(result.firstInvalid.reason).toBe('entry content does not match its hash');
+  });
+
+  it('reports a deleted entry', async () => {
+    table.rows.splice(3, 1);
+
+    const result = await auditLog.verify(ORG);
+
+    expect(result.valid).toBe(false);
+    expect(result.firstInvalid).toEqual({
+      id: 'entry-5',
+      sequence: 5,
+      reason: 'missing entries before sequence 5',
+    });
+  });
+
+  it('accepts a chain pruned by a retention cut', async () => {
+    const [, anchor] = table.rows.splice(0, 2);
+    await auditLog.log({
+      organizationId: ORG,
+      type: 'retention',
+      deletedThroughSequence: 2,
+      anchorHash: anchor.hash,
+    });
+
+    const result = await auditLog.verify(ORG);
+
+    expect(result.valid).toBe(true);
+    expect(result.entriesChecked).toBe(4);
+    expect(result.headSequence).toBe(6);
+  });
+
+  it('reports a chain whose first entries were removed without a retention record', async () => {
+    table.rows.splice(0, 2);
+
+    const result = await auditLog.verify(ORG);
+
+    expect(result.valid).toBe(false);
+    expect(result.firstInvalid.sequence).toBe(3);
+  });
+});
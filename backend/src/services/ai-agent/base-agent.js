@@ -9,21 +9,52 @@ const logger = require('../../utils/logger');
 class BaseAgent {
   constructor(config = {}) {
     this.name = config.name || 'BaseAgent';
-    this.llm = getLLM();
+    this.organizationId = config.organizationId || null;
+    this.userId = config.userId || null;
+
+    // Every LLM call is billed to the organization and checked against its budget
+    this.llm = getLLM().withContext({
+      organizationId: this.organizationId,
+      userId: this.userId,
+      agentName: this.name
+    });
     this.tools = new Map();
     this.context = {};
     this.steps = [];
     this.provider = config.provider || 'anthropic';
+
+    // Streaming hooks: `onStep` sees each reasoning step, `onChunk` the
+    // generated text, and aborting `signal` stops the run between steps
+    this.onStep = config.onStep || null;
+    this.onChunk = config.onChunk || null;
+    this.signal = config.signal || null;
+    this.usage = { tokensUsed: 0, cost: 0, calls: [] };
+    this.maxToolIterations = config.maxToolIterations || 10;
   }
 
   /**
    * Register a tool for the agent to use
+   * `parameters` is the JSON schema the model sees when it can call the tool.
    */
-  registerTool(name, handler, description) {
+  registerTool(name, handler, description, parameters = { type: 'object', properties: {} }) {
     this.tools.set(name, {
       name,
       handler,
-      description
+      description,
+      parameters
+    });
+  }
+
+  /**
+   * Get function definitions for tools, as sent to the model
+   */
+  getToolDefinitions(names = Array.from(this.tools.keys())) {
+    return names.map(name => {
+      const tool = this.tools.get(name);
+      if (!tool) {
+        throw new Error(`Tool ${name} not found`);
+      }
+      return { name: tool.name, description: tool.description, parameters: tool.parameters };
     });
   }
 
@@ -79,9 +110,97 @@ class BaseAgent {
     };
     this.steps.push(stepData);
     logger.info(`[${this.name}] Step: ${step}`, data);
+
+    if (this.onStep) {
+      this.onStep(stepData);
+    }
+
     return stepData;
   }
 
+  /**
+   * Add the tokens and cost of an LLM call to this run
+   */
+  trackUsage(result) {
+    this.usage.tokensUsed += result.tokensUsed || 0;
+    this.usage.cost += result.cost || 0;
+
+    // Which provider answered, since a fallback may have stood in for the requested one
+    this.usage.calls.push({
+      provider: result.provider,
+      requestedProvider: result.requestedProvider,
+      model: result.model
+    });
+  }
+
+  /**
+   * Let the model call tools until it answers
+   * Sends the tools as function definitions, runs each call the model makes
+   * and feeds the results back. Tool failures go back to the model as errors
+   * so it can recover; the loop stops after `maxIterations` model turns.
+   */
+  async runToolLoop({
+    prompt,
+    systemPrompt,
+    tools = Array.from(this.tools.keys()),
+    maxIterations = this.maxToolIterations,
+    temperature = 0.2,
+    maxTokens = 4096
+  }) {
+    const definitions = this.getToolDefinitions(tools);
+    const messages = [{ role: 'user', content: prompt }];
+    const toolCalls = [];
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      this.signal?.throwIfAborted();
+
+      const result = await this.llm.complete({
+        provider: this.provider,
+        systemPrompt,
+        messages,
+        tools: definitions,
+        temperature,
+        maxTokens
+      });
+      this.trackUsage(result);
+
+      if (!result.toolCalls?.length) {
+        this.logStep('TOOL_LOOP_COMPLETE', { iterations: iteration, toolCalls: toolCalls.length });
+        return { text: result.text, iterations: iteration, toolCalls, messages };
+      }
+
+      messages.push({ role: 'assistant', content: result.text, toolCalls: result.toolCalls });
+
+      for (const call of result.toolCalls) {
+        this.signal?.throwIfAborted();
+        this.logStep('TOOL_CALL', { iteration, tool: call.name, input: call.input });
+
+        // Only offered tools may run, whatever the model asks for
+        const outcome = tools.includes(call.name)
+          ? await this.executeTool(call.name, call.input || {})
+          : { success: false, error: `Tool ${call.name} is not available` };
+
+        this.logStep('TOOL_RESULT', { iteration, tool: call.name, success: outcome.success, error: outcome.error });
+        toolCalls.push({ iteration, tool: call.name, input: call.input, success: outcome.success });
+
+        messages.push({
+          role: 'tool',
+          toolCallId: call.id,
+          name: call.name,
+          content: formatToolOutput(outcome),
+          isError: !outcome.success
+        });
+      }
+    }
+
+    this.logStep('TOOL_LOOP_LIMIT', { iterations: maxIterations, toolCalls: toolCalls.length });
+
+    const error = new Error(`${this.name} stopped after ${maxIterations} tool iterations without an answer`);
+    // Another run would make the same calls
+    error.retryable = false;
+    throw error;
+  }
+
   /**
    * Get all reasoning steps
    */
@@ -102,26 +221,32 @@ class BaseAgent {
    */
   async reason(task) {
     this.clearSteps();
+    this.usage = { tokensUsed: 0, cost: 0, calls: [] };
     this.logStep('START', { task });
 
     try {
       // Step 1: Analyze
+      this.signal?.throwIfAborted();
       const analysis = await this.analyze(task);
       this.logStep('ANALYZE', { analysis });
 
       // Step 2: Plan
+      this.signal?.throwIfAborted();
       const plan = await this.plan(analysis);
       this.logStep('PLAN', { plan });
 
       // Step 3: Implement
+      this.signal?.throwIfAborted();
       const implementation = await this.implement(plan);
       this.logStep('IMPLEMENT', { implementation });
 
       // Step 4: Test
+      this.signal?.throwIfAborted();
       const testResults = await this.test(implementation);
       this.logStep('TEST', { testResults });
 
       // Step 5: Validate
+      this.signal?.throwIfAborted();
       const validation = await this.validate(testResults);
       this.logStep('VALIDATE', { validation });
 
@@ -134,6 +259,7 @@ class BaseAgent {
         implementation,
         testResults,
         validation,
+        usage: this.usage,
         steps: this.getSteps()
       };
     } catch (error) {
@@ -196,4 +322,21 @@ class BaseAgent {
   }
 }
 
+// Tool output goes back into the prompt, so large results are cut short
+const MAX_TOOL_OUTPUT = 20000;
+
+const formatToolOutput = (outcome) => {
+  const output = outcome.success
+    ? (typeof outcome.result === 'string' ? outcome.result : JSON.stringify(outcome.result))
+    : `Error: ${outcome.error}`;
+
+  if (output === undefined) {
+    return '';
+  }
+
+  return output.length > MAX_TOOL_OUTPUT
+    ? `${output.slice(0, MAX_TOOL_OUTPUT)}\n[truncated ${output.length - MAX_TOOL_OUTPUT} characters]`
+    : output;
+};
+
 module.exports = BaseAgent;
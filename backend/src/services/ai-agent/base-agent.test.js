@@ -0,0 +1,107 @@
+jest.mock('../llm/manager', () => ({ getInstance: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { getInstance: getLLM } = require('../llm/manager');
+const BaseAgent = require('./base-agent');
+
+const answer = (text) => ({ text, tokensUsed: 10, cost: 0.001 });
+const callTools = (...calls) => ({
+  text: '',
+  tokensUsed: 10,
+  cost: 0.001,
+  toolCalls: calls.map(([name, input], i) => ({ id: `call-${i}`, name, input }))
+});
+
+describe('BaseAgent.runToolLoop', () => {
+  let llm;
+  let agent;
+  let readFile;
+
+  beforeEach(() => {
+    llm = { complete: jest.fn() };
+    getLLM.mockReturnValue({ withContext: () => llm });
+
+    agent = new BaseAgent({ name: 'TestAgent', maxToolIterations: 3 });
+    readFile = jest.fn().mockResolvedValue('module.exports = 1;');
+    agent.registerTool('readFile', readFile, 'Read a file', { type: 'object', properties: { path: { type: 'string' } } });
+    agent.registerTool('writeFile', jest.fn(), 'Write a file');
+  });
+
+  const steps = (name) => agent.getSteps().filter(step => step.step === name);
+
+  it('runs the tools the model calls and feeds the results back', async () => {
+    llm.complete
+      .mockResolvedValueOnce(callTools(['readFile', { path: 'index.js' }]))
+      .mockResolvedValueOnce(answer('{"done":true}'));
+
+    const result = await agent.runToolLoop({ prompt: 'Analyze', tools: ['readFile'] });
+
+    expect(result).toMatchObject({ text: '{"done":true}', iterations: 2 });
+    expect(readFile).toHaveBeenCalledWith({ path: 'index.js' });
+    expect(llm.complete.mock.calls[0][0].tools).toEqual([
+      { name: 'readFile', description: 'Read a file', parameters: { type: 'object', properties: { path: { type: 'string' } } } }
+    ]);
+
+    const { messages } = llm.complete.mock.calls[1][0];
+    expect(messages[2]).toEqual({
+      role: 'tool',
+      toolCallId: 'call-0',
+      name: 'readFile',
+      content: expect.stringContaining('module.exports = 1;'),
+      isError: false
+    });
+    expect(agent.usage.tokensUsed).toBe(20);
+  });
+
+  it('logs each call and its result', async () => {
+    llm.complete
+      .mockResolvedValueOnce(callTools(['readFile', { path: 'a.js' }], ['readFile', { path: 'b.js' }]))
+      .mockResolvedValueOnce(answer('ok'));
+
+    await agent.runToolLoop({ prompt: 'Analyze', tools: ['readFile'] });
+
+    expect(steps('TOOL_CALL')).toEqual([
+      expect.objectContaining({ iteration: 1, tool: 'readFile', input: { path: 'a.js' } }),
+      expect.objectContaining({ iteration: 1, tool: 'readFile', input: { path: 'b.js' } })
+    ]);
+    expect(steps('TOOL_RESULT')).toEqual([
+      expect.objectContaining({ iteration: 1, tool: 'readFile', success: true }),
+      expect.objectContaining({ iteration: 1, tool: 'readFile', success: true })
+    ]);
+    expect(steps('TOOL_LOOP_COMPLETE')).toEqual([expect.objectContaining({ iterations: 2, toolCalls: 2 })]);
+  });
+
+  it('refuses tools that were not offered', async () => {
+    llm.complete
+      .mockResolvedValueOnce(callTools(['writeFile', { path: 'index.js', content: 'pwned' }]))
+      .mockResolvedValueOnce(answer('ok'));
+
+    const result = await agent.runToolLoop({ prompt: 'Analyze', tools: ['readFile'] });
+
+    expect(agent.tools.get('writeFile').handler).not.toHaveBeenCalled();
+    expect(result.toolCalls).toEqual([expect.objectContaining({ tool: 'writeFile', success: false })]);
+    expect(steps('TOOL_RESULT')[0]).toMatchObject({ tool: 'writeFile', success: false, error: 'Tool writeFile is not available' });
+    expect(llm.complete.mock.calls[1][0].messages[2]).toMatchObject({ role: 'tool', isError: true });
+  });
+
+  it('sends tool failures back to the model', async () => {
+    readFile.mockRejectedValueOnce(new Error('ENOENT'));
+    llm.complete
+      .mockResolvedValueOnce(callTools(['readFile', { path: 'missing.js' }]))
+      .mockResolvedValueOnce(answer('ok'));
+
+    await agent.runToolLoop({ prompt: 'Analyze', tools: ['readFile'] });
+
+    expect(llm.complete.mock.calls[1][0].messages[2]).toMatchObject({ isError: true, content: expect.stringContaining('ENOENT') });
+  });
+
+  it('stops after the iteration limit', async () => {
+    llm.complete.mockResolvedValue(callTools(['readFile', { path: 'index.js' }]));
+
+    await expect(agent.runToolLoop({ prompt: 'Analyze', tools: ['readFile'] }))
+      .rejects.toMatchObject({ message: 'TestAgent stopped after 3 tool iterations without an answer', retryable: false });
+
+    expect(llm.complete).toHaveBeenCalledTimes(3);
+    expect(steps('TOOL_LOOP_LIMIT')).toEqual([expect.objectContaining({ iterations: 3, toolCalls: 3 })]);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Change Rollback
+ * Undoes a change an agent applied to a repository
+ *
+ * Works from the commits recorded in the audit log:
+ *   merged PR      a revert branch and PR against the PR's base branch
+ *   open PR        a revert commit on the PR branch, then the PR is closed
+ *   branch only    a revert commit on the branch
+ * The revert PR is opened for review, not merged.
+ */
+
+const { query, transaction } = require('../../config/database');
+const GitHubExecutor = require('./github-executor');
+const { getInstance: getAuditLog } = require('./audit-log');
+const logger = require('../../utils/logger');
+
+class ChangeRollback {
+  /**
+   * Roll back the change applied by a task
+   * A lock on the task is held until the rollback is in the audit log, so
+   * concurrent requests cannot both pass the "already rolled back" check.
+   */
+  async rollback(taskId, organizationId, user, reason) {
+    return transaction(async (client) => {
+      const lock = await client.query(
+        `SELECT pg_try_advisory_xact_lock(hashtext($1)) AS acquired`,
+        [`change_rollback:${organizationId}:${taskId}`]
+      );
+
+      if (!lock.rows[0].acquired) {
+        throw httpError(409, 'This change is already being rolled back');
+      }
+
+      return this._rollback(taskId, organizationId, user, reason);
+    });
+  }
+
+  /**
+   * Revert the change once the task is locked
+   */
+  async _rollback(taskId, organizationId, user, reason) {
+    const auditLog = await getAuditLog();
+    const entries = await auditLog.getByTaskId(organizationId, taskId);
+    const commits = entries.filter(entry => entry.type === 'commit' && entry.commitSha);
+
+    if (commits.length === 0) {
+      throw httpError(404, 'No applied change recorded for this task');
+    }
+
+    if (entries.some(entry => entry.type === 'rollback')) {
+      throw httpError(409, 'This change has already been rolled back');
+    }
+
+    const applied = commits[commits.length - 1];
+    if (!applied.repository) {
+      throw httpError(409, 'No repository recorded for this change');
+    }
+
+    const executor = await GitHubExecutor.forRepository(organizationId, { fullName: applied.repository });
+    const repository = executor.repository.fullName;
+
+    const pullRequest = applied.prNumber
+      ? await executor.getPullRequest({ number: applied.prNumber })
+      : null;
+
+    let rollback;
+    if (pullRequest?.merged) {
+      rollback = await this._revertMerged(executor, pullRequest, applied, taskId, reason);
+    } else if (!pullRequest || pullRequest.state === 'open') {
+      rollback = await this._revertBranch(executor, pullRequest, applied, taskId, reason);
+    } else {
+      throw httpError(409, `PR #${pullRequest.number} was closed without merging, nothing to roll back`);
+    }
+
+    rollback = {
+      ...rollback,
+      repository,
+      revertedPrNumber: pullRequest?.number || null,
+      reason,
+      rolledBackBy: user.id,
+      rolledBackAt: new Date().toISOString()
+    };
+
+    await this._linkToTask(taskId, organizationId, rollback);
+
+    await auditLog.logRollback({
+      organizationId,
+      taskId,
+      reason,
+      branch: rollback.branch,
+      commitSha: rollback.commitSha,
+      mode: rollback.mode,
+      repository,
+      prNumber: rollback.pullRequest?.number,
+      revertedPrNumber: rollback.revertedPrNumber,
+      rolledBackBy: user.id
+    });
+
+    logger.info(`Rolled back task ${taskId} in ${repository} (${rollback.mode})`);
+    return rollback;
+  }
+
+  /**
+   * Open a PR that reverts a merged PR
+   */
+  async _revertMerged(executor, pullRequest, applied, taskId, reason) {
+    const branchName = `revert/pr-${pullRequest.number}-${Date.now().toString().slice(-6)}`;
+    await executor.createBranch({ branchName, fromBranch: pullRequest.base });
+
+    const commit = await executor.commitRevert({
+      branchName,
+      commitSha: pullRequest.mergeCommitSha,
+      files: applied.files || [],
+      message: `Revert "${pullRequest.title}"\n\nThis reverts #${pullRequest.number} (${pullRequest.mergeCommitSha}).\nReason: ${reason}`
+    });
+
+    const revertPullRequest = await executor.createPullRequest({
+      title: `Revert "${pullRequest.title}"`,
+      body: `Reverts #${pullRequest.number}, applied by agent task \`${taskId}\`.\n\n**Reason:** ${reason}`,
+      head: branchName,
+      base: pullRequest.base
+    });
+
+    return {
+      mode: 'revert_pull_request',
+      branch: branchName,
+      commitSha: commit.commit,
+      pullRequest: revertPullRequest
+    };
+  }
+
+  /**
+   * Revert the change on its own unmerged branch and close its PR
+   */
+  async _revertBranch(executor, pullRequest, applied, taskId, reason) {
+    const branchName = pullRequest?.head || applied.branch;
+
+    const commit = await executor.commitRevert({
+      branchName,
+      commitSha: applied.commitSha,
+      files: applied.files || [],
+      message: `Revert agent task ${taskId}\n\nReason: ${reason}`
+    });
+
+    if (pullRequest) {
+      await executor.addPRComment({ number: pullRequest.number, body: `Rolled back: ${reason}` });
+      await executor.updatePullRequest({ number: pullRequest.number, state: 'closed' });
+    }
+
+    return {
+      mode: 'branch_revert',
+      branch: branchName,
+      commitSha: commit.commit,
+      pullRequest: null
+    };
+  }
+
+  /**
+   * Record the rollback on the agent task, for changes applied through one
+   * Changes applied inside a request have no task row; the audit log links those.
+   */
+  async _linkToTask(taskId, organizationId, rollback) {
+    await query(
+      `UPDATE agent_tasks t
+       SET output_data = COALESCE(t.output_data, '{}'::jsonb) || jsonb_build_object('rollback', $3::jsonb),
+           updated_at = NOW()
+       FROM agents a
+       WHERE t.id::text = $1
+         AND a.id = t.agent_id
+         AND a.organization_id = $2`,
+      [String(taskId), organizationId, JSON.stringify(rollback)]
+    );
+  }
+}
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Export singleton instance
+module.exports = new ChangeRollback();
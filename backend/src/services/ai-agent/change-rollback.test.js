@@ -0,0 +1,79 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('./github-executor', () => ({ forRepository: jest.fn() }));
+jest.mock('./audit-log', () => ({ getInstance: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { query, transaction } = require('../../config/database');
+const GitHubExecutor = require('./github-executor');
+const { getInstance: getAuditLog } = require('./audit-log');
+const changeRollback = require('./change-rollback');
+
+const ORG = 'org-1';
+const USER = { id: 'user-1' };
+
+describe('ChangeRollback.rollback', () => {
+  let entries;
+  let executor;
+  let held;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    held = new Set();
+
+    // Advisory locks held by open transactions, released when they end
+    transaction.mockImplementation(async (callback) => {
+      const keys = [];
+      const client = {
+        query: jest.fn(async (sql, [key]) => {
+          const acquired = !held.has(key);
+          if (acquired) {
+            held.add(key);
+            keys.push(key);
+          }
+          return { rows: [{ acquired }] };
+        })
+      };
+      try {
+        return await callback(client);
+      } finally {
+        keys.forEach(key => held.delete(key));
+      }
+    });
+    query.mockResolvedValue({ rows: [] });
+
+    entries = [{ type: 'commit', commitSha: 'abc', branch: 'ai/fix', repository: 'acme/web', files: ['src/a.js'] }];
+    getAuditLog.mockResolvedValue({
+      getByTaskId: jest.fn(async () => entries),
+      logRollback: jest.fn(async (rollback) => { entries.push({ type: 'rollback', ...rollback }); })
+    });
+
+    executor = {
+      repository: { fullName: 'acme/web' },
+      commitRevert: jest.fn().mockResolvedValue({ commit: 'def' })
+    };
+    GitHubExecutor.forRepository.mockResolvedValue(executor);
+  });
+
+  it('reverts the change on its branch', async () => {
+    await expect(changeRollback.rollback('task-1', ORG, USER, 'broke the build'))
+      .resolves.toMatchObject({ mode: 'branch_revert', commitSha: 'def', repository: 'acme/web' });
+  });
+
+  it('reverts only once when two rollbacks race', async () => {
+    const results = await Promise.allSettled([
+      changeRollback.rollback('task-1', ORG, USER, 'first'),
+      changeRollback.rollback('task-1', ORG, USER, 'second')
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ statusCode: 409 });
+    expect(executor.commitRevert).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a change that was already rolled back', async () => {
+    await changeRollback.rollback('task-1', ORG, USER, 'first');
+
+    await expect(changeRollback.rollback('task-1', ORG, USER, 'again')).rejects.toMatchObject({ statusCode: 409 });
+    expect(executor.commitRevert).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Change Sets
+ * A list of file operations that are reviewed and committed together
+ *
+ * Each change is one of:
+ *   { operation: 'create', path, content }
+ *   { operation: 'modify', path, content, originalContent }
+ *   { operation: 'delete', path, originalContent }
+ *   { operation: 'rename', previousPath, path, content?, originalContent }
+ * A rename without `content` keeps the file as it is. Every change gets a
+ * unified `diff` against its original.
+ */
+
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+
+const OPERATIONS = ['create', 'modify', 'delete', 'rename'];
+
+/**
+ * Validate changes and attach a unified diff to each
+ * Throws a 400 error for malformed sets.
+ */
+const buildChangeSet = (changes = []) => {
+  if (!Array.isArray(changes)) {
+    throw invalid('Changes must be a list');
+  }
+
+  const seen = new Set();
+
+  return changes.map((change, index) => {
+    const operation = change.operation || 'modify';
+    const filePath = normalizePath(change.path, `changes[${index}].path`);
+
+    if (!OPERATIONS.includes(operation)) {
+      throw invalid(`Unknown operation "${operation}" for ${filePath}`);
+    }
+
+    const previousPath = operation === 'rename'
+      ? normalizePath(change.previousPath, `changes[${index}].previousPath`)
+      : null;
+
+    for (const touched of [filePath, previousPath].filter(Boolean)) {
+      if (seen.has(touched)) {
+        throw invalid(`${touched} appears in more than one change`);
+      }
+      seen.add(touched);
+    }
+
+    if ((operation === 'create' || operation === 'modify') && typeof change.content !== 'string') {
+      throw invalid(`${operation} of ${filePath} needs content`);
+    }
+
+    const originalContent = operation === 'create' ? '' : (change.originalContent || '');
+    // null means the file is deleted, or renamed without edits
+    const content = typeof change.content === 'string' && operation !== 'delete' ? change.content : null;
+
+    return {
+      operation,
+      path: filePath,
+      ...(previousPath ? { previousPath } : {}),
+      content,
+      originalContent,
+      description: change.description || null,
+      diff: createTwoFilesPatch(
+        operation === 'create' ? '/dev/null' : `a/${previousPath || filePath}`,
+        operation === 'delete' ? '/dev/null' : `b/${filePath}`,
+        originalContent,
+        content === null && operation === 'rename' ? originalContent : (content || '')
+      )
+    };
+  });
+};
+
+/**
+ * Change set for a single generated file
+ */
+const singleFileChangeSet = ({ path: filePath, content, originalContent = '' }) => {
+  if (!filePath || typeof content !== 'string') {
+    return [];
+  }
+
+  return buildChangeSet([{
+    operation: originalContent ? 'modify' : 'create',
+    path: filePath,
+    content,
+    originalContent
+  }]);
+};
+
+/**
+ * Files with new content, for syntax, lint and security checks
+ */
+const changedSources = (changeSet) => changeSet.filter(change => change.content !== null);
+
+/**
+ * Every path a change set touches
+ */
+const touchedPaths = (changeSet) =>
+  changeSet.flatMap(change => [change.previousPath, change.path].filter(Boolean));
+
+/**
+ * All diffs in one patch, in change order
+ */
+const combinedDiff = (changeSet) => changeSet.map(change => change.diff).join('\n');
+
+/**
+ * Files touched and lines added and removed
+ */
+const summarize = (changeSet) => {
+  const summary = { files: changeSet.length, additions: 0, deletions: 0, operations: {} };
+
+  for (const change of changeSet) {
+    summary.operations[change.operation] = (summary.operations[change.operation] || 0) + 1;
+
+    for (const line of change.diff.split('\n')) {
+      if (line.startsWith('+') && !line.startsWith('+++')) {
+        summary.additions++;
+      } else if (line.startsWith('-') && !line.startsWith('---')) {
+        summary.deletions++;
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Repository paths must be relative and stay inside the repository
+ */
+const normalizePath = (filePath, field) => {
+  if (typeof filePath !== 'string' || filePath.trim() === '') {
+    throw invalid(`${field} is required`);
+  }
+
+  const normalized = path.posix.normalize(filePath.trim().replace(/\\/g, '/'));
+  if (normalized.startsWith('/') || normalized === '..' || normalized.startsWith('../') || normalized === '.') {
+    throw invalid(`${field} must be a path inside the repository`);
+  }
+
+  return normalized;
+};
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  // The same change set fails the same way on retry
+  error.retryable = false;
+  return error;
+};
+
+module.exports = {
+  OPERATIONS,
+  buildChangeSet,
+  singleFileChangeSet,
+  changedSources,
+  touchedPaths,
+  combinedDiff,
+  summarize
+};
@@ -7,19 +7,44 @@ const BaseAgent = require('./base-agent');
 const { readFile, writeFile, parseCode, runLinter, runFormatter } = require('./tools/file-tools');
 const { runTests } = require('./tools/test-tools');
 const { checkSecurity } = require('./tools/security-tools');
+const { searchCode } = require('./tools/search-tools');
+const schemas = require('./tools/schemas');
+const { buildChangeSet, singleFileChangeSet, changedSources } = require('./change-set');
+const codeIndexService = require('../code-index.service');
+const logger = require('../../utils/logger');
+
+// Task types that produce file changes
+const MULTI_FILE_TYPES = ['generate', 'fix', 'refactor'];
+
+// Tools the model may call on its own; writes stay in the fixed pipeline
+const READ_ONLY_TOOLS = ['parseCode', 'runLinter', 'checkSecurity'];
+// Read-only tools that need a checkout of the repository
+const SANDBOX_TOOLS = ['readFile', 'runTests'];
+
+const CHANGE_SET_INSTRUCTIONS = {
+  generate: 'Implement this feature',
+  fix: 'Fix this issue',
+  refactor: 'Refactor these files with this goal'
+};
 
 class CodeAgent extends BaseAgent {
   constructor(config = {}) {
     super({ ...config, name: 'CodeAgent' });
+
+    // Checkout of the target repository; file and test tools only work inside it
+    this.sandbox = config.sandbox || null;
+    // Indexed repository to search, as { id } or { fullName }
+    this.repository = config.repository || null;
     
     // Register tools
-    this.registerTool('readFile', readFile, 'Read a file from the filesystem');
-    this.registerTool('writeFile', writeFile, 'Write content to a file');
-    this.registerTool('parseCode', parseCode, 'Parse code to AST');
-    this.registerTool('runLinter', runLinter, 'Run linter on code');
-    this.registerTool('runFormatter', runFormatter, 'Format code');
-    this.registerTool('runTests', runTests, 'Run test suite');
-    this.registerTool('checkSecurity', checkSecurity, 'Check code for security issues');
+    this.registerTool('readFile', this._inSandbox(readFile), 'Read a file from the repository', schemas.readFile);
+    this.registerTool('writeFile', this._inSandbox(writeFile), 'Write content to a file in the repository', schemas.writeFile);
+    this.registerTool('parseCode', parseCode, 'Parse code to AST', schemas.parseCode);
+    this.registerTool('runLinter', runLinter, 'Run linter on code', schemas.runLinter);
+    this.registerTool('runFormatter', runFormatter, 'Format code', schemas.runFormatter);
+    this.registerTool('runTests', this._inSandbox(runTests), 'Run the repository test suite', schemas.runTests);
+    this.registerTool('checkSecurity', checkSecurity, 'Check code for security issues', schemas.checkSecurity);
+    this.registerTool('searchCode', this._inRepository(searchCode), 'Search the repository for relevant code', schemas.searchCode);
   }
 
   /**
@@ -27,6 +52,7 @@ class CodeAgent extends BaseAgent {
    */
   async analyze(task) {
     const { type, description, filePath, code } = task;
+    const retrieved = await this._retrieveContext(task);
 
     const prompt = `Analyze this coding task:
 
@@ -34,6 +60,7 @@ Type: ${type}
 Description: ${description}
 ${filePath ? `File: ${filePath}` : ''}
 ${code ? `\nExisting code:\n\`\`\`\n${code}\n\`\`\`` : ''}
+${retrieved ? `\nRelevant code from the repository:\n\`\`\`\n${retrieved.text}\n\`\`\`` : ''}
 
 Provide analysis as JSON:
 {
@@ -46,13 +73,32 @@ Provide analysis as JSON:
   "dependencies": [...]
 }`;
 
-    const result = await this.llm.complete({
-      provider: this.provider,
-      prompt,
-      systemPrompt: 'You are an expert software architect. Analyze tasks precisely.',
-      temperature: 0.3,
-      maxTokens: 1024
-    });
+    const systemPrompt = 'You are an expert software architect. Analyze tasks precisely.';
+    let result;
+
+    // With a repository to look at, the model reads files and runs checks
+    // before it commits to an analysis; `useTools: false` turns this off
+    const useTools = (task.useTools ?? Boolean(this.sandbox || this.repository))
+      && this.llm.supportsTools(this.provider);
+
+    if (useTools) {
+      result = await this.runToolLoop({
+        prompt,
+        systemPrompt: `${systemPrompt} Use the tools to inspect the code when it helps, then answer with the JSON only.`,
+        tools: this._analysisTools(),
+        temperature: 0.3,
+        maxTokens: 1024
+      });
+    } else {
+      result = await this.llm.complete({
+        provider: this.provider,
+        prompt,
+        systemPrompt,
+        temperature: 0.3,
+        maxTokens: 1024
+      });
+      this.trackUsage(result);
+    }
 
     try {
       return JSON.parse(result.text);
@@ -96,6 +142,7 @@ Provide a detailed plan as JSON:
       temperature: 0.3,
       maxTokens: 2048
     });
+    this.trackUsage(result);
 
     try {
       return JSON.parse(result.text);
@@ -120,6 +167,11 @@ Provide a detailed plan as JSON:
 
     let implementation = {};
 
+    // With several files in play the model answers with a change set
+    if (task.files?.length && MULTI_FILE_TYPES.includes(type)) {
+      return this._generateChangeSet(task);
+    }
+
     switch (type) {
       case 'generate':
         implementation = await this._generateCode(description, task);
@@ -140,11 +192,20 @@ Provide a detailed plan as JSON:
         throw new Error(`Unknown task type: ${type}`);
     }
 
+    if (MULTI_FILE_TYPES.includes(type)) {
+      implementation.changeSet = singleFileChangeSet({
+        path: filePath,
+        content: implementation.code,
+        originalContent: await this._baseContent(filePath, code)
+      });
+    }
+
     return implementation;
   }
 
   /**
    * Step 4: Test the implementation
+   * Every file with new content is parsed, linted and security checked.
    */
   async test(implementation) {
     const results = {
@@ -154,46 +215,61 @@ Provide a detailed plan as JSON:
       security: { passed: false, issues: [] }
     };
 
+    const task = this.getContext('task');
+    const sources = implementation.changeSet?.length
+      ? changedSources(implementation.changeSet)
+      : (implementation.code ? [{ path: task.filePath, content: implementation.code }] : []);
+    const language = implementation.language || 'javascript';
+    // Name the file in messages once there is more than one
+    const label = (source, message) => (sources.length > 1 ? `${source.path}: ${message}` : message);
+
     try {
-      // 1. Syntax check (parse code)
-      if (implementation.code) {
+      if (sources.length > 0) {
+        results.syntax.passed = true;
+        results.linter.passed = true;
+        results.security.passed = true;
+      }
+
+      for (const source of sources) {
+        // 1. Syntax check (parse code)
         const parseResult = await this.executeTool('parseCode', {
-          code: implementation.code,
-          language: implementation.language || 'javascript'
+          code: source.content,
+          language
         });
-        results.syntax.passed = parseResult.success;
         if (!parseResult.success) {
-          results.syntax.errors.push(parseResult.error);
+          results.syntax.passed = false;
+          results.syntax.errors.push(label(source, parseResult.error));
         }
-      }
 
-      // 2. Linter check
-      if (implementation.code) {
+        // 2. Linter check
         const lintResult = await this.executeTool('runLinter', {
-          code: implementation.code,
-          language: implementation.language || 'javascript'
+          code: source.content,
+          language,
+          filePath: source.path
         });
-        results.linter.passed = lintResult.success;
-        results.linter.warnings = lintResult.result?.warnings || [];
-      }
+        results.linter.passed = results.linter.passed && lintResult.success;
+        results.linter.warnings.push(...(lintResult.result?.warnings || []).map(warning => label(source, warning)));
 
-      // 3. Security check
-      if (implementation.code) {
+        // 3. Security check
         const securityResult = await this.executeTool('checkSecurity', {
-          code: implementation.code,
-          language: implementation.language || 'javascript'
+          code: source.content,
+          language
         });
-        results.security.passed = securityResult.result?.passed || false;
-        results.security.issues = securityResult.result?.issues || [];
+        results.security.passed = results.security.passed && (securityResult.result?.passed || false);
+        results.security.issues.push(...(securityResult.result?.issues || []));
       }
 
-      // 4. Run tests (if test files exist)
-      const task = this.getContext('task');
-      if (task.runTests !== false) {
+      // 4. Run tests against the change in the sandbox checkout
+      if (this.sandbox && task.runTests !== false) {
+        if (implementation.changeSet?.length) {
+          await this.sandbox.applyChanges(implementation.changeSet);
+        }
+
+        // A single file runs its related tests, a change set the whole suite
         const testResult = await this.executeTool('runTests', {
-          filePath: task.filePath
+          filePath: implementation.changeSet?.length > 1 ? null : task.filePath
         });
-        results.tests.passed = testResult.success;
+        results.tests.passed = testResult.success && testResult.result.exitCode === 0;
         results.tests.results = testResult.result || [];
       }
 
@@ -240,6 +316,72 @@ Provide a detailed plan as JSON:
     };
   }
 
+  /**
+   * Pull the files most relevant to the task from the repository's code index
+   * They are added to the task context, so later steps see them too.
+   */
+  async _retrieveContext(task) {
+    if (!this.repository) {
+      if (task.repositoryId) {
+        this.repository = { id: task.repositoryId };
+      } else if (task.owner && task.repo) {
+        this.repository = { fullName: `${task.owner}/${task.repo}` };
+      }
+    }
+
+    if (!this.repository || !this.organizationId) {
+      return null;
+    }
+
+    const retrieved = await codeIndexService.buildContext(this.organizationId, {
+      repositoryId: this.repository.id,
+      fullName: this.repository.fullName,
+      query: [task.description || task.goal, task.filePath].filter(Boolean).join(' ')
+    });
+
+    if (retrieved) {
+      const current = this.getContext('task') || task;
+      this.addContext('task', {
+        ...current,
+        context: [current.context, retrieved.text].filter(Boolean).join('\n\n'),
+        relevantFiles: retrieved.files
+      });
+      this.logStep('RETRIEVE', { files: retrieved.files });
+    }
+
+    return retrieved;
+  }
+
+  /**
+   * Tools offered while analyzing, limited to what this task can use
+   */
+  _analysisTools() {
+    return [
+      ...READ_ONLY_TOOLS,
+      ...(this.sandbox ? SANDBOX_TOOLS : []),
+      ...(this.repository ? ['searchCode'] : [])
+    ];
+  }
+
+  /**
+   * Bind a tool to the task's repository and organization
+   */
+  _inRepository(handler) {
+    return (params) => handler({ ...params, organizationId: this.organizationId, repository: this.repository });
+  }
+
+  /**
+   * Bind a tool to the sandbox so it never touches the server's filesystem
+   */
+  _inSandbox(handler) {
+    return (params) => {
+      if (!this.sandbox) {
+        throw new Error('No repository checkout is available for this task');
+      }
+      return handler({ ...params, sandbox: this.sandbox });
+    };
+  }
+
   /**
    * Helper: Generate code
    */
@@ -249,8 +391,10 @@ Provide a detailed plan as JSON:
       language: task.language || 'javascript',
       context: task.context || '',
       style: task.style || 'clean',
-      provider: this.provider
-    });
+      provider: this.provider,
+      signal: this.signal
+    }, this.onChunk);
+    this.trackUsage(result);
 
     return {
       code: result.text,
@@ -271,6 +415,7 @@ Provide a detailed plan as JSON:
       checkFor: task.checkFor || ['bugs', 'security', 'performance', 'style'],
       provider: this.provider
     });
+    this.trackUsage(result);
 
     return {
       review: result.review,
@@ -290,6 +435,7 @@ Provide a detailed plan as JSON:
       goal: task.goal || 'improve readability and maintainability',
       provider: this.provider
     });
+    this.trackUsage(result);
 
     return {
       code: result.refactoring.refactoredCode,
@@ -308,7 +454,7 @@ Provide a detailed plan as JSON:
     const prompt = `Fix this code issue:
 
 Issue: ${issue}
-
+${task.context ? `\nRelated code:\n${task.context}\n` : ''}
 Code:
 \`\`\`${task.language || 'javascript'}
 ${code}
@@ -331,6 +477,7 @@ Format as JSON:
       temperature: 0.3,
       maxTokens: 4096
     });
+    this.trackUsage(result);
 
     try {
       const fix = JSON.parse(result.text);
@@ -356,6 +503,82 @@ Format as JSON:
     }
   }
 
+  /**
+   * Helper: Produce a change set across several files
+   * `task.files` holds the current content of the files the task is about.
+   */
+  async _generateChangeSet(task) {
+    const { type, description, goal, language = 'javascript', files } = task;
+    const originals = new Map(files.map(file => [file.path, file.content || '']));
+
+    const prompt = `${CHANGE_SET_INSTRUCTIONS[type]}:
+
+${description || goal}
+${task.context ? `\nRelated code elsewhere in the repository:\n${task.context}\n` : ''}
+Files:
+${files.map(file => `--- ${file.path}\n\`\`\`${language}\n${file.content || ''}\n\`\`\``).join('\n\n')}
+
+You may create, modify, delete or rename files. Give the full new content of
+every created or modified file, and of renamed files you also edit.
+
+Format as JSON:
+{
+  "changes": [
+    { "operation": "create|modify|delete|rename", "path": "...", "previousPath": "... (rename only)", "content": "..." }
+  ],
+  "explanation": "..."
+}`;
+
+    const result = await this.llm.complete({
+      provider: this.provider,
+      taskType: 'generateCode',
+      prompt,
+      systemPrompt: `You are an expert ${language} developer. Make coherent changes across files.`,
+      temperature: 0.3,
+      maxTokens: 8192,
+      signal: this.signal
+    });
+    this.trackUsage(result);
+
+    let response;
+    try {
+      response = JSON.parse(result.text);
+    } catch (error) {
+      throw new Error('The model did not return a valid change set');
+    }
+
+    const changes = [];
+    for (const change of response.changes || []) {
+      const source = change.operation === 'rename' ? change.previousPath : change.path;
+      const originalContent = change.operation === 'create'
+        ? ''
+        : await this._baseContent(source, originals.get(source));
+
+      changes.push({ ...change, originalContent: originalContent || '' });
+    }
+
+    return {
+      code: null,
+      changeSet: buildChangeSet(changes),
+      explanation: response.explanation || '',
+      language,
+      tokensUsed: result.tokensUsed,
+      cost: result.cost
+    };
+  }
+
+  /**
+   * Helper: Current content of a file on the base the change applies to
+   * The checkout's copy wins over what the caller sent, so diffs and line
+   * counts reflect what will actually change.
+   */
+  async _baseContent(filePath, sent) {
+    if (!this.sandbox || !filePath) {
+      return sent;
+    }
+    return this.sandbox.readFile(filePath).catch(() => sent);
+  }
+
   /**
    * Helper: Generate tests
    */
@@ -367,6 +590,7 @@ Format as JSON:
       coverage: task.coverage || 'comprehensive',
       provider: this.provider
     });
+    this.trackUsage(result);
 
     return {
       testCode: result.text,
@@ -387,8 +611,16 @@ Format as JSON:
       return true;
     }
 
+    // Deleting or renaming files always needs a human
+    const changeSet = implementation.changeSet || [];
+    if (changeSet.some(change => change.operation === 'delete' || change.operation === 'rename')) {
+      return true;
+    }
+
     // Check line count (>50 lines needs approval)
-    const lineCount = (implementation.code || '').split('\n').length;
+    const lineCount = changeSet.length > 1
+      ? changedSources(changeSet).reduce((total, change) => total + change.content.split('\n').length, 0)
+      : (implementation.code || '').split('\n').length;
     if (lineCount > 50) {
       return true;
     }
@@ -0,0 +1,108 @@
+jest.mock('../llm/manager', () => ({ getInstance: jest.fn() }));
+jest.mock('../code-index.service', () => ({ buildContext: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+// Prettier loads plugins through dynamic import, which jest's CommonJS runtime lacks
+jest.mock('./tools/file-tools', () => ({
+  readFile: jest.fn(),
+  writeFile: jest.fn(),
+  parseCode: jest.fn(),
+  runLinter: jest.fn(),
+  runFormatter: jest.fn()
+}));
+
+const { getInstance: getLLM } = require('../llm/manager');
+const codeIndexService = require('../code-index.service');
+const CodeAgent = require('./code-agent');
+
+const ANALYSIS = { taskType: 'fix', complexity: 'low', requiredChanges: ['guard empty input'] };
+
+describe('CodeAgent.analyze', () => {
+  let llm;
+
+  beforeEach(() => {
+    llm = {
+      complete: jest.fn().mockResolvedValue({ text: JSON.stringify(ANALYSIS), tokensUsed: 10, cost: 0 }),
+      supportsTools: jest.fn().mockReturnValue(true)
+    };
+    getLLM.mockReturnValue({ withContext: () => llm });
+    codeIndexService.buildContext.mockResolvedValue(null);
+  });
+
+  const offeredTools = () => (llm.complete.mock.calls[0][0].tools || []).map(tool => tool.name);
+
+  it('lets the model inspect the checkout before answering', async () => {
+    const agent = new CodeAgent({ organizationId: 'org-1', sandbox: {} });
+
+    const analysis = await agent.analyze({ type: 'fix', description: 'crash on empty input', repositoryId: 'repo-1' });
+
+    expect(analysis).toEqual(ANALYSIS);
+    expect(offeredTools()).toEqual(['parseCode', 'runLinter', 'checkSecurity', 'readFile', 'runTests', 'searchCode']);
+    expect(agent.getSteps().map(step => step.step)).toContain('TOOL_LOOP_COMPLETE');
+  });
+
+  it('offers only tools that work without a checkout', async () => {
+    const agent = new CodeAgent({ organizationId: 'org-1' });
+
+    await agent.analyze({ type: 'fix', description: 'crash on empty input', repositoryId: 'repo-1' });
+
+    expect(offeredTools()).toEqual(['parseCode', 'runLinter', 'checkSecurity', 'searchCode']);
+  });
+
+  it('answers directly without a repository', async () => {
+    const agent = new CodeAgent({ organizationId: 'org-1' });
+
+    await agent.analyze({ type: 'generate', description: 'add a health endpoint' });
+
+    expect(llm.complete.mock.calls[0][0].tools).toBeUndefined();
+  });
+
+  it('answers directly when tools are turned off or unsupported', async () => {
+    await new CodeAgent({ sandbox: {} }).analyze({ type: 'fix', description: 'crash', useTools: false });
+    expect(llm.complete.mock.calls[0][0].tools).toBeUndefined();
+
+    llm.supportsTools.mockReturnValue(false);
+    await new CodeAgent({ sandbox: {} }).analyze({ type: 'fix', description: 'crash' });
+    expect(llm.complete.mock.calls[1][0].tools).toBeUndefined();
+  });
+});
+
+describe('CodeAgent change sets', () => {
+  const BASE = 'export const a = 1;\nexport const b = 2;\nexport const c = 3;\n';
+  let llm;
+
+  beforeEach(() => {
+    llm = {
+      complete: jest.fn().mockResolvedValue({
+        text: JSON.stringify({ changes: [{ operation: 'modify', path: 'src/a.js', content: 'export const a = 1;\n' }] }),
+        tokensUsed: 10,
+        cost: 0
+      })
+    };
+    getLLM.mockReturnValue({ withContext: () => llm });
+  });
+
+  it('diffs against the checkout rather than the content the caller sent', async () => {
+    const sandbox = { readFile: jest.fn().mockResolvedValue(BASE) };
+    const agent = new CodeAgent({ sandbox });
+
+    const { changeSet } = await agent._generateChangeSet({
+      type: 'refactor',
+      description: 'drop unused exports',
+      files: [{ path: 'src/a.js', content: 'export const a = 1;\nexport const b = 2;\n' }]
+    });
+
+    expect(sandbox.readFile).toHaveBeenCalledWith('src/a.js');
+    expect(changeSet[0].originalContent).toBe(BASE);
+    expect(changeSet[0].diff).toContain('-export const c = 3;');
+  });
+
+  it('keeps the sent content without a checkout', async () => {
+    const { changeSet } = await new CodeAgent({})._generateChangeSet({
+      type: 'refactor',
+      description: 'drop unused exports',
+      files: [{ path: 'src/a.js', content: BASE }]
+    });
+
+    expect(changeSet[0].originalContent).toBe(BASE);
+  });
+});
@@ -0,0 +1,419 @@
+/**
+ * Code Review Agent
+ * Reviews GitHub pull requests and posts inline comments on the diff
+ */
+
+const path = require('path');
+const BaseAgent = require('./base-agent');
+const { runLinter } = require('./tools/file-tools');
+const { checkSecurity } = require('./tools/security-tools');
+const schemas = require('./tools/schemas');
+const { query } = require('../../config/database');
+const logger = require('../../utils/logger');
+
+const LANGUAGES = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.cjs': 'javascript',
+  '.mjs': 'javascript',
+  '.ts': 'typescript',
+  '.tsx': 'typescript',
+  '.py': 'python',
+  '.go': 'go',
+  '.rb': 'ruby',
+  '.java': 'java',
+  '.php': 'php',
+  '.sql': 'sql',
+};
+
+const BLOCKING_SEVERITIES = ['critical', 'high'];
+
+class CodeReviewAgent extends BaseAgent {
+  constructor(config = {}) {
+    super({ ...config, name: 'CodeReviewAgent' });
+
+    this.github = config.github;
+    this.maxFiles = config.maxFiles || 50;
+    this.maxPatchLength = config.maxPatchLength || 20000;
+
+    // Register tools
+    this.registerTool('runLinter', runLinter, 'Run linter on code', schemas.runLinter);
+    this.registerTool('checkSecurity', checkSecurity, 'Check code for security issues', schemas.checkSecurity);
+  }
+
+  /**
+   * Review a pull request and post the result on GitHub
+   */
+  async review({ owner, repo, prNumber, pullRequestId }) {
+    await this.setReviewStatus(pullRequestId, 'in_progress');
+
+    try {
+      const result = await this.reason({ owner, repo, prNumber });
+      const { implementation, validation } = result;
+
+      let review = null;
+      if (validation.comments.length > 0 || implementation.summary) {
+        const response = await this.github.createPullRequestReview(
+          owner,
+          repo,
+          prNumber,
+          this._formatReviewBody(implementation, validation),
+          validation.event,
+          validation.comments,
+          this.getContext('headSha')
+        );
+        review = response.data;
+      }
+
+      const summary = {
+        headSha: this.getContext('headSha'),
+        reviewId: review?.id || null,
+        event: validation.event,
+        rating: implementation.rating,
+        comments: validation.comments.length,
+        blocking: validation.blocking,
+        filesReviewed: result.plan.files.length,
+        reviewedAt: new Date().toISOString()
+      };
+
+      await this.setReviewStatus(pullRequestId, 'completed', summary);
+
+      return { ...result, review, summary };
+    } catch (error) {
+      await this.setReviewStatus(pullRequestId, 'failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Step 1: Fetch the pull request and its diff
+   */
+  async analyze(task) {
+    const { owner, repo, prNumber } = task;
+
+    const { data: pullRequest } = await this.github.getPullRequest(owner, repo, prNumber);
+    const { data: files } = await this.github.getPullRequestFiles(owner, repo, prNumber);
+
+    this.addContext('pullRequest', { owner, repo, prNumber });
+    this.addContext('headSha', pullRequest.head.sha);
+
+    return {
+      title: pullRequest.title,
+      body: pullRequest.body || '',
+      baseBranch: pullRequest.base.ref,
+      headSha: pullRequest.head.sha,
+      files: files.map(file => ({
+        path: file.filename,
+        status: file.status,
+        additions: file.additions,
+        deletions: file.deletions,
+        patch: file.patch || null,
+        language: LANGUAGES[path.extname(file.filename).toLowerCase()] || null,
+        ...parsePatch(file.patch)
+      }))
+    };
+  }
+
+  /**
+   * Step 2: Pick the files worth reviewing
+   * Removed files, binary files and oversized patches are skipped.
+   */
+  async plan(analysis) {
+    const files = [];
+    const skipped = [];
+
+    for (const file of analysis.files) {
+      if (file.status === 'removed' || !file.patch) {
+        skipped.push({ path: file.path, reason: file.status === 'removed' ? 'removed' : 'no diff' });
+      } else if (file.patch.length > this.maxPatchLength) {
+        skipped.push({ path: file.path, reason: 'diff too large' });
+      } else if (files.length >= this.maxFiles) {
+        skipped.push({ path: file.path, reason: 'file limit reached' });
+      } else {
+        files.push(file);
+      }
+    }
+
+    this.addContext('analysis', analysis);
+    this.addContext('files', files);
+
+    return { files, skipped };
+  }
+
+  /**
+   * Step 3: Ask the LLM for a review of the diff
+   */
+  async implement(plan) {
+    const analysis = this.getContext('analysis');
+
+    if (plan.files.length === 0) {
+      const review = { summary: 'No reviewable changes in this pull request.', rating: null, comments: [], cost: 0 };
+      this.addContext('implementation', review);
+      return review;
+    }
+
+    const diff = plan.files
+      .map(file => `--- ${file.path}\n${numberPatch(file.patch)}`)
+      .join('\n\n');
+
+    const prompt = `Review this pull request.
+
+Title: ${analysis.title}
+Description: ${analysis.body || '(none)'}
+
+Changed lines are prefixed with their line number in the new file.
+
+${diff}
+
+Only comment on real problems: bugs, security issues, missing error handling,
+performance problems and unclear code. Point each comment at a line number
+shown above.
+
+Respond with JSON only:
+{
+  "summary": "...",
+  "rating": 8,
+  "comments": [
+    { "path": "...", "line": 12, "severity": "low|medium|high|critical", "body": "..." }
+  ]
+}`;
+
+    const result = await this.llm.complete({
+      provider: this.provider,
+      prompt,
+      systemPrompt: 'You are a senior code reviewer. Provide constructive, actionable feedback.',
+      temperature: 0.3,
+      maxTokens: 4096
+    });
+
+    let review;
+    try {
+      const parsed = JSON.parse(result.text);
+      review = {
+        summary: parsed.summary || '',
+        rating: parsed.rating ?? null,
+        comments: Array.isArray(parsed.comments) ? parsed.comments : [],
+        cost: result.cost
+      };
+    } catch (error) {
+      logger.warn(`[${this.name}] Review response was not valid JSON, posting it as summary`);
+      review = { summary: result.text, rating: null, comments: [], cost: result.cost };
+    }
+
+    this.addContext('implementation', review);
+    return review;
+  }
+
+  /**
+   * Step 4: Run security and lint checks on each changed file
+   * Findings are kept only for lines the pull request touched.
+   */
+  async test(implementation) {
+    const { owner, repo } = this.getContext('pullRequest');
+    const headSha = this.getContext('headSha');
+    const files = this.getContext('files');
+
+    const findings = [];
+
+    for (const file of files) {
+      if (!file.language) {
+        continue;
+      }
+
+      let code;
+      try {
+        code = await this.github.getFileContent(owner, repo, file.path, headSha);
+      } catch (error) {
+        logger.warn(`[${this.name}] Could not fetch ${file.path} at ${headSha}: ${error.message}`);
+        continue;
+      }
+
+      const securityResult = await this.executeTool('checkSecurity', { code, language: file.language });
+      for (const issue of securityResult.result?.issues || []) {
+        if (file.addedLines.includes(issue.line)) {
+          findings.push({
+            path: file.path,
+            line: issue.line,
+            severity: issue.severity,
+            source: 'security',
+            body: `${issue.message}. ${issue.recommendation || ''}`.trim()
+          });
+        }
+      }
+
+      const lintResult = await this.executeTool('runLinter', {
+        code,
+        language: file.language,
+        filePath: file.path
+      });
+      const lintMessages = [
+        ...(lintResult.result?.errors || []).map(message => ({ message, severity: 'medium' })),
+        ...(lintResult.result?.warnings || []).map(message => ({ message, severity: 'low' }))
+      ];
+      for (const { message, severity } of lintMessages) {
+        const line = parseInt(message.split(':')[0]);
+        if (file.addedLines.includes(line)) {
+          findings.push({ path: file.path, line, severity, source: 'lint', body: message });
+        }
+      }
+    }
+
+    return { findings };
+  }
+
+  /**
+   * Step 5: Build the inline comments and decide the review event
+   */
+  async validate(testResults) {
+    const files = this.getContext('files');
+    const implementation = this.getContext('implementation');
+
+    const commentable = new Map(files.map(file => [file.path, file.diffLines]));
+    const comments = [];
+    const dropped = [];
+    const seen = new Set();
+
+    const candidates = [
+      ...testResults.findings,
+      ...(implementation?.comments || []).map(comment => ({ ...comment, source: 'review' }))
+    ];
+
+    for (const comment of candidates) {
+      const line = parseInt(comment.line);
+      const key = `${comment.path}:${line}:${comment.body}`;
+
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      // GitHub rejects the whole review if one comment is outside the diff
+      if (!commentable.get(comment.path)?.includes(line)) {
+        dropped.push(comment);
+        continue;
+      }
+
+      comments.push({
+        path: comment.path,
+        line,
+        side: 'RIGHT',
+        body: formatComment(comment)
+      });
+    }
+
+    const blocking = candidates.filter(comment => BLOCKING_SEVERITIES.includes(comment.severity)).length;
+
+    return {
+      passed: blocking === 0,
+      event: blocking > 0 ? 'REQUEST_CHANGES' : 'COMMENT',
+      blocking,
+      comments,
+      dropped
+    };
+  }
+
+  /**
+   * Store the review status on the pull request row
+   */
+  async setReviewStatus(pullRequestId, status, summary = null) {
+    if (!pullRequestId) {
+      return;
+    }
+
+    await query(
+      `UPDATE pull_requests
+       SET agent_review_status = $2,
+           metadata = CASE WHEN $3::jsonb IS NULL THEN metadata
+                           ELSE COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('agentReview', $3::jsonb) END,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [pullRequestId, status, summary ? JSON.stringify(summary) : null]
+    );
+  }
+
+  /**
+   * Helper: Top-level review body
+   */
+  _formatReviewBody(implementation, validation) {
+    const lines = ['### Automated code review', '', implementation.summary || 'No summary provided.'];
+
+    if (implementation.rating !== null && implementation.rating !== undefined) {
+      lines.push('', `**Rating:** ${implementation.rating}/10`);
+    }
+
+    if (validation.dropped.length > 0) {
+      lines.push('', '**Other notes:**');
+      for (const comment of validation.dropped) {
+        lines.push(`- \`${comment.path}\`${comment.line ? ` line ${comment.line}` : ''}: ${comment.body}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Collect the new-file line numbers covered by a unified diff
+ * `diffLines` can carry inline comments, `addedLines` were changed by the PR.
+ */
+const parsePatch = (patch) => {
+  const diffLines = [];
+  const addedLines = [];
+
+  if (!patch) {
+    return { diffLines, addedLines };
+  }
+
+  let line = 0;
+  for (const text of patch.split('\n')) {
+    const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      line = parseInt(hunk[1]);
+      continue;
+    }
+
+    if (text.startsWith('-') || text.startsWith('\\')) {
+      continue;
+    }
+
+    diffLines.push(line);
+    if (text.startsWith('+')) {
+      addedLines.push(line);
+    }
+    line++;
+  }
+
+  return { diffLines, addedLines };
+};
+
+/**
+ * Prefix each new-file line of a patch with its line number for the prompt
+ */
+const numberPatch = (patch) => {
+  let line = 0;
+
+  return patch.split('\n').map(text => {
+    const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      line = parseInt(hunk[1]);
+      return text;
+    }
+
+    if (text.startsWith('-') || text.startsWith('\\')) {
+      return `     ${text}`;
+    }
+
+    return `${String(line++).padStart(4)} ${text}`;
+  }).join('\n');
+};
+
+/**
+ * Render one inline comment
+ */
+const formatComment = (comment) => {
+  const label = comment.source === 'review' ? 'review' : comment.source;
+  return `**${comment.severity || 'info'}** (${label}): ${comment.body}`;
+};
+
+module.exports = CodeReviewAgent;
+module.exports.parsePatch = parsePatch;
@@ -0,0 +1,64 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../config/redis', () => ({}));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+// Prettier loads plugins through dynamic import, which jest's CommonJS runtime lacks
+jest.mock('./tools/file-tools', () => ({ runLinter: jest.fn() }));
+
+const { parsePatch } = require('./code-review-agent');
+
+describe('parsePatch', () => {
+  it('returns no lines for a missing patch', () => {
+    expect(parsePatch(undefined)).toEqual({ diffLines: [], addedLines: [] });
+    expect(parsePatch('')).toEqual({ diffLines: [], addedLines: [] });
+  });
+
+  it('numbers context and added lines from the hunk header', () => {
+    const patch = [
+      '@@ -10,4 +10,5 @@ function handler() {',
+      ' const a = 1;',
+      '-const b = 2;',
+      '+const b = 3;',
+      '+const c = 4;',
+      ' return a;',
+    ].join('\n');
+
+    expect(parsePatch(patch)).toEqual({
+      diffLines: [10, 11, 12, 13],
+      addedLines: [11, 12],
+    });
+  });
+
+  it('skips removed lines and no-newline markers', () => {
+    const patch = [
+      '@@ -1,2 +1,1 @@',
+      '-old',
+      '-gone',
+      '\\ No newline at end of file',
+      '+new',
+    ].join('\n');
+
+    expect(parsePatch(patch)).toEqual({ diffLines: [1], addedLines: [1] });
+  });
+
+  it('restarts numbering at each hunk', () => {
+    const patch = [
+      '@@ -1 +1 @@',
+      '+first',
+      '@@ -40,2 +41,3 @@',
+      ' context',
+      '+added',
+      ' context',
+    ].join('\n');
+
+    expect(parsePatch(patch)).toEqual({
+      diffLines: [1, 41, 42, 43],
+      addedLines: [1, 42],
+    });
+  });
+
+  it('numbers a new file from line 1', () => {
+    const patch = '@@ -0,0 +1,3 @@\n+a\n+b\n+c';
+
+    expect(parsePatch(patch)).toEqual({ diffLines: [1, 2, 3], addedLines: [1, 2, 3] });
+  });
+});
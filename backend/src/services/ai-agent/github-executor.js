@@ -3,16 +3,66 @@
  * Handles GitHub file operations, branch management, and PR creation
  */
 
+const crypto = require('crypto');
 const { Octokit } = require('@octokit/rest');
+const { buildChangeSet, touchedPaths } = require('./change-set');
+const integrationService = require('../integration.service');
+const codeIndexService = require('../code-index.service');
 const logger = require('../../utils/logger');
 
 class GitHubExecutor {
   constructor(config = {}) {
     this.octokit = new Octokit({
-      auth: config.token || process.env.GITHUB_TOKEN
+      auth: config.token
     });
     this.owner = config.owner;
     this.repo = config.repo;
+    this.defaultBranch = config.defaultBranch || 'main';
+  }
+
+  /**
+   * Repository an organization has connected, by ID or full name
+   * Returns `{ id, fullName, owner, repo, defaultBranch }`.
+   */
+  static async resolveRepository(organizationId, { repositoryId = null, fullName = null }) {
+    const repository = repositoryId || fullName
+      ? await codeIndexService.getRepository(organizationId, { repositoryId, fullName })
+      : null;
+
+    if (!repository) {
+      throw httpError(400, 'Choose a repository connected to this organization');
+    }
+
+    const [owner, repo] = repository.full_name.split('/');
+    return {
+      id: repository.id,
+      fullName: repository.full_name,
+      owner,
+      repo,
+      defaultBranch: repository.default_branch || 'main'
+    };
+  }
+
+  /**
+   * Executor for one of an organization's repositories
+   * Authenticates with the organization's own GitHub integration.
+   */
+  static async forRepository(organizationId, target) {
+    const integration = await integrationService.get(organizationId, 'github');
+    if (!integration) {
+      throw httpError(400, 'Connect GitHub before changing repositories');
+    }
+
+    const repository = await GitHubExecutor.resolveRepository(organizationId, target);
+    const executor = new GitHubExecutor({
+      owner: repository.owner,
+      repo: repository.repo,
+      defaultBranch: repository.defaultBranch,
+      token: integration.credentials.accessToken
+    });
+    executor.repository = repository;
+
+    return executor;
   }
 
   /**
@@ -78,6 +128,206 @@ class GitHubExecutor {
     }
   }
 
+  /**
+   * Commit a change set to a new branch as a single commit
+   * Builds one tree on top of the base commit with the Git Data API, commits
+   * it and only then creates the branch, so a failure leaves nothing behind.
+   * Every file the set edits must still match the original its diff was
+   * reviewed against; otherwise nothing is committed.
+   */
+  async commitChangeSet({ branchName, baseBranch = 'main', changes, message }) {
+    try {
+      const { data: ref } = await this.octokit.git.getRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `heads/${baseBranch}`
+      });
+      const baseSha = ref.object.sha;
+
+      const { data: baseCommit } = await this.octokit.git.getCommit({
+        owner: this.owner,
+        repo: this.repo,
+        commit_sha: baseSha
+      });
+
+      const existing = await this._listFiles(baseCommit.tree.sha);
+      const tree = [];
+
+      for (const change of changes) {
+        const source = existing.get(change.previousPath || change.path);
+
+        if (change.operation !== 'create' && existing.size > 0 && !source) {
+          throw new Error(`${change.previousPath || change.path} does not exist on ${baseBranch}`);
+        }
+
+        if (change.operation !== 'create' && source && source.sha !== blobSha(change.originalContent)) {
+          throw new Error(`${change.previousPath || change.path} on ${baseBranch} differs from the reviewed original; regenerate the change`);
+        }
+
+        if (change.operation === 'delete' || change.operation === 'rename') {
+          tree.push({ path: change.previousPath || change.path, mode: source?.mode || '100644', type: 'blob', sha: null });
+        }
+
+        if (change.operation === 'delete') {
+          continue;
+        }
+
+        if (change.content === null && !source) {
+          throw new Error(`Cannot find ${change.previousPath} on ${baseBranch} to rename`);
+        }
+
+        // A rename without edits reuses the existing blob
+        tree.push(change.content === null
+          ? { path: change.path, mode: source.mode, type: 'blob', sha: source.sha }
+          : { path: change.path, mode: source?.mode || '100644', type: 'blob', content: change.content });
+      }
+
+      const { data: newTree } = await this.octokit.git.createTree({
+        owner: this.owner,
+        repo: this.repo,
+        base_tree: baseCommit.tree.sha,
+        tree
+      });
+
+      const { data: commit } = await this.octokit.git.createCommit({
+        owner: this.owner,
+        repo: this.repo,
+        message,
+        tree: newTree.sha,
+        parents: [baseSha]
+      });
+
+      await this.octokit.git.createRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `refs/heads/${branchName}`,
+        sha: commit.sha
+      });
+
+      return {
+        branch: branchName,
+        commit: commit.sha,
+        files: touchedPaths(changes)
+      };
+    } catch (error) {
+      logger.error('GitHub commitChangeSet error:', error);
+      throw new Error(`Failed to commit changes to ${branchName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Undo a commit's file changes with a new commit on top of a branch
+   * Each file goes back to how it was in the commit's first parent, or is
+   * deleted if it did not exist there. Later edits to the same files on the
+   * branch are overwritten, which the reviewer of the revert should check.
+   */
+  async commitRevert({ branchName, commitSha, files, message }) {
+    try {
+      const { data: ref } = await this.octokit.git.getRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `heads/${branchName}`
+      });
+      const headSha = ref.object.sha;
+
+      const [{ data: head }, { data: reverted }] = await Promise.all([
+        this.octokit.git.getCommit({ owner: this.owner, repo: this.repo, commit_sha: headSha }),
+        this.octokit.git.getCommit({ owner: this.owner, repo: this.repo, commit_sha: commitSha })
+      ]);
+
+      if (reverted.parents.length === 0) {
+        throw new Error(`${commitSha} has no parent to revert to`);
+      }
+
+      const { data: parent } = await this.octokit.git.getCommit({
+        owner: this.owner,
+        repo: this.repo,
+        commit_sha: reverted.parents[0].sha
+      });
+
+      const [previous, current] = await Promise.all([
+        this._listFiles(parent.tree.sha),
+        this._listFiles(head.tree.sha)
+      ]);
+
+      if (previous.size === 0 || current.size === 0) {
+        throw new Error('Repository is too large to list its files');
+      }
+
+      const tree = [];
+      for (const path of new Set(files)) {
+        const source = previous.get(path);
+
+        if (source) {
+          tree.push({ path, mode: source.mode, type: 'blob', sha: source.sha });
+        } else if (current.has(path)) {
+          tree.push({ path, mode: current.get(path).mode, type: 'blob', sha: null });
+        }
+      }
+
+      if (tree.length === 0) {
+        throw new Error('Nothing to revert');
+      }
+
+      const { data: newTree } = await this.octokit.git.createTree({
+        owner: this.owner,
+        repo: this.repo,
+        base_tree: head.tree.sha,
+        tree
+      });
+
+      const { data: commit } = await this.octokit.git.createCommit({
+        owner: this.owner,
+        repo: this.repo,
+        message,
+        tree: newTree.sha,
+        parents: [headSha]
+      });
+
+      await this.octokit.git.updateRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `heads/${branchName}`,
+        sha: commit.sha
+      });
+
+      return {
+        branch: branchName,
+        commit: commit.sha,
+        files: tree.map(entry => entry.path)
+      };
+    } catch (error) {
+      logger.error('GitHub commitRevert error:', error);
+      throw new Error(`Failed to revert ${commitSha} on ${branchName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map of path to { mode, sha } for every file in a tree
+   * Empty when GitHub truncates the listing of a very large repository.
+   */
+  async _listFiles(treeSha) {
+    const { data } = await this.octokit.git.getTree({
+      owner: this.owner,
+      repo: this.repo,
+      tree_sha: treeSha,
+      recursive: 'true'
+    });
+
+    const files = new Map();
+    if (data.truncated) {
+      return files;
+    }
+
+    for (const entry of data.tree) {
+      if (entry.type === 'blob') {
+        files.set(entry.path, { mode: entry.mode, sha: entry.sha });
+      }
+    }
+
+    return files;
+  }
+
   /**
    * Create a new branch
    */
@@ -257,6 +507,7 @@ class GitHubExecutor {
         body: data.body,
         state: data.state,
         merged: data.merged,
+        mergeCommitSha: data.merge_commit_sha,
         mergeable: data.mergeable,
         head: data.head.ref,
         base: data.base.ref,
@@ -358,7 +609,8 @@ class GitHubExecutor {
     changes, 
     description, 
     type, 
-    autoMerge = false 
+    autoMerge = false,
+    baseBranch = this.defaultBranch
   }) {
     const results = {
       branch: null,
@@ -373,52 +625,29 @@ class GitHubExecutor {
       const branchName = this.generateBranchName({ type, description });
       logger.info(`Creating branch: ${branchName}`);
 
-      // 2. Create branch
-      const branch = await this.createBranch({ branchName });
-      results.branch = branch.branch;
-
-      // 3. Apply changes (write files)
-      for (const change of changes) {
-        try {
-          const commitMessage = this.generateCommitMessage({
-            type,
-            description: change.description || description,
-            files: [change.path]
-          });
-
-          // Get current file SHA if it exists
-          let sha = null;
-          try {
-            const existing = await this.readFile({ 
-              path: change.path, 
-              branch: branchName 
-            });
-            sha = existing.sha;
-          } catch (error) {
-            // File doesn't exist, that's okay
-          }
-
-          const commit = await this.writeFile({
-            path: change.path,
-            content: change.content,
-            message: commitMessage,
-            branch: branchName,
-            sha
-          });
+      // 2. Commit every change to the new branch at once
+      const changeSet = buildChangeSet(changes);
+      const commit = await this.commitChangeSet({
+        branchName,
+        baseBranch,
+        changes: changeSet,
+        message: this.generateCommitMessage({
+          type,
+          description,
+          files: touchedPaths(changeSet)
+        })
+      });
 
-          results.commits.push(commit);
-          logger.info(`Committed: ${change.path}`);
-        } catch (error) {
-          results.errors.push(`Failed to commit ${change.path}: ${error.message}`);
-        }
-      }
+      results.branch = commit.branch;
+      results.commits.push(commit);
+      logger.info(`Committed ${changeSet.length} file(s) to ${branchName}`);
 
-      // 4. Create pull request
+      // 3. Create pull request
       const prTitle = `[AI] ${description}`;
       const prBody = this.generatePRDescription({
         type,
         description,
-        changes: changes.map(c => c.description || c.path),
+        changes: changeSet.map(c => c.description || `${c.operation} \`${c.path}\``),
         rationale: changes[0]?.rationale || 'AI-generated code change',
         risks: changes[0]?.risks || []
       });
@@ -427,14 +656,14 @@ class GitHubExecutor {
         title: prTitle,
         body: prBody,
         head: branchName,
-        base: 'main',
+        base: baseBranch,
         draft: !autoMerge
       });
 
       results.pullRequest = pr;
       logger.info(`Created PR: ${pr.url}`);
 
-      // 5. Auto-merge if approved
+      // 4. Auto-merge if approved
       if (autoMerge) {
         // Wait a bit for CI checks to start
         await new Promise(resolve => setTimeout(resolve, 5000));
@@ -462,4 +691,16 @@ class GitHubExecutor {
   }
 }
 
+// Git's object ID for a file with this content
+const blobSha = (content) => {
+  const body = Buffer.from(content || '', 'utf8');
+  return crypto.createHash('sha1').update(`blob ${body.length}\0`).update(body).digest('hex');
+};
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
 module.exports = GitHubExecutor;
@@ -0,0 +1,83 @@
+jest.mock('@octokit/rest', () => ({ Octokit: jest.fn() }));
+jest.mock('../integration.service', () => ({ get: jest.fn() }));
+jest.mock('../code-index.service', () => ({ getRepository: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { Octokit } = require('@octokit/rest');
+const integrationService = require('../integration.service');
+const codeIndexService = require('../code-index.service');
+const GitHubExecutor = require('./github-executor');
+
+const ORG = 'org-1';
+const REPOSITORY = { id: 'repo-1', full_name: 'acme/web', default_branch: 'develop' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  integrationService.get.mockResolvedValue({ credentials: { accessToken: 'org-token' } });
+  codeIndexService.getRepository.mockResolvedValue(REPOSITORY);
+});
+
+describe('GitHubExecutor.forRepository', () => {
+  it('targets the organization\'s repository with its own token', async () => {
+    const executor = await GitHubExecutor.forRepository(ORG, { repositoryId: 'repo-1' });
+
+    expect(codeIndexService.getRepository).toHaveBeenCalledWith(ORG, { repositoryId: 'repo-1', fullName: null });
+    expect(Octokit).toHaveBeenCalledWith({ auth: 'org-token' });
+    expect(executor).toMatchObject({ owner: 'acme', repo: 'web', defaultBranch: 'develop' });
+    expect(executor.repository.fullName).toBe('acme/web');
+  });
+
+  it('refuses organizations without a GitHub integration', async () => {
+    integrationService.get.mockResolvedValue(null);
+
+    await expect(GitHubExecutor.forRepository(ORG, { repositoryId: 'repo-1' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(Octokit).not.toHaveBeenCalled();
+  });
+
+  it('refuses repositories the organization has not connected', async () => {
+    codeIndexService.getRepository.mockResolvedValue(null);
+
+    await expect(GitHubExecutor.forRepository(ORG, { fullName: 'operator/private' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(GitHubExecutor.forRepository(ORG, {}))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('GitHubExecutor.commitChangeSet', () => {
+  // git hash-object of 'old\n'
+  const OLD_SHA = '3367afdbbf91e638efe983616377c60477cc6612';
+  let octokit;
+
+  beforeEach(() => {
+    octokit = {
+      git: {
+        getRef: jest.fn().mockResolvedValue({ data: { object: { sha: 'base' } } }),
+        getCommit: jest.fn().mockResolvedValue({ data: { tree: { sha: 'tree' } } }),
+        getTree: jest.fn().mockResolvedValue({
+          data: { truncated: false, tree: [{ type: 'blob', path: 'src/a.js', mode: '100644', sha: OLD_SHA }] }
+        }),
+        createTree: jest.fn().mockResolvedValue({ data: { sha: 'new-tree' } }),
+        createCommit: jest.fn().mockResolvedValue({ data: { sha: 'commit' } }),
+        createRef: jest.fn().mockResolvedValue({})
+      }
+    };
+    Octokit.mockImplementation(() => octokit);
+  });
+
+  const commit = (originalContent) => new GitHubExecutor({ owner: 'acme', repo: 'web' }).commitChangeSet({
+    branchName: 'ai/fix',
+    changes: [{ operation: 'modify', path: 'src/a.js', content: 'new\n', originalContent }],
+    message: 'fix'
+  });
+
+  it('commits when the base still matches the reviewed original', async () => {
+    await expect(commit('old\n')).resolves.toMatchObject({ commit: 'commit' });
+  });
+
+  it('refuses when the diff was built against different content', async () => {
+    await expect(commit('older\n')).rejects.toThrow('differs from the reviewed original');
+    expect(octokit.git.createRef).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * Monitoring Agent
+ * Checks a deployment once it is ready and scores its health
+ */
+
+const BaseAgent = require('./base-agent');
+const { probeUrl, fetchBuildEvents, scanBuildEvents } = require('./tools/deployment-tools');
+const { query } = require('../../config/database');
+const eventBus = require('../../events/eventBus');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+class MonitoringAgent extends BaseAgent {
+  constructor(agentConfig = {}) {
+    super({ ...agentConfig, name: 'MonitoringAgent' });
+
+    this.vercel = agentConfig.vercel || {};
+    this.healthPaths = agentConfig.healthPaths || config.monitoring.healthPaths;
+    this.probeTimeoutMs = agentConfig.probeTimeoutMs || config.monitoring.probeTimeoutMs;
+    this.slowResponseMs = agentConfig.slowResponseMs || config.monitoring.slowResponseMs;
+    this.alertThreshold = agentConfig.alertThreshold ?? config.monitoring.alertThreshold;
+
+    // Register tools
+    this.registerTool('probeUrl', probeUrl, 'Request a URL and report status and latency');
+    this.registerTool('fetchBuildEvents', fetchBuildEvents, 'Fetch the Vercel build event log');
+    this.registerTool('scanBuildEvents', scanBuildEvents, 'Find errors and warnings in a build log');
+  }
+
+  /**
+   * Check a deployment, store its score and alert when it looks unhealthy
+   */
+  async check({ deploymentId, organizationId }) {
+    const result = await this.reason({ deploymentId, organizationId });
+    const { validation } = result;
+    const deployment = this.getContext('deployment');
+
+    const monitoring = {
+      checkedAt: new Date().toISOString(),
+      findings: validation.findings,
+      probes: validation.probes,
+      latencyMs: validation.comparison.latencyMs,
+      // Unknown counts stay null so the next deploy does not compare against them
+      buildErrors: validation.buildLog.available ? validation.buildLog.errors : null,
+      buildWarnings: validation.buildLog.available ? validation.buildLog.warnings : null,
+      comparison: validation.comparison,
+      rollback: validation.rollback
+    };
+
+    await query(
+      `UPDATE deployments
+       SET health_score = $2,
+           agent_checked = true,
+           metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('monitoring', $3::jsonb),
+           updated_at = NOW()
+       WHERE id = $1`,
+      [deployment.id, validation.healthScore, JSON.stringify(monitoring)]
+    );
+
+    if (!validation.passed) {
+      logger.warn(`Deployment ${deployment.url} scored ${validation.healthScore}, raising alert`);
+
+      await eventBus.publish('deployment.health.alert', {
+        organizationId,
+        deployment: {
+          id: deployment.id,
+          projectName: deployment.project_name,
+          url: deployment.url,
+          environment: deployment.environment,
+          commitSha: deployment.commit_sha
+        },
+        healthScore: validation.healthScore,
+        findings: validation.findings,
+        rollback: validation.rollback
+      });
+    }
+
+    return { ...result, monitoring };
+  }
+
+  /**
+   * Step 1: Load the deployment and the production deploy it replaces
+   */
+  async analyze(task) {
+    const { deploymentId, organizationId } = task;
+
+    const result = await query(
+      `SELECT * FROM deployments WHERE id = $1 AND organization_id = $2`,
+      [deploymentId, organizationId]
+    );
+
+    const deployment = result.rows[0];
+    if (!deployment) {
+      throw new Error(`Deployment ${deploymentId} not found`);
+    }
+
+    const previous = await query(
+      `SELECT * FROM deployments
+       WHERE organization_id = $1
+         AND project_name = $2
+         AND environment = 'production'
+         AND state = 'ready'
+         AND id <> $3
+         AND COALESCE(ready_at, created_at) < COALESCE($4, NOW())
+       ORDER BY COALESCE(ready_at, created_at) DESC
+       LIMIT 1`,
+      [organizationId, deployment.project_name, deployment.id, deployment.ready_at]
+    );
+
+    this.addContext('deployment', deployment);
+    this.addContext('previous', previous.rows[0] || null);
+
+    return {
+      deployment: {
+        id: deployment.id,
+        url: deployment.url,
+        projectName: deployment.project_name,
+        environment: deployment.environment
+      },
+      previous: previous.rows[0]
+        ? { id: previous.rows[0].id, url: previous.rows[0].url, healthScore: previous.rows[0].health_score }
+        : null
+    };
+  }
+
+  /**
+   * Step 2: Decide which URLs to probe
+   * Health paths come from integration metadata, so anything that resolves
+   * to another origin (an absolute or protocol-relative URL) is dropped.
+   */
+  async plan(analysis) {
+    const baseUrl = new URL(normalizeUrl(analysis.deployment.url));
+    const urls = [];
+
+    for (const healthPath of this.healthPaths) {
+      const url = new URL(healthPath, baseUrl);
+      if (url.origin !== baseUrl.origin) {
+        logger.warn(`Ignoring health path ${healthPath}: outside ${baseUrl.origin}`);
+        continue;
+      }
+      urls.push(url.toString());
+    }
+
+    return { urls, fetchBuildLog: Boolean(this.vercel.token) };
+  }
+
+  /**
+   * Step 3: Probe the health URLs and collect the build log
+   */
+  async implement(plan) {
+    const deployment = this.getContext('deployment');
+
+    const probes = [];
+    for (const url of plan.urls) {
+      const probe = await this.executeTool('probeUrl', { url, timeoutMs: this.probeTimeoutMs });
+      probes.push(probe.result);
+    }
+
+    let buildLog = { errors: [], warnings: [], available: false };
+    if (plan.fetchBuildLog) {
+      const events = await this.executeTool('fetchBuildEvents', {
+        deploymentId: deployment.vercel_deployment_id,
+        token: this.vercel.token,
+        teamId: this.vercel.teamId
+      });
+
+      if (events.success) {
+        const scan = await this.executeTool('scanBuildEvents', { events: events.result });
+        buildLog = { ...scan.result, available: true };
+      }
+    }
+
+    return { probes, buildLog };
+  }
+
+  /**
+   * Step 4: Turn probes, build log and the previous deploy into findings
+   */
+  async test(implementation) {
+    const { probes, buildLog } = implementation;
+    const previous = this.getContext('previous');
+    const previousChecks = previous?.metadata?.monitoring;
+
+    const findings = [];
+
+    for (const probe of probes) {
+      if (!probe.ok) {
+        findings.push({
+          type: 'health_check_failed',
+          severity: 'critical',
+          message: `${probe.url} ${probe.error || `returned ${probe.status}`}`
+        });
+      } else if (probe.latencyMs > this.slowResponseMs) {
+        findings.push({
+          type: 'slow_response',
+          severity: 'medium',
+          message: `${probe.url} took ${probe.latencyMs}ms`
+        });
+      }
+    }
+
+    for (const error of buildLog.errors.slice(0, 10)) {
+      findings.push({ type: 'build_error', severity: 'high', message: error });
+    }
+
+    if (buildLog.warnings.length > 0) {
+      findings.push({
+        type: 'build_warnings',
+        severity: 'low',
+        message: `${buildLog.warnings.length} warnings in build log`
+      });
+    }
+
+    const latencyMs = averageLatency(probes);
+    const comparison = {
+      previousDeploymentId: previous?.id || null,
+      previousHealthScore: previous?.health_score ?? null,
+      latencyMs,
+      previousLatencyMs: previousChecks?.latencyMs ?? null,
+      warnings: buildLog.warnings.length,
+      previousWarnings: previousChecks?.buildWarnings ?? null
+    };
+
+    // Both a relative and an absolute jump, so fast sites do not flap on noise
+    if (comparison.previousLatencyMs && latencyMs
+        && latencyMs > comparison.previousLatencyMs * 1.5
+        && latencyMs - comparison.previousLatencyMs > 200) {
+      findings.push({
+        type: 'latency_regression',
+        severity: 'medium',
+        message: `Average latency ${latencyMs}ms vs ${comparison.previousLatencyMs}ms on the previous production deploy`
+      });
+    }
+
+    if (buildLog.available && comparison.previousWarnings !== null && comparison.warnings > comparison.previousWarnings) {
+      findings.push({
+        type: 'warning_regression',
+        severity: 'low',
+        message: `${comparison.warnings} build warnings vs ${comparison.previousWarnings} on the previous production deploy`
+      });
+    }
+
+    return { findings, comparison, probes, buildLog };
+  }
+
+  /**
+   * Step 5: Score the deployment and decide whether to suggest a rollback
+   */
+  async validate(testResults) {
+    const { findings, comparison, probes, buildLog } = testResults;
+    const previous = this.getContext('previous');
+
+    const healthScore = scoreFindings(findings, probes.length);
+    const unhealthy = healthScore < this.alertThreshold;
+
+    return {
+      passed: !unhealthy,
+      healthScore,
+      findings,
+      comparison,
+      probes,
+      buildLog: {
+        available: buildLog.available,
+        errors: buildLog.errors.length,
+        warnings: buildLog.warnings.length
+      },
+      // The previous production deploy is what gets promoted back
+      rollback: unhealthy && previous
+        ? {
+            deploymentId: previous.id,
+            url: previous.url,
+            method: 'POST',
+            path: `/api/deployments/${previous.id}/rollback`
+          }
+        : null
+    };
+  }
+}
+
+/**
+ * Deductions per finding type, capped so one noisy signal cannot zero the score
+ */
+const scoreFindings = (findings, probeCount) => {
+  const count = type => findings.filter(finding => finding.type === type).length;
+
+  let score = 100;
+  score -= probeCount > 0 ? Math.round(60 * count('health_check_failed') / probeCount) : 0;
+  score -= Math.min(count('slow_response') * 5, 15);
+  score -= Math.min(count('build_error') * 10, 30);
+  score -= count('build_warnings') > 0 ? 5 : 0;
+  score -= count('latency_regression') * 10;
+  score -= count('warning_regression') * 5;
+
+  return Math.max(0, Math.min(100, score));
+};
+
+const averageLatency = (probes) => {
+  const ok = probes.filter(probe => probe.ok);
+  if (ok.length === 0) {
+    return null;
+  }
+  return Math.round(ok.reduce((sum, probe) => sum + probe.latencyMs, 0) / ok.length);
+};
+
+const normalizeUrl = (url) => (/^https?:\/\//.test(url) ? url : `https://${url}`);
+
+module.exports = MonitoringAgent;
+module.exports.scoreFindings = scoreFindings;
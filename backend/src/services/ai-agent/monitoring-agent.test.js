@@ -0,0 +1,73 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../config/redis', () => ({}));
+jest.mock('../../events/eventBus', () => ({ publish: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const MonitoringAgent = require('./monitoring-agent');
+
+const { scoreFindings } = MonitoringAgent;
+
+const findings = (...types) => types.map(type => ({ type }));
+
+describe('scoreFindings', () => {
+  it('scores a clean deployment 100', () => {
+    expect(scoreFindings([], 2)).toBe(100);
+  });
+
+  it('deducts failed probes in proportion to the probes run', () => {
+    expect(scoreFindings(findings('health_check_failed'), 2)).toBe(70);
+    expect(scoreFindings(findings('health_check_failed', 'health_check_failed'), 2)).toBe(40);
+    expect(scoreFindings(findings('health_check_failed'), 3)).toBe(80);
+  });
+
+  it('ignores probe failures when nothing was probed', () => {
+    expect(scoreFindings(findings('health_check_failed'), 0)).toBe(100);
+  });
+
+  it('caps slow responses and build errors', () => {
+    expect(scoreFindings(findings('slow_response', 'slow_response'), 2)).toBe(90);
+    expect(scoreFindings(findings(...Array(10).fill('slow_response')), 10)).toBe(85);
+    expect(scoreFindings(findings(...Array(5).fill('build_error')), 1)).toBe(70);
+  });
+
+  it('deducts build warnings once', () => {
+    expect(scoreFindings(findings('build_warnings'), 1)).toBe(95);
+  });
+
+  it('deducts regressions against the previous deploy', () => {
+    expect(scoreFindings(findings('latency_regression', 'warning_regression'), 1)).toBe(85);
+  });
+
+  it('never goes below 0', () => {
+    const all = findings(
+      'health_check_failed', 'health_check_failed',
+      ...Array(3).fill('build_error'),
+      ...Array(3).fill('slow_response'),
+      'build_warnings', 'latency_regression', 'warning_regression'
+    );
+
+    expect(scoreFindings(all, 2)).toBe(0);
+  });
+});
+
+describe('MonitoringAgent.plan', () => {
+  const plan = (healthPaths, url = 'my-app.vercel.app') =>
+    new MonitoringAgent({ healthPaths }).plan({ deployment: { url } });
+
+  it('resolves health paths against the deployment URL', async () => {
+    const result = await plan(['/', '/api/health']);
+
+    expect(result.urls).toEqual(['https://my-app.vercel.app/', 'https://my-app.vercel.app/api/health']);
+  });
+
+  it('drops paths that point at another origin', async () => {
+    const result = await plan([
+      '/api/health',
+      'http://169.254.169.254/latest/meta-data',
+      '//internal.example.com/admin',
+      'http://my-app.vercel.app/',
+    ]);
+
+    expect(result.urls).toEqual(['https://my-app.vercel.app/api/health']);
+  });
+});
@@ -0,0 +1,342 @@
+/**
+ * Agent Sandbox
+ * Checks a repository out into a temporary workspace and runs commands there
+ *
+ * Commands are argv arrays run without a shell, with CPU, memory, wall-clock
+ * and network limits, and a minimal environment so server secrets never reach
+ * the code under test. Two drivers are supported:
+ *   docker   each command runs in a throwaway container (--network none, --cpus, --memory)
+ *   process  each command runs on the host under prlimit, and unshare --net when offline
+ */
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const DRIVERS = ['docker', 'process'];
+
+// Ref names we are willing to pass to git
+const SAFE_REF = /^[\w./-]+$/;
+
+class Sandbox {
+  constructor(options = {}) {
+    const sandboxConfig = { ...config.sandbox, ...options };
+
+    if (!DRIVERS.includes(sandboxConfig.driver)) {
+      throw new Error(`Unknown sandbox driver: ${sandboxConfig.driver}`);
+    }
+
+    this.id = crypto.randomUUID();
+    this.driver = sandboxConfig.driver;
+    this.image = sandboxConfig.image;
+    this.rootDir = sandboxConfig.rootDir || os.tmpdir();
+    this.timeoutMs = sandboxConfig.timeoutMs;
+    this.installTimeoutMs = sandboxConfig.installTimeoutMs;
+    this.cpus = sandboxConfig.cpus;
+    this.cpuSeconds = sandboxConfig.cpuSeconds;
+    this.memoryMb = sandboxConfig.memoryMb;
+    this.maxOutputBytes = sandboxConfig.maxOutputBytes;
+
+    this.dir = null;
+    this.workspace = null;
+    this.home = null;
+    this.destroyed = false;
+  }
+
+  /**
+   * Create a sandbox with a shallow checkout of a GitHub repository branch
+   * The token is passed to git through its environment, not the command line.
+   */
+  static async create({ owner, repo, branch = 'main', token = null, ...options }) {
+    if (!SAFE_REF.test(`${owner}/${repo}`) || !SAFE_REF.test(branch) || branch.startsWith('-')) {
+      throw new Error('Invalid repository or branch name');
+    }
+
+    const sandbox = new Sandbox(options);
+    await sandbox.prepare();
+
+    try {
+      const env = {};
+      if (token) {
+        const credentials = Buffer.from(`x-access-token:${token}`).toString('base64');
+        env.GIT_CONFIG_COUNT = '1';
+        env.GIT_CONFIG_KEY_0 = 'http.https://github.com/.extraheader';
+        env.GIT_CONFIG_VALUE_0 = `AUTHORIZATION: basic ${credentials}`;
+      }
+
+      // git runs on the host but executes nothing from the repository
+      const result = await sandbox._spawn('git', [
+        '-c', 'core.hooksPath=/dev/null',
+        'clone', '--depth', '1', '--single-branch', '--branch', branch,
+        `https://github.com/${owner}/${repo}.git`, sandbox.workspace
+      ], { cwd: sandbox.dir, env, timeoutMs: sandbox.installTimeoutMs });
+
+      if (result.exitCode !== 0) {
+        throw new Error(`Failed to check out ${owner}/${repo}@${branch}: ${result.stderr.trim()}`);
+      }
+
+      logger.info(`Sandbox ${sandbox.id} checked out ${owner}/${repo}@${branch}`);
+      return sandbox;
+    } catch (error) {
+      await sandbox.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * Create the temporary directories
+   */
+  async prepare() {
+    // Real path, so symlink checks compare like with like
+    this.dir = await fs.realpath(await fs.mkdtemp(path.join(this.rootDir, 'companyos-sandbox-')));
+    this.workspace = path.join(this.dir, 'repo');
+    this.home = path.join(this.dir, 'home');
+    await fs.mkdir(this.home);
+  }
+
+  /**
+   * Install dependencies
+   * The network is allowed for the download, but install scripts are not
+   * run, so no repository code executes while the sandbox is online.
+   */
+  async install() {
+    const hasLockfile = await this.exists('package-lock.json');
+
+    return this.exec('npm', [hasLockfile ? 'ci' : 'install', '--ignore-scripts', '--no-audit', '--no-fund'], {
+      network: true,
+      timeoutMs: this.installTimeoutMs
+    });
+  }
+
+  /**
+   * Run a command in the workspace
+   * Resolves to { command, args, exitCode, signal, timedOut, durationMs, stdout, stderr, truncated }.
+   * A non-zero exit code is a result, not an error.
+   */
+  async exec(command, args = [], { network = false, timeoutMs = this.timeoutMs, env = {} } = {}) {
+    this._assertUsable();
+
+    if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+      throw new Error('Sandbox arguments must be an array of strings');
+    }
+
+    const baseEnv = {
+      CI: 'true',
+      NODE_ENV: 'test',
+      ...env
+    };
+
+    if (this.driver === 'docker') {
+      const name = `companyos-sandbox-${this.id}-${crypto.randomBytes(4).toString('hex')}`;
+      const dockerArgs = [
+        'run', '--rm', '--name', name,
+        '--network', network ? 'bridge' : 'none',
+        '--cpus', String(this.cpus),
+        '--memory', `${this.memoryMb}m`,
+        '--pids-limit', '256',
+        '--security-opt', 'no-new-privileges',
+        '--cap-drop', 'ALL',
+        '--user', `${process.getuid()}:${process.getgid()}`,
+        '--tmpfs', '/tmp',
+        '-v', `${this.workspace}:/workspace`,
+        '-w', '/workspace',
+        '-e', 'HOME=/tmp',
+        ...Object.entries(baseEnv).flatMap(([key, value]) => ['-e', `${key}=${value}`]),
+        this.image,
+        command,
+        ...args
+      ];
+
+      return this._spawn('docker', dockerArgs, {
+        cwd: this.dir,
+        timeoutMs,
+        label: { command, args },
+        // Killing the docker client leaves the container running
+        onTimeout: () => this._spawn('docker', ['kill', name], { cwd: this.dir, timeoutMs: 10000 })
+      });
+    }
+
+    const limits = [
+      `--cpu=${this.cpuSeconds}`,
+      `--data=${this.memoryMb * 1024 * 1024}`,
+      '--'
+    ];
+    const isolation = network ? [] : ['unshare', '--net', '--map-root-user', '--'];
+
+    return this._spawn('prlimit', [...limits, ...isolation, command, ...args], {
+      cwd: this.workspace,
+      timeoutMs,
+      label: { command, args },
+      env: { HOME: this.home, ...baseEnv }
+    });
+  }
+
+  /**
+   * Read a file from the workspace
+   */
+  async readFile(filePath) {
+    // A symlink in the repository must not lead back out of the workspace
+    const target = this._assertInside(await fs.realpath(this.resolve(filePath)), filePath);
+    return fs.readFile(target, 'utf-8');
+  }
+
+  /**
+   * Write a file in the workspace
+   */
+  async writeFile(filePath, content) {
+    const target = this.resolve(filePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    this._assertInside(await fs.realpath(path.dirname(target)), filePath);
+    // Replace rather than follow a symlink at the target itself
+    await fs.rm(target, { force: true });
+    await fs.writeFile(target, content, 'utf-8');
+  }
+
+  /**
+   * Apply a change set to the workspace
+   */
+  async applyChanges(changes) {
+    for (const change of changes) {
+      if (change.operation === 'delete' || change.operation === 'rename') {
+        const source = change.previousPath || change.path;
+
+        if (change.operation === 'rename' && change.content === null) {
+          await this.writeFile(change.path, await this.readFile(source));
+        }
+        await fs.rm(this.resolve(source), { force: true });
+      }
+
+      if (change.content !== null && change.content !== undefined) {
+        await this.writeFile(change.path, change.content);
+      }
+    }
+  }
+
+  /**
+   * Check whether a file exists in the workspace
+   */
+  async exists(filePath) {
+    try {
+      await fs.access(this.resolve(filePath));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Resolve a repository path, refusing anything outside the workspace
+   */
+  resolve(filePath) {
+    this._assertUsable();
+
+    return this._assertInside(path.resolve(this.workspace, filePath), filePath);
+  }
+
+  /**
+   * Remove the workspace
+   */
+  async destroy() {
+    if (this.destroyed) {
+      return;
+    }
+    this.destroyed = true;
+
+    if (this.dir) {
+      try {
+        await fs.rm(this.dir, { recursive: true, force: true });
+      } catch (error) {
+        logger.error(`Failed to remove sandbox ${this.id}:`, error);
+      }
+    }
+  }
+
+  _assertInside(target, filePath) {
+    if (target !== this.workspace && !target.startsWith(`${this.workspace}${path.sep}`)) {
+      throw new Error(`Path ${filePath} is outside the sandbox workspace`);
+    }
+
+    return target;
+  }
+
+  _assertUsable() {
+    if (this.destroyed || !this.workspace) {
+      throw new Error('Sandbox is not available');
+    }
+  }
+
+  /**
+   * Spawn a process without a shell and collect capped output
+   * The process runs in its own group so a timeout kills its children too.
+   */
+  _spawn(command, args, { cwd, env = {}, timeoutMs, label = null, onTimeout = null }) {
+    return new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      const output = { stdout: '', stderr: '' };
+      let truncated = false;
+      let timedOut = false;
+
+      const child = spawn(command, args, {
+        cwd,
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        // Nothing from the server's environment, only what the command needs
+        env: { PATH: process.env.PATH, LANG: 'C.UTF-8', ...env }
+      });
+
+      const collect = stream => chunk => {
+        const room = this.maxOutputBytes - Buffer.byteLength(output[stream]);
+        if (room <= 0) {
+          truncated = true;
+          return;
+        }
+        const text = chunk.toString('utf-8');
+        if (Buffer.byteLength(text) > room) {
+          truncated = true;
+        }
+        output[stream] += Buffer.from(text).subarray(0, room).toString('utf-8');
+      };
+
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          // Already exited
+        }
+        if (onTimeout) {
+          onTimeout().catch(() => {});
+        }
+      }, timeoutMs);
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Failed to start ${command}: ${error.message}`));
+      });
+
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        resolve({
+          command: label ? label.command : command,
+          args: label ? label.args : args,
+          exitCode,
+          signal,
+          timedOut,
+          durationMs: Date.now() - startedAt,
+          stdout: output.stdout,
+          stderr: output.stderr,
+          truncated
+        });
+      });
+    });
+  }
+}
+
+module.exports = { Sandbox };
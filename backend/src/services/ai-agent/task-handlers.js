@@ -0,0 +1,325 @@
+/**
+ * Agent Task Handlers
+ * Runs queued CodeAgent, CodeReviewAgent and MonitoringAgent tasks and code index
+ * syncs on the background workers
+ */
+
+const CodeAgent = require('./code-agent');
+const CodeReviewAgent = require('./code-review-agent');
+const MonitoringAgent = require('./monitoring-agent');
+const ApprovalClassifier = require('./approval-classifier');
+const GitHubExecutor = require('./github-executor');
+const { Sandbox } = require('./sandbox');
+const { singleFileChangeSet, touchedPaths } = require('./change-set');
+const { getInstance: getAuditLog } = require('./audit-log');
+const agentTaskQueue = require('./task-queue');
+const approvalWorkflow = require('./approval-workflow');
+const integrationService = require('../integration.service');
+const codeIndexService = require('../code-index.service');
+const { createGitHubClient } = require('../../../integrations/github/client');
+const { query } = require('../../config/database');
+const logger = require('../../utils/logger');
+
+/**
+ * Task types handled by CodeAgent, mapped to its reasoning task type
+ */
+const CODE_TASK_TYPES = {
+  'code.generate': 'generate',
+  'code.fix': 'fix',
+  'code.refactor': 'refactor',
+  'code.test': 'test',
+};
+
+/**
+ * Check out the task's repository so CodeAgent can read it and run its tests
+ * Takes a repository from GitHubExecutor.resolveRepository. Tasks without a
+ * repository, or with `runTests: false`, run without one.
+ */
+const openSandbox = async (organizationId, repository, { baseBranch, runTests } = {}) => {
+  if (!repository || runTests === false) {
+    return null;
+  }
+
+  const { owner, repo } = repository;
+  const integration = await integrationService.get(organizationId, 'github');
+  const sandbox = await Sandbox.create({
+    owner,
+    repo,
+    branch: baseBranch || repository.defaultBranch,
+    token: integration?.credentials?.accessToken
+  });
+
+  try {
+    const install = await sandbox.install();
+    if (install.exitCode !== 0) {
+      // Tests will fail and say why; the rest of the checks still apply
+      logger.warn(`Dependency install failed in sandbox for ${owner}/${repo}: ${install.stderr.slice(-500)}`);
+    }
+  } catch (error) {
+    await sandbox.destroy();
+    throw error;
+  }
+
+  return sandbox;
+};
+
+/**
+ * Run a queued code task through CodeAgent, classify and audit it
+ */
+const runCodeTask = async (task) => {
+  const type = CODE_TASK_TYPES[task.task_type];
+  const { autoApply = false, ...taskInput } = task.input_data || {};
+  const { filePath, language } = taskInput;
+
+  // Changes are checked out from and applied to the organization's repository the task names
+  const repository = taskInput.repositoryId
+    ? await GitHubExecutor.resolveRepository(task.organization_id, { repositoryId: taskInput.repositoryId })
+    : null;
+  const input = { ...taskInput, baseBranch: taskInput.baseBranch || repository?.defaultBranch };
+
+  const sandbox = await openSandbox(task.organization_id, repository, input);
+  const agent = new CodeAgent({ organizationId: task.organization_id, sandbox });
+  agent.addContext('task', { type, ...input });
+
+  let result;
+  try {
+    result = await agent.reason({ type, ...input });
+  } finally {
+    await sandbox?.destroy();
+  }
+
+  const code = type === 'test'
+    ? result.implementation.testCode
+    : result.implementation.code;
+  const changeSet = result.implementation.changeSet
+    || singleFileChangeSet({ path: filePath, content: code });
+
+  const classifier = await ApprovalClassifier.forOrganization(task.organization_id);
+  const classification = classifier.classify({
+    type,
+    code,
+    filePath,
+    changes: changeSet,
+    securityIssues: result.testResults.security?.issues || [],
+    testResults: result.testResults,
+    description: input.description || input.goal,
+    agentName: 'CodeAgent',
+    baseBranch: input.baseBranch
+  });
+
+  const auditLog = await getAuditLog();
+  await auditLog.logCodeGeneration({
+    organizationId: task.organization_id,
+    taskId: task.id,
+    agentName: 'CodeAgent',
+    input: { description: input.description || input.goal, language, filePath },
+    output: result.implementation,
+    cost: result.implementation.cost,
+    approved: classification.autoApproved
+  });
+
+  let application = null;
+  if (classification.autoApproved && autoApply && changeSet.length > 0) {
+    const executor = await GitHubExecutor.forRepository(task.organization_id, { repositoryId: repository?.id });
+
+    application = await executor.executeCodeChange({
+      changes: changeSet,
+      description: task.description,
+      type,
+      autoMerge: true,
+      baseBranch: input.baseBranch
+    });
+
+    if (application.branch) {
+      await auditLog.logCommit({
+        organizationId: task.organization_id,
+        taskId: task.id,
+        agentName: 'CodeAgent',
+        repository: executor.repository.fullName,
+        branch: application.branch,
+        files: touchedPaths(changeSet),
+        commitSha: application.commits[0]?.commit,
+        prNumber: application.pullRequest?.number,
+        merged: application.merged
+      });
+    }
+  }
+
+  // Keep the change so it can be applied once a reviewer approves it
+  let proposal = null;
+  if (classification.needsApproval && changeSet.length > 0) {
+    proposal = approvalWorkflow.buildProposal({
+      type,
+      description: task.description,
+      changes: changeSet,
+      owner: repository?.owner,
+      repo: repository?.repo,
+      baseBranch: input.baseBranch,
+      autoMerge: autoApply
+    });
+  }
+
+  return {
+    output: {
+      code,
+      changeSet,
+      explanation: result.implementation.explanation,
+      changes: result.implementation.changes,
+      classification,
+      steps: result.steps,
+      testResults: result.testResults,
+      cost: result.implementation.cost,
+      application
+    },
+    requiresApproval: classification.needsApproval,
+    proposal
+  };
+};
+
+/**
+ * Review a pull request with CodeReviewAgent
+ * A head commit that was already reviewed is skipped, so redelivered
+ * webhooks do not post the same review twice.
+ */
+const runCodeReviewTask = async (task) => {
+  const { owner, repo, prNumber, headSha, githubPullRequestId } = task.input_data || {};
+
+  const existing = await query(
+    `SELECT pr.id, pr.agent_review_status, pr.metadata
+     FROM pull_requests pr
+     JOIN repositories r ON r.id = pr.repository_id
+     WHERE pr.github_id = $1 AND r.organization_id = $2`,
+    [githubPullRequestId, task.organization_id]
+  );
+  const pullRequest = existing.rows[0];
+
+  if (pullRequest?.agent_review_status === 'completed'
+      && headSha && pullRequest.metadata?.agentReview?.headSha === headSha) {
+    logger.info(`PR ${owner}/${repo}#${prNumber} already reviewed at ${headSha}`);
+    return { output: { skipped: true, headSha } };
+  }
+
+  const integration = await integrationService.get(task.organization_id, 'github');
+  if (!integration) {
+    throw new Error('GitHub integration not found for organization');
+  }
+
+  const agent = new CodeReviewAgent({
+    organizationId: task.organization_id,
+    github: createGitHubClient(integration.credentials.accessToken, {
+      organizationId: task.organization_id
+    })
+  });
+
+  const result = await agent.review({
+    owner,
+    repo,
+    prNumber,
+    pullRequestId: pullRequest?.id
+  });
+
+  const auditLog = await getAuditLog();
+  await auditLog.logCodeReview({
+    organizationId: task.organization_id,
+    taskId: task.id,
+    agentName: 'CodeReviewAgent',
+    filePath: `${owner}/${repo}#${prNumber}`,
+    review: {
+      rating: result.implementation.rating,
+      issues: result.validation.comments,
+      securityConcerns: result.testResults.findings.filter(finding => finding.source === 'security')
+    },
+    cost: result.implementation.cost
+  });
+
+  return {
+    output: {
+      ...result.summary,
+      summary: result.implementation.summary,
+      comments: result.validation.comments,
+      skippedFiles: result.plan.skipped,
+      steps: result.steps
+    }
+  };
+};
+
+/**
+ * Check a ready deployment with MonitoringAgent
+ * Health paths can be set per project in the Vercel integration metadata
+ * as `healthChecks: { [projectName]: ['/api/health'] }`.
+ */
+const runDeploymentMonitorTask = async (task) => {
+  const { deploymentId, projectName } = task.input_data || {};
+
+  const integration = await integrationService.get(task.organization_id, 'vercel');
+
+  const agent = new MonitoringAgent({
+    organizationId: task.organization_id,
+    vercel: {
+      token: integration?.credentials?.accessToken,
+      teamId: integration?.metadata?.teamId
+    },
+    healthPaths: integration?.metadata?.healthChecks?.[projectName]
+  });
+
+  const result = await agent.check({ deploymentId, organizationId: task.organization_id });
+
+  const auditLog = await getAuditLog();
+  await auditLog.logSafetyCheck({
+    organizationId: task.organization_id,
+    taskId: task.id,
+    checks: {
+      deploymentId,
+      healthScore: result.validation.healthScore,
+      probes: result.validation.probes.length,
+      buildLog: result.validation.buildLog
+    },
+    passed: result.validation.passed,
+    issues: result.validation.findings
+  });
+
+  return {
+    output: {
+      healthScore: result.validation.healthScore,
+      ...result.monitoring,
+      steps: result.steps
+    }
+  };
+};
+
+/**
+ * Reindex a repository from GitHub
+ */
+const runCodeIndexTask = async (task) => {
+  const { fullName, branch } = task.input_data || {};
+
+  const integration = await integrationService.get(task.organization_id, 'github');
+  if (!integration) {
+    throw new Error('GitHub integration not found for organization');
+  }
+
+  const github = createGitHubClient(integration.credentials.accessToken, {
+    organizationId: task.organization_id
+  });
+
+  const stats = await codeIndexService.syncRepository(task.organization_id, github, { fullName, branch });
+
+  return { output: stats };
+};
+
+/**
+ * Register agent task handlers with the queue
+ */
+const initializeAgentTaskHandlers = () => {
+  for (const taskType of Object.keys(CODE_TASK_TYPES)) {
+    agentTaskQueue.registerHandler(taskType, runCodeTask);
+  }
+
+  agentTaskQueue.registerHandler('code.review', runCodeReviewTask);
+  agentTaskQueue.registerHandler('deployment.monitor', runDeploymentMonitorTask);
+  agentTaskQueue.registerHandler('code.index', runCodeIndexTask);
+
+  logger.info('Agent task handlers initialized');
+};
+
+module.exports = { initializeAgentTaskHandlers, CODE_TASK_TYPES, openSandbox, runCodeTask };
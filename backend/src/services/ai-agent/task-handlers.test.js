@@ -0,0 +1,98 @@
+jest.mock('@octokit/rest', () => ({ Octokit: jest.fn() }));
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('./code-agent', () => jest.fn());
+jest.mock('./code-review-agent', () => jest.fn());
+jest.mock('./monitoring-agent', () => jest.fn());
+jest.mock('./approval-classifier', () => ({ forOrganization: jest.fn() }));
+jest.mock('./sandbox', () => ({ Sandbox: { create: jest.fn() } }));
+jest.mock('./audit-log', () => ({ getInstance: jest.fn() }));
+jest.mock('./task-queue', () => ({ registerHandler: jest.fn() }));
+jest.mock('./approval-workflow', () => ({ buildProposal: jest.fn() }));
+jest.mock('../integration.service', () => ({ get: jest.fn() }));
+jest.mock('../code-index.service', () => ({ getRepository: jest.fn() }));
+jest.mock('../../../integrations/github/client', () => ({ createGitHubClient: jest.fn() }));
+
+const CodeAgent = require('./code-agent');
+const ApprovalClassifier = require('./approval-classifier');
+const { Sandbox } = require('./sandbox');
+const { getInstance: getAuditLog } = require('./audit-log');
+const integrationService = require('../integration.service');
+const codeIndexService = require('../code-index.service');
+const { runCodeTask } = require('./task-handlers');
+
+const ORG = 'org-1';
+
+const queuedTask = (inputData) => ({
+  id: 'task-1',
+  organization_id: ORG,
+  task_type: 'code.fix',
+  description: 'Fix: crash on empty input',
+  input_data: inputData
+});
+
+describe('runCodeTask', () => {
+  let sandbox;
+  let classify;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    sandbox = { install: jest.fn().mockResolvedValue({ exitCode: 0 }), destroy: jest.fn() };
+    Sandbox.create.mockResolvedValue(sandbox);
+
+    CodeAgent.mockImplementation(() => ({
+      addContext: jest.fn(),
+      reason: jest.fn().mockResolvedValue({
+        implementation: { code: 'fixed()', changeSet: [], cost: 0 },
+        testResults: { security: { issues: [] } },
+        steps: []
+      })
+    }));
+
+    classify = jest.fn().mockReturnValue({ autoApproved: false, needsApproval: false });
+    ApprovalClassifier.forOrganization.mockResolvedValue({ classify });
+    getAuditLog.mockResolvedValue({ logCodeGeneration: jest.fn() });
+
+    integrationService.get.mockResolvedValue({ credentials: { accessToken: 'org-token' } });
+    codeIndexService.getRepository.mockResolvedValue({ id: 'repo-1', full_name: 'acme/web', default_branch: 'develop' });
+  });
+
+  it('checks out the task\'s repository for the agent', async () => {
+    await runCodeTask(queuedTask({ description: 'crash on empty input', repositoryId: 'repo-1' }));
+
+    expect(codeIndexService.getRepository).toHaveBeenCalledWith(ORG, { repositoryId: 'repo-1', fullName: null });
+    expect(Sandbox.create).toHaveBeenCalledWith({ owner: 'acme', repo: 'web', branch: 'develop', token: 'org-token' });
+    expect(sandbox.install).toHaveBeenCalled();
+    expect(CodeAgent).toHaveBeenCalledWith({ organizationId: ORG, sandbox });
+    expect(sandbox.destroy).toHaveBeenCalled();
+  });
+
+  it('classifies against the repository\'s default branch', async () => {
+    await runCodeTask(queuedTask({ description: 'crash on empty input', repositoryId: 'repo-1' }));
+
+    expect(classify).toHaveBeenCalledWith(expect.objectContaining({ baseBranch: 'develop' }));
+  });
+
+  it('runs without a checkout when the task opts out of tests', async () => {
+    await runCodeTask(queuedTask({ description: 'crash on empty input', repositoryId: 'repo-1', runTests: false }));
+
+    expect(Sandbox.create).not.toHaveBeenCalled();
+    expect(CodeAgent).toHaveBeenCalledWith({ organizationId: ORG, sandbox: null });
+  });
+
+  it('runs without a checkout when the task names no repository', async () => {
+    await runCodeTask(queuedTask({ description: 'crash on empty input', code: 'broken()' }));
+
+    expect(Sandbox.create).not.toHaveBeenCalled();
+    expect(codeIndexService.getRepository).not.toHaveBeenCalled();
+  });
+
+  it('refuses a repository the organization has not connected', async () => {
+    codeIndexService.getRepository.mockResolvedValue(null);
+
+    await expect(runCodeTask(queuedTask({ description: 'crash', repositoryId: 'repo-2' })))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(Sandbox.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,446 @@
+/**
+ * Agent Task Queue
+ * Persists agent work in agent_tasks and runs it on background workers
+ */
+
+const { query, transaction } = require('../../config/database');
+const eventBus = require('../../events/eventBus');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const TASK_COLUMNS = `t.id, t.agent_id, t.task_type, t.description, t.status, t.priority,
+  t.input_data, t.output_data, t.error_message, t.started_at, t.completed_at,
+  t.duration_seconds, t.retry_count, t.max_retries, t.run_after,
+  t.requires_human_approval, t.approved_by, t.approved_at, t.created_at, t.updated_at,
+  t.required_approvals, t.approver_roles, t.approval_policy_version,
+  (SELECT COUNT(*)::INTEGER FROM agent_task_approvals ata WHERE ata.task_id = t.id) AS approval_count`;
+
+class AgentTaskQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || config.agentQueue.concurrency;
+    this.pollMs = options.pollMs || config.agentQueue.pollMs;
+    this.maxRetries = options.maxRetries ?? config.agentQueue.maxRetries;
+    this.retryBaseMs = options.retryBaseMs || config.agentQueue.retryBaseMs;
+    this.staleAfterMs = options.staleAfterMs || config.agentQueue.staleAfterMs;
+
+    this.handlers = new Map();
+    this.running = false;
+    this.workers = [];
+  }
+
+  /**
+   * Register the function that runs a task type
+   * The handler receives the claimed task row and returns
+   * `{ output, requiresApproval, proposal }`. Throwing schedules a retry.
+   */
+  registerHandler(taskType, handler) {
+    this.handlers.set(taskType, handler);
+  }
+
+  /**
+   * Find or create the agent of a type for an organization
+   */
+  async ensureAgent(organizationId, agentType, name) {
+    const existing = await query(
+      `SELECT id FROM agents
+       WHERE organization_id = $1 AND agent_type = $2
+       ORDER BY created_at ASC
+       LIMIT 1`,
+      [organizationId, agentType]
+    );
+
+    if (existing.rows[0]) {
+      return existing.rows[0].id;
+    }
+
+    const result = await query(
+      `INSERT INTO agents (organization_id, name, agent_type, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       RETURNING id`,
+      [organizationId, name || agentType, agentType]
+    );
+
+    logger.info(`Agent created: ${name || agentType} for organization ${organizationId}`);
+    return result.rows[0].id;
+  }
+
+  /**
+   * Add a task to the queue
+   */
+  async enqueue({
+    organizationId,
+    agentType,
+    agentName = null,
+    taskType,
+    description = null,
+    priority = 5,
+    inputData = {},
+    maxRetries = this.maxRetries,
+  }) {
+    const agentId = await this.ensureAgent(organizationId, agentType, agentName);
+
+    const result = await query(
+      `INSERT INTO agent_tasks (
+        agent_id, task_type, description, priority, input_data, max_retries, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      RETURNING *`,
+      [agentId, taskType, description, priority, JSON.stringify(inputData), maxRetries]
+    );
+
+    const task = result.rows[0];
+    logger.info(`Agent task queued: ${taskType} (${task.id}, priority ${priority})`);
+
+    return task;
+  }
+
+  /**
+   * Get a task scoped to an organization
+   */
+  async getTask(taskId, organizationId) {
+    const result = await query(
+      `SELECT ${TASK_COLUMNS}, a.organization_id, a.name AS agent_name
+       FROM agent_tasks t
+       JOIN agents a ON a.id = t.agent_id
+       WHERE t.id = $1 AND a.organization_id = $2`,
+      [taskId, organizationId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List tasks for an organization
+   */
+  async getTasks(organizationId, filters = {}) {
+    const { status, taskType, limit = 50, offset = 0 } = filters;
+
+    let queryText = `
+      SELECT ${TASK_COLUMNS}, a.organization_id, a.name AS agent_name
+      FROM agent_tasks t
+      JOIN agents a ON a.id = t.agent_id
+      WHERE a.organization_id = $1
+    `;
+
+    const params = [organizationId];
+    let paramCount = 1;
+
+    if (status) {
+      paramCount++;
+      queryText += ` AND t.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    if (taskType) {
+      paramCount++;
+      queryText += ` AND t.task_type = $${paramCount}`;
+      params.push(taskType);
+    }
+
+    queryText += ` ORDER BY t.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
+    params.push(limit, offset);
+
+    const result = await query(queryText, params);
+    return result.rows;
+  }
+
+  /**
+   * Start the worker loops
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    await this.recoverStaleTasks();
+
+    for (let i = 0; i < this.concurrency; i++) {
+      this.workers.push(this.workLoop(i));
+    }
+
+    logger.info(`Agent task queue started (${this.concurrency} workers)`);
+  }
+
+  /**
+   * Stop claiming tasks and wait for running ones to finish
+   */
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    await Promise.all(this.workers);
+    this.workers = [];
+
+    logger.info('Agent task queue stopped');
+  }
+
+  /**
+   * Claim and run tasks until stopped
+   */
+  async workLoop(workerId) {
+    while (this.running) {
+      try {
+        const task = await this.claimNext();
+
+        if (!task) {
+          await sleep(this.pollMs);
+          continue;
+        }
+
+        await this.runTask(task);
+      } catch (error) {
+        logger.error(`Agent task worker ${workerId} error:`, error);
+        await sleep(this.pollMs);
+      }
+    }
+  }
+
+  /**
+   * Claim the most urgent runnable task
+   * SKIP LOCKED lets several workers and instances poll the same table.
+   */
+  async claimNext() {
+    const taskTypes = Array.from(this.handlers.keys());
+    if (taskTypes.length === 0) {
+      return null;
+    }
+
+    return await transaction(async (client) => {
+      const result = await client.query(
+        `WITH next AS (
+          SELECT id FROM agent_tasks
+          WHERE status = 'pending'
+            AND run_after <= NOW()
+            AND task_type = ANY($1)
+          ORDER BY priority DESC, created_at ASC
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        UPDATE agent_tasks t
+        SET status = 'in_progress', started_at = NOW(), error_message = NULL, updated_at = NOW()
+        FROM next, agents a
+        WHERE t.id = next.id AND a.id = t.agent_id
+        RETURNING ${TASK_COLUMNS}, a.organization_id, a.name AS agent_name`,
+        [taskTypes]
+      );
+
+      const task = result.rows[0];
+      if (!task) {
+        return null;
+      }
+
+      await client.query(
+        `UPDATE agents
+         SET status = 'working', current_task_id = $2, last_active_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [task.agent_id, task.id]
+      );
+
+      return task;
+    });
+  }
+
+  /**
+   * Run a claimed task and record the outcome
+   */
+  async runTask(task) {
+    const handler = this.handlers.get(task.task_type);
+
+    await this.publish('agent.task.started', task);
+
+    try {
+      const { output = null, requiresApproval = false, proposal = null } = await handler(task) || {};
+      await this.complete(task, output, requiresApproval, proposal);
+    } catch (error) {
+      logger.error(`Agent task ${task.id} (${task.task_type}) failed:`, error);
+      await this.fail(task, error);
+    }
+  }
+
+  /**
+   * Approvals a task needs, from the classification in its output
+   */
+  approvalRequirements(output) {
+    const classification = output?.classification || {};
+
+    return {
+      requiredApprovals: Math.max(1, classification.requiredApprovals || 1),
+      approverRoles: classification.approverRoles?.length ? classification.approverRoles : null,
+      policyVersion: classification.policy?.version ?? null
+    };
+  }
+
+  /**
+   * Mark a task as finished, or as waiting for a human when required
+   * The proposal is the change that is applied once a reviewer approves it.
+   */
+  async complete(task, output, requiresApproval, proposal = null) {
+    const status = requiresApproval ? 'awaiting_approval' : 'completed';
+    const requirements = this.approvalRequirements(output);
+
+    const result = await query(
+      `UPDATE agent_tasks
+       SET status = $2,
+           output_data = $3,
+           requires_human_approval = $4,
+           proposed_change = $5,
+           approval_expires_at = CASE WHEN $4 THEN NOW() + ($6 || ' hours')::INTERVAL END,
+           required_approvals = $7,
+           approver_roles = $8,
+           approval_policy_version = $9,
+           completed_at = NOW(),
+           duration_seconds = EXTRACT(EPOCH FROM (NOW() - started_at))::INTEGER,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        task.id,
+        status,
+        JSON.stringify(output),
+        requiresApproval,
+        proposal ? JSON.stringify(proposal) : null,
+        String(config.approvals.ttlHours),
+        requirements.requiredApprovals,
+        requirements.approverRoles,
+        requirements.policyVersion,
+      ]
+    );
+
+    await this.updateAgentStats(task.agent_id);
+
+    const updated = { ...task, ...result.rows[0] };
+    await this.publish(
+      requiresApproval ? 'agent.task.needs_approval' : 'agent.task.completed',
+      updated
+    );
+
+    logger.info(`Agent task ${task.id} ${status} in ${updated.duration_seconds}s`);
+    return updated;
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or fail the task for good
+   */
+  async fail(task, error) {
+    // Errors marked `retryable: false` (e.g. an exhausted AI budget) fail right away
+    const canRetry = error.retryable !== false && task.retry_count < task.max_retries;
+
+    if (canRetry) {
+      const delayMs = this.backoffMs(task.retry_count);
+
+      await query(
+        `UPDATE agent_tasks
+         SET status = 'pending',
+             retry_count = retry_count + 1,
+             error_message = $2,
+             run_after = NOW() + ($3 || ' milliseconds')::INTERVAL,
+             updated_at = NOW()
+         WHERE id = $1`,
+        [task.id, error.message, String(delayMs)]
+      );
+
+      await query(
+        `UPDATE agents
+         SET status = 'idle', current_task_id = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [task.agent_id]
+      );
+
+      logger.warn(`Agent task ${task.id} will retry in ${delayMs}ms (attempt ${task.retry_count + 1}/${task.max_retries})`);
+      return;
+    }
+
+    const result = await query(
+      `UPDATE agent_tasks
+       SET status = 'failed',
+           error_message = $2,
+           completed_at = NOW(),
+           duration_seconds = EXTRACT(EPOCH FROM (NOW() - started_at))::INTEGER,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [task.id, error.message]
+    );
+
+    await this.updateAgentStats(task.agent_id);
+
+    // Clients read the final status from the task, failed included
+    await this.publish('agent.task.completed', { ...task, ...result.rows[0] });
+  }
+
+  /**
+   * Recompute an agent's counters from its finished tasks
+   * Only failed runs count against the agent; a rejected change still
+   * means the agent did its job.
+   */
+  async updateAgentStats(agentId) {
+    await query(
+      `UPDATE agents a
+       SET status = 'idle',
+           current_task_id = NULL,
+           total_tasks_completed = s.succeeded,
+           success_rate = COALESCE(ROUND(100.0 * s.succeeded / NULLIF(s.finished, 0), 2), 100.00),
+           average_duration_seconds = s.avg_duration,
+           last_active_at = NOW(),
+           updated_at = NOW()
+       FROM (
+         SELECT
+           COUNT(*) FILTER (WHERE status <> 'failed') AS succeeded,
+           COUNT(*) AS finished,
+           ROUND(AVG(duration_seconds) FILTER (WHERE status <> 'failed'))::INTEGER AS avg_duration
+         FROM agent_tasks
+         WHERE agent_id = $1 AND status NOT IN ('pending', 'in_progress')
+       ) s
+       WHERE a.id = $1`,
+      [agentId]
+    );
+  }
+
+  /**
+   * Put tasks left in progress by a crashed worker back in the queue
+   */
+  async recoverStaleTasks() {
+    const result = await query(
+      `UPDATE agent_tasks
+       SET status = 'pending', updated_at = NOW()
+       WHERE status = 'in_progress'
+         AND started_at < NOW() - ($1 || ' milliseconds')::INTERVAL
+       RETURNING id`,
+      [String(this.staleAfterMs)]
+    );
+
+    if (result.rowCount > 0) {
+      logger.warn(`Requeued ${result.rowCount} stale agent tasks`);
+    }
+  }
+
+  /**
+   * Exponential backoff before the next attempt
+   */
+  backoffMs(retryCount) {
+    return this.retryBaseMs * Math.pow(2, retryCount);
+  }
+
+  /**
+   * Publish a task lifecycle event for the WebSocket bridge
+   */
+  async publish(eventType, task) {
+    try {
+      await eventBus.publish(eventType, {
+        organizationId: task.organization_id,
+        task,
+      });
+    } catch (error) {
+      // Status is already persisted, a lost notification is not fatal
+      logger.error(`Failed to publish ${eventType} for task ${task.id}:`, error);
+    }
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Export singleton instance
+module.exports = new AgentTaskQueue();
@@ -0,0 +1,96 @@
+/**
+ * Deployment Tools
+ * Tools for checking the health of a deployment
+ */
+
+const axios = require('axios');
+
+const ERROR_PATTERN = /\b(error|failed|exception|fatal)\b/i;
+const WARNING_PATTERN = /\b(warn|warning|deprecated)\b/i;
+
+/**
+ * Request a URL and report status and latency
+ * Redirects are reported, not followed, so a probe never leaves the
+ * deployment's own origin.
+ */
+async function probeUrl({ url, timeoutMs = 10000 }) {
+  const startedAt = Date.now();
+
+  try {
+    const response = await axios.get(url, {
+      timeout: timeoutMs,
+      maxRedirects: 0,
+      // Report every status instead of throwing on 3xx/4xx/5xx
+      validateStatus: () => true
+    });
+
+    return {
+      url,
+      status: response.status,
+      ok: response.status >= 200 && response.status < 400,
+      redirectTo: response.status >= 300 && response.status < 400 ? response.headers?.location || null : null,
+      latencyMs: Date.now() - startedAt,
+      error: null
+    };
+  } catch (error) {
+    return {
+      url,
+      status: null,
+      ok: false,
+      redirectTo: null,
+      latencyMs: Date.now() - startedAt,
+      error: error.code === 'ECONNABORTED' ? `Timed out after ${timeoutMs}ms` : error.message
+    };
+  }
+}
+
+/**
+ * Fetch the build event log of a Vercel deployment
+ */
+async function fetchBuildEvents({ deploymentId, token, teamId = null }) {
+  const response = await axios.get(
+    `https://api.vercel.com/v2/deployments/${deploymentId}/events`,
+    {
+      params: teamId ? { teamId } : {},
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    }
+  );
+
+  return response.data;
+}
+
+/**
+ * Pick errors and warnings out of a build event log
+ */
+function scanBuildEvents({ events }) {
+  const errors = [];
+  const warnings = [];
+
+  for (const event of events || []) {
+    const text = event.payload?.text || event.text || '';
+    if (!text) {
+      continue;
+    }
+
+    if (event.type === 'stderr' || ERROR_PATTERN.test(text)) {
+      // stderr also carries warnings from most build tools
+      if (WARNING_PATTERN.test(text) && !ERROR_PATTERN.test(text)) {
+        warnings.push(text.trim());
+      } else {
+        errors.push(text.trim());
+      }
+    } else if (WARNING_PATTERN.test(text)) {
+      warnings.push(text.trim());
+    }
+  }
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  probeUrl,
+  fetchBuildEvents,
+  scanBuildEvents
+};
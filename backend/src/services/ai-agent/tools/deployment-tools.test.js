@@ -0,0 +1,25 @@
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const axios = require('axios');
+const { probeUrl } = require('./deployment-tools');
+
+describe('probeUrl', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('reports a redirect instead of following it', async () => {
+    axios.get.mockResolvedValue({ status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data' } });
+
+    const probe = await probeUrl({ url: 'https://app.example.com' });
+
+    expect(axios.get).toHaveBeenCalledWith('https://app.example.com', expect.objectContaining({ maxRedirects: 0 }));
+    expect(probe).toMatchObject({ status: 302, ok: true, redirectTo: 'http://169.254.169.254/latest/meta-data' });
+  });
+
+  it('reports failing statuses without throwing', async () => {
+    axios.get.mockResolvedValue({ status: 503, headers: {} });
+
+    await expect(probeUrl({ url: 'https://app.example.com' })).resolves.toMatchObject({ status: 503, ok: false, redirectTo: null });
+  });
+});
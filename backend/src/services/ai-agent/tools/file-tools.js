@@ -11,9 +11,14 @@ const { ESLint } = require('eslint');
 
 /**
  * Read a file
+ * With a sandbox, the path is relative to its workspace.
  */
-async function readFile({ filePath }) {
+async function readFile({ filePath, sandbox = null }) {
   try {
+    if (sandbox) {
+      return await sandbox.readFile(filePath);
+    }
+
     const content = await fs.readFile(filePath, 'utf-8');
     return content;
   } catch (error) {
@@ -23,9 +28,16 @@ async function readFile({ filePath }) {
 
 /**
  * Write a file
+ * With a sandbox, the path is relative to its workspace and no backup is kept.
  */
-async function writeFile({ filePath, content, backup = true }) {
+async function writeFile({ filePath, content, backup = true, sandbox = null }) {
   try {
+    if (sandbox) {
+      await sandbox.writeFile(filePath, content);
+      return { filePath, size: content.length };
+    }
+
+
     // Create backup if file exists
     if (backup) {
       try {
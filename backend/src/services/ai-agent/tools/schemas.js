@@ -0,0 +1,84 @@
+/**
+ * Tool Schemas
+ * JSON schemas for tool parameters, sent to the model as function definitions
+ */
+
+const language = {
+  type: 'string',
+  description: 'Programming language, e.g. javascript or typescript'
+};
+
+module.exports = {
+  readFile: {
+    type: 'object',
+    properties: {
+      filePath: { type: 'string', description: 'Path of the file to read' }
+    },
+    required: ['filePath']
+  },
+
+  writeFile: {
+    type: 'object',
+    properties: {
+      filePath: { type: 'string', description: 'Path of the file to write' },
+      content: { type: 'string', description: 'Full new content of the file' }
+    },
+    required: ['filePath', 'content']
+  },
+
+  parseCode: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', description: 'Source code to parse' },
+      language
+    },
+    required: ['code']
+  },
+
+  runLinter: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', description: 'Source code to lint' },
+      language,
+      filePath: { type: 'string', description: 'Path the code belongs to, for file-specific rules' }
+    },
+    required: ['code']
+  },
+
+  runFormatter: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', description: 'Source code to format' },
+      language
+    },
+    required: ['code']
+  },
+
+  runTests: {
+    type: 'object',
+    properties: {
+      filePath: { type: 'string', description: 'Test file to run; omit to run the whole suite' },
+      testPattern: { type: 'string', description: 'Only run tests whose names match this pattern' },
+      framework: { type: 'string', enum: ['jest', 'mocha'], description: 'Test framework' }
+    }
+  },
+
+  searchCode: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'What to look for: identifiers, concepts or error messages' },
+      path: { type: 'string', description: 'Only search files under this directory' },
+      limit: { type: 'integer', description: 'Number of results, at most 20' }
+    },
+    required: ['query']
+  },
+
+  checkSecurity: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', description: 'Source code to check' },
+      language
+    },
+    required: ['code']
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Code Search Tools
+ * Tools for finding relevant code in an indexed repository
+ */
+
+const codeIndexService = require('../../code-index.service');
+
+/**
+ * Search the repository's code index
+ * `repository` is { id } or { fullName }; the agent fills it in.
+ */
+async function searchCode({ organizationId, repository, query, path = null, limit = 5 }) {
+  if (!organizationId || !repository) {
+    throw new Error('No indexed repository for this task');
+  }
+
+  const { results, index } = await codeIndexService.search(organizationId, {
+    repositoryId: repository.id,
+    fullName: repository.fullName,
+    query,
+    pathPrefix: path,
+    limit: Math.min(Math.max(parseInt(limit) || 5, 1), 20)
+  });
+
+  return {
+    indexedAt: index?.indexedAt || null,
+    results: results.map(result => ({
+      path: result.path,
+      lines: `${result.startLine}-${result.endLine}`,
+      score: result.score,
+      content: result.content
+    }))
+  };
+}
+
+module.exports = {
+  searchCode
+};
@@ -213,81 +213,51 @@ function checkGeneralSecurity(code) {
 
 /**
  * Check for dependency vulnerabilities
+ * Runs `npm audit` in a sandbox checkout; it needs the registry but runs no repository code.
  */
-async function checkDependencies({ packageJsonPath = 'package.json' }) {
-  const { exec } = require('child_process');
-  const util = require('util');
-  const execPromise = util.promisify(exec);
+async function checkDependencies({ sandbox }) {
+  if (!sandbox) {
+    throw new Error('Dependencies can only be audited in a sandbox workspace');
+  }
+
+  const run = await sandbox.exec('npm', ['audit', '--json'], { network: true });
+
+  if (run.timedOut) {
+    throw new Error('Failed to check dependencies: npm audit timed out');
+  }
 
+  let auditData;
   try {
-    const { stdout } = await execPromise('npm audit --json', {
-      timeout: 30000
-    });
+    auditData = JSON.parse(run.stdout);
+  } catch (parseError) {
+    throw new Error(`Failed to parse npm audit results: ${parseError.message}`);
+  }
 
-    const auditData = JSON.parse(stdout);
-    const vulnerabilities = [];
-
-    if (auditData.vulnerabilities) {
-      for (const [name, vuln] of Object.entries(auditData.vulnerabilities)) {
-        vulnerabilities.push({
-          package: name,
-          severity: vuln.severity,
-          title: vuln.title || vuln.via?.[0]?.title,
-          url: vuln.url || vuln.via?.[0]?.url,
-          range: vuln.range
-        });
-      }
-    }
+  const vulnerabilities = [];
 
-    return {
-      passed: vulnerabilities.length === 0,
-      vulnerabilities,
-      summary: {
-        total: vulnerabilities.length,
-        critical: vulnerabilities.filter(v => v.severity === 'critical').length,
-        high: vulnerabilities.filter(v => v.severity === 'high').length,
-        moderate: vulnerabilities.filter(v => v.severity === 'moderate').length,
-        low: vulnerabilities.filter(v => v.severity === 'low').length
-      }
-    };
-  } catch (error) {
-    // If npm audit fails, it might mean vulnerabilities exist
-    if (error.stdout) {
-      try {
-        const auditData = JSON.parse(error.stdout);
-        // Process vulnerabilities even if audit exits with error code
-        const vulnerabilities = [];
-        
-        if (auditData.vulnerabilities) {
-          for (const [name, vuln] of Object.entries(auditData.vulnerabilities)) {
-            vulnerabilities.push({
-              package: name,
-              severity: vuln.severity,
-              title: vuln.title || vuln.via?.[0]?.title,
-              url: vuln.url || vuln.via?.[0]?.url,
-              range: vuln.range
-            });
-          }
-        }
-
-        return {
-          passed: false,
-          vulnerabilities,
-          summary: {
-            total: vulnerabilities.length,
-            critical: vulnerabilities.filter(v => v.severity === 'critical').length,
-            high: vulnerabilities.filter(v => v.severity === 'high').length,
-            moderate: vulnerabilities.filter(v => v.severity === 'moderate').length,
-            low: vulnerabilities.filter(v => v.severity === 'low').length
-          }
-        };
-      } catch (parseError) {
-        throw new Error(`Failed to parse npm audit results: ${parseError.message}`);
-      }
+  if (auditData.vulnerabilities) {
+    for (const [name, vuln] of Object.entries(auditData.vulnerabilities)) {
+      vulnerabilities.push({
+        package: name,
+        severity: vuln.severity,
+        title: vuln.title || vuln.via?.[0]?.title,
+        url: vuln.url || vuln.via?.[0]?.url,
+        range: vuln.range
+      });
     }
-    
-    throw new Error(`Failed to check dependencies: ${error.message}`);
   }
+
+  return {
+    passed: vulnerabilities.length === 0,
+    vulnerabilities,
+    summary: {
+      total: vulnerabilities.length,
+      critical: vulnerabilities.filter(v => v.severity === 'critical').length,
+      high: vulnerabilities.filter(v => v.severity === 'high').length,
+      moderate: vulnerabilities.filter(v => v.severity === 'moderate').length,
+      low: vulnerabilities.filter(v => v.severity === 'low').length
+    }
+  };
 }
 
 /**
@@ -3,56 +3,65 @@
  * Tools for running and managing tests
  */
 
-const { exec } = require('child_process');
-const util = require('util');
 const path = require('path');
 
-const execPromise = util.promisify(exec);
+/**
+ * Build the argv for a test run
+ * Paths and patterns are single arguments, so they cannot add flags of their own.
+ */
+function testCommand({ filePath, testPattern, framework }) {
+  if ([filePath, testPattern].some(value => value && value.startsWith('-'))) {
+    throw new Error('Test paths and patterns cannot start with "-"');
+  }
+
+  if (framework === 'jest') {
+    const args = ['test', '--'];
+    if (filePath) {
+      args.push(filePath);
+    } else if (testPattern) {
+      args.push(`--testPathPattern=${testPattern}`);
+    }
+    args.push('--passWithNoTests');
+    return args;
+  }
+
+  if (framework === 'mocha') {
+    const args = ['run', 'test:mocha', '--'];
+    if (filePath) {
+      args.push(filePath);
+    } else if (testPattern) {
+      args.push('--grep', testPattern);
+    }
+    return args;
+  }
+
+  throw new Error(`Unsupported test framework: ${framework}`);
+}
 
 /**
  * Run tests
+ * Tests only run inside a sandbox checkout, never in the server's own directory.
  */
-async function runTests({ filePath = null, testPattern = null, framework = 'jest' }) {
-  try {
-    let command;
-    
-    if (framework === 'jest') {
-      command = 'npm test --';
-      if (filePath) {
-        command += ` ${filePath}`;
-      } else if (testPattern) {
-        command += ` --testPathPattern="${testPattern}"`;
-      }
-      command += ' --passWithNoTests';
-    } else if (framework === 'mocha') {
-      command = 'npm run test:mocha';
-      if (filePath) {
-        command += ` ${filePath}`;
-      } else if (testPattern) {
-        command += ` --grep "${testPattern}"`;
-      }
-    } else {
-      throw new Error(`Unsupported test framework: ${framework}`);
-    }
+async function runTests({ sandbox, filePath = null, testPattern = null, framework = 'jest' }) {
+  if (!sandbox) {
+    throw new Error('Tests can only run in a sandbox workspace');
+  }
 
-    const { stdout, stderr } = await execPromise(command, {
-      timeout: 30000, // 30 second timeout
-      maxBuffer: 1024 * 1024 // 1MB buffer
-    });
+  const run = await sandbox.exec('npm', testCommand({ filePath, testPattern, framework }));
 
-    // Parse test results
-    const results = parseTestOutput(stdout + stderr, framework);
-    
-    return results;
-  } catch (error) {
-    // Test failure is not an execution error
-    if (error.code === 1 && error.stdout) {
-      const results = parseTestOutput(error.stdout + error.stderr, framework);
-      return results;
-    }
-    
-    throw new Error(`Failed to run tests: ${error.message}`);
+  if (run.timedOut) {
+    throw new Error(`Tests timed out after ${Math.round(run.durationMs / 1000)}s`);
   }
+
+  // A failing test exits non-zero but still prints results
+  const results = parseTestOutput(run.stdout + run.stderr, framework);
+
+  return {
+    ...results,
+    exitCode: run.exitCode,
+    durationMs: run.durationMs,
+    outputTruncated: run.truncated
+  };
 }
 
 /**
@@ -123,65 +132,63 @@ function parseTestOutput(output, framework) {
 /**
  * Run specific test file
  */
-async function runTestFile({ filePath, framework = 'jest' }) {
-  return runTests({ filePath, framework });
+async function runTestFile({ sandbox, filePath, framework = 'jest' }) {
+  return runTests({ sandbox, filePath, framework });
 }
 
 /**
  * Run tests matching pattern
  */
-async function runTestPattern({ pattern, framework = 'jest' }) {
-  return runTests({ testPattern: pattern, framework });
+async function runTestPattern({ sandbox, pattern, framework = 'jest' }) {
+  return runTests({ sandbox, testPattern: pattern, framework });
 }
 
 /**
  * Check test coverage
  */
-async function checkCoverage({ threshold = 80 }) {
+async function checkCoverage({ sandbox, threshold = 80 }) {
+  if (!sandbox) {
+    throw new Error('Coverage can only be checked in a sandbox workspace');
+  }
+
+  const run = await sandbox.exec('npm', ['test', '--', '--coverage', '--coverageReporters=json-summary']);
+  if (run.timedOut) {
+    throw new Error('Failed to check coverage: tests timed out');
+  }
+
+  let coverageData;
   try {
-    const { stdout, stderr } = await execPromise('npm test -- --coverage --coverageReporters=json-summary', {
-      timeout: 60000,
-      maxBuffer: 1024 * 1024
-    });
-
-    // Read coverage summary
-    const fs = require('fs').promises;
-    const coveragePath = path.join(process.cwd(), 'coverage', 'coverage-summary.json');
-    
-    try {
-      const coverageData = JSON.parse(await fs.readFile(coveragePath, 'utf-8'));
-      const total = coverageData.total;
-      
-      const meetsThreshold = 
-        total.lines.pct >= threshold &&
-        total.statements.pct >= threshold &&
-        total.functions.pct >= threshold &&
-        total.branches.pct >= threshold;
-
-      return {
-        passed: meetsThreshold,
-        threshold,
-        coverage: {
-          lines: total.lines.pct,
-          statements: total.statements.pct,
-          functions: total.functions.pct,
-          branches: total.branches.pct
-        }
-      };
-    } catch (error) {
-      throw new Error('Coverage report not found');
-    }
+    coverageData = JSON.parse(await sandbox.readFile(path.join('coverage', 'coverage-summary.json')));
   } catch (error) {
-    throw new Error(`Failed to check coverage: ${error.message}`);
+    throw new Error('Coverage report not found');
   }
+
+  const total = coverageData.total;
+  
+  const meetsThreshold = 
+    total.lines.pct >= threshold &&
+    total.statements.pct >= threshold &&
+    total.functions.pct >= threshold &&
+    total.branches.pct >= threshold;
+
+  return {
+    passed: meetsThreshold,
+    threshold,
+    coverage: {
+      lines: total.lines.pct,
+      statements: total.statements.pct,
+      functions: total.functions.pct,
+      branches: total.branches.pct
+    }
+  };
 }
 
 /**
  * Generate test report
  */
-async function generateTestReport({ format = 'json' }) {
+async function generateTestReport({ sandbox, format = 'json' }) {
   try {
-    const results = await runTests({});
+    const results = await runTests({ sandbox });
     
     if (format === 'json') {
       return JSON.stringify(results, null, 2);
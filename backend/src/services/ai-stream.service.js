@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const eventBus = require('../events/eventBus');
+const logger = require('../utils/logger');
+
+const TRANSPORTS = ['sse', 'socket'];
+
+/**
+ * One generation being streamed to a client
+ */
+class AIStream {
+  constructor({ userId, organizationId, transport, res }) {
+    this.id = crypto.randomUUID();
+    this.userId = userId;
+    this.organizationId = organizationId;
+    this.transport = transport;
+    this.res = res;
+    this.controller = new AbortController();
+    this.finished = false;
+    this.onFinish = null;
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  /**
+   * Send one frame to the client
+   */
+  send(event, data = {}) {
+    if (this.finished) {
+      return;
+    }
+
+    if (this.transport === 'sse') {
+      this.res.write(`event: ${event}\ndata: ${JSON.stringify({ streamId: this.id, ...data })}\n\n`);
+      return;
+    }
+
+    // Token chunks are not worth replaying, so they skip the durable stream
+    eventBus
+      .publish('ai.stream.frame', { userId: this.userId, streamId: this.id, event, data }, { durable: false })
+      .catch(() => {
+        // Already logged by the event bus
+      });
+  }
+
+  /**
+   * Send the final frame and close the stream
+   */
+  finish(event, data = {}) {
+    if (this.finished) {
+      return;
+    }
+
+    this.send(event, data);
+    this.finished = true;
+
+    if (this.transport === 'sse') {
+      this.res.end();
+    }
+
+    if (this.onFinish) {
+      this.onFinish();
+    }
+  }
+
+  abort() {
+    this.controller.abort();
+  }
+}
+
+/**
+ * AI Stream Service
+ *
+ * Delivers a generation as frames, either as Server-Sent Events on the
+ * request or to the caller's socket.io user room. A stream sends `start`,
+ * any number of `chunk` and `step` frames, then exactly one of `done`,
+ * `error` or `cancelled`; `done` carries token usage and cost. Cancelling
+ * works from any instance and aborts the provider request.
+ */
+class AIStreamService {
+  constructor() {
+    this.streams = new Map();
+  }
+
+  /**
+   * Listen for cancellations published by any instance
+   */
+  async initialize() {
+    await eventBus.subscribe('ai.stream.cancel', ({ streamId, userId }) => {
+      this.abort(streamId, userId);
+    });
+
+    logger.info('AI stream service initialized');
+  }
+
+  /**
+   * Open a stream for a request
+   * SSE keeps the response open; socket answers 202 with the stream ID.
+   */
+  open(req, res, transport = 'sse') {
+    if (!TRANSPORTS.includes(transport)) {
+      throw new Error(`Unknown stream transport: ${transport}`);
+    }
+
+    const stream = new AIStream({
+      userId: req.user.id,
+      organizationId: req.user.organizationId,
+      transport,
+      res,
+    });
+
+    this.streams.set(stream.id, stream);
+    stream.onFinish = () => this.streams.delete(stream.id);
+
+    if (transport === 'sse') {
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        // no-transform keeps the compression middleware from buffering frames
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+
+      // A client that goes away cancels its generation
+      res.on('close', () => {
+        if (!stream.finished) {
+          stream.abort();
+        }
+      });
+    } else {
+      res.status(202).json({ streamId: stream.id, transport });
+    }
+
+    stream.send('start', { transport });
+    return stream;
+  }
+
+  /**
+   * Run a generation on a stream and send its final frame
+   * `generate(stream)` resolves to the `done` frame, including `usage`.
+   */
+  async run(stream, generate) {
+    try {
+      const result = await generate(stream);
+
+      // A cancel that arrives after the work is done is too late to matter
+      stream.finish('done', result);
+    } catch (error) {
+      if (stream.signal.aborted) {
+        stream.finish('cancelled');
+      } else {
+        logger.error(`AI stream ${stream.id} failed:`, error);
+        stream.finish('error', { message: error.message, statusCode: error.statusCode || 500 });
+      }
+    }
+  }
+
+  /**
+   * Ask whichever instance holds a stream to cancel it
+   */
+  async cancel(streamId, userId) {
+    await eventBus.publish('ai.stream.cancel', { streamId, userId }, { durable: false });
+  }
+
+  /**
+   * Abort a stream held by this instance
+   * Only the user who started a stream can cancel it.
+   */
+  abort(streamId, userId) {
+    const stream = this.streams.get(streamId);
+
+    if (!stream || stream.userId !== userId) {
+      return false;
+    }
+
+    stream.abort();
+    return true;
+  }
+}
+
+// Export singleton instance
+module.exports = new AIStreamService();
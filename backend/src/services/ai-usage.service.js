@@ -0,0 +1,307 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+const PERIODS = ['daily', 'monthly'];
+
+/**
+ * AI Usage Service
+ *
+ * Stores every LLM call with its organization, user, agent, tokens and cost,
+ * and enforces per-organization daily and monthly budgets. Crossing the soft
+ * limit raises a warning notification; reaching a limit with `hard_limit` on
+ * refuses further requests before they are sent to a provider.
+ */
+class AIUsageService {
+  /**
+   * Record one LLM call and warn when it crosses a budget threshold
+   */
+  async record({
+    organizationId,
+    userId = null,
+    agentName = null,
+    provider,
+    model = null,
+    promptTokens = 0,
+    completionTokens = 0,
+    tokensUsed = 0,
+    cost = 0,
+  }) {
+    await query(
+      `INSERT INTO ai_usage (
+        organization_id, user_id, agent_name, provider, model,
+        prompt_tokens, completion_tokens, tokens_used, cost
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [organizationId, userId, agentName, provider, model, promptTokens, completionTokens, tokensUsed, cost]
+    );
+
+    if (cost > 0) {
+      await this.checkThresholds(organizationId, cost);
+    }
+  }
+
+  /**
+   * Get the organization's budget, or null if none is set
+   */
+  async getBudget(organizationId) {
+    const result = await query(
+      `SELECT * FROM ai_budgets WHERE organization_id = $1`,
+      [organizationId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create or replace the organization's budget
+   */
+  async setBudget(organizationId, { dailyLimit = null, monthlyLimit = null, softLimitPercent = 80, hardLimit = true }, userId) {
+    const result = await query(
+      `INSERT INTO ai_budgets (
+        organization_id, daily_limit, monthly_limit, soft_limit_percent, hard_limit, updated_by, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      ON CONFLICT (organization_id) DO UPDATE
+      SET daily_limit = EXCLUDED.daily_limit,
+          monthly_limit = EXCLUDED.monthly_limit,
+          soft_limit_percent = EXCLUDED.soft_limit_percent,
+          hard_limit = EXCLUDED.hard_limit,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = NOW()
+      RETURNING *`,
+      [organizationId, dailyLimit, monthlyLimit, softLimitPercent, hardLimit, userId]
+    );
+
+    logger.info(`AI budget updated for organization ${organizationId}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Spend so far today and this month
+   */
+  async getSpend(organizationId) {
+    const result = await query(
+      `SELECT
+         COALESCE(SUM(cost) FILTER (WHERE created_at >= date_trunc('day', NOW())), 0) AS daily,
+         COALESCE(SUM(cost), 0) AS monthly
+       FROM ai_usage
+       WHERE organization_id = $1 AND created_at >= date_trunc('month', NOW())`,
+      [organizationId]
+    );
+
+    return {
+      daily: parseFloat(result.rows[0].daily),
+      monthly: parseFloat(result.rows[0].monthly),
+    };
+  }
+
+  /**
+   * Compare spend against the budget
+   * Each period is `ok`, `warning` (past the soft limit) or `exceeded`.
+   */
+  async getBudgetStatus(organizationId) {
+    const budget = await this.getBudget(organizationId);
+    const spend = await this.getSpend(organizationId);
+
+    const status = { budget, state: 'ok' };
+
+    for (const period of PERIODS) {
+      const raw = budget?.[`${period}_limit`];
+      const limit = raw === null || raw === undefined ? null : parseFloat(raw);
+
+      status[period] = periodStatus(spend[period], limit, budget?.soft_limit_percent ?? 80);
+
+      if (status[period].state === 'exceeded' || (status[period].state === 'warning' && status.state === 'ok')) {
+        status.state = status[period].state;
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * Refuse a request once a hard limit is reached
+   * Resolves to the budget status so callers can pass warnings on.
+   */
+  async assertWithinBudget(organizationId) {
+    const status = await this.getBudgetStatus(organizationId);
+
+    if (status.state === 'exceeded' && status.budget?.hard_limit) {
+      const period = PERIODS.find(name => status[name].state === 'exceeded');
+      const error = new Error(
+        `The organization's ${period} AI budget of $${status[period].limit.toFixed(2)} has been reached`
+      );
+      error.name = 'BudgetExceededError';
+      error.statusCode = 402;
+      // Retrying cannot succeed until the period rolls over
+      error.retryable = false;
+      error.budget = status;
+      throw error;
+    }
+
+    return status;
+  }
+
+  /**
+   * Notify once when a call pushes spend past the soft limit or a limit
+   */
+  async checkThresholds(organizationId, cost) {
+    const status = await this.getBudgetStatus(organizationId);
+    if (!status.budget) {
+      return;
+    }
+
+    for (const period of PERIODS) {
+      const { limit, spent, softLimit } = status[period];
+      if (limit === null) {
+        continue;
+      }
+
+      const before = spent - cost;
+      let level = null;
+
+      if (before < limit && spent >= limit) {
+        level = 'exceeded';
+      } else if (before < softLimit && spent >= softLimit) {
+        level = 'warning';
+      }
+
+      if (!level) {
+        continue;
+      }
+
+      // Required lazily, the notification service pulls in the event bus
+      const notificationService = require('./notification.service');
+      await notificationService.notify({
+        organizationId,
+        eventType: `ai.budget.${level}`,
+        severity: level === 'exceeded' ? 'critical' : 'warning',
+        title: level === 'exceeded'
+          ? `${capitalize(period)} AI budget reached`
+          : `${capitalize(period)} AI budget at ${Math.round(status[period].percent)}%`,
+        message: `$${spent.toFixed(2)} of $${limit.toFixed(2)} spent.${
+          level === 'exceeded' && status.budget.hard_limit ? ' AI requests are refused until the period resets.' : ''
+        }`,
+        data: { period, limit, spent, hardLimit: status.budget.hard_limit },
+        dedupKey: `ai-budget:${period}:${level}`,
+      });
+    }
+  }
+
+  /**
+   * Usage totals for a date range, broken down by provider, model, user and agent
+   */
+  async getUsage(organizationId, { startDate = null, endDate = null } = {}) {
+    const params = [organizationId];
+    let where = 'organization_id = $1';
+
+    if (startDate) {
+      params.push(startDate);
+      where += ` AND created_at >= $${params.length}`;
+    }
+
+    if (endDate) {
+      params.push(endDate);
+      where += ` AND created_at <= $${params.length}`;
+    }
+
+    const result = await query(
+      `SELECT provider, model, user_id, agent_name,
+              COUNT(*)::INTEGER AS requests,
+              COALESCE(SUM(tokens_used), 0)::BIGINT AS tokens,
+              COALESCE(SUM(cost), 0) AS cost
+       FROM ai_usage
+       WHERE ${where}
+       GROUP BY provider, model, user_id, agent_name`,
+      params
+    );
+
+    const usage = {
+      totalCost: 0,
+      requestCount: 0,
+      tokensUsed: 0,
+      costByProvider: {},
+      providers: {},
+      byModel: {},
+      byUser: {},
+      byAgent: {},
+    };
+
+    for (const row of result.rows) {
+      const cost = parseFloat(row.cost);
+      const tokens = parseInt(row.tokens);
+
+      usage.totalCost += cost;
+      usage.requestCount += row.requests;
+      usage.tokensUsed += tokens;
+      usage.costByProvider[row.provider] = (usage.costByProvider[row.provider] || 0) + cost;
+
+      const provider = usage.providers[row.provider] || { provider: row.provider, tokensUsed: 0, totalCost: 0 };
+      provider.tokensUsed += tokens;
+      provider.totalCost += cost;
+      usage.providers[row.provider] = provider;
+
+      addTo(usage.byModel, row.model || 'unknown', row, cost, tokens);
+      if (row.user_id) {
+        addTo(usage.byUser, row.user_id, row, cost, tokens);
+      }
+      if (row.agent_name) {
+        addTo(usage.byAgent, row.agent_name, row, cost, tokens);
+      }
+    }
+
+    return usage;
+  }
+
+  /**
+   * Daily spend for the current month, with the running total
+   */
+  async getBurnDown(organizationId) {
+    const result = await query(
+      `SELECT date_trunc('day', created_at) AS day, SUM(cost) AS cost
+       FROM ai_usage
+       WHERE organization_id = $1 AND created_at >= date_trunc('month', NOW())
+       GROUP BY day
+       ORDER BY day ASC`,
+      [organizationId]
+    );
+
+    let cumulative = 0;
+    return result.rows.map(row => {
+      const cost = parseFloat(row.cost);
+      cumulative += cost;
+      return { date: row.day, cost, cumulative };
+    });
+  }
+}
+
+const periodStatus = (spent, limit, softLimitPercent) => {
+  if (limit === null) {
+    return { limit: null, spent, remaining: null, percent: null, softLimit: null, state: 'ok' };
+  }
+
+  const softLimit = limit * softLimitPercent / 100;
+  const percent = limit > 0 ? (spent / limit) * 100 : 100;
+
+  let state = 'ok';
+  if (spent >= limit) {
+    state = 'exceeded';
+  } else if (spent >= softLimit) {
+    state = 'warning';
+  }
+
+  return { limit, spent, remaining: Math.max(0, limit - spent), percent, softLimit, state };
+};
+
+const addTo = (totals, key, row, cost, tokens) => {
+  const entry = totals[key] || { totalCost: 0, requestCount: 0, tokensUsed: 0 };
+  entry.totalCost += cost;
+  entry.requestCount += row.requests;
+  entry.tokensUsed += tokens;
+  totals[key] = entry;
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Export singleton instance
+module.exports = new AIUsageService();
@@ -1,6 +1,10 @@
 const bcrypt = require('bcrypt');
 const { query } = require('../config/database');
-const { generateAccessToken, generateRefreshToken } = require('../utils/jwt');
+const rbac = require('./rbac.service');
+const sessionService = require('./session.service');
+const mfaService = require('./mfa.service');
+const organizationService = require('./organization.service');
+const { generateMfaChallengeToken, verifyMfaChallengeToken } = require('../utils/jwt');
 const logger = require('../utils/logger');
 
 class AuthService {
@@ -60,17 +64,17 @@ class AuthService {
   
   /**
    * Login user
+   * `context` holds the client's user agent and IP for the session list.
+   * Users with two-factor authentication get a challenge token instead of
+   * tokens, to be completed with completeMfaLogin.
    */
-  async login({ email, password }) {
+  async login({ email, password }, context = {}) {
     try {
       // Find user
       const result = await query(
-        `SELECT u.id, u.email, u.name, u.role, u.password_hash,
-                om.organization_id, om.role as org_role
-         FROM users u
-         LEFT JOIN organization_members om ON u.id = om.user_id
-         WHERE u.email = $1
-         LIMIT 1`,
+        `SELECT id, email, name, password_hash, mfa_enabled_at
+         FROM users
+         WHERE email = $1`,
         [email]
       );
       
@@ -87,53 +91,227 @@ class AuthService {
         throw new Error('Invalid credentials');
       }
       
-      // Generate tokens
-      const accessToken = generateAccessToken({
-        userId: user.id,
-        email: user.email,
-        role: user.org_role || user.role,
-        organizationId: user.organization_id,
-      });
-      
-      const refreshToken = generateRefreshToken({
-        userId: user.id,
-      });
-      
-      // Update last seen
-      await query(
-        'UPDATE users SET last_seen_at = NOW() WHERE id = $1',
-        [user.id]
-      );
+      if (user.mfa_enabled_at) {
+        logger.info(`Password accepted for ${email}, awaiting second factor`);
+        return {
+          mfaRequired: true,
+          challengeToken: generateMfaChallengeToken({ userId: user.id }),
+        };
+      }
       
+      const session = await this._startSession(user, context);
       logger.info(`User logged in: ${email}`);
       
-      return {
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          role: user.org_role || user.role,
-          organizationId: user.organization_id,
-        },
-        accessToken,
-        refreshToken,
-      };
+      return session;
     } catch (error) {
       logger.error('Login error:', error);
       throw error;
     }
   }
   
+  /**
+   * Second step of a login with two-factor authentication
+   * Takes the challenge token from login and an authenticator or recovery code.
+   */
+  async completeMfaLogin({ challengeToken, code }, context = {}) {
+    const challenge = verifyMfaChallengeToken(challengeToken);
+    
+    if (!challenge) {
+      const error = new Error('Sign-in expired; enter your password again');
+      error.statusCode = 401;
+      throw error;
+    }
+    
+    const method = await mfaService.verify(challenge.userId, code);
+    const user = await this.getUserById(challenge.userId);
+    const session = await this._startSession(user, context, { mfaVerified: true });
+    
+    logger.info(`User logged in with ${method}: ${user.email}`);
+    return session;
+  }
+  
+  /**
+   * Open a session in the user's default organization
+   */
+  async _startSession(user, context, { mfaVerified = false } = {}) {
+    const organizationId = await this.resolveOrganization(user.id);
+    const session = await this.issueTokens(user, organizationId, { context, mfaVerified });
+    
+    // Update last seen
+    await query(
+      'UPDATE users SET last_seen_at = NOW() WHERE id = $1',
+      [user.id]
+    );
+    
+    return session;
+  }
+  
+  /**
+   * Pick the organization a session is scoped to
+   * Prefers the given organization, then the user's default, then the one
+   * they joined first; only organizations the user belongs to qualify.
+   * Returns null for users without any membership.
+   */
+  async resolveOrganization(userId, preferredOrganizationId = null) {
+    const result = await query(
+      `SELECT om.organization_id
+       FROM organization_members om
+       JOIN users u ON u.id = om.user_id
+       WHERE om.user_id = $1
+       ORDER BY (om.organization_id = $2::uuid) IS TRUE DESC,
+                (om.organization_id = u.default_organization_id) IS TRUE DESC,
+                om.joined_at ASC
+       LIMIT 1`,
+      [userId, preferredOrganizationId]
+    );
+    
+    return result.rows[0]?.organization_id || null;
+  }
+  
+  /**
+   * Issue access and refresh tokens scoped to an organization
+   * Continues `sessionId` when given, otherwise starts a new session.
+   */
+  async issueTokens(user, organizationId, { sessionId = null, context = {}, mfaVerified = false } = {}) {
+    const membership = await rbac.getMembership(user.id, organizationId);
+    
+    if (!sessionId) {
+      sessionId = await sessionService.create(user.id, organizationId, context, { mfaVerified });
+    }
+    
+    const { accessToken, refreshToken, mfa } = await sessionService.issueTokens({
+      user,
+      organizationId,
+      sessionId,
+      context,
+    });
+    
+    return {
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: membership?.role || null,
+        permissions: membership?.permissions || [],
+        organizationId,
+        mfaEnabled: Boolean(user.mfa_enabled_at),
+        mfaVerified: mfa,
+      },
+      accessToken,
+      refreshToken,
+    };
+  }
+  
+  /**
+   * Exchange a refresh token for new tokens in the same session
+   * The session stays in its organization while the user is still a member.
+   */
+  async refresh(refreshToken, context = {}) {
+    const session = await sessionService.consumeRefreshToken(refreshToken);
+    const user = await this.getUserById(session.userId);
+    
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 401;
+      throw error;
+    }
+    
+    const organizationId = await this.resolveOrganization(user.id, session.organizationId);
+    return this.issueTokens(user, organizationId, { sessionId: session.id, context });
+  }
+  
+  /**
+   * Move a session to another organization the user belongs to
+   */
+  async switchOrganization(userId, organizationId, { remember = true, sessionId = null, context = {} } = {}) {
+    const membership = await rbac.getMembership(userId, organizationId);
+    
+    if (!membership) {
+      const error = new Error('You are not a member of this organization');
+      error.statusCode = 403;
+      throw error;
+    }
+    
+    if (remember) {
+      await this.setDefaultOrganization(userId, organizationId);
+    }
+    
+    const user = await this.getUserById(userId);
+    
+    logger.info(`User ${userId} switched to organization ${organizationId}`);
+    return this.issueTokens(user, organizationId, { sessionId, context });
+  }
+  
+  /**
+   * Turn on two-factor authentication with a code from the app
+   * The session it is done in counts as verified and gets new tokens.
+   */
+  async enableMfa(userId, code, { sessionId = null, organizationId = null, context = {} } = {}) {
+    const recoveryCodes = await mfaService.enable(userId, code);
+    
+    if (!sessionId) {
+      return { recoveryCodes };
+    }
+    
+    await sessionService.markMfaVerified(sessionId);
+    const user = await this.getUserById(userId);
+    const session = await this.issueTokens(user, organizationId, { sessionId, context });
+    
+    return { ...session, recoveryCodes };
+  }
+  
+  /**
+   * Turn off two-factor authentication, confirmed with a current code
+   * The session gets new tokens that no longer claim a second factor.
+   */
+  async disableMfa(userId, code, { sessionId = null, organizationId = null, context = {} } = {}) {
+    await mfaService.disable(userId, code);
+    
+    if (!sessionId) {
+      return {};
+    }
+    
+    const user = await this.getUserById(userId);
+    return this.issueTokens(user, organizationId, { sessionId, context });
+  }
+  
+  /**
+   * Remember the organization new sessions start in
+   */
+  async setDefaultOrganization(userId, organizationId) {
+    await query(
+      `UPDATE users
+       SET default_organization_id = $2,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [userId, organizationId]
+    );
+  }
+  
+  /**
+   * Organizations the user belongs to, marking the active and default ones
+   */
+  async getOrganizations(userId, activeOrganizationId) {
+    const [organizations, user] = await Promise.all([
+      organizationService.getUserOrganizations(userId),
+      this.getUserById(userId),
+    ]);
+    
+    return organizations.map(organization => ({
+      ...organization,
+      isActive: organization.id === activeOrganizationId,
+      isDefault: organization.id === user?.default_organization_id,
+    }));
+  }
+  
   /**
    * Get user by ID
    */
   async getUserById(userId) {
     const result = await query(
-      `SELECT u.id, u.email, u.name, u.role, u.avatar_url, u.created_at,
-              om.organization_id, om.role as org_role
-       FROM users u
-       LEFT JOIN organization_members om ON u.id = om.user_id
-       WHERE u.id = $1`,
+      `SELECT id, email, name, role, avatar_url, default_organization_id, mfa_enabled_at, created_at
+       FROM users
+       WHERE id = $1`,
       [userId]
     );
     
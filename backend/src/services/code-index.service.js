@@ -0,0 +1,400 @@
+const { query, transaction } = require('../config/database');
+const config = require('../config');
+const logger = require('../utils/logger');
+const agentTaskQueue = require('./ai-agent/task-queue');
+const { isIndexable, tokenize, termFrequencies, chunkSource, bm25Score, hashEmbedding } = require('../utils/codeSearch');
+
+// Chunks scored per lexical search; the best term matches come first
+const CANDIDATE_LIMIT = 500;
+
+/**
+ * Code Index Service
+ *
+ * Per-repository search index over source files, filled by `code.index` tasks
+ * queued on integration sync and on pushes to the default branch.
+ * Files are split into overlapping line chunks; each chunk stores its term
+ * frequencies for BM25 and, when enabled, a local embedding vector. Searches
+ * rank by BM25, blended with vector similarity when embeddings are on.
+ */
+class CodeIndexService {
+  constructor(options = {}) {
+    this.config = { ...config.codeIndex, ...options };
+    // Swappable for a real embedding model; must return unit-length vectors
+    this.embed = options.embed || (terms => hashEmbedding(terms, this.config.embeddingDimensions));
+  }
+
+  /**
+   * Find a repository of the organization by ID or full name
+   */
+  async getRepository(organizationId, { repositoryId = null, fullName = null }) {
+    const result = await query(
+      `SELECT id, full_name, default_branch, metadata
+       FROM repositories
+       WHERE organization_id = $1 AND (id::text = $2 OR full_name = $3)
+       LIMIT 1`,
+      [organizationId, repositoryId || '', fullName || '']
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Paths in the index with the blob SHA they were indexed at
+   * Lets sync fetch only files that changed.
+   */
+  async getIndexedFiles(organizationId, repositoryFullName) {
+    const repository = await this.getRepository(organizationId, { fullName: repositoryFullName });
+    if (!repository) {
+      return new Map();
+    }
+
+    const result = await query(
+      `SELECT DISTINCT path, blob_sha FROM code_chunks WHERE repository_id = $1`,
+      [repository.id]
+    );
+
+    return new Map(result.rows.map(row => [row.path, row.blob_sha]));
+  }
+
+  /**
+   * Queue a background reindex of a repository
+   */
+  async queueSync(organizationId, { fullName, branch = null, commitSha = null }) {
+    if (!this.config.enabled) {
+      return null;
+    }
+
+    return agentTaskQueue.enqueue({
+      organizationId,
+      agentType: 'code_index',
+      agentName: 'CodeIndexer',
+      taskType: 'code.index',
+      description: `Index ${fullName}${commitSha ? ` at ${commitSha.slice(0, 7)}` : ''}`,
+      priority: 3,
+      inputData: { fullName, branch, commitSha },
+    });
+  }
+
+  /**
+   * Bring the index of a repository up to date with a branch on GitHub
+   * Only files whose blob SHA changed since the last run are downloaded;
+   * files no longer in the tree are dropped.
+   */
+  async syncRepository(organizationId, github, { fullName, branch = null }) {
+    const repository = await this.getRepository(organizationId, { fullName });
+    if (!repository) {
+      throw notFound(`Repository ${fullName} not found`);
+    }
+
+    const [owner, repo] = fullName.split('/');
+    const { data: tree } = await github.getTree(owner, repo, branch || repository.default_branch);
+
+    const sources = tree.tree
+      .filter(item => item.type === 'blob' && isIndexable(item.path, item.size, this.config.maxFileBytes))
+      .slice(0, this.config.maxFiles);
+
+    if (tree.truncated) {
+      logger.warn(`Tree of ${fullName} is truncated, indexing the first ${sources.length} files`);
+    }
+
+    const indexed = await this.getIndexedFiles(organizationId, fullName);
+    const current = new Set(sources.map(item => item.path));
+
+    const changed = sources.filter(item => indexed.get(item.path) !== item.sha);
+    const removedPaths = [...indexed.keys()].filter(path => !current.has(path));
+
+    if (changed.length === 0 && removedPaths.length === 0) {
+      return { commitSha: tree.sha, indexed: 0, removed: 0 };
+    }
+
+    const files = [];
+    for (const item of changed) {
+      const content = await github.getBlob(owner, repo, item.sha);
+      // Binary files that slipped past the extension filter
+      if (!content.includes('\u0000')) {
+        files.push({ path: item.path, sha: item.sha, content });
+      }
+    }
+
+    const stats = await this.indexFiles({
+      organizationId,
+      repositoryFullName: fullName,
+      commitSha: tree.sha,
+      files,
+      removedPaths
+    });
+
+    return { ...stats, indexed: files.length, removed: removedPaths.length };
+  }
+
+  /**
+   * Replace the chunks of changed files and drop removed ones
+   * `files` is [{ path, sha, content }].
+   */
+  async indexFiles({ organizationId, repositoryFullName, commitSha = null, files = [], removedPaths = [] }) {
+    const repository = await this.getRepository(organizationId, { fullName: repositoryFullName });
+    if (!repository) {
+      throw notFound(`Repository ${repositoryFullName} not found`);
+    }
+
+    const stats = await transaction(async (client) => {
+      const stale = [...removedPaths, ...files.map(file => file.path)];
+      if (stale.length > 0) {
+        await client.query(
+          `DELETE FROM code_chunks WHERE repository_id = $1 AND path = ANY($2::text[])`,
+          [repository.id, stale]
+        );
+      }
+
+      for (const file of files) {
+        await this._insertChunks(client, organizationId, repository.id, file);
+      }
+
+      const counts = await client.query(
+        `SELECT COUNT(DISTINCT path)::INTEGER AS files, COUNT(*)::INTEGER AS chunks
+         FROM code_chunks WHERE repository_id = $1`,
+        [repository.id]
+      );
+
+      const indexStats = {
+        commitSha,
+        files: counts.rows[0].files,
+        chunks: counts.rows[0].chunks,
+        embeddings: Boolean(this.config.embeddings),
+        indexedAt: new Date().toISOString()
+      };
+
+      await client.query(
+        `UPDATE repositories
+         SET metadata = jsonb_set(COALESCE(metadata, '{}'::jsonb), '{codeIndex}', $2::jsonb)
+         WHERE id = $1`,
+        [repository.id, JSON.stringify(indexStats)]
+      );
+
+      return indexStats;
+    });
+
+    logger.info(
+      `Indexed ${files.length} file(s), removed ${removedPaths.length} from ${repositoryFullName} (${stats.chunks} chunks)`
+    );
+    return stats;
+  }
+
+  /**
+   * Search a repository
+   * Returns the best chunks as [{ path, startLine, endLine, score, bm25, similarity, content }].
+   */
+  async search(organizationId, { repositoryId = null, fullName = null, query: text, limit = 10, pathPrefix = null }) {
+    const repository = await this.getRepository(organizationId, { repositoryId, fullName });
+    if (!repository) {
+      throw notFound('Repository not found');
+    }
+
+    const terms = [...new Set(tokenize(text))];
+    const response = {
+      repository: { id: repository.id, fullName: repository.full_name },
+      index: repository.metadata?.codeIndex || null,
+      results: []
+    };
+
+    if (terms.length === 0) {
+      return response;
+    }
+
+    const matches = new Map();
+    const lexical = await this._lexicalSearch(repository.id, terms, pathPrefix);
+    for (const match of lexical) {
+      matches.set(match.id, { ...match, similarity: 0 });
+    }
+
+    if (this.config.embeddings) {
+      const semantic = await this._vectorSearch(repository.id, terms, pathPrefix, limit * 3);
+      for (const match of semantic) {
+        const existing = matches.get(match.id);
+        matches.set(match.id, existing ? { ...existing, similarity: match.similarity } : { ...match, bm25: 0 });
+      }
+    }
+
+    const maxBm25 = Math.max(0, ...Array.from(matches.values()).map(match => match.bm25));
+    const weight = this.config.embeddings ? this.config.embeddingWeight : 0;
+
+    response.results = Array.from(matches.values())
+      .map(match => ({
+        path: match.path,
+        startLine: match.startLine,
+        endLine: match.endLine,
+        score: round((1 - weight) * (maxBm25 > 0 ? match.bm25 / maxBm25 : 0) + weight * match.similarity),
+        bm25: round(match.bm25),
+        similarity: this.config.embeddings ? round(match.similarity) : null,
+        content: match.content
+      }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    return response;
+  }
+
+  /**
+   * The most relevant files for a task, formatted for a prompt
+   * Best effort: an unindexed repository or a failing search yields null.
+   */
+  async buildContext(organizationId, { repositoryId = null, fullName = null, query: text, maxFiles, maxChars }) {
+    if (!this.config.enabled || !text) {
+      return null;
+    }
+
+    const fileLimit = maxFiles || this.config.contextFiles;
+    const charLimit = maxChars || this.config.contextMaxChars;
+
+    try {
+      const { results } = await this.search(organizationId, {
+        repositoryId,
+        fullName,
+        query: text,
+        limit: fileLimit * 3
+      });
+
+      const sections = [];
+      const files = [];
+      let length = 0;
+
+      for (const result of results) {
+        if (!files.includes(result.path)) {
+          if (files.length >= fileLimit) {
+            continue;
+          }
+          files.push(result.path);
+        }
+
+        const section = `// ${result.path} (lines ${result.startLine}-${result.endLine})\n${result.content}`;
+        if (length + section.length > charLimit) {
+          break;
+        }
+        sections.push(section);
+        length += section.length;
+      }
+
+      return sections.length > 0 ? { files, text: sections.join('\n\n') } : null;
+    } catch (error) {
+      logger.warn(`Code context unavailable for ${fullName || repositoryId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async _insertChunks(client, organizationId, repositoryId, file) {
+    const chunks = chunkSource(file.content, this.config);
+    if (chunks.length === 0) {
+      return;
+    }
+
+    const values = [];
+    const rows = chunks.map((chunk) => {
+      // The path is searchable too, so "auth middleware" finds middleware/auth.js
+      const terms = tokenize(`${file.path}\n${chunk.content}`);
+      const row = [
+        organizationId,
+        repositoryId,
+        file.path,
+        file.sha,
+        chunk.startLine,
+        chunk.endLine,
+        chunk.content,
+        JSON.stringify(termFrequencies(terms)),
+        terms.length,
+        this.config.embeddings ? this.embed(terms) : null
+      ];
+
+      const offset = values.length;
+      values.push(...row);
+      return `(${row.map((_, i) => `$${offset + i + 1}`).join(', ')})`;
+    });
+
+    await client.query(
+      `INSERT INTO code_chunks (
+        organization_id, repository_id, path, blob_sha, start_line, end_line,
+        content, terms, length, embedding
+      )
+      VALUES ${rows.join(', ')}`,
+      values
+    );
+  }
+
+  async _lexicalSearch(repositoryId, terms, pathPrefix) {
+    const [stats, frequencies, candidates] = await Promise.all([
+      query(
+        `SELECT COUNT(*)::INTEGER AS document_count, COALESCE(AVG(length), 0)::FLOAT AS average_length
+         FROM code_chunks WHERE repository_id = $1`,
+        [repositoryId]
+      ),
+      query(
+        `SELECT t.term, COUNT(c.id)::INTEGER AS df
+         FROM unnest($2::text[]) AS t(term)
+         LEFT JOIN code_chunks c ON c.repository_id = $1 AND c.terms ? t.term
+         GROUP BY t.term`,
+        [repositoryId, terms]
+      ),
+      query(
+        `SELECT id, path, start_line, end_line, content, terms, length
+         FROM code_chunks c
+         WHERE repository_id = $1 AND terms ?| $2::text[]
+           AND ($3::text IS NULL OR starts_with(path, $3))
+         ORDER BY (SELECT COUNT(*) FROM unnest($2::text[]) AS t(term) WHERE c.terms ? t.term) DESC
+         LIMIT ${CANDIDATE_LIMIT}`,
+        [repositoryId, terms, pathPrefix]
+      )
+    ]);
+
+    const corpus = {
+      documentCount: stats.rows[0].document_count,
+      averageLength: stats.rows[0].average_length,
+      documentFrequencies: Object.fromEntries(frequencies.rows.map(row => [row.term, row.df]))
+    };
+
+    return candidates.rows.map(row => ({
+      id: row.id,
+      path: row.path,
+      startLine: row.start_line,
+      endLine: row.end_line,
+      content: row.content,
+      bm25: bm25Score(terms, row.terms, row.length, corpus)
+    }));
+  }
+
+  async _vectorSearch(repositoryId, terms, pathPrefix, limit) {
+    // Vectors are unit length, so the dot product is the cosine similarity
+    const result = await query(
+      `SELECT c.id, c.path, c.start_line, c.end_line, c.content,
+              SUM(e.value * q.value)::FLOAT AS similarity
+       FROM code_chunks c
+       CROSS JOIN LATERAL unnest(c.embedding) WITH ORDINALITY AS e(value, position)
+       JOIN unnest($2::float8[]) WITH ORDINALITY AS q(value, position) ON q.position = e.position
+       WHERE c.repository_id = $1 AND c.embedding IS NOT NULL
+         AND ($3::text IS NULL OR starts_with(c.path, $3))
+       GROUP BY c.id
+       ORDER BY similarity DESC
+       LIMIT $4`,
+      [repositoryId, this.embed(terms), pathPrefix, limit]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      path: row.path,
+      startLine: row.start_line,
+      endLine: row.end_line,
+      content: row.content,
+      similarity: Math.max(0, row.similarity)
+    }));
+  }
+}
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+// Export singleton instance
+module.exports = new CodeIndexService();
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const config = require('../config');
+const { generateInvitationToken, verifyInvitationToken } = require('../utils/jwt');
+const mailer = require('./mailer');
+const rbac = require('./rbac.service');
+const authService = require('./auth.service');
+const organizationService = require('./organization.service');
+const logger = require('../utils/logger');
+
+const INVITATION_COLUMNS = `
+  i.id, i.organization_id, i.email, i.role, i.invited_by, i.send_count,
+  i.last_sent_at, i.expires_at, i.accepted_at, i.revoked_at, i.created_at,
+  i.expires_at <= NOW() AS expired`;
+
+/**
+ * Invitation Service
+ *
+ * Invites people to an organization by email, whether or not they have an
+ * account yet. The link carries a signed token that expires; only a hash of
+ * the latest token is stored, so resending a link invalidates the older ones.
+ * The role is chosen when inviting and given on accept.
+ */
+class InvitationService {
+  /**
+   * Invite an email address to an organization
+   */
+  async create(organizationId, { email, role }, inviter) {
+    email = email.toLowerCase();
+    await rbac.assertAssignable(organizationId, role, inviter.id);
+
+    const existing = await query(
+      `SELECT
+         EXISTS (
+           SELECT 1 FROM organization_members om
+           JOIN users u ON u.id = om.user_id
+           WHERE om.organization_id = $1 AND LOWER(u.email) = $2
+         ) AS is_member,
+         EXISTS (
+           SELECT 1 FROM organization_invitations
+           WHERE organization_id = $1 AND email = $2
+             AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+         ) AS is_invited`,
+      [organizationId, email]
+    );
+
+    if (existing.rows[0].is_member) {
+      throw httpError(409, `${email} is already a member of this organization`);
+    }
+    if (existing.rows[0].is_invited) {
+      throw httpError(409, `${email} already has a pending invitation; resend it instead`);
+    }
+
+    const id = crypto.randomUUID();
+    const { token, tokenHash, expiresAt } = this._issueToken(id, organizationId);
+
+    await query(
+      `INSERT INTO organization_invitations
+         (id, organization_id, email, role, token_hash, invited_by, expires_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())`,
+      [id, organizationId, email, role, tokenHash, inviter.id, expiresAt]
+    );
+
+    const invitation = await this._getById(organizationId, id);
+    const delivered = await this._send(invitation, token);
+
+    logger.info(`Invited ${email} to organization ${organizationId} as ${role}`);
+    return { ...invitation, delivered };
+  }
+
+  /**
+   * Invitations that have not been accepted or revoked, expired ones included
+   */
+  async list(organizationId) {
+    const result = await query(
+      `SELECT ${INVITATION_COLUMNS}, u.name AS invited_by_name
+       FROM organization_invitations i
+       LEFT JOIN users u ON u.id = i.invited_by
+       WHERE i.organization_id = $1
+         AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+       ORDER BY i.created_at DESC`,
+      [organizationId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Send a fresh link, which also restarts the expiry
+   */
+  async resend(organizationId, invitationId) {
+    const { token, tokenHash, expiresAt } = this._issueToken(invitationId, organizationId);
+
+    const result = await query(
+      `UPDATE organization_invitations
+       SET token_hash = $3,
+           expires_at = $4,
+           send_count = send_count + 1,
+           last_sent_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1 AND organization_id = $2
+         AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [invitationId, organizationId, tokenHash, expiresAt]
+    );
+
+    if (!result.rows[0]) {
+      throw httpError(404, 'Invitation not found');
+    }
+
+    const invitation = await this._getById(organizationId, invitationId);
+    const delivered = await this._send(invitation, token);
+    return { ...invitation, delivered };
+  }
+
+  /**
+   * Revoke a pending invitation; its link stops working
+   */
+  async revoke(organizationId, invitationId) {
+    const result = await query(
+      `UPDATE organization_invitations
+       SET revoked_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1 AND organization_id = $2
+         AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING email`,
+      [invitationId, organizationId]
+    );
+
+    if (!result.rows[0]) {
+      throw httpError(404, 'Invitation not found');
+    }
+
+    logger.info(`Invitation for ${result.rows[0].email} to organization ${organizationId} revoked`);
+  }
+
+  /**
+   * What an invitation link is for, shown before it is accepted
+   */
+  async preview(token) {
+    const invitation = await this._findByToken(token);
+
+    const account = await query(
+      'SELECT 1 FROM users WHERE LOWER(email) = $1',
+      [invitation.email]
+    );
+
+    return {
+      email: invitation.email,
+      role: invitation.role,
+      organization: { id: invitation.organization_id, name: invitation.organization_name },
+      invitedBy: invitation.invited_by_name,
+      expiresAt: invitation.expires_at,
+      hasAccount: account.rows.length > 0,
+    };
+  }
+
+  /**
+   * Accept an invitation
+   * A signed-in user accepts for their own account, which must have the
+   * invited email. Otherwise a new account is registered with `name` and
+   * `password`. Returns a session scoped to the organization; `context`
+   * describes the client starting it.
+   */
+  async accept(token, { userId = null, name, password, context = {} } = {}) {
+    const invitation = await this._findByToken(token);
+    let user;
+
+    if (userId) {
+      user = await authService.getUserById(userId);
+      if (user?.email.toLowerCase() !== invitation.email) {
+        throw httpError(403, `This invitation is for ${invitation.email}`);
+      }
+    } else {
+      const account = await query(
+        'SELECT 1 FROM users WHERE LOWER(email) = $1',
+        [invitation.email]
+      );
+      if (account.rows.length > 0) {
+        throw httpError(409, 'An account with this email already exists; sign in to accept');
+      }
+      if (!name || !password) {
+        throw httpError(400, 'Name and password are required to create an account');
+      }
+
+      user = await authService.register({ email: invitation.email, name, password });
+    }
+
+    // Claim the invitation so a link can only be used once
+    const claimed = await query(
+      `UPDATE organization_invitations
+       SET accepted_at = NOW(),
+           accepted_by = $2,
+           updated_at = NOW()
+       WHERE id = $1
+         AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+       RETURNING id`,
+      [invitation.id, user.id]
+    );
+
+    if (!claimed.rows[0]) {
+      throw httpError(409, 'This invitation has already been used');
+    }
+
+    // Someone who joined in the meantime keeps the role they have
+    if (!(await rbac.getMembership(user.id, invitation.organization_id))) {
+      await organizationService.addMember(invitation.organization_id, user.id, invitation.role);
+    }
+
+    logger.info(`${invitation.email} accepted the invitation to organization ${invitation.organization_id}`);
+    return authService.issueTokens(user, invitation.organization_id, { context });
+  }
+
+  _issueToken(invitationId, organizationId) {
+    const expiresInSeconds = config.invitations.ttlHours * 3600;
+    const token = generateInvitationToken(
+      { invitationId, organizationId, nonce: crypto.randomBytes(8).toString('hex') },
+      expiresInSeconds
+    );
+
+    return {
+      token,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + expiresInSeconds * 1000),
+    };
+  }
+
+  async _getById(organizationId, invitationId) {
+    const result = await query(
+      `SELECT ${INVITATION_COLUMNS}, u.name AS invited_by_name, o.name AS organization_name
+       FROM organization_invitations i
+       JOIN organizations o ON o.id = i.organization_id
+       LEFT JOIN users u ON u.id = i.invited_by
+       WHERE i.id = $1 AND i.organization_id = $2`,
+      [invitationId, organizationId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Look up the invitation a link belongs to, refusing used or stale links
+   */
+  async _findByToken(token) {
+    const decoded = verifyInvitationToken(token);
+    const result = decoded && await query(
+      `SELECT ${INVITATION_COLUMNS}, u.name AS invited_by_name, o.name AS organization_name
+       FROM organization_invitations i
+       JOIN organizations o ON o.id = i.organization_id
+       LEFT JOIN users u ON u.id = i.invited_by
+       WHERE i.token_hash = $1`,
+      [hashToken(token)]
+    );
+    const invitation = result?.rows[0];
+
+    if (!invitation || invitation.revoked_at) {
+      throw httpError(404, 'Invitation not found');
+    }
+    if (invitation.accepted_at) {
+      throw httpError(409, 'This invitation has already been used');
+    }
+    if (invitation.expired) {
+      throw httpError(410, 'This invitation has expired; ask for a new one');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Email the link; a failed delivery is logged and reported, and the
+   * invitation can be resent
+   */
+  async _send(invitation, token) {
+    const link = `${config.frontendUrl}/invitations/${token}`;
+    const inviter = invitation.invited_by_name || 'A teammate';
+
+    try {
+      await mailer.sendMail({
+        to: invitation.email,
+        subject: `${inviter} invited you to ${invitation.organization_name} on CompanyOS`,
+        text: [
+          `${inviter} invited you to join ${invitation.organization_name} as ${invitation.role}.`,
+          '',
+          `Accept the invitation: ${link}`,
+          '',
+          `The link expires on ${new Date(invitation.expires_at).toUTCString()}.`,
+        ].join('\n'),
+      });
+      return true;
+    } catch (error) {
+      logger.error(`Failed to send invitation ${invitation.id}:`, error);
+      return false;
+    }
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Export singleton instance
+module.exports = new InvitationService();
@@ -10,6 +10,7 @@ class AnthropicProvider extends BaseLLMProvider {
   constructor(config) {
     super(config);
     this.name = 'anthropic';
+    this.supportsTools = true;
     this.client = new Anthropic({
       apiKey: config.apiKey || process.env.ANTHROPIC_API_KEY
     });
@@ -47,23 +48,40 @@ class AnthropicProvider extends BaseLLMProvider {
       maxTokens = 4096,
       temperature = 0.7,
       messages = [],
-      model = this.defaultModel
+      model = this.defaultModel,
+      tools = []
     } = params;
 
-    const messagesList = messages.length > 0 ? messages : [
+    const messagesList = messages.length > 0 ? this.formatMessages(messages) : [
       { role: 'user', content: prompt }
     ];
 
-    try {
-      const response = await this.client.messages.create({
-        model,
-        max_tokens: maxTokens,
-        temperature,
-        system: systemPrompt,
-        messages: messagesList
-      });
+    const request = {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      system: systemPrompt,
+      messages: messagesList
+    };
+
+    if (tools.length > 0) {
+      request.tools = tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+    }
 
-      const text = response.content[0].text;
+    try {
+      const response = await this.client.messages.create(request);
+
+      const text = response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      const toolCalls = response.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, input: block.input }));
       const promptTokens = response.usage.input_tokens;
       const completionTokens = response.usage.output_tokens;
       const cost = this.calculateCost(promptTokens, completionTokens, model);
@@ -78,11 +96,12 @@ class AnthropicProvider extends BaseLLMProvider {
         completionTokens,
         cost,
         model,
+        toolCalls,
         stopReason: response.stop_reason
       };
     } catch (error) {
       console.error('Anthropic API error:', error);
-      throw new Error(`Anthropic API error: ${error.message}`);
+      throw this.wrapError('Anthropic API error', error);
     }
   }
 
@@ -96,7 +115,8 @@ class AnthropicProvider extends BaseLLMProvider {
       maxTokens = 4096,
       temperature = 0.7,
       messages = [],
-      model = this.defaultModel
+      model = this.defaultModel,
+      signal
     } = params;
 
     const messagesList = messages.length > 0 ? messages : [
@@ -115,7 +135,7 @@ class AnthropicProvider extends BaseLLMProvider {
         system: systemPrompt,
         messages: messagesList,
         stream: true
-      });
+      }, { signal });
 
       for await (const event of stream) {
         if (event.type === 'message_start') {
@@ -145,8 +165,47 @@ class AnthropicProvider extends BaseLLMProvider {
       };
     } catch (error) {
       console.error('Anthropic streaming error:', error);
-      throw new Error(`Anthropic streaming error: ${error.message}`);
+      throw this.wrapError('Anthropic streaming error', error);
+    }
+  }
+
+  /**
+   * Convert tool-loop messages to Anthropic content blocks
+   * Tool calls become `tool_use` blocks on the assistant turn, and
+   * consecutive tool results are sent together as one user turn.
+   */
+  formatMessages(messages) {
+    const formatted = [];
+
+    for (const message of messages) {
+      if (message.role === 'assistant' && message.toolCalls?.length) {
+        formatted.push({
+          role: 'assistant',
+          content: [
+            ...(message.content ? [{ type: 'text', text: message.content }] : []),
+            ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.input }))
+          ]
+        });
+      } else if (message.role === 'tool') {
+        const block = {
+          type: 'tool_result',
+          tool_use_id: message.toolCallId,
+          content: message.content,
+          is_error: Boolean(message.isError)
+        };
+        const previous = formatted[formatted.length - 1];
+
+        if (previous?.role === 'user' && Array.isArray(previous.content)) {
+          previous.content.push(block);
+        } else {
+          formatted.push({ role: 'user', content: [block] });
+        }
+      } else {
+        formatted.push({ role: message.role, content: message.content });
+      }
     }
+
+    return formatted;
   }
 
   /**
@@ -7,6 +7,8 @@ class BaseLLMProvider {
   constructor(config) {
     this.config = config;
     this.name = 'base';
+    // Whether complete() accepts `tools` and returns `toolCalls`
+    this.supportsTools = false;
     this.tokensUsed = 0;
     this.totalCost = 0;
   }
@@ -19,7 +21,8 @@ class BaseLLMProvider {
    * @param {number} params.maxTokens - Max tokens to generate
    * @param {number} params.temperature - Sampling temperature
    * @param {Array} params.messages - Chat messages array
-   * @returns {Promise<Object>} { text, tokensUsed, cost }
+   * @param {Array} params.tools - Tool definitions { name, description, parameters }, if supportsTools
+   * @returns {Promise<Object>} { text, tokensUsed, cost, toolCalls }
    */
   async complete(params) {
     throw new Error('complete() must be implemented by provider');
@@ -45,6 +48,20 @@ class BaseLLMProvider {
     return Math.ceil(text.length / 4);
   }
 
+  /**
+   * Wrap an API error, keeping the HTTP status and error code
+   * LLMManager uses them to decide whether to retry or fail over.
+   * @param {string} message
+   * @param {Error} error
+   * @returns {Error}
+   */
+  wrapError(message, error) {
+    const wrapped = new Error(`${message}: ${error.message}`);
+    wrapped.status = error.status || error.response?.status || null;
+    wrapped.code = error.code;
+    return wrapped;
+  }
+
   /**
    * Calculate cost based on tokens
    * @param {number} promptTokens
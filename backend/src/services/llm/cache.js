@@ -0,0 +1,112 @@
+/**
+ * Prompt Cache
+ * Content-addressed cache of LLM responses in Redis
+ *
+ * The key is a hash of everything that shapes the answer: provider, model,
+ * system prompt, messages, tools, temperature and max tokens. Only deterministic
+ * calls (temperature 0) are cached unless a request asks for it.
+ */
+
+const crypto = require('crypto');
+const { redisClient } = require('../../config/redis');
+const logger = require('../../utils/logger');
+
+const KEY_PREFIX = 'llm:cache:';
+
+class PromptCache {
+  constructor(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.ttlSeconds = config.ttlSeconds || 86400;
+
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Whether a request should go through the cache
+   * `cache: false` bypasses it, `cache: true` caches non-deterministic calls too.
+   */
+  shouldCache(params) {
+    if (!this.enabled || params.cache === false) {
+      return false;
+    }
+
+    return params.cache === true || params.temperature === 0;
+  }
+
+  /**
+   * Build the cache key for a request
+   */
+  key({ provider, model, systemPrompt, messages, prompt, temperature, maxTokens, tools }) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(JSON.stringify({
+        provider,
+        model: model || null,
+        systemPrompt: systemPrompt || null,
+        messages: messages || [{ role: 'user', content: prompt }],
+        temperature,
+        maxTokens: maxTokens || null,
+        tools: tools || null
+      }))
+      .digest('hex');
+
+    return `${KEY_PREFIX}${hash}`;
+  }
+
+  /**
+   * Look up a cached response
+   * Redis errors count as a miss so the request still reaches a provider.
+   */
+  async get(key) {
+    try {
+      const cached = await redisClient.get(key);
+
+      if (cached) {
+        this.hits++;
+        return JSON.parse(cached);
+      }
+    } catch (error) {
+      logger.error('Prompt cache read failed:', error);
+    }
+
+    this.misses++;
+    return null;
+  }
+
+  /**
+   * Store a response
+   */
+  async set(key, result) {
+    try {
+      await redisClient.set(key, JSON.stringify(result), 'EX', this.ttlSeconds);
+    } catch (error) {
+      logger.error('Prompt cache write failed:', error);
+    }
+  }
+
+  /**
+   * Get hit and miss counts for this process
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      enabled: this.enabled,
+      ttlSeconds: this.ttlSeconds,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? this.hits / lookups : 0
+    };
+  }
+
+  /**
+   * Reset hit and miss counts
+   */
+  resetStats() {
+    this.hits = 0;
+    this.misses = 0;
+  }
+}
+
+module.exports = { PromptCache };
@@ -7,11 +7,26 @@ const AnthropicProvider = require('./anthropic');
 const OpenAIProvider = require('./openai');
 const OllamaProvider = require('./ollama');
 const { RateLimiter } = require('../../utils/rateLimiter');
+const { CircuitBreaker } = require('../../utils/circuitBreaker');
+const { PromptCache } = require('./cache');
+const aiUsageService = require('../ai-usage.service');
+const appConfig = require('../../config');
+const logger = require('../../utils/logger');
+
+// Provider errors worth retrying on the same provider
+const RETRYABLE_STATUS = status => status === 429 || status >= 500;
 
 class LLMManager {
   constructor(config = {}) {
+    const llmConfig = { ...appConfig.llm, ...config };
+
     this.providers = {};
-    this.defaultProvider = config.defaultProvider || 'anthropic';
+    this.defaultProvider = llmConfig.defaultProvider;
+    this.fallbackChain = llmConfig.fallbackChain;
+    this.maxRetries = llmConfig.maxRetries;
+    this.retryBaseMs = llmConfig.retryBaseMs;
+    this.retryMaxMs = llmConfig.retryMaxMs;
+    this.taskModels = llmConfig.taskModels || {};
     
     // Initialize providers
     if (config.anthropic?.apiKey || process.env.ANTHROPIC_API_KEY) {
@@ -22,22 +37,41 @@ class LLMManager {
       this.providers.openai = new OpenAIProvider(config.openai || {});
     }
     
-    if (config.ollama?.enabled) {
+    if (config.ollama?.enabled || process.env.OLLAMA_ENABLED === 'true') {
       this.providers.ollama = new OllamaProvider(config.ollama || {});
     }
 
+    // One circuit per provider, so an outage fails over instead of timing out every request
+    this.breakers = {};
+    for (const name of Object.keys(this.providers)) {
+      this.breakers[name] = new CircuitBreaker({ name, ...llmConfig.circuitBreaker });
+    }
+
+    this.cache = new PromptCache(llmConfig.cache);
+
     // Rate limiting: 100 requests per minute per provider
     this.rateLimiter = new RateLimiter({
       maxRequests: config.maxRequests || 100,
       windowMs: 60000 // 1 minute
     });
 
-    // Cost tracking
+    // Cost tracking for this process; per-organization usage is stored by aiUsageService
     this.totalCost = 0;
     this.costByProvider = {};
     this.requestCount = 0;
   }
 
+  /**
+   * Get a view of the manager that adds attribution to every request
+   * Agents use this so helper calls like generateCode are billed too.
+   */
+  withContext(context) {
+    const scoped = Object.create(this);
+    scoped.complete = (params) => this.complete({ ...context, ...params });
+    scoped.streamComplete = (params, onChunk) => this.streamComplete({ ...context, ...params }, onChunk);
+    return scoped;
+  }
+
   /**
    * Get a provider by name
    */
@@ -49,62 +83,282 @@ class LLMManager {
     return provider;
   }
 
+  /**
+   * Providers to try for a request, in order
+   * The requested provider comes first, then the configured fallback chain.
+   * Providers that are not configured are left out, so a deployment with
+   * only Ollama works offline.
+   */
+  getProviderChain(requested = this.defaultProvider) {
+    const chain = [requested, ...this.fallbackChain].filter(name => this.providers[name]);
+    return [...new Set(chain)];
+  }
+
+  /**
+   * Whether a provider in the chain for a request can call tools
+   */
+  supportsTools(requested = this.defaultProvider) {
+    return this.getProviderChain(requested).some(name => this.providers[name].supportsTools);
+  }
+
   /**
    * Complete with automatic provider selection
+   * Pass `organizationId`, `userId` and `agentName` to attribute usage; requests
+   * for an organization over its hard budget limit are refused here.
+   * Deterministic calls are answered from the prompt cache when possible;
+   * pass `cache: false` to bypass it.
    */
   async complete(params) {
-    const provider = params.provider || this.defaultProvider;
-    
-    // Check rate limit
-    await this.rateLimiter.checkLimit(`llm:${provider}`);
+    const requestedProvider = params.provider || this.defaultProvider;
+    const cacheKey = this.cache.shouldCache(params) ? this._cacheKey(params) : null;
+
+    if (cacheKey) {
+      const cached = await this.cache.get(cacheKey);
+      if (cached) {
+        // Nothing was sent to a provider, so there is nothing to bill
+        return { ...cached, tokensUsed: 0, cost: 0, cached: true, requestedProvider, attempts: [], budget: null };
+      }
+    }
 
-    const llm = this.getProvider(provider);
-    const result = await llm.complete(params);
+    const budget = await this._checkBudget(params);
 
-    // Track usage
-    this.requestCount++;
-    this.totalCost += result.cost;
-    this.costByProvider[provider] = (this.costByProvider[provider] || 0) + result.cost;
+    const { provider, result, attempts } = await this._route(params, (llm, callParams) => llm.complete(callParams));
+
+    await this._recordUsage(provider, result, params);
+
+    if (cacheKey) {
+      await this.cache.set(cacheKey, { ...result, provider });
+    }
 
     return {
       ...result,
-      provider
+      provider,
+      requestedProvider,
+      attempts,
+      budget
     };
   }
 
   /**
    * Stream completion
+   * Only fails over if the provider fails before sending any text.
+   * Pass an AbortSignal as `signal` to cancel the generation.
    */
   async streamComplete(params, onChunk) {
+    const budget = await this._checkBudget(params);
+    let streamed = false;
+
+    const handleChunk = (chunk) => {
+      streamed = true;
+      if (onChunk) {
+        onChunk(chunk);
+      }
+    };
+
+    const { provider, result, attempts } = await this._route(
+      params,
+      (llm, callParams) => llm.streamComplete(callParams, handleChunk),
+      () => !streamed
+    );
+
+    await this._recordUsage(provider, result, params);
+
+    return {
+      ...result,
+      provider,
+      requestedProvider: params.provider || this.defaultProvider,
+      attempts,
+      budget
+    };
+  }
+
+  /**
+   * Walk the provider chain until one answers
+   * Each provider gets retries with backoff on 429/5xx; an open circuit is
+   * skipped. `canContinue()` stops failover, e.g. once text was streamed.
+   */
+  async _route(params, call, canContinue = () => true) {
+    const requested = params.provider || this.defaultProvider;
+    const chain = this.getProviderChain(requested);
+    const attempts = [];
+    let lastError = null;
+
+    if (chain.length === 0) {
+      throw new Error(`Provider ${requested} is not configured and no fallback is available`);
+    }
+
+    for (const provider of chain) {
+      const breaker = this.breakers[provider];
+
+      if (params.tools?.length && !this.providers[provider].supportsTools) {
+        attempts.push({ provider, skipped: 'no tool support' });
+        continue;
+      }
+
+      if (!breaker.canRequest()) {
+        attempts.push({ provider, skipped: 'circuit open' });
+        continue;
+      }
+
+      try {
+        const result = await this._callWithRetry(provider, params, call, canContinue);
+        breaker.recordSuccess();
+
+        if (provider !== requested) {
+          logger.warn(`LLM request for ${requested} answered by ${provider}`);
+        }
+
+        attempts.push({ provider, success: true });
+        return { provider, result, attempts };
+      } catch (error) {
+        lastError = error;
+        attempts.push({ provider, error: error.message, status: error.status || null });
+
+        if (params.signal?.aborted || !isProviderFailure(error)) {
+          // Cancelled, or a bad request that fails the same way everywhere;
+          // neither says anything about the provider
+          breaker.release();
+          throw error;
+        }
+
+        breaker.recordFailure();
+
+        if (!canContinue()) {
+          throw error;
+        }
+
+        logger.warn(`LLM provider ${provider} failed: ${error.message}`);
+      }
+    }
+
+    const error = lastError || new Error(`All LLM providers are unavailable (${chain.join(', ')})`);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  /**
+   * Call one provider, retrying 429/5xx with jittered exponential backoff
+   */
+  async _callWithRetry(provider, params, call, canContinue) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._callProvider(provider, params, call);
+      } catch (error) {
+        const retryable = RETRYABLE_STATUS(error.status) && attempt < this.maxRetries;
+
+        if (!retryable || params.signal?.aborted || !canContinue()) {
+          throw error;
+        }
+
+        // Full jitter keeps clients that failed together from retrying together
+        const delayMs = Math.random() * Math.min(this.retryMaxMs, this.retryBaseMs * Math.pow(2, attempt));
+        logger.warn(`LLM provider ${provider} returned ${error.status}, retrying in ${Math.round(delayMs)}ms`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  /**
+   * Cache key for a request, using the model the requested provider would get
+   */
+  _cacheKey(params) {
     const provider = params.provider || this.defaultProvider;
-    
-    // Check rate limit
+
+    return this.cache.key({
+      ...params,
+      provider,
+      model: params.model || this.taskModels[params.taskType]?.[provider]
+    });
+  }
+
+  /**
+   * Rate limit and call one provider
+   * Picks the task's model for this provider unless the request names one.
+   * A model chosen for another provider is dropped so the provider's default applies.
+   */
+  async _callProvider(provider, params, call) {
     await this.rateLimiter.checkLimit(`llm:${provider}`);
 
     const llm = this.getProvider(provider);
-    const result = await llm.streamComplete(params, onChunk);
+    const callParams = { ...params };
+    const requested = params.provider || this.defaultProvider;
 
-    // Track usage
-    this.requestCount++;
-    this.totalCost += result.cost;
-    this.costByProvider[provider] = (this.costByProvider[provider] || 0) + result.cost;
+    if (!params.model || requested !== provider) {
+      callParams.model = this.taskModels[params.taskType]?.[provider];
+    }
+
+    if (!callParams.model) {
+      delete callParams.model;
+    }
+
+    return call(llm, callParams);
+  }
+
+  /**
+   * Check the organization's budget before a request is sent
+   * Resolves to the budget state when it needs attention, otherwise null.
+   */
+  async _checkBudget({ organizationId }) {
+    if (!organizationId) {
+      return null;
+    }
+
+    const status = await aiUsageService.assertWithinBudget(organizationId);
+    if (status.state === 'ok') {
+      return null;
+    }
 
     return {
-      ...result,
-      provider
+      state: status.state,
+      daily: status.daily,
+      monthly: status.monthly
     };
   }
 
+  /**
+   * Add a call to the process counters and the organization's usage
+   */
+  async _recordUsage(provider, result, { organizationId, userId, agentName } = {}) {
+    const cost = result.cost || 0;
+
+    this.requestCount++;
+    this.totalCost += cost;
+    this.costByProvider[provider] = (this.costByProvider[provider] || 0) + cost;
+
+    if (!organizationId) {
+      return;
+    }
+
+    try {
+      await aiUsageService.record({
+        organizationId,
+        userId,
+        agentName,
+        provider,
+        model: result.model,
+        promptTokens: result.promptTokens,
+        completionTokens: result.completionTokens,
+        tokensUsed: result.tokensUsed,
+        cost
+      });
+    } catch (error) {
+      // The provider already answered, so losing the record must not fail the request
+      logger.error(`Failed to record AI usage for organization ${organizationId}:`, error);
+    }
+  }
+
   /**
    * Generate code with best provider
+   * Streams the code through `onChunk` when one is given.
    */
-  async generateCode(params) {
+  async generateCode(params, onChunk = null) {
     const {
       description,
       language,
       context = '',
       style = 'clean',
-      provider = 'anthropic' // Claude is better for code generation
+      provider,
+      ...routing
     } = params;
 
     const systemPrompt = `You are an expert ${language} developer. Generate clean, production-ready code following best practices.`;
@@ -125,13 +379,17 @@ Requirements:
 
 Output only the code, no explanations.`;
 
-    return this.complete({
+    const request = {
+      taskType: 'generateCode',
+      ...routing,
       provider,
       prompt,
       systemPrompt,
       temperature: 0.3,
       maxTokens: 4096
-    });
+    };
+
+    return onChunk ? this.streamComplete(request, onChunk) : this.complete(request);
   }
 
   /**
@@ -143,7 +401,8 @@ Output only the code, no explanations.`;
       language,
       context = '',
       checkFor = ['bugs', 'security', 'performance', 'style'],
-      provider = 'anthropic'
+      provider,
+      ...routing
     } = params;
 
     const systemPrompt = 'You are a senior code reviewer. Provide constructive, actionable feedback.';
@@ -177,10 +436,12 @@ Format as JSON:
 }`;
 
     const result = await this.complete({
+      taskType: 'reviewCode',
+      ...routing,
       provider,
       prompt,
       systemPrompt,
-      temperature: 0.4,
+      temperature: 0, // Deterministic, so repeat reviews of the same code hit the prompt cache
       maxTokens: 2048
     });
 
@@ -213,7 +474,8 @@ Format as JSON:
       code,
       language,
       goal = 'improve readability and maintainability',
-      provider = 'anthropic'
+      provider,
+      ...routing
     } = params;
 
     const systemPrompt = 'You are an expert at code refactoring. Improve code quality while maintaining functionality.';
@@ -245,6 +507,8 @@ Format as JSON:
 }`;
 
     const result = await this.complete({
+      taskType: 'refactorCode',
+      ...routing,
       provider,
       prompt,
       systemPrompt,
@@ -278,7 +542,8 @@ Format as JSON:
       language,
       framework = 'jest',
       coverage = 'comprehensive',
-      provider = 'anthropic'
+      provider,
+      ...routing
     } = params;
 
     const systemPrompt = `You are an expert at writing ${framework} tests. Generate comprehensive test suites.`;
@@ -300,16 +565,19 @@ Requirements:
 Output only the test code.`;
 
     return this.complete({
+      taskType: 'generateTests',
+      ...routing,
       provider,
       prompt,
       systemPrompt,
-      temperature: 0.3,
+      temperature: 0,
       maxTokens: 4096
     });
   }
 
   /**
-   * Get usage statistics
+   * Get usage statistics for this process
+   * Per-organization usage comes from aiUsageService.getUsage().
    */
   getUsageStats() {
     const providerStats = {};
@@ -318,11 +586,18 @@ Output only the test code.`;
       providerStats[name] = provider.getUsageStats();
     }
 
+    const circuits = {};
+    for (const [name, breaker] of Object.entries(this.breakers)) {
+      circuits[name] = breaker.getState();
+    }
+
     return {
       totalCost: this.totalCost,
       costByProvider: this.costByProvider,
       requestCount: this.requestCount,
-      providers: providerStats
+      providers: providerStats,
+      circuits,
+      cache: this.cache.getStats()
     };
   }
 
@@ -333,6 +608,7 @@ Output only the test code.`;
     this.totalCost = 0;
     this.costByProvider = {};
     this.requestCount = 0;
+    this.cache.resetStats();
     
     for (const provider of Object.values(this.providers)) {
       provider.resetUsageStats();
@@ -354,6 +630,12 @@ Output only the test code.`;
   }
 }
 
+/**
+ * Whether an error says the provider is unhealthy rather than the request bad
+ * Errors without a status are network failures.
+ */
+const isProviderFailure = (error) => !error.status || RETRYABLE_STATUS(error.status);
+
 // Singleton instance
 let instance = null;
 
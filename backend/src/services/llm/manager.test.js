@@ -0,0 +1,164 @@
+jest.mock('./anthropic', () => jest.fn());
+jest.mock('./openai', () => jest.fn());
+jest.mock('./ollama', () => jest.fn());
+jest.mock('../../config/redis', () => ({ redisClient: {} }));
+jest.mock('../ai-usage.service', () => ({}));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { LLMManager } = require('./manager');
+const { CircuitBreaker } = require('../../utils/circuitBreaker');
+
+const providerError = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status });
+
+describe('LLMManager._route', () => {
+  let manager;
+  let providers;
+
+  beforeEach(() => {
+    manager = new LLMManager({
+      defaultProvider: 'anthropic',
+      fallbackChain: ['openai'],
+      maxRetries: 1,
+      retryBaseMs: 1,
+      retryMaxMs: 1
+    });
+
+    providers = {
+      anthropic: { complete: jest.fn().mockResolvedValue({ content: 'from anthropic' }) },
+      openai: { complete: jest.fn().mockResolvedValue({ content: 'from openai' }) }
+    };
+    manager.providers = providers;
+    manager.breakers = {
+      anthropic: new CircuitBreaker({ name: 'anthropic', failureThreshold: 1, resetTimeoutMs: 60000 }),
+      openai: new CircuitBreaker({ name: 'openai', failureThreshold: 1, resetTimeoutMs: 60000 })
+    };
+  });
+
+  const route = (params = {}, canContinue) =>
+    manager._route(params, (llm, callParams) => llm.complete(callParams), canContinue);
+
+  it('answers from the requested provider', async () => {
+    const { provider, result, attempts } = await route();
+
+    expect(provider).toBe('anthropic');
+    expect(result.content).toBe('from anthropic');
+    expect(attempts).toEqual([{ provider: 'anthropic', success: true }]);
+  });
+
+  it('retries a provider on 429 and 5xx before failing over', async () => {
+    providers.anthropic.complete
+      .mockRejectedValueOnce(providerError(503))
+      .mockResolvedValueOnce({ content: 'second try' });
+
+    const { provider, result } = await route();
+
+    expect(provider).toBe('anthropic');
+    expect(result.content).toBe('second try');
+    expect(providers.anthropic.complete).toHaveBeenCalledTimes(2);
+  });
+
+  it('fails over when a provider keeps failing and opens its circuit', async () => {
+    providers.anthropic.complete.mockRejectedValue(providerError(500));
+
+    const { provider, attempts } = await route();
+
+    expect(provider).toBe('openai');
+    expect(attempts[0]).toMatchObject({ provider: 'anthropic', status: 500 });
+    expect(manager.breakers.anthropic.state).toBe('open');
+
+    await route();
+    expect(providers.anthropic.complete).toHaveBeenCalledTimes(2);
+  });
+
+  it('skips a provider whose circuit is open', async () => {
+    manager.breakers.anthropic.recordFailure();
+
+    const { provider, attempts } = await route();
+
+    expect(provider).toBe('openai');
+    expect(attempts[0]).toEqual({ provider: 'anthropic', skipped: 'circuit open' });
+    expect(providers.anthropic.complete).not.toHaveBeenCalled();
+  });
+
+  it('does not fail over a bad request', async () => {
+    providers.anthropic.complete.mockRejectedValue(providerError(400, 'Bad request'));
+
+    await expect(route()).rejects.toThrow('Bad request');
+    expect(providers.openai.complete).not.toHaveBeenCalled();
+    expect(manager.breakers.anthropic.state).toBe('closed');
+  });
+
+  it('stops failing over once the caller cannot continue', async () => {
+    providers.anthropic.complete.mockRejectedValue(providerError(500));
+
+    await expect(route({}, () => false)).rejects.toMatchObject({ status: 500 });
+    expect(providers.openai.complete).not.toHaveBeenCalled();
+    expect(manager.breakers.anthropic.state).toBe('open');
+  });
+
+  it('reports every provider when all fail', async () => {
+    providers.anthropic.complete.mockRejectedValue(providerError(500));
+    providers.openai.complete.mockRejectedValue(providerError(502));
+
+    await expect(route()).rejects.toMatchObject({
+      status: 502,
+      attempts: [
+        expect.objectContaining({ provider: 'anthropic' }),
+        expect.objectContaining({ provider: 'openai' })
+      ]
+    });
+  });
+
+  describe('half_open probes', () => {
+    beforeEach(() => {
+      // Circuit opened long enough ago that the next request probes
+      const breaker = manager.breakers.anthropic;
+      breaker.recordFailure();
+      breaker.openedAt -= breaker.resetTimeoutMs;
+    });
+
+    it('releases the probe when it fails with a bad request', async () => {
+      providers.anthropic.complete.mockRejectedValueOnce(providerError(401, 'Unauthorized'));
+
+      await expect(route()).rejects.toThrow('Unauthorized');
+
+      const { provider } = await route();
+      expect(provider).toBe('anthropic');
+      expect(manager.breakers.anthropic.state).toBe('closed');
+    });
+
+    it('releases the probe when the request is cancelled', async () => {
+      const controller = new AbortController();
+      providers.anthropic.complete.mockImplementationOnce(() => {
+        controller.abort();
+        return Promise.reject(new Error('aborted'));
+      });
+
+      await expect(route({ signal: controller.signal })).rejects.toThrow('aborted');
+
+      const { provider } = await route();
+      expect(provider).toBe('anthropic');
+    });
+
+    it('reopens the circuit when the probe fails', async () => {
+      providers.anthropic.complete.mockRejectedValue(providerError(500));
+
+      const { provider } = await route();
+
+      expect(provider).toBe('openai');
+      expect(manager.breakers.anthropic.state).toBe('open');
+    });
+  });
+});
+
+describe('LLMManager.supportsTools', () => {
+  it('looks for a provider in the chain that can call tools', () => {
+    const manager = new LLMManager({ defaultProvider: 'ollama', fallbackChain: ['openai'] });
+
+    manager.providers = { ollama: { supportsTools: false } };
+    expect(manager.supportsTools()).toBe(false);
+
+    manager.providers.openai = { supportsTools: true };
+    expect(manager.supportsTools()).toBe(true);
+  });
+});
@@ -82,7 +82,7 @@ class OllamaProvider extends BaseLLMProvider {
         throw new Error('Ollama is not running. Start it with: ollama serve');
       }
       
-      throw new Error(`Ollama API error: ${error.message}`);
+      throw this.wrapError('Ollama API error', error);
     }
   }
 
@@ -96,7 +96,8 @@ class OllamaProvider extends BaseLLMProvider {
       maxTokens = 4096,
       temperature = 0.7,
       messages = [],
-      model = this.defaultModel
+      model = this.defaultModel,
+      signal
     } = params;
 
     const fullPrompt = messages.length > 0 
@@ -118,7 +119,8 @@ class OllamaProvider extends BaseLLMProvider {
           }
         },
         {
-          responseType: 'stream'
+          responseType: 'stream',
+          signal
         }
       );
 
@@ -158,10 +160,16 @@ class OllamaProvider extends BaseLLMProvider {
         response.data.on('error', (error) => {
           reject(new Error(`Ollama stream error: ${error.message}`));
         });
+
+        // Ollama keeps generating until the connection is closed
+        signal?.addEventListener('abort', () => {
+          response.data.destroy();
+          reject(new Error('Ollama stream cancelled'));
+        });
       });
     } catch (error) {
       console.error('Ollama streaming error:', error);
-      throw new Error(`Ollama streaming error: ${error.message}`);
+      throw this.wrapError('Ollama streaming error', error);
     }
   }
 
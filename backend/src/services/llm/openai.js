@@ -10,6 +10,7 @@ class OpenAIProvider extends BaseLLMProvider {
   constructor(config) {
     super(config);
     this.name = 'openai';
+    this.supportsTools = true;
     this.client = new OpenAI({
       apiKey: config.apiKey || process.env.OPENAI_API_KEY
     });
@@ -47,23 +48,44 @@ class OpenAIProvider extends BaseLLMProvider {
       maxTokens = 4096,
       temperature = 0.7,
       messages = [],
-      model = this.defaultModel
+      model = this.defaultModel,
+      tools = []
     } = params;
 
-    const messagesList = messages.length > 0 ? messages : [
+    // OpenAI takes the system prompt as the first message
+    const messagesList = [
       { role: 'system', content: systemPrompt },
-      { role: 'user', content: prompt }
+      ...(messages.length > 0 ? this.formatMessages(messages) : [{ role: 'user', content: prompt }])
     ];
 
+    const request = {
+      model,
+      messages: messagesList,
+      max_tokens: maxTokens,
+      temperature
+    };
+
+    if (tools.length > 0) {
+      request.tools = tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+    }
+
     try {
-      const response = await this.client.chat.completions.create({
-        model,
-        messages: messagesList,
-        max_tokens: maxTokens,
-        temperature
-      });
+      const response = await this.client.chat.completions.create(request);
 
-      const text = response.choices[0].message.content;
+      const message = response.choices[0].message;
+      const text = message.content || '';
+      const toolCalls = (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        input: parseArguments(call.function.arguments)
+      }));
       const promptTokens = response.usage.prompt_tokens;
       const completionTokens = response.usage.completion_tokens;
       const cost = this.calculateCost(promptTokens, completionTokens, model);
@@ -78,11 +100,12 @@ class OpenAIProvider extends BaseLLMProvider {
         completionTokens,
         cost,
         model,
+        toolCalls,
         finishReason: response.choices[0].finish_reason
       };
     } catch (error) {
       console.error('OpenAI API error:', error);
-      throw new Error(`OpenAI API error: ${error.message}`);
+      throw this.wrapError('OpenAI API error', error);
     }
   }
 
@@ -96,12 +119,14 @@ class OpenAIProvider extends BaseLLMProvider {
       maxTokens = 4096,
       temperature = 0.7,
       messages = [],
-      model = this.defaultModel
+      model = this.defaultModel,
+      signal
     } = params;
 
-    const messagesList = messages.length > 0 ? messages : [
+    // OpenAI takes the system prompt as the first message
+    const messagesList = [
       { role: 'system', content: systemPrompt },
-      { role: 'user', content: prompt }
+      ...(messages.length > 0 ? messages : [{ role: 'user', content: prompt }])
     ];
 
     let fullText = '';
@@ -113,7 +138,7 @@ class OpenAIProvider extends BaseLLMProvider {
         max_tokens: maxTokens,
         temperature,
         stream: true
-      });
+      }, { signal });
 
       for await (const chunk of stream) {
         const content = chunk.choices[0]?.delta?.content || '';
@@ -144,10 +169,35 @@ class OpenAIProvider extends BaseLLMProvider {
       };
     } catch (error) {
       console.error('OpenAI streaming error:', error);
-      throw new Error(`OpenAI streaming error: ${error.message}`);
+      throw this.wrapError('OpenAI streaming error', error);
     }
   }
 
+  /**
+   * Convert tool-loop messages to OpenAI chat messages
+   */
+  formatMessages(messages) {
+    return messages.map(message => {
+      if (message.role === 'assistant' && message.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: message.content || null,
+          tool_calls: message.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.input) }
+          }))
+        };
+      }
+
+      if (message.role === 'tool') {
+        return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+      }
+
+      return { role: message.role, content: message.content };
+    });
+  }
+
   /**
    * Calculate cost based on tokens and model
    */
@@ -194,4 +244,15 @@ Continue the code naturally. Only output the completion, no explanations.`;
   }
 }
 
+/**
+ * Parse tool call arguments, which the model sends as a JSON string
+ */
+const parseArguments = (args) => {
+  try {
+    return JSON.parse(args || '{}');
+  } catch (error) {
+    return {};
+  }
+};
+
 module.exports = OpenAIProvider;
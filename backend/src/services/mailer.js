@@ -0,0 +1,100 @@
+/**
+ * Mailer
+ * Sends mail through a pluggable, nodemailer-compatible transport
+ * (`sendMail(message)`), chosen by config.mail.transport:
+ *   smtp     the SMTP server from config.notifications.smtp
+ *   file     writes each message as an .eml file to config.mail.outboxDir
+ *   console  logs each message, for local setups without a mail server
+ * setTransport replaces the transport, e.g. in tests.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+let transport = null;
+
+const createSmtpTransport = () => {
+  const { smtp } = config.notifications;
+  if (!smtp.host) {
+    throw new Error('SMTP is not configured');
+  }
+
+  return nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined,
+  });
+};
+
+const createFileTransport = () => {
+  const renderer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    async sendMail(message) {
+      const { message: raw, messageId } = await renderer.sendMail(message);
+      const file = path.join(config.mail.outboxDir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+
+      await fs.mkdir(config.mail.outboxDir, { recursive: true });
+      await fs.writeFile(file, raw);
+
+      logger.info(`Mail to ${message.to} written to ${file}`);
+      return { messageId, file };
+    },
+  };
+};
+
+const createConsoleTransport = () => ({
+  async sendMail(message) {
+    logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: null };
+  },
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+/**
+ * Replace the transport used to send mail
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Get the configured transport, creating it on first use
+ */
+const getTransport = () => {
+  if (transport) {
+    return transport;
+  }
+
+  const create = TRANSPORTS[config.mail.transport];
+  if (!create) {
+    throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+  }
+
+  transport = create();
+  return transport;
+};
+
+/**
+ * Send a message; `from` defaults to the configured sender
+ */
+const sendMail = (message) => getTransport().sendMail({
+  from: config.notifications.smtp.from,
+  ...message,
+});
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+};
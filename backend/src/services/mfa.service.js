@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { query, transaction } = require('../config/database');
+const { redisClient } = require('../config/redis');
+const config = require('../config');
+const totp = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+const sessionService = require('./session.service');
+const logger = require('../utils/logger');
+
+const SETUP_PREFIX = 'companyos:mfa:setup:';
+
+/**
+ * MFA Service
+ *
+ * Optional two-factor authentication with TOTP authenticator apps. Setup
+ * keeps the new secret in Redis until the user proves their app works by
+ * entering a code; only then is it stored, encrypted, on the user. Each
+ * code is accepted once. One-time recovery codes, stored hashed, stand in
+ * for the app when it is lost.
+ */
+class MfaService {
+  /**
+   * Whether two-factor authentication is on, and how many recovery codes
+   * are left
+   */
+  async getStatus(userId) {
+    const result = await query(
+      `SELECT u.mfa_enabled_at,
+              (SELECT COUNT(*)::int FROM mfa_recovery_codes c
+               WHERE c.user_id = u.id AND c.used_at IS NULL) AS recovery_codes_remaining
+       FROM users u
+       WHERE u.id = $1`,
+      [userId]
+    );
+
+    const row = result.rows[0];
+    return {
+      enabled: Boolean(row?.mfa_enabled_at),
+      enabledAt: row?.mfa_enabled_at || null,
+      recoveryCodesRemaining: row?.recovery_codes_remaining || 0,
+    };
+  }
+
+  /**
+   * Start setup with a new secret, returned with the otpauth:// URI and a
+   * QR code of it for the authenticator app
+   */
+  async startSetup(user) {
+    if ((await this.getStatus(user.id)).enabled) {
+      throw httpError(409, 'Two-factor authentication is already on');
+    }
+
+    const secret = totp.generateSecret();
+    await redisClient.set(`${SETUP_PREFIX}${user.id}`, encrypt(secret), 'EX', config.mfa.setupTtlSeconds);
+
+    const otpauthUrl = totp.keyUri({ secret, account: user.email, issuer: config.mfa.issuer });
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl, { errorCorrectionLevel: 'M' }),
+      expiresIn: config.mfa.setupTtlSeconds,
+    };
+  }
+
+  /**
+   * Finish setup with a code from the app; returns the recovery codes,
+   * which are shown only this once
+   */
+  async enable(userId, code) {
+    const pending = await redisClient.get(`${SETUP_PREFIX}${userId}`);
+    if (!pending) {
+      throw httpError(400, 'Two-factor setup expired or was not started');
+    }
+
+    const secret = decrypt(pending);
+    const step = totp.verifyCode(secret, code);
+    if (step === null) {
+      throw httpError(400, 'Invalid code; check the time on your device and try again');
+    }
+
+    const result = await query(
+      `UPDATE users
+       SET mfa_secret = $2,
+           mfa_enabled_at = NOW(),
+           mfa_last_used_step = $3,
+           updated_at = NOW()
+       WHERE id = $1 AND mfa_enabled_at IS NULL
+       RETURNING id`,
+      [userId, encrypt(secret), step]
+    );
+
+    if (!result.rows[0]) {
+      throw httpError(409, 'Two-factor authentication is already on');
+    }
+
+    await redisClient.del(`${SETUP_PREFIX}${userId}`);
+    const recoveryCodes = await this._replaceRecoveryCodes(userId);
+
+    logger.info(`Two-factor authentication enabled for user ${userId}`);
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a second factor: an authenticator code or an unused recovery code
+   * Returns which one was used.
+   */
+  async verify(userId, code) {
+    const result = await query(
+      'SELECT mfa_secret, mfa_enabled_at FROM users WHERE id = $1',
+      [userId]
+    );
+
+    const user = result.rows[0];
+    if (!user?.mfa_enabled_at) {
+      throw httpError(400, 'Two-factor authentication is not on');
+    }
+
+    const step = totp.verifyCode(decrypt(user.mfa_secret), code);
+    if (step !== null) {
+      // A code is good for one use, so a captured one can't be replayed
+      const accepted = await query(
+        `UPDATE users
+         SET mfa_last_used_step = $2
+         WHERE id = $1 AND (mfa_last_used_step IS NULL OR mfa_last_used_step < $2)
+         RETURNING id`,
+        [userId, step]
+      );
+
+      if (accepted.rows[0]) {
+        return 'totp';
+      }
+    }
+
+    const recovery = await query(
+      `UPDATE mfa_recovery_codes
+       SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, hashRecoveryCode(code)]
+    );
+
+    if (recovery.rows[0]) {
+      logger.warn(`User ${userId} signed in with a recovery code`);
+      return 'recovery_code';
+    }
+
+    throw httpError(401, 'Invalid two-factor code');
+  }
+
+  /**
+   * Replace the recovery codes, confirmed with a current second factor
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    await this.verify(userId, code);
+    return this._replaceRecoveryCodes(userId);
+  }
+
+  /**
+   * Turn two-factor authentication off, confirmed with a current second
+   * factor; no session counts as verified afterwards
+   */
+  async disable(userId, code) {
+    await this.verify(userId, code);
+
+    await transaction(async (client) => {
+      await client.query(
+        `UPDATE users
+         SET mfa_secret = NULL,
+             mfa_enabled_at = NULL,
+             mfa_last_used_step = NULL,
+             updated_at = NOW()
+         WHERE id = $1`,
+        [userId]
+      );
+      await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    });
+
+    await sessionService.clearMfaVerified(userId);
+    logger.info(`Two-factor authentication disabled for user ${userId}`);
+  }
+
+  async _replaceRecoveryCodes(userId) {
+    const codes = Array.from({ length: config.mfa.recoveryCodeCount }, () => {
+      const raw = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await transaction(async (client) => {
+      await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+      await client.query(
+        `INSERT INTO mfa_recovery_codes (user_id, code_hash)
+         SELECT $1, UNNEST($2::varchar[])`,
+        [userId, codes.map(hashRecoveryCode)]
+      );
+    });
+
+    return codes;
+  }
+}
+
+// Recovery codes are compared without case, spaces or dashes
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Export singleton instance
+module.exports = new MfaService();
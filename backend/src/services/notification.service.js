@@ -0,0 +1,449 @@
+const { query } = require('../config/database');
+const { redisClient } = require('../config/redis');
+const eventBus = require('../events/eventBus');
+const websocketChannel = require('./notifications/websocket');
+const emailChannel = require('./notifications/email');
+const slackChannel = require('./notifications/slack');
+const stubChannel = require('./notifications/stub');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'companyos:notify:';
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * Notification Service
+ *
+ * Routes alerts to channels through per-organization rules. A rule matches an
+ * event type glob and a minimum severity, and names one channel and its
+ * recipients. Repeats of the same alert inside the rule's dedup window are
+ * dropped, and a rule can cap deliveries per throttle window. Organizations
+ * without rules get every alert on the default channel.
+ */
+class NotificationService {
+  constructor() {
+    this.channels = new Map();
+
+    this.registerChannel(websocketChannel);
+    this.registerChannel(emailChannel);
+    this.registerChannel(slackChannel);
+    this.registerChannel(stubChannel);
+  }
+
+  /**
+   * Add or replace a delivery channel
+   * A channel is `{ name, send(notification, recipients) }`.
+   */
+  registerChannel(channel) {
+    this.channels.set(channel.name, channel);
+  }
+
+  /**
+   * Subscribe to events that should raise notifications
+   */
+  async initialize() {
+    await eventBus.subscribe('deployment.health.alert', async (data) => {
+      await this.notify({
+        organizationId: data.organizationId,
+        eventType: 'deployment.health.alert',
+        severity: data.healthScore < 30 ? 'critical' : 'warning',
+        title: `${data.deployment.projectName} deployment health ${data.healthScore}/100`,
+        message: [
+          ...data.findings.map(finding => `- ${finding.message}`),
+          data.rollback ? `Suggested rollback: POST ${data.rollback.path}` : null,
+        ].filter(Boolean).join('\n'),
+        data,
+        dedupKey: `deployment:${data.deployment.id}`,
+      });
+    });
+
+    logger.info('Notification service initialized');
+  }
+
+  /**
+   * Send a notification through every matching rule
+   * Returns the stored notifications; deduplicated or throttled
+   * deliveries are skipped and not stored. A rule that fails is logged and
+   * skipped without holding back the rest.
+   */
+  async notify({ organizationId, eventType, severity = 'info', title, message = null, data = {}, dedupKey = null }) {
+    if (!organizationId) {
+      logger.warn(`Notification ${eventType} has no organization, dropping: ${title}`);
+      return [];
+    }
+
+    const rules = await this.getMatchingRules(organizationId, eventType, severity);
+    const notifications = [];
+
+    for (const rule of rules) {
+      const ruleKey = `${organizationId}:${rule.id || 'default'}`;
+      const key = dedupKey || `${eventType}:${title}`;
+
+      try {
+        if (await this.isDuplicate(ruleKey, key, rule.dedup_window_seconds)) {
+          logger.debug(`Notification ${eventType} deduplicated for rule ${ruleKey}`);
+          continue;
+        }
+
+        if (await this.isThrottled(ruleKey, rule.throttle_limit, rule.throttle_window_seconds)) {
+          logger.warn(`Notification ${eventType} throttled for rule ${ruleKey}`);
+          continue;
+        }
+
+        const recipients = await this.resolveRecipients(organizationId, rule);
+
+        const result = await query(
+          `INSERT INTO notifications (
+            organization_id, rule_id, event_type, severity, title, message,
+            data, dedup_key, channel, recipients, updated_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+          RETURNING *`,
+          [
+            organizationId,
+            rule.id,
+            eventType,
+            severity,
+            title,
+            message,
+            JSON.stringify(data),
+            key,
+            rule.channel,
+            JSON.stringify(recipients),
+          ]
+        );
+
+        notifications.push(await this.deliver(result.rows[0], recipients));
+      } catch (error) {
+        logger.error(`Notification ${eventType} failed for rule ${ruleKey}:`, error);
+        // Let the next occurrence through instead of deduplicating against nothing
+        await this.forgetDuplicate(ruleKey, key).catch(() => {});
+      }
+    }
+
+    return notifications;
+  }
+
+  /**
+   * Send a stored notification over its channel and record the outcome
+   */
+  async deliver(notification, recipients) {
+    const channel = this.channels.get(notification.channel);
+
+    let status = 'sent';
+    let error = null;
+
+    try {
+      if (!channel) {
+        throw new Error(`Unknown notification channel: ${notification.channel}`);
+      }
+      await channel.send(notification, recipients);
+    } catch (err) {
+      status = 'failed';
+      error = err.message;
+      logger.error(`Notification ${notification.id} via ${notification.channel} failed:`, err);
+    }
+
+    const result = await query(
+      `UPDATE notifications
+       SET status = $2, error = $3,
+           delivered_at = CASE WHEN $2 = 'sent' THEN NOW() END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [notification.id, status, error]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Enabled rules whose pattern and severity match, or the default route
+   */
+  async getMatchingRules(organizationId, eventType, severity) {
+    const result = await query(
+      `SELECT * FROM notification_rules WHERE organization_id = $1 AND enabled = true`,
+      [organizationId]
+    );
+
+    if (result.rows.length === 0) {
+      return [{
+        id: null,
+        channel: config.notifications.defaultChannel,
+        recipients: {},
+        dedup_window_seconds: config.notifications.dedupWindowSeconds,
+        throttle_limit: null,
+        throttle_window_seconds: 3600,
+      }];
+    }
+
+    return result.rows.filter(rule =>
+      matchesPattern(rule.event_pattern, eventType) &&
+      severityRank(severity) >= severityRank(rule.min_severity)
+    );
+  }
+
+  /**
+   * Record the alert for the dedup window; true if it was already recorded
+   */
+  async isDuplicate(ruleKey, dedupKey, windowSeconds) {
+    if (!windowSeconds) {
+      return false;
+    }
+
+    const stored = await redisClient.set(
+      `${KEY_PREFIX}dedup:${ruleKey}:${dedupKey}`, '1', 'EX', windowSeconds, 'NX'
+    );
+
+    return stored === null;
+  }
+
+  /**
+   * Drop a recorded alert so it is no longer a duplicate
+   */
+  async forgetDuplicate(ruleKey, dedupKey) {
+    await redisClient.del(`${KEY_PREFIX}dedup:${ruleKey}:${dedupKey}`);
+  }
+
+  /**
+   * Count a delivery in the current throttle window; true once over the limit
+   */
+  async isThrottled(ruleKey, limit, windowSeconds) {
+    if (!limit) {
+      return false;
+    }
+
+    const window = Math.floor(Date.now() / (windowSeconds * 1000));
+    const key = `${KEY_PREFIX}throttle:${ruleKey}:${window}`;
+
+    const count = await redisClient.incr(key);
+    if (count === 1) {
+      await redisClient.expire(key, windowSeconds);
+    }
+
+    return count > limit;
+  }
+
+  /**
+   * Expand a rule's recipients into user ids, emails and a webhook
+   * `roles` selects organization members by role.
+   */
+  async resolveRecipients(organizationId, rule) {
+    const { userIds = [], roles = [], emails = [], webhookUrl = null } = rule.recipients || {};
+
+    if (userIds.length === 0 && roles.length === 0) {
+      return { userIds: [], emails, webhookUrl };
+    }
+
+    const result = await query(
+      `SELECT u.id, u.email
+       FROM organization_members om
+       JOIN users u ON u.id = om.user_id
+       WHERE om.organization_id = $1
+         AND (om.user_id = ANY($2::uuid[]) OR om.role = ANY($3))`,
+      [organizationId, userIds, roles]
+    );
+
+    return {
+      userIds: result.rows.map(row => row.id),
+      emails: [...new Set([...emails, ...result.rows.map(row => row.email)])],
+      webhookUrl,
+    };
+  }
+
+  /**
+   * Acknowledge a notification
+   * Clears its dedup entry so the next occurrence alerts again.
+   */
+  async acknowledge(notificationId, organizationId, userId) {
+    const result = await query(
+      `UPDATE notifications
+       SET acknowledged_by = $3, acknowledged_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND organization_id = $2 AND acknowledged_at IS NULL
+       RETURNING *`,
+      [notificationId, organizationId, userId]
+    );
+
+    const notification = result.rows[0];
+
+    if (!notification) {
+      const existing = await query(
+        `SELECT id FROM notifications WHERE id = $1 AND organization_id = $2`,
+        [notificationId, organizationId]
+      );
+
+      const error = new Error(existing.rows[0] ? 'Notification already acknowledged' : 'Notification not found');
+      error.statusCode = existing.rows[0] ? 409 : 404;
+      throw error;
+    }
+
+    if (notification.dedup_key) {
+      await redisClient.del(
+        `${KEY_PREFIX}dedup:${organizationId}:${notification.rule_id || 'default'}:${notification.dedup_key}`
+      );
+    }
+
+    return notification;
+  }
+
+  /**
+   * List notifications for an organization
+   */
+  async list(organizationId, { acknowledged, severity, limit = 50, offset = 0 } = {}) {
+    let queryText = `SELECT * FROM notifications WHERE organization_id = $1`;
+    const params = [organizationId];
+
+    if (acknowledged !== undefined) {
+      queryText += acknowledged ? ' AND acknowledged_at IS NOT NULL' : ' AND acknowledged_at IS NULL';
+    }
+
+    if (severity) {
+      params.push(severity);
+      queryText += ` AND severity = $${params.length}`;
+    }
+
+    queryText += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+    params.push(limit, offset);
+
+    const result = await query(queryText, params);
+    return result.rows;
+  }
+
+  /**
+   * Get routing rules for an organization
+   */
+  async getRules(organizationId) {
+    const result = await query(
+      `SELECT * FROM notification_rules WHERE organization_id = $1 ORDER BY created_at ASC`,
+      [organizationId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Create a routing rule
+   */
+  async createRule(organizationId, rule, userId) {
+    const result = await query(
+      `INSERT INTO notification_rules (
+        organization_id, name, event_pattern, min_severity, channel, recipients,
+        dedup_window_seconds, throttle_limit, throttle_window_seconds, enabled,
+        created_by, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+      RETURNING *`,
+      [
+        organizationId,
+        rule.name,
+        rule.eventPattern,
+        rule.minSeverity || 'info',
+        rule.channel,
+        JSON.stringify(rule.recipients || {}),
+        rule.dedupWindowSeconds ?? config.notifications.dedupWindowSeconds,
+        rule.throttleLimit ?? null,
+        rule.throttleWindowSeconds || 3600,
+        rule.enabled ?? true,
+        userId,
+      ]
+    );
+
+    logger.info(`Notification rule created: ${rule.name} (${rule.eventPattern} → ${rule.channel})`);
+    return result.rows[0];
+  }
+
+  /**
+   * Update a routing rule
+   */
+  async updateRule(ruleId, organizationId, updates) {
+    const columns = {
+      name: 'name',
+      eventPattern: 'event_pattern',
+      minSeverity: 'min_severity',
+      channel: 'channel',
+      recipients: 'recipients',
+      dedupWindowSeconds: 'dedup_window_seconds',
+      throttleLimit: 'throttle_limit',
+      throttleWindowSeconds: 'throttle_window_seconds',
+      enabled: 'enabled',
+    };
+
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (updates[key] !== undefined) {
+        fields.push(`${column} = $${paramCount}`);
+        values.push(key === 'recipients' ? JSON.stringify(updates[key]) : updates[key]);
+        paramCount++;
+      }
+    }
+
+    if (fields.length === 0) {
+      throw new Error('No fields to update');
+    }
+
+    values.push(ruleId, organizationId);
+
+    const result = await query(
+      `UPDATE notification_rules
+       SET ${fields.join(', ')}, updated_at = NOW()
+       WHERE id = $${paramCount} AND organization_id = $${paramCount + 1}
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a routing rule
+   */
+  async deleteRule(ruleId, organizationId) {
+    const result = await query(
+      `DELETE FROM notification_rules WHERE id = $1 AND organization_id = $2`,
+      [ruleId, organizationId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Alert hook for integration health monitors
+   */
+  async alertIntegrationIssue(organizationId, service, issue) {
+    return this.notify({
+      organizationId,
+      eventType: `integration.${service}.health`,
+      severity: issue.severity,
+      title: issue.message,
+      data: issue.details || {},
+      dedupKey: `${service}:${issue.severity}:${issue.message}`,
+    });
+  }
+}
+
+/**
+ * Match an event type against a glob with `*` and `?`
+ */
+const matchesPattern = (pattern, eventType) => {
+  const regex = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${regex}$`).test(eventType);
+};
+
+const severityRank = (severity) => {
+  const rank = SEVERITIES.indexOf(severity);
+  return rank === -1 ? 0 : rank;
+};
+
+module.exports = new NotificationService();
+module.exports.matchesPattern = matchesPattern;
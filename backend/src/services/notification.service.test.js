@@ -0,0 +1,87 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+jest.mock('../config/redis', () => ({ redisClient: { set: jest.fn(), incr: jest.fn(), expire: jest.fn(), del: jest.fn() } }));
+jest.mock('../events/eventBus', () => ({ publish: jest.fn(), subscribe: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { query } = require('../config/database');
+const { redisClient } = require('../config/redis');
+const notificationService = require('./notification.service');
+const { matchesPattern } = notificationService;
+
+describe('matchesPattern', () => {
+  it('matches an exact event type', () => {
+    expect(matchesPattern('deployment.health.alert', 'deployment.health.alert')).toBe(true);
+    expect(matchesPattern('deployment.health.alert', 'deployment.health')).toBe(false);
+  });
+
+  it('lets * span any characters, dots included', () => {
+    expect(matchesPattern('deployment.*', 'deployment.health.alert')).toBe(true);
+    expect(matchesPattern('*.alert', 'integration.github.alert')).toBe(true);
+    expect(matchesPattern('*', 'anything')).toBe(true);
+    expect(matchesPattern('deployment.*', 'deployments.created')).toBe(false);
+  });
+
+  it('lets ? match exactly one character', () => {
+    expect(matchesPattern('ai.task.?', 'ai.task.1')).toBe(true);
+    expect(matchesPattern('ai.task.?', 'ai.task.12')).toBe(false);
+  });
+
+  it('treats regex characters in the pattern literally', () => {
+    expect(matchesPattern('deployment.health', 'deploymentXhealth')).toBe(false);
+    expect(matchesPattern('a+b', 'a+b')).toBe(true);
+    expect(matchesPattern('a+b', 'aab')).toBe(false);
+    expect(matchesPattern('(x|y)', 'x')).toBe(false);
+  });
+
+  it('anchors the whole event type', () => {
+    expect(matchesPattern('health', 'deployment.health.alert')).toBe(false);
+  });
+});
+
+describe('notify', () => {
+  const rule = (id, channel) => ({
+    id,
+    channel,
+    event_pattern: 'deployment.*',
+    min_severity: 'info',
+    recipients: {},
+    dedup_window_seconds: 600,
+    throttle_limit: null,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisClient.set.mockResolvedValue('OK');
+    redisClient.del.mockResolvedValue(1);
+
+    query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM notification_rules')) {
+        return { rows: [rule('rule-1', 'stub'), rule('rule-2', 'stub')] };
+      }
+      if (sql.includes('INSERT INTO notifications')) {
+        if (params[1] === 'rule-1') {
+          throw new Error('insert failed');
+        }
+        return { rows: [{ id: `notification-${params[1]}`, channel: params[8] }] };
+      }
+      return { rows: [{ id: params[0], status: params[1] }] };
+    });
+  });
+
+  it('keeps delivering through later rules when one fails', async () => {
+    const notifications = await notificationService.notify({
+      organizationId: 'org-1',
+      eventType: 'deployment.failed',
+      title: 'web failed',
+    });
+
+    expect(notifications).toEqual([{ id: 'notification-rule-2', status: 'sent' }]);
+  });
+
+  it('forgets the dedup entry of the rule that failed', async () => {
+    await notificationService.notify({ organizationId: 'org-1', eventType: 'deployment.failed', title: 'web failed' });
+
+    expect(redisClient.del).toHaveBeenCalledTimes(1);
+    expect(redisClient.del).toHaveBeenCalledWith('companyos:notify:dedup:org-1:rule-1:deployment.failed:web failed');
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Email notification channel
+ * Sends through the shared mailer, so the transport is configured in one place
+ * (SMTP, file or console) and can be swapped with setTransport.
+ */
+
+const config = require('../../config');
+const mailer = require('../mailer');
+
+const emailChannel = {
+  name: 'email',
+  setTransport: mailer.setTransport,
+
+  async send(notification, recipients) {
+    const to = recipients.emails || [];
+    if (to.length === 0) {
+      throw new Error('No email recipients');
+    }
+
+    await mailer.sendMail({
+      to: to.join(', '),
+      subject: `[${notification.severity.toUpperCase()}] ${notification.title}`,
+      text: [
+        notification.message || notification.title,
+        '',
+        `Event: ${notification.event_type}`,
+        `Time: ${new Date(notification.created_at).toISOString()}`,
+        '',
+        `Acknowledge: ${config.frontendUrl}/notifications/${notification.id}`,
+      ].join('\n'),
+    });
+  },
+};
+
+module.exports = emailChannel;
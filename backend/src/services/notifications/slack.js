@@ -0,0 +1,45 @@
+/**
+ * Slack notification channel
+ * Posts to an incoming webhook from the rule, or the default alert webhook
+ */
+
+const axios = require('axios');
+const config = require('../../config');
+
+const SEVERITY_EMOJI = {
+  info: ':information_source:',
+  warning: ':warning:',
+  critical: ':rotating_light:',
+};
+
+// Only Slack incoming webhooks, so a rule cannot point the server at arbitrary hosts
+const WEBHOOK_PREFIX = 'https://hooks.slack.com/';
+
+const slackChannel = {
+  name: 'slack',
+
+  /**
+   * Whether a URL is a Slack incoming webhook
+   */
+  isWebhookUrl(url) {
+    return typeof url === 'string' && url.startsWith(WEBHOOK_PREFIX);
+  },
+
+  async send(notification, recipients) {
+    const webhookUrl = recipients.webhookUrl || config.notifications.slackWebhookUrl;
+    if (!webhookUrl) {
+      throw new Error('No Slack webhook URL configured');
+    }
+    if (!this.isWebhookUrl(webhookUrl)) {
+      throw new Error(`Slack webhook URL must start with ${WEBHOOK_PREFIX}`);
+    }
+
+    const heading = `${SEVERITY_EMOJI[notification.severity] || ''} *${notification.title}*`.trim();
+
+    await axios.post(webhookUrl, {
+      text: notification.message ? `${heading}\n${notification.message}` : heading,
+    }, { timeout: 10000 });
+  },
+};
+
+module.exports = slackChannel;
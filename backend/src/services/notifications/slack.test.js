@@ -0,0 +1,36 @@
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const slackChannel = require('./slack');
+
+describe('slack channel', () => {
+  beforeEach(() => axios.post.mockReset());
+
+  it('accepts only Slack incoming webhook URLs', () => {
+    expect(slackChannel.isWebhookUrl('https://hooks.slack.com/services/T000/B000/XXXX')).toBe(true);
+    expect(slackChannel.isWebhookUrl('http://hooks.slack.com/services/T000/B000/XXXX')).toBe(false);
+    expect(slackChannel.isWebhookUrl('https://hooks.slack.com.evil.test/services')).toBe(false);
+    expect(slackChannel.isWebhookUrl('https://169.254.169.254/latest')).toBe(false);
+    expect(slackChannel.isWebhookUrl(undefined)).toBe(false);
+  });
+
+  it('refuses to post to any other URL', async () => {
+    await expect(
+      slackChannel.send({ title: 'Down', severity: 'critical' }, { webhookUrl: 'https://internal.example.com/hook' })
+    ).rejects.toThrow('Slack webhook URL must start with https://hooks.slack.com/');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('posts the notification to the webhook', async () => {
+    await slackChannel.send(
+      { title: 'Down', message: 'Health check failed', severity: 'critical' },
+      { webhookUrl: 'https://hooks.slack.com/services/T000/B000/XXXX' }
+    );
+
+    expect(axios.post).toHaveBeenCalledWith(
+      'https://hooks.slack.com/services/T000/B000/XXXX',
+      { text: ':rotating_light: *Down*\nHealth check failed' },
+      { timeout: 10000 }
+    );
+  });
+});
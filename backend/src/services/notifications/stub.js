@@ -0,0 +1,19 @@
+/**
+ * Stub notification channel
+ * Keeps deliveries in memory so tests and local setups can inspect them
+ */
+
+const stubChannel = {
+  name: 'stub',
+  sent: [],
+
+  async send(notification, recipients) {
+    this.sent.push({ notification, recipients });
+  },
+
+  reset() {
+    this.sent = [];
+  },
+};
+
+module.exports = stubChannel;
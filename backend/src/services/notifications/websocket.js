@@ -0,0 +1,21 @@
+/**
+ * WebSocket notification channel
+ * Publishes on the event bus; the WebSocket bridge emits to the
+ * `user:` rooms of the recipients, or to the `org:` room when there are none.
+ */
+
+const eventBus = require('../../events/eventBus');
+
+const websocketChannel = {
+  name: 'websocket',
+
+  async send(notification, recipients) {
+    await eventBus.publish('notification.created', {
+      organizationId: notification.organization_id,
+      userIds: recipients.userIds || [],
+      notification,
+    });
+  },
+};
+
+module.exports = websocketChannel;
@@ -1,5 +1,6 @@
 const { query, transaction } = require('../config/database');
 const logger = require('../utils/logger');
+const rbac = require('./rbac.service');
 
 class OrganizationService {
   /**
@@ -34,7 +35,7 @@ class OrganizationService {
    */
   async getById(organizationId) {
     const result = await query(
-      `SELECT id, name, slug, logo_url, settings, created_at, updated_at
+      `SELECT id, name, slug, logo_url, settings, require_mfa, created_at, updated_at
        FROM organizations
        WHERE id = $1`,
       [organizationId]
@@ -48,7 +49,7 @@ class OrganizationService {
    */
   async getBySlug(slug) {
     const result = await query(
-      `SELECT id, name, slug, logo_url, settings, created_at, updated_at
+      `SELECT id, name, slug, logo_url, settings, require_mfa, created_at, updated_at
        FROM organizations
        WHERE slug = $1`,
       [slug]
@@ -70,19 +71,40 @@ class OrganizationService {
            settings = COALESCE($4, settings),
            updated_at = NOW()
        WHERE id = $1
-       RETURNING id, name, slug, logo_url, settings, updated_at`,
+       RETURNING id, name, slug, logo_url, settings, require_mfa, updated_at`,
       [organizationId, name, logo_url, settings ? JSON.stringify(settings) : null]
     );
     
     return result.rows[0];
   }
   
+  /**
+   * Set the organization's security policy
+   * With `requireMfa`, MFA-protected permissions need a two-factor sign-in.
+   */
+  async updateSecurity(organizationId, { requireMfa }) {
+    const result = await query(
+      `UPDATE organizations
+       SET require_mfa = $2,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING id, require_mfa, updated_at`,
+      [organizationId, requireMfa]
+    );
+    
+    await rbac.invalidate(organizationId);
+    logger.info(`Two-factor requirement ${requireMfa ? 'enabled' : 'disabled'} for organization ${organizationId}`);
+    
+    return result.rows[0];
+  }
+  
   /**
    * Get organization members
    */
   async getMembers(organizationId) {
     const result = await query(
       `SELECT u.id, u.email, u.name, u.avatar_url, u.last_seen_at,
+              u.mfa_enabled_at IS NOT NULL AS mfa_enabled,
               om.role, om.joined_at
        FROM organization_members om
        JOIN users u ON om.user_id = u.id
@@ -107,35 +129,52 @@ class OrganizationService {
       [organizationId, userId, role]
     );
     
+    await rbac.invalidate(organizationId, userId);
     logger.info(`User ${userId} added to organization ${organizationId} as ${role}`);
     return result.rows[0];
   }
   
   /**
    * Update member role
+   * The last owner cannot be demoted.
    */
   async updateMemberRole(organizationId, userId, role) {
-    const result = await query(
-      `UPDATE organization_members
-       SET role = $3
-       WHERE organization_id = $1 AND user_id = $2
-       RETURNING id, organization_id, user_id, role`,
-      [organizationId, userId, role]
-    );
+    const member = await transaction(async (client) => {
+      if (role !== 'owner') {
+        await assertNotLastOwner(client, organizationId, userId);
+      }
+      
+      const result = await client.query(
+        `UPDATE organization_members
+         SET role = $3
+         WHERE organization_id = $1 AND user_id = $2
+         RETURNING id, organization_id, user_id, role`,
+        [organizationId, userId, role]
+      );
+      
+      return result.rows[0];
+    });
     
-    return result.rows[0];
+    await rbac.invalidate(organizationId, userId);
+    return member;
   }
   
   /**
    * Remove member from organization
+   * The last owner cannot be removed.
    */
   async removeMember(organizationId, userId) {
-    await query(
-      `DELETE FROM organization_members
-       WHERE organization_id = $1 AND user_id = $2`,
-      [organizationId, userId]
-    );
+    await transaction(async (client) => {
+      await assertNotLastOwner(client, organizationId, userId);
+      
+      await client.query(
+        `DELETE FROM organization_members
+         WHERE organization_id = $1 AND user_id = $2`,
+        [organizationId, userId]
+      );
+    });
     
+    await rbac.invalidate(organizationId, userId);
     logger.info(`User ${userId} removed from organization ${organizationId}`);
   }
   
@@ -156,4 +195,24 @@ class OrganizationService {
   }
 }
 
+/**
+ * Refuse a change that would leave the organization without an owner
+ * Owner rows are locked, so two concurrent changes cannot both pass.
+ */
+const assertNotLastOwner = async (client, organizationId, userId) => {
+  const owners = await client.query(
+    `SELECT user_id FROM organization_members
+     WHERE organization_id = $1 AND role = 'owner'
+     FOR UPDATE`,
+    [organizationId]
+  );
+  
+  const isOwner = owners.rows.some(row => row.user_id === userId);
+  if (isOwner && owners.rows.length === 1) {
+    const error = new Error('An organization must keep at least one owner');
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
 module.exports = new OrganizationService();
@@ -0,0 +1,57 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('./rbac.service', () => ({ invalidate: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { transaction } = require('../config/database');
+const organizationService = require('./organization.service');
+
+const ORG = 'org-1';
+
+describe('last owner guard', () => {
+  let owners;
+  let client;
+
+  beforeEach(() => {
+    client = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes("role = 'owner'")) {
+          return { rows: owners.map(userId => ({ user_id: userId })) };
+        }
+        return { rows: [{ id: 'membership-1', role: 'admin' }] };
+      }),
+    };
+    transaction.mockImplementation(callback => callback(client));
+  });
+
+  const wrote = () => client.query.mock.calls.some(([sql]) => /^\s*(UPDATE|DELETE)/.test(sql));
+
+  it('refuses to demote the only owner', async () => {
+    owners = ['alice'];
+
+    await expect(organizationService.updateMemberRole(ORG, 'alice', 'admin'))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(wrote()).toBe(false);
+  });
+
+  it('refuses to remove the only owner', async () => {
+    owners = ['alice'];
+
+    await expect(organizationService.removeMember(ORG, 'alice'))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(wrote()).toBe(false);
+  });
+
+  it('lets one of several owners step down', async () => {
+    owners = ['alice', 'bob'];
+
+    await expect(organizationService.updateMemberRole(ORG, 'alice', 'admin')).resolves.toMatchObject({ role: 'admin' });
+    expect(wrote()).toBe(true);
+  });
+
+  it('does not restrict members who are not owners', async () => {
+    owners = ['alice'];
+
+    await organizationService.removeMember(ORG, 'carol');
+    expect(wrote()).toBe(true);
+  });
+});
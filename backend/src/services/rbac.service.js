@@ -0,0 +1,273 @@
+const { query } = require('../config/database');
+const config = require('../config');
+const { PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+const eventBus = require('../events/eventBus');
+const logger = require('../utils/logger');
+
+/**
+ * RBAC Service
+ *
+ * Resolves what a user may do in an organization from their membership
+ * there. A member's role is either built in (owner, admin, member, viewer)
+ * or one of the organization's custom roles. Memberships are cached briefly
+ * per process; role and member changes are broadcast over the event bus so
+ * every process drops its copy, and the TTL bounds any missed broadcast.
+ */
+class RbacService {
+  constructor() {
+    this.cacheTtlMs = config.rbac.cacheTtlMs;
+    this.cache = new Map();
+  }
+
+  /**
+   * Drop cached memberships when another process changes roles or members
+   */
+  async initialize() {
+    await eventBus.subscribe(INVALIDATED_EVENT, ({ organizationId, userId }) => {
+      this._forget(organizationId, userId);
+    });
+
+    logger.info('RBAC service initialized');
+  }
+
+  /**
+   * Role and permissions of a user in an organization, and whether the
+   * organization requires two-factor sign-in for protected permissions
+   * Returns null when the user is not a member.
+   */
+  async getMembership(userId, organizationId) {
+    if (!userId || !organizationId) {
+      return null;
+    }
+
+    const key = `${organizationId}:${userId}`;
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.membership;
+    }
+
+    const result = await query(
+      `SELECT om.role, r.permissions AS custom_permissions, o.require_mfa
+       FROM organization_members om
+       JOIN organizations o ON o.id = om.organization_id
+       LEFT JOIN organization_roles r
+         ON r.organization_id = om.organization_id AND r.name = om.role
+       WHERE om.user_id = $1 AND om.organization_id = $2`,
+      [userId, organizationId]
+    );
+
+    const row = result.rows[0];
+    const membership = row
+      ? {
+        role: row.role,
+        permissions: BUILT_IN_ROLES[row.role] || row.custom_permissions || [],
+        requireMfa: row.require_mfa,
+      }
+      : null;
+
+    this.cache.set(key, { membership, expiresAt: Date.now() + this.cacheTtlMs });
+    return membership;
+  }
+
+  /**
+   * Check whether a user holds every listed permission in an organization
+   */
+  async can(userId, organizationId, ...permissions) {
+    const membership = await this.getMembership(userId, organizationId);
+    return Boolean(membership) && permissions.every(permission => membership.permissions.includes(permission));
+  }
+
+  /**
+   * Permission catalog, built-in roles and the organization's custom roles
+   */
+  async listRoles(organizationId) {
+    const result = await query(
+      `SELECT id, name, description, permissions, created_at, updated_at
+       FROM organization_roles
+       WHERE organization_id = $1
+       ORDER BY name ASC`,
+      [organizationId]
+    );
+
+    return {
+      permissions: PERMISSIONS,
+      roles: [
+        ...Object.entries(BUILT_IN_ROLES).map(([name, permissions]) => ({ name, permissions, builtIn: true })),
+        ...result.rows.map(row => ({ ...row, builtIn: false })),
+      ],
+    };
+  }
+
+  /**
+   * Create a custom role
+   * The creator must hold every permission they put on the role.
+   */
+  async createRole(organizationId, { name, description = null, permissions }, userId) {
+    this._assertCustomName(name);
+    this._assertPermissions(permissions);
+    await this._assertHeld(organizationId, permissions, userId, 'You cannot grant permissions you do not hold');
+
+    const result = await query(
+      `INSERT INTO organization_roles (organization_id, name, description, permissions, created_by, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       RETURNING id, name, description, permissions, created_at, updated_at`,
+      [organizationId, name, description, [...new Set(permissions)], userId]
+    );
+
+    logger.info(`Custom role ${name} created in organization ${organizationId}`);
+    return { ...result.rows[0], builtIn: false };
+  }
+
+  /**
+   * Change a custom role's description or permissions
+   * The editor must hold every permission they put on the role. Members
+   * holding it get the new permissions once the invalidation reaches each
+   * process, or after the cache TTL at the latest.
+   */
+  async updateRole(organizationId, roleId, { description, permissions }, userId) {
+    if (permissions !== undefined) {
+      this._assertPermissions(permissions);
+      await this._assertHeld(organizationId, permissions, userId, 'You cannot grant permissions you do not hold');
+    }
+
+    const result = await query(
+      `UPDATE organization_roles
+       SET description = COALESCE($3, description),
+           permissions = COALESCE($4, permissions),
+           updated_at = NOW()
+       WHERE id = $1 AND organization_id = $2
+       RETURNING id, name, description, permissions, created_at, updated_at`,
+      [roleId, organizationId, description ?? null, permissions ? [...new Set(permissions)] : null]
+    );
+
+    if (!result.rows[0]) {
+      throw httpError(404, 'Role not found');
+    }
+
+    await this.invalidate(organizationId);
+    return { ...result.rows[0], builtIn: false };
+  }
+
+  /**
+   * Delete a custom role that no member holds
+   */
+  async deleteRole(organizationId, roleId) {
+    const result = await query(
+      `DELETE FROM organization_roles r
+       WHERE r.id = $1 AND r.organization_id = $2
+         AND NOT EXISTS (
+           SELECT 1 FROM organization_members om
+           WHERE om.organization_id = r.organization_id AND om.role = r.name
+         )
+       RETURNING r.name`,
+      [roleId, organizationId]
+    );
+
+    if (!result.rows[0]) {
+      const existing = await query(
+        `SELECT 1 FROM organization_roles WHERE id = $1 AND organization_id = $2`,
+        [roleId, organizationId]
+      );
+      throw existing.rows[0]
+        ? httpError(409, 'Role is still assigned to members')
+        : httpError(404, 'Role not found');
+    }
+
+    await this.invalidate(organizationId);
+    logger.info(`Custom role ${result.rows[0].name} deleted from organization ${organizationId}`);
+  }
+
+  /**
+   * Check that a role can be given to a member
+   * The role must exist in the organization, and the one granting it must
+   * already hold all of its permissions, so nobody can grant more than they have.
+   */
+  async assertAssignable(organizationId, role, grantedBy) {
+    let permissions = BUILT_IN_ROLES[role];
+
+    if (!permissions) {
+      const result = await query(
+        `SELECT permissions FROM organization_roles WHERE organization_id = $1 AND name = $2`,
+        [organizationId, role]
+      );
+      if (!result.rows[0]) {
+        throw httpError(400, `Unknown role: ${role}`);
+      }
+      permissions = result.rows[0].permissions;
+    }
+
+    await this._assertHeld(organizationId, permissions, grantedBy, `You cannot grant the ${role} role`);
+  }
+
+  /**
+   * Check that a member's role can be changed or the member removed
+   * The one making the change must hold every permission the member has
+   * now, so nobody can demote or remove someone above them.
+   */
+  async assertManageable(organizationId, userId, managedBy) {
+    const membership = await this.getMembership(userId, organizationId);
+    if (!membership) {
+      throw httpError(404, 'Member not found');
+    }
+
+    await this._assertHeld(organizationId, membership.permissions, managedBy, `You cannot manage a member with the ${membership.role} role`);
+  }
+
+  /**
+   * Forget cached memberships after a role or member change, here and in
+   * every other process
+   */
+  async invalidate(organizationId, userId = null) {
+    this._forget(organizationId, userId);
+
+    try {
+      await eventBus.publish(INVALIDATED_EVENT, { organizationId, userId }, { durable: false });
+    } catch (error) {
+      // Other processes fall back to the cache TTL
+      logger.warn(`Could not broadcast RBAC invalidation for ${organizationId}: ${error.message}`);
+    }
+  }
+
+  _forget(organizationId, userId = null) {
+    if (userId) {
+      this.cache.delete(`${organizationId}:${userId}`);
+      return;
+    }
+
+    for (const key of this.cache.keys()) {
+      if (key.startsWith(`${organizationId}:`)) {
+        this.cache.delete(key);
+      }
+    }
+  }
+
+  async _assertHeld(organizationId, permissions, userId, message) {
+    if (!(await this.can(userId, organizationId, ...permissions))) {
+      throw httpError(403, message);
+    }
+  }
+
+  _assertCustomName(name) {
+    if (BUILT_IN_ROLES[name]) {
+      throw httpError(400, `${name} is a built-in role`);
+    }
+  }
+
+  _assertPermissions(permissions) {
+    const unknown = (permissions || []).filter(permission => !PERMISSIONS[permission]);
+    if (!Array.isArray(permissions) || unknown.length > 0) {
+      throw httpError(400, `Unknown permissions: ${unknown.join(', ') || 'permissions must be a list'}`);
+    }
+  }
+}
+
+const INVALIDATED_EVENT = 'rbac.invalidated';
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Export singleton instance
+module.exports = new RbacService();
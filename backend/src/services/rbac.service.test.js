@@ -0,0 +1,128 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+jest.mock('../events/eventBus', () => ({ publish: jest.fn(), subscribe: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { query } = require('../config/database');
+const eventBus = require('../events/eventBus');
+const rbac = require('./rbac.service');
+
+const ORG = 'org-1';
+
+// user id -> role in ORG
+const members = {
+  owner: 'owner',
+  admin: 'admin',
+  member: 'member',
+  deployer: 'deployer',
+};
+
+// custom roles of ORG
+const customRoles = {
+  deployer: ['deployments:read', 'deployments:create', 'deployments:rollback'],
+  reviewer: ['github:read', 'ai:read'],
+};
+
+const run = async (sql, params) => {
+  if (sql.includes('FROM organization_members om')) {
+    const [userId, organizationId] = params;
+    const role = organizationId === ORG ? members[userId] : undefined;
+    return {
+      rows: role ? [{ role, custom_permissions: customRoles[role] || null, require_mfa: false }] : [],
+    };
+  }
+
+  if (sql.includes('SELECT permissions FROM organization_roles')) {
+    const permissions = customRoles[params[1]];
+    return { rows: permissions ? [{ permissions }] : [] };
+  }
+
+  if (sql.includes('INSERT INTO organization_roles')) {
+    return { rows: [{ id: 'role-1', name: params[1], description: params[2], permissions: params[3] }] };
+  }
+
+  if (sql.includes('UPDATE organization_roles')) {
+    return { rows: [{ id: params[0], name: 'reviewer', permissions: params[3] }] };
+  }
+
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+beforeEach(() => {
+  rbac.cache.clear();
+  query.mockReset();
+  query.mockImplementation(run);
+  eventBus.publish.mockReset();
+});
+
+describe('assertAssignable', () => {
+  it('lets a member grant roles whose permissions they hold', async () => {
+    await expect(rbac.assertAssignable(ORG, 'admin', 'owner')).resolves.toBeUndefined();
+    await expect(rbac.assertAssignable(ORG, 'member', 'admin')).resolves.toBeUndefined();
+    await expect(rbac.assertAssignable(ORG, 'deployer', 'admin')).resolves.toBeUndefined();
+  });
+
+  it('refuses roles with permissions the grantor lacks', async () => {
+    await expect(rbac.assertAssignable(ORG, 'owner', 'admin'))
+      .rejects.toMatchObject({ statusCode: 403, message: 'You cannot grant the owner role' });
+    await expect(rbac.assertAssignable(ORG, 'deployer', 'member'))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('refuses roles the organization does not have', async () => {
+    await expect(rbac.assertAssignable(ORG, 'superuser', 'owner'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Unknown role: superuser' });
+  });
+
+  it('refuses grantors who are not members', async () => {
+    await expect(rbac.assertAssignable(ORG, 'viewer', 'stranger'))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('assertManageable', () => {
+  it('lets a member manage members whose permissions they hold', async () => {
+    await expect(rbac.assertManageable(ORG, 'admin', 'owner')).resolves.toBeUndefined();
+    await expect(rbac.assertManageable(ORG, 'deployer', 'admin')).resolves.toBeUndefined();
+  });
+
+  it('refuses to manage a member with more permissions', async () => {
+    await expect(rbac.assertManageable(ORG, 'owner', 'admin'))
+      .rejects.toMatchObject({ statusCode: 403, message: 'You cannot manage a member with the owner role' });
+    await expect(rbac.assertManageable(ORG, 'deployer', 'member'))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('reports a missing member', async () => {
+    await expect(rbac.assertManageable(ORG, 'stranger', 'owner'))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('custom roles', () => {
+  it('refuses to create a role with permissions the creator lacks', async () => {
+    await expect(rbac.createRole(ORG, { name: 'auditor', permissions: ['security:manage'] }, 'admin'))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO organization_roles'), expect.anything());
+  });
+
+  it('creates a role within the creator\'s permissions', async () => {
+    const role = await rbac.createRole(ORG, { name: 'auditor', permissions: ['ai:read', 'ai:read'] }, 'admin');
+
+    expect(role).toMatchObject({ name: 'auditor', permissions: ['ai:read'], builtIn: false });
+  });
+
+  it('refuses to add permissions the editor lacks', async () => {
+    await expect(rbac.updateRole(ORG, 'role-1', { permissions: ['github:read', 'security:manage'] }, 'admin'))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('broadcasts the invalidation when a role changes', async () => {
+    await rbac.updateRole(ORG, 'role-1', { permissions: ['github:read'] }, 'admin');
+
+    expect(eventBus.publish).toHaveBeenCalledWith(
+      'rbac.invalidated',
+      { organizationId: ORG, userId: null },
+      { durable: false }
+    );
+  });
+});
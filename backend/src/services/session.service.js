@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const { redisClient } = require('../config/redis');
+const { generateAccessToken, generateRefreshToken, verifyRefreshToken, decodeToken } = require('../utils/jwt');
+const logger = require('../utils/logger');
+
+const DENYLIST_PREFIX = 'companyos:auth:denied:';
+
+/**
+ * Session Service
+ *
+ * Every login starts a session, which is one family of refresh tokens. A
+ * refresh token works once: using it issues the next one. Presenting a token
+ * that was already used means it leaked, so the whole session is revoked.
+ * Revoking a session also puts the access tokens issued in it on a Redis
+ * denylist until they expire, so they stop working right away.
+ */
+class SessionService {
+  /**
+   * Start a session for a login
+   * Its expiry is set when the first tokens are issued. `mfaVerified` marks
+   * a login completed with a second factor.
+   */
+  async create(userId, organizationId, { userAgent = null, ip = null } = {}, { mfaVerified = false } = {}) {
+    const result = await query(
+      `INSERT INTO auth_sessions (user_id, organization_id, user_agent, ip_address, expires_at, mfa_verified_at)
+       VALUES ($1, $2, $3, $4, NOW(), CASE WHEN $5 THEN NOW() END)
+       RETURNING id`,
+      [userId, organizationId, userAgent, ip, mfaVerified]
+    );
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Issue an access token and the session's next refresh token
+   * The access token's `mfa` claim tells whether the session was verified
+   * with a second factor.
+   */
+  async issueTokens({ user, organizationId, sessionId, context = {} }) {
+    const session = await query('SELECT mfa_verified_at FROM auth_sessions WHERE id = $1', [sessionId]);
+    const mfa = Boolean(session.rows[0]?.mfa_verified_at);
+
+    const accessJti = crypto.randomUUID();
+    const accessToken = generateAccessToken({
+      userId: user.id,
+      email: user.email,
+      organizationId,
+      sid: sessionId,
+      jti: accessJti,
+      mfa,
+    });
+
+    const refreshToken = generateRefreshToken({
+      userId: user.id,
+      organizationId,
+      sid: sessionId,
+      jti: crypto.randomUUID(),
+    });
+
+    const accessExpiresAt = new Date(decodeToken(accessToken).exp * 1000);
+    const expiresAt = new Date(decodeToken(refreshToken).exp * 1000);
+
+    // A newer token supersedes the session's older ones, e.g. after switching
+    // organization, so presenting an older one counts as reuse
+    await query(
+      'UPDATE refresh_tokens SET used_at = NOW() WHERE session_id = $1 AND used_at IS NULL',
+      [sessionId]
+    );
+
+    await query(
+      `INSERT INTO refresh_tokens (session_id, token_hash, access_jti, access_expires_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [sessionId, hashToken(refreshToken), accessJti, accessExpiresAt, expiresAt]
+    );
+
+    await query(
+      `UPDATE auth_sessions
+       SET organization_id = $2,
+           expires_at = $3,
+           user_agent = COALESCE($4, user_agent),
+           ip_address = COALESCE($5, ip_address),
+           last_seen_at = NOW()
+       WHERE id = $1`,
+      [sessionId, organizationId, expiresAt, context.userAgent || null, context.ip || null]
+    );
+
+    return { accessToken, refreshToken, mfa };
+  }
+
+  /**
+   * Use up a refresh token and return its session
+   * A token that was already used revokes its session.
+   */
+  async consumeRefreshToken(refreshToken) {
+    const decoded = verifyRefreshToken(refreshToken);
+    if (!decoded?.sid) {
+      throw httpError(401, 'Invalid refresh token');
+    }
+
+    const { session, reused } = await transaction(async (client) => {
+      const result = await client.query(
+        `SELECT rt.id, rt.used_at, s.id AS session_id, s.user_id, s.organization_id, s.revoked_at
+         FROM refresh_tokens rt
+         JOIN auth_sessions s ON s.id = rt.session_id
+         WHERE rt.token_hash = $1
+         FOR UPDATE OF rt`,
+        [hashToken(refreshToken)]
+      );
+
+      const token = result.rows[0];
+      if (!token || token.revoked_at) {
+        throw httpError(401, 'Invalid refresh token');
+      }
+
+      if (token.used_at) {
+        return { session: token, reused: true };
+      }
+
+      await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [token.id]);
+      return { session: token, reused: false };
+    });
+
+    if (reused) {
+      logger.warn(`Refresh token reused in session ${session.session_id}, revoking the session`);
+      await this._revokeWhere('id = $1', [session.session_id], 'refresh_token_reuse');
+      throw httpError(401, 'Refresh token was already used; the session has been revoked');
+    }
+
+    return { id: session.session_id, userId: session.user_id, organizationId: session.organization_id };
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  async list(userId, currentSessionId = null) {
+    const result = await query(
+      `SELECT id, organization_id, user_agent, ip_address, created_at, last_seen_at, expires_at, mfa_verified_at
+       FROM auth_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_seen_at DESC`,
+      [userId]
+    );
+
+    return result.rows.map(session => ({
+      ...session,
+      device: describeDevice(session.user_agent),
+      current: session.id === currentSessionId,
+    }));
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   */
+  async revoke(userId, sessionId, reason = 'logout') {
+    const revoked = await this._revokeWhere('id = $1 AND user_id = $2', [sessionId, userId], reason);
+
+    if (revoked === 0) {
+      throw httpError(404, 'Session not found');
+    }
+  }
+
+  /**
+   * Revoke every session of a user, e.g. to log out everywhere
+   */
+  async revokeAll(userId, reason = 'logout_everywhere') {
+    return this._revokeWhere('user_id = $1', [userId], reason);
+  }
+
+  /**
+   * Mark a session as verified with a second factor, e.g. right after the
+   * user turns on two-factor authentication in it
+   */
+  async markMfaVerified(sessionId) {
+    await query('UPDATE auth_sessions SET mfa_verified_at = NOW() WHERE id = $1', [sessionId]);
+  }
+
+  /**
+   * Drop the second-factor mark from all of a user's sessions
+   */
+  async clearMfaVerified(userId) {
+    await query('UPDATE auth_sessions SET mfa_verified_at = NULL WHERE user_id = $1', [userId]);
+  }
+
+  /**
+   * Whether an access token was revoked before it expired
+   * Fails open when Redis is unreachable; the session is still checked on
+   * the next refresh.
+   */
+  async isAccessTokenRevoked(jti) {
+    if (!jti) {
+      return false;
+    }
+
+    try {
+      return (await redisClient.exists(`${DENYLIST_PREFIX}${jti}`)) === 1;
+    } catch (error) {
+      logger.error('Access token denylist check failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Revoke matching active sessions and deny their unexpired access tokens
+   */
+  async _revokeWhere(condition, params, reason) {
+    const result = await query(
+      `UPDATE auth_sessions
+       SET revoked_at = NOW(),
+           revoked_reason = $${params.length + 1}
+       WHERE ${condition} AND revoked_at IS NULL
+       RETURNING id`,
+      [...params, reason]
+    );
+
+    const sessionIds = result.rows.map(row => row.id);
+    if (sessionIds.length === 0) {
+      return 0;
+    }
+
+    const tokens = await query(
+      `SELECT access_jti, EXTRACT(EPOCH FROM (access_expires_at - NOW()))::int AS ttl
+       FROM refresh_tokens
+       WHERE session_id = ANY($1) AND access_expires_at > NOW()`,
+      [sessionIds]
+    );
+
+    if (tokens.rows.length > 0) {
+      const pipeline = redisClient.pipeline();
+      for (const { access_jti: jti, ttl } of tokens.rows) {
+        pipeline.set(`${DENYLIST_PREFIX}${jti}`, reason, 'EX', Math.max(ttl, 1));
+      }
+      await pipeline.exec();
+    }
+
+    logger.info(`Revoked ${sessionIds.length} session(s): ${reason}`);
+    return sessionIds.length;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Short "Browser on OS" label from a user agent
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = [
+    ['Edge', /Edg\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//],
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const os = [
+    ['iOS', /iPhone|iPad/], ['Android', /Android/], ['macOS', /Mac OS X/], ['Windows', /Windows/], ['Linux', /Linux/],
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (!browser && !os) {
+    return userAgent.slice(0, 60);
+  }
+  return [browser || 'Unknown browser', os].filter(Boolean).join(' on ');
+};
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Export singleton instance
+module.exports = new SessionService();
@@ -0,0 +1,187 @@
+jest.mock('../config', () => ({
+  jwt: { secret: 'test-access-secret', refreshSecret: 'test-refresh-secret', expiresIn: '15m', refreshExpiresIn: '7d' },
+}));
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../config/redis', () => ({ redisClient: { pipeline: jest.fn(), exists: jest.fn() } }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { query, transaction } = require('../config/database');
+const { redisClient } = require('../config/redis');
+const { decodeToken } = require('../utils/jwt');
+const sessionService = require('./session.service');
+
+const USER = { id: 'user-1', email: 'ada@example.com' };
+const ORG = 'org-1';
+
+/**
+ * In-memory auth_sessions and refresh_tokens answering the statements
+ * SessionService runs
+ */
+const createStore = () => {
+  const sessions = new Map();
+  const tokens = [];
+
+  const run = async (sql, params = []) => {
+    if (sql.includes('INSERT INTO auth_sessions')) {
+      const id = `session-${sessions.size + 1}`;
+      sessions.set(id, { id, user_id: params[0], organization_id: params[1], revoked_at: null, mfa_verified_at: null });
+      return { rows: [{ id }] };
+    }
+
+    if (sql.includes('SELECT mfa_verified_at FROM auth_sessions')) {
+      return { rows: [sessions.get(params[0])] };
+    }
+
+    if (sql.includes('UPDATE refresh_tokens SET used_at = NOW() WHERE session_id')) {
+      tokens.filter(token => token.session_id === params[0] && !token.used_at)
+        .forEach(token => { token.used_at = new Date(); });
+      return { rows: [] };
+    }
+
+    if (sql.includes('UPDATE refresh_tokens SET used_at = NOW() WHERE id')) {
+      tokens.find(token => token.id === params[0]).used_at = new Date();
+      return { rows: [] };
+    }
+
+    if (sql.includes('INSERT INTO refresh_tokens')) {
+      const [sessionId, tokenHash, accessJti, accessExpiresAt, expiresAt] = params;
+      tokens.push({
+        id: `token-${tokens.length + 1}`,
+        session_id: sessionId,
+        token_hash: tokenHash,
+        access_jti: accessJti,
+        access_expires_at: accessExpiresAt,
+        expires_at: expiresAt,
+        used_at: null,
+      });
+      return { rows: [] };
+    }
+
+    if (sql.includes('SET organization_id = $2')) {
+      sessions.get(params[0]).organization_id = params[1];
+      return { rows: [] };
+    }
+
+    if (sql.includes('WHERE rt.token_hash = $1')) {
+      const token = tokens.find(row => row.token_hash === params[0]);
+      if (!token) {
+        return { rows: [] };
+      }
+      const session = sessions.get(token.session_id);
+      return {
+        rows: [{
+          id: token.id,
+          used_at: token.used_at,
+          session_id: session.id,
+          user_id: session.user_id,
+          organization_id: session.organization_id,
+          revoked_at: session.revoked_at,
+        }],
+      };
+    }
+
+    if (sql.includes('SET revoked_at = NOW()')) {
+      const [sessionId, reason] = params;
+      const session = sessions.get(sessionId);
+      if (!session || session.revoked_at) {
+        return { rows: [] };
+      }
+      session.revoked_at = new Date();
+      session.revoked_reason = reason;
+      return { rows: [{ id: sessionId }] };
+    }
+
+    if (sql.includes('SELECT access_jti')) {
+      return {
+        rows: tokens
+          .filter(token => params[0].includes(token.session_id) && token.access_expires_at > new Date())
+          .map(token => ({ access_jti: token.access_jti, ttl: 900 })),
+      };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return { sessions, tokens, run };
+};
+
+describe('refresh token rotation', () => {
+  let store;
+  let pipeline;
+
+  beforeEach(() => {
+    store = createStore();
+    query.mockImplementation(store.run);
+    transaction.mockImplementation(callback => callback({ query: store.run }));
+
+    pipeline = { set: jest.fn(), exec: jest.fn() };
+    redisClient.pipeline.mockReturnValue(pipeline);
+  });
+
+  const login = async () => {
+    const sessionId = await sessionService.create(USER.id, ORG);
+    const tokens = await sessionService.issueTokens({ user: USER, organizationId: ORG, sessionId });
+    return { sessionId, ...tokens };
+  };
+
+  it('exchanges a refresh token once for the next one', async () => {
+    const { sessionId, refreshToken } = await login();
+
+    const session = await sessionService.consumeRefreshToken(refreshToken);
+    expect(session).toEqual({ id: sessionId, userId: USER.id, organizationId: ORG });
+
+    const next = await sessionService.issueTokens({ user: USER, organizationId: ORG, sessionId });
+    await expect(sessionService.consumeRefreshToken(next.refreshToken)).resolves.toMatchObject({ id: sessionId });
+  });
+
+  it('revokes the session when a used token comes back', async () => {
+    const { sessionId, refreshToken, accessToken } = await login();
+
+    await sessionService.consumeRefreshToken(refreshToken);
+    const next = await sessionService.issueTokens({ user: USER, organizationId: ORG, sessionId });
+
+    await expect(sessionService.consumeRefreshToken(refreshToken)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Refresh token was already used; the session has been revoked',
+    });
+    expect(store.sessions.get(sessionId).revoked_reason).toBe('refresh_token_reuse');
+
+    // The legitimate holder's newer token dies with the session
+    await expect(sessionService.consumeRefreshToken(next.refreshToken)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Invalid refresh token',
+    });
+
+    // Access tokens issued in the session are denied until they expire
+    const deniedJtis = pipeline.set.mock.calls.map(([key]) => key);
+    expect(deniedJtis).toEqual(expect.arrayContaining([
+      `companyos:auth:denied:${decodeToken(accessToken).jti}`,
+      `companyos:auth:denied:${decodeToken(next.accessToken).jti}`,
+    ]));
+    expect(pipeline.exec).toHaveBeenCalled();
+  });
+
+  it('treats a token superseded by newer tokens as reused', async () => {
+    const { sessionId, refreshToken } = await login();
+
+    // e.g. switching organization issues new tokens without a refresh
+    await sessionService.issueTokens({ user: USER, organizationId: 'org-2', sessionId });
+
+    await expect(sessionService.consumeRefreshToken(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    expect(store.sessions.get(sessionId).revoked_at).not.toBeNull();
+  });
+
+  it('leaves other sessions alone', async () => {
+    const first = await login();
+    const second = await login();
+
+    await sessionService.consumeRefreshToken(first.refreshToken);
+    await expect(sessionService.consumeRefreshToken(first.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+
+    await expect(sessionService.consumeRefreshToken(second.refreshToken)).resolves.toMatchObject({ id: second.sessionId });
+  });
+
+  it('rejects tokens it never issued', async () => {
+    await expect(sessionService.consumeRefreshToken('not-a-token')).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
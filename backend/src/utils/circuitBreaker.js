@@ -0,0 +1,99 @@
+/**
+ * Circuit Breaker Utility
+ * Stops calling a failing dependency for a while, then lets one request probe it
+ *
+ * States:
+ *   closed → open        after `failureThreshold` consecutive failures
+ *   open → half_open     once `resetTimeoutMs` has passed
+ *   half_open → closed   when the probe succeeds
+ *   half_open → open     when the probe fails
+ *   half_open → half_open when the probe is released, e.g. a bad request
+ */
+
+class CircuitBreaker {
+  constructor(config = {}) {
+    this.name = config.name || 'circuit';
+    this.failureThreshold = config.failureThreshold || 5;
+    this.resetTimeoutMs = config.resetTimeoutMs || 60000;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * Check whether a request may go through
+   * In half_open only one probe is let through at a time.
+   */
+  canRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.probing = false;
+    }
+
+    if (this.state === 'half_open' && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * Record a failed request
+   */
+  recordFailure() {
+    this.failures++;
+    this.probing = false;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Give up a request that said nothing about the dependency's health
+   * A half_open probe is released so the next request can probe instead.
+   */
+  release() {
+    this.probing = false;
+  }
+
+  /**
+   * Get current state
+   */
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeoutMs) : null
+    };
+  }
+
+  /**
+   * Close the circuit and forget past failures
+   */
+  reset() {
+    this.recordSuccess();
+  }
+}
+
+module.exports = { CircuitBreaker };
@@ -0,0 +1,82 @@
+const { CircuitBreaker } = require('./circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    breaker = new CircuitBreaker({ name: 'test', failureThreshold: 2, resetTimeoutMs: 1000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const trip = () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+  };
+
+  it('opens after the failure threshold', () => {
+    breaker.recordFailure();
+    expect(breaker.canRequest()).toBe(true);
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it('forgets failures after a success', () => {
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('lets one probe through once the reset timeout has passed', () => {
+    trip();
+    now += 1000;
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it('closes when the probe succeeds', () => {
+    trip();
+    now += 1000;
+    breaker.canRequest();
+
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  it('reopens when the probe fails', () => {
+    trip();
+    now += 1000;
+    breaker.canRequest();
+
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.getState().retryAt).toEqual(new Date(now + 1000));
+  });
+
+  it('lets the next request probe when a probe is released', () => {
+    trip();
+    now += 1000;
+    breaker.canRequest();
+
+    breaker.release();
+
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+  });
+});
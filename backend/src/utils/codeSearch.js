@@ -0,0 +1,178 @@
+/**
+ * Code Search Utility
+ * File selection, tokenizing, chunking, BM25 scoring and local embeddings for source code
+ *
+ * Identifiers are split on camelCase, snake_case and kebab-case, so a query
+ * for "user session" finds `getUserSession` and `user_session.js`. Embeddings
+ * are hashed bags of tokens and character trigrams: cheap, deterministic and
+ * computed locally, with some tolerance for spelling variants.
+ */
+
+// BM25 parameters, the usual defaults
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'from', 'are', 'was', 'not',
+  'const', 'let', 'var', 'function', 'return', 'if', 'else', 'new', 'null',
+  'undefined', 'true', 'false', 'import', 'export', 'require', 'module',
+  'exports', 'default', 'async', 'await', 'of', 'in', 'to', 'is', 'it', 'an'
+]);
+
+/**
+ * Split text into lowercase search terms
+ * Compound identifiers yield the whole identifier and each of its parts.
+ */
+const tokenize = (text) => {
+  const terms = [];
+
+  for (const word of String(text || '').match(/[A-Za-z0-9_$-]+/g) || []) {
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .split(/[\s_$-]+/)
+      .map(part => part.toLowerCase())
+      .filter(Boolean);
+
+    const whole = word.toLowerCase().replace(/^[_$-]+|[_$-]+$/g, '');
+    const candidates = parts.length > 1 ? [whole, ...parts] : parts;
+
+    for (const term of candidates) {
+      if (term.length >= 2 && term.length <= 64 && !STOP_WORDS.has(term) && !/^\d+$/.test(term)) {
+        terms.push(term);
+      }
+    }
+  }
+
+  return terms;
+};
+
+/**
+ * Count how often each term occurs
+ */
+const termFrequencies = (terms) => {
+  const frequencies = {};
+  for (const term of terms) {
+    frequencies[term] = (frequencies[term] || 0) + 1;
+  }
+  return frequencies;
+};
+
+/**
+ * Split a file into overlapping line windows
+ * Returns [{ startLine, endLine, content }], 1-based and inclusive.
+ */
+const chunkSource = (content, { chunkLines = 60, chunkOverlap = 10 } = {}) => {
+  const lines = String(content || '').split('\n');
+  const step = Math.max(1, chunkLines - chunkOverlap);
+  const chunks = [];
+
+  for (let start = 0; start < lines.length; start += step) {
+    const slice = lines.slice(start, start + chunkLines);
+
+    if (slice.some(line => line.trim() !== '')) {
+      chunks.push({
+        startLine: start + 1,
+        endLine: start + slice.length,
+        content: slice.join('\n')
+      });
+    }
+
+    if (start + chunkLines >= lines.length) {
+      break;
+    }
+  }
+
+  return chunks;
+};
+
+/**
+ * BM25 score of one document for a query
+ * `stats` holds the document count, the average length and each query
+ * term's document frequency.
+ */
+const bm25Score = (queryTerms, frequencies, length, { documentCount, averageLength, documentFrequencies }) => {
+  let score = 0;
+
+  for (const term of new Set(queryTerms)) {
+    const frequency = frequencies[term] || 0;
+    if (frequency === 0) {
+      continue;
+    }
+
+    const df = documentFrequencies[term] || 0;
+    const idf = Math.log(1 + (documentCount - df + 0.5) / (df + 0.5));
+    const norm = frequency + K1 * (1 - B + B * (length / (averageLength || 1)));
+
+    score += idf * (frequency * (K1 + 1)) / norm;
+  }
+
+  return score;
+};
+
+/**
+ * 32-bit FNV-1a hash
+ */
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Unit-length hashed embedding of a list of terms
+ * Each term and its character trigrams add to one signed dimension.
+ */
+const hashEmbedding = (terms, dimensions = 256) => {
+  const vector = new Array(dimensions).fill(0);
+
+  for (const [term, frequency] of Object.entries(termFrequencies(terms))) {
+    const weight = 1 + Math.log(frequency);
+    const padded = `^${term}$`;
+    const features = [term];
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      features.push(`#${padded.slice(i, i + 3)}`);
+    }
+
+    for (const feature of features) {
+      const hash = fnv1a(feature);
+      vector[hash % dimensions] += (hash & 0x80000000 ? -1 : 1) * weight;
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+};
+
+const INDEXED_EXTENSIONS = new Set([
+  'js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'kt',
+  'cs', 'php', 'swift', 'c', 'h', 'cpp', 'hpp', 'scala', 'sql', 'graphql',
+  'prisma', 'vue', 'svelte', 'css', 'scss', 'md', 'json', 'yml', 'yaml', 'sh'
+]);
+
+const SKIPPED_PATHS = /(^|\/)(node_modules|vendor|dist|build|coverage|\.git|\.next)\//;
+const SKIPPED_FILES = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml)$|\.min\.(js|css)$/;
+
+/**
+ * Source files worth indexing: known extensions, no dependencies or build output
+ */
+const isIndexable = (path, size = 0, maxFileBytes) => {
+  const extension = path.split('.').pop().toLowerCase();
+
+  return INDEXED_EXTENSIONS.has(extension)
+    && !SKIPPED_PATHS.test(path)
+    && !SKIPPED_FILES.test(path)
+    && size <= maxFileBytes;
+};
+
+module.exports = {
+  isIndexable,
+  tokenize,
+  termFrequencies,
+  chunkSource,
+  bm25Score,
+  hashEmbedding
+};
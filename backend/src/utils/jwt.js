@@ -21,10 +21,13 @@ const generateRefreshToken = (payload) => {
 
 /**
  * Verify access token
+ * Invitation and two-factor challenge tokens can share the secret; they carry
+ * an audience and are refused here.
  */
 const verifyAccessToken = (token) => {
   try {
-    return jwt.verify(token, config.jwt.secret);
+    const decoded = jwt.verify(token, config.jwt.secret);
+    return decoded.aud ? null : decoded;
   } catch (error) {
     return null;
   }
@@ -41,6 +44,49 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+/**
+ * Generate organization invitation token
+ */
+const generateInvitationToken = (payload, expiresIn) => {
+  return jwt.sign(payload, config.invitations.secret, {
+    audience: 'invitation',
+    expiresIn,
+  });
+};
+
+/**
+ * Verify organization invitation token
+ */
+const verifyInvitationToken = (token) => {
+  try {
+    return jwt.verify(token, config.invitations.secret, { audience: 'invitation' });
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Generate the token that carries a login from the password step to the
+ * two-factor step
+ */
+const generateMfaChallengeToken = (payload) => {
+  return jwt.sign(payload, config.jwt.secret, {
+    audience: 'mfa-challenge',
+    expiresIn: config.mfa.challengeExpiresIn,
+  });
+};
+
+/**
+ * Verify a two-factor challenge token
+ */
+const verifyMfaChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, config.jwt.secret, { audience: 'mfa-challenge' });
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Decode token without verification
  */
@@ -53,5 +99,9 @@ module.exports = {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  generateInvitationToken,
+  verifyInvitationToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
   decodeToken,
 };
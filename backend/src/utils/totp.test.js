@@ -0,0 +1,63 @@
+const { base32Encode, base32Decode, generateSecret, timeStep, generateCode, verifyCode } = require('./totp');
+
+// RFC 6238 appendix B, SHA-1 seed; codes are the low 6 of the 8 published digits
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+describe('base32', () => {
+  it('encodes the RFC 6238 seed', () => {
+    expect(SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('decodes regardless of case, spaces and padding', () => {
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq==').toString()).toBe('12345678901234567890');
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('GEZD1')).toThrow('Invalid base32 character');
+  });
+
+  it('generates 160-bit secrets', () => {
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('generateCode', () => {
+  it.each(VECTORS)('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+    expect(generateCode(SECRET, timeStep(seconds * 1000))).toBe(code);
+  });
+});
+
+describe('verifyCode', () => {
+  const time = 1111111111 * 1000;
+
+  it('returns the step a valid code belongs to', () => {
+    expect(verifyCode(SECRET, '050471', { time })).toBe(timeStep(time));
+  });
+
+  it('accepts a code one step either side', () => {
+    const step = timeStep(time);
+
+    expect(verifyCode(SECRET, generateCode(SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyCode(SECRET, generateCode(SECRET, step + 1), { time })).toBe(step + 1);
+    expect(verifyCode(SECRET, generateCode(SECRET, step + 2), { time })).toBeNull();
+  });
+
+  it('ignores spaces in the code', () => {
+    expect(verifyCode(SECRET, '050 471', { time })).toBe(timeStep(time));
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyCode(SECRET, '', { time })).toBeNull();
+    expect(verifyCode(SECRET, '05047', { time })).toBeNull();
+    expect(verifyCode(SECRET, '14050471', { time })).toBeNull();
+    expect(verifyCode(SECRET, '05o471', { time })).toBeNull();
+  });
+});
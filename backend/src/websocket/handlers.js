@@ -1,5 +1,5 @@
 const eventBus = require('../events/eventBus');
-const { emitToChannel } = require('./server');
+const { emitToChannel, emitToOrganization, emitToUser } = require('./server');
 const logger = require('../utils/logger');
 
 /**
@@ -45,6 +45,24 @@ const initializeWebSocketHandlers = (io) => {
     emitToChannel(io, data.organizationId, 'agent_tasks', 'agent_task.needs_approval', data.task);
   });
   
+  // Notifications go to their recipients, or the whole organization
+  eventBus.subscribe('notification.created', (data) => {
+    if (data.userIds?.length) {
+      data.userIds.forEach(userId => emitToUser(io, userId, 'notification', data.notification));
+    } else {
+      emitToOrganization(io, data.organizationId, 'notification', data.notification);
+    }
+  });
+  
+  // Streamed AI generations go to the user who started them
+  eventBus.subscribe('ai.stream.frame', (data) => {
+    emitToUser(io, data.userId, 'ai.stream', {
+      streamId: data.streamId,
+      event: data.event,
+      data: data.data,
+    });
+  });
+  
   // Generic events
   eventBus.subscribe('event.created', (data) => {
     emitToChannel(io, data.organizationId, 'events', 'event.created', data);
@@ -2,6 +2,9 @@ const { Server } = require('socket.io');
 const { verifyAccessToken } = require('../utils/jwt');
 const logger = require('../utils/logger');
 const config = require('../config');
+const aiStreamService = require('../services/ai-stream.service');
+const rbac = require('../services/rbac.service');
+const sessionService = require('../services/session.service');
 
 /**
  * Initialize WebSocket server
@@ -16,7 +19,7 @@ const initializeWebSocket = (httpServer) => {
   });
   
   // Authentication middleware
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth.token;
     
     if (!token) {
@@ -25,15 +28,22 @@ const initializeWebSocket = (httpServer) => {
     
     const decoded = verifyAccessToken(token);
     
-    if (!decoded) {
+    if (!decoded || await sessionService.isAccessTokenRevoked(decoded.jti)) {
       return next(new Error('Invalid token'));
     }
     
-    socket.user = {
-      id: decoded.userId,
-      organizationId: decoded.organizationId,
-      role: decoded.role,
-    };
+    try {
+      const membership = await rbac.getMembership(decoded.userId, decoded.organizationId);
+      socket.user = {
+        id: decoded.userId,
+        organizationId: decoded.organizationId,
+        role: membership?.role || null,
+        permissions: membership?.permissions || [],
+      };
+    } catch (error) {
+      logger.error('WebSocket membership lookup failed:', error);
+      return next(new Error('Authentication error'));
+    }
     
     next();
   });
@@ -84,6 +94,13 @@ const initializeWebSocket = (httpServer) => {
       logger.debug(`Socket ${socket.id} unsubscribed from ${channel}`);
     });
     
+    // Cancel a streamed AI generation
+    socket.on('ai.stream.cancel', (data) => {
+      aiStreamService.cancel(data?.streamId, socket.user.id).catch((error) => {
+        logger.error('Failed to cancel AI stream:', error);
+      });
+    });
+    
     // Handle disconnection
     socket.on('disconnect', () => {
       logger.info(`WebSocket client disconnected: ${socket.user.id}`);
@@ -7,6 +7,7 @@ import { DashboardLayout } from './components/layout/DashboardLayout';
 import { Login } from './pages/auth/Login';
 import { Signup } from './pages/auth/Signup';
 import { OAuthCallback } from './pages/auth/OAuthCallback';
+import { AcceptInvitation } from './pages/auth/AcceptInvitation';
 
 // Main pages
 import { Dashboard } from './pages/Dashboard';
@@ -18,6 +19,7 @@ import { Team } from './pages/Team';
 import { Social } from './pages/Social';
 import { Agents } from './pages/Agents';
 import { Intelligence } from './pages/Intelligence';
+import { Security } from './pages/Security';
 
 // Create QueryClient instance
 const queryClient = new QueryClient({
@@ -75,6 +77,8 @@ function App() {
             }
           />
           <Route path="/auth/callback" element={<OAuthCallback />} />
+          {/* Reachable signed in or out */}
+          <Route path="/invitations/:token" element={<AcceptInvitation />} />
 
           {/* Protected routes */}
           <Route
@@ -125,6 +129,14 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/security"
+            element={
+              <ProtectedRoute>
+                <Security />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/social"
             element={
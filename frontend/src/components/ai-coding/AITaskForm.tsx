@@ -3,11 +3,13 @@
  * Form for submitting new AI coding tasks
  */
 
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { Card } from '../ui/Card';
 import { Button } from '../ui/Button';
 import { Input } from '../ui/Input';
 import { Code, Wand2, Bug, RefreshCw, TestTube, Eye } from 'lucide-react';
+import { useAuthStore, hasPermission } from '../../store/authStore';
+import api from '../../lib/api';
 
 interface AITaskFormProps {
   onSuccess?: () => void;
@@ -15,6 +17,11 @@ interface AITaskFormProps {
 
 type TaskType = 'generate' | 'fix' | 'refactor' | 'test' | 'review';
 
+interface Repository {
+  id: string;
+  full_name: string;
+}
+
 const AITaskForm: React.FC<AITaskFormProps> = ({ onSuccess }) => {
   const [taskType, setTaskType] = useState<TaskType>('generate');
   const [description, setDescription] = useState('');
@@ -22,9 +29,28 @@ const AITaskForm: React.FC<AITaskFormProps> = ({ onSuccess }) => {
   const [filePath, setFilePath] = useState('');
   const [language, setLanguage] = useState('javascript');
   const [prNumber, setPrNumber] = useState('');
+  const [repositoryId, setRepositoryId] = useState('');
+  const [repositories, setRepositories] = useState<Repository[]>([]);
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState<any>(null);
   const [error, setError] = useState<string | null>(null);
+  const { token, user } = useAuthStore();
+  // Members without ai:generate can look at results but not run agents
+  const canSubmit = hasPermission(user, 'ai:generate');
+
+  // Repositories the organization connected; agents only work on these
+  const loadRepositories = useCallback(async () => {
+    try {
+      const data = await api.get<{ repositories: Repository[] }>('/github/repositories', { token: token || undefined });
+      setRepositories(data.repositories || []);
+    } catch {
+      setRepositories([]);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadRepositories();
+  }, [loadRepositories]);
 
   const taskTypes = [
     { id: 'generate', label: 'Generate Feature', icon: Wand2, description: 'Create new code from description' },
@@ -41,65 +67,58 @@ const AITaskForm: React.FC<AITaskFormProps> = ({ onSuccess }) => {
     setResult(null);
 
     try {
-      let endpoint = '/api/ai/generate-feature';
+      let endpoint = '/ai/generate-feature';
       let body: any = {
         description,
         language,
         filePath: filePath || undefined,
+        repositoryId: repositoryId || undefined,
         autoApply: false
       };
 
       switch (taskType) {
         case 'fix':
-          endpoint = '/api/ai/fix-bug';
+          endpoint = '/ai/fix-bug';
           body = {
             code,
             issue: description,
             language,
             filePath: filePath || undefined,
+            repositoryId: repositoryId || undefined,
             autoApply: false
           };
           break;
         case 'refactor':
-          endpoint = '/api/ai/refactor';
+          endpoint = '/ai/refactor';
           body = {
             code,
             goal: description,
             language,
-            filePath: filePath || undefined
+            filePath: filePath || undefined,
+            repositoryId: repositoryId || undefined
           };
           break;
         case 'test':
-          endpoint = '/api/ai/add-tests';
+          endpoint = '/ai/add-tests';
           body = {
             code,
             framework: 'jest',
             coverage: 'comprehensive',
-            language
+            language,
+            repositoryId: repositoryId || undefined
           };
           break;
         case 'review':
-          endpoint = '/api/ai/review-pr';
+          endpoint = '/ai/review-pr';
           body = {
             prNumber: parseInt(prNumber, 10),
+            repositoryId,
             checkFor: ['bugs', 'security', 'performance', 'style']
           };
           break;
       }
 
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(body)
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.error || 'Request failed');
-      }
+      const data = await api.post(endpoint, body, { token: token || undefined });
 
       setResult(data);
       
@@ -142,10 +161,33 @@ const AITaskForm: React.FC<AITaskFormProps> = ({ onSuccess }) => {
     </div>
   );
 
+  const renderRepositorySelect = (required: boolean) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Repository{required ? '' : ' (Optional)'}
+      </label>
+      <select
+        value={repositoryId}
+        onChange={(e) => setRepositoryId(e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        required={required}
+      >
+        <option value="">{repositories.length > 0 ? 'Select a repository' : 'No connected repositories'}</option>
+        {repositories.map((repository) => (
+          <option key={repository.id} value={repository.id}>
+            {repository.full_name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
   const renderForm = () => {
     if (taskType === 'review') {
       return (
         <div className="space-y-4">
+          {renderRepositorySelect(true)}
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Pull Request Number
@@ -164,6 +206,8 @@ const AITaskForm: React.FC<AITaskFormProps> = ({ onSuccess }) => {
 
     return (
       <div className="space-y-4">
+        {renderRepositorySelect(false)}
+
         {/* Description/Issue */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -353,10 +397,16 @@ const AITaskForm: React.FC<AITaskFormProps> = ({ onSuccess }) => {
             </div>
           )}
 
+          {!canSubmit && (
+            <p className="mt-4 text-sm text-gray-600">
+              Your role cannot run AI tasks. Ask an admin for access.
+            </p>
+          )}
+
           <div className="mt-6">
             <Button
               type="submit"
-              disabled={loading}
+              disabled={loading || !canSubmit}
               className="w-full"
             >
               {loading ? (
@@ -14,8 +14,13 @@ import {
   XCircle, 
   AlertCircle,
   RotateCcw,
-  Filter
+  Filter,
+  ShieldCheck,
+  ShieldAlert
 } from 'lucide-react';
+import { Button } from '../ui/Button';
+import { useAuthStore, hasPermission } from '../../store/authStore';
+import api from '../../lib/api';
 
 interface AuditEntry {
   id: string;
@@ -26,27 +31,49 @@ interface AuditEntry {
   [key: string]: any;
 }
 
+interface Verification {
+  valid: boolean;
+  entriesChecked: number;
+  headSequence: number | null;
+  firstInvalid: { id: string; sequence: number; reason: string } | null;
+}
+
+const PAGE_SIZE = 50;
+
 const AuditLog: React.FC = () => {
   const [entries, setEntries] = useState<AuditEntry[]>([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState<string>('all');
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [verification, setVerification] = useState<Verification | null>(null);
+  const [verifying, setVerifying] = useState(false);
+  const [rollingBack, setRollingBack] = useState<string | null>(null);
+  const [rollbackError, setRollbackError] = useState<string | null>(null);
+  const { token, user } = useAuthStore();
+  const authOptions = { token: token || undefined };
+  // Rolling changes back needs ai:rollback in the active organization
+  const canRollBackChanges = hasPermission(user, 'ai:rollback');
 
   useEffect(() => {
     loadAuditLog();
-  }, [filter]);
+  }, [filter, page]);
 
   const loadAuditLog = async () => {
     try {
-      let url = '/api/ai/audit-log?limit=100';
+      const params: Record<string, string | number> = { limit: PAGE_SIZE, offset: page * PAGE_SIZE };
       if (filter !== 'all') {
-        url += `&type=${filter}`;
+        params.type = filter;
       }
 
-      const response = await fetch(url);
-      const data = await response.json();
-      
+      const data = await api.get<{ success: boolean; entries: AuditEntry[]; total: number }>('/ai/audit-log', {
+        ...authOptions,
+        params
+      });
+
       if (data.success) {
         setEntries(data.entries);
+        setTotal(data.total);
       }
     } catch (error) {
       console.error('Failed to load audit log:', error);
@@ -55,6 +82,47 @@ const AuditLog: React.FC = () => {
     }
   };
 
+  const verifyAuditLog = async () => {
+    setVerifying(true);
+    try {
+      const data = await api.get<Verification & { success: boolean }>('/ai/audit-log/verify', authOptions);
+
+      if (data.success) {
+        setVerification(data);
+      }
+    } catch (error) {
+      console.error('Failed to verify audit log:', error);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const handleRollback = async (entry: AuditEntry) => {
+    const reason = prompt('Why should this change be rolled back?');
+    if (!reason || !entry.taskId) {
+      return;
+    }
+
+    setRollingBack(entry.taskId);
+    setRollbackError(null);
+    try {
+      await api.post(`/ai/tasks/${encodeURIComponent(entry.taskId)}/rollback`, { reason }, authOptions);
+      loadAuditLog();
+    } catch (error) {
+      console.error('Failed to roll back change:', error);
+      setRollbackError(error instanceof Error ? error.message : 'Failed to roll back change');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  // Applied changes that were not rolled back yet, as far as this page shows
+  const rolledBackTasks = new Set(entries.filter(e => e.type === 'rollback').map(e => e.taskId));
+  const canRollBack = (entry: AuditEntry) =>
+    canRollBackChanges && entry.type === 'commit' && !!entry.taskId && !!entry.commitSha && !rolledBackTasks.has(entry.taskId);
+
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
   const getIcon = (type: string) => {
     switch (type) {
       case 'code_generation':
@@ -171,6 +239,27 @@ const AuditLog: React.FC = () => {
       }
     }
 
+    if (entry.type === 'rollback') {
+      details.push(
+        <div key="rollback" className="text-sm text-gray-700">
+          <strong>{entry.mode === 'revert_pull_request' ? 'Revert PR opened' : 'Reverted on branch'}:</strong> {entry.branch}
+          {entry.revertedPrNumber && ` (reverts PR #${entry.revertedPrNumber})`}
+        </div>
+      );
+      if (entry.reason) {
+        details.push(
+          <div key="reason" className="text-sm text-gray-600 italic">
+            "{entry.reason}"
+          </div>
+        );
+      }
+      if (entry.prNumber) {
+        details.push(
+          <Badge key="pr" variant="warning">PR #{entry.prNumber}</Badge>
+        );
+      }
+    }
+
     if (entry.type === 'error') {
       details.push(
         <div key="error" className="text-sm text-red-700">
@@ -211,10 +300,13 @@ const AuditLog: React.FC = () => {
         <div className="flex items-center gap-4">
           <Filter className="w-5 h-5 text-gray-500" />
           <div className="flex gap-2 flex-wrap">
-            {['all', 'code_generation', 'code_review', 'commit', 'approval', 'error'].map((type) => (
+            {['all', 'code_generation', 'code_review', 'commit', 'approval', 'rollback', 'error'].map((type) => (
               <button
                 key={type}
-                onClick={() => setFilter(type)}
+                onClick={() => {
+                  setFilter(type);
+                  setPage(0);
+                }}
                 className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
                   filter === type
                     ? 'bg-blue-500 text-white'
@@ -225,7 +317,44 @@ const AuditLog: React.FC = () => {
               </button>
             ))}
           </div>
+          <Button
+            onClick={verifyAuditLog}
+            disabled={verifying}
+            size="sm"
+            variant="secondary"
+            className="ml-auto"
+          >
+            {verifying ? 'Verifying...' : 'Verify Integrity'}
+          </Button>
         </div>
+
+        {verification && (
+          <div
+            className={`mt-4 p-3 rounded-lg flex items-center gap-2 text-sm ${
+              verification.valid
+                ? 'bg-green-50 border border-green-200 text-green-800'
+                : 'bg-red-50 border border-red-200 text-red-800'
+            }`}
+          >
+            {verification.valid ? (
+              <>
+                <ShieldCheck className="w-5 h-5" />
+                Hash chain intact: {verification.entriesChecked} entries checked
+              </>
+            ) : (
+              <>
+                <ShieldAlert className="w-5 h-5" />
+                Tampering detected at entry #{verification.firstInvalid?.sequence}: {verification.firstInvalid?.reason}
+              </>
+            )}
+          </div>
+        )}
+
+        {rollbackError && (
+          <div className="mt-4 p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-800">
+            {rollbackError}
+          </div>
+        )}
       </Card>
 
       {/* Audit Entries */}
@@ -266,12 +395,50 @@ const AuditLog: React.FC = () => {
                       Task ID: {entry.taskId}
                     </div>
                   )}
+
+                  {canRollBack(entry) && (
+                    <Button
+                      onClick={() => handleRollback(entry)}
+                      disabled={rollingBack !== null}
+                      size="sm"
+                      variant="secondary"
+                      className="mt-3"
+                    >
+                      <RotateCcw className="w-4 h-4 mr-2" />
+                      {rollingBack === entry.taskId ? 'Rolling back...' : 'Roll Back'}
+                    </Button>
+                  )}
                 </div>
               </div>
             </Card>
           ))
         )}
       </div>
+
+      {/* Pagination */}
+      {total > PAGE_SIZE && (
+        <div className="flex items-center justify-between mt-6">
+          <Button
+            onClick={() => setPage(page - 1)}
+            disabled={page === 0}
+            size="sm"
+            variant="secondary"
+          >
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">
+            Page {page + 1} of {totalPages} • {total} entries
+          </span>
+          <Button
+            onClick={() => setPage(page + 1)}
+            disabled={page + 1 >= totalPages}
+            size="sm"
+            variant="secondary"
+          >
+            Next
+          </Button>
+        </div>
+      )}
     </div>
   );
 };
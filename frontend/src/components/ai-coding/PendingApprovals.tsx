@@ -3,33 +3,63 @@
  * Dashboard for reviewing and approving AI-generated code changes
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Card } from '../ui/Card';
 import { Button } from '../ui/Button';
 import { Badge } from '../ui/Badge';
-import { CheckCircle, XCircle, Clock, AlertTriangle, Code } from 'lucide-react';
+import { CheckCircle, XCircle, Clock, AlertTriangle, Code, GitBranch } from 'lucide-react';
+import { useAuthStore, hasPermission } from '../../store/authStore';
+import api from '../../lib/api';
 
 interface PendingApprovalsProps {
   onUpdate?: () => void;
 }
 
+interface FileChange {
+  operation: 'create' | 'modify' | 'delete' | 'rename';
+  path: string;
+  previousPath?: string;
+  diff: string;
+}
+
+interface ApproveResponse {
+  success: boolean;
+  status: string;
+  approvals?: { received: number; required: number };
+  error?: string;
+}
+
 interface Task {
   id: string;
-  timestamp: string;
-  taskId: string;
-  agentName: string;
-  input: {
-    description: string;
-    language: string;
-    filePath: string;
+  task_type: string;
+  description: string;
+  status: string;
+  agent_name: string;
+  created_at: string;
+  approval_expires_at: string | null;
+  required_approvals?: number;
+  approver_roles?: string[] | null;
+  approval_count?: number;
+  input_data: {
+    description?: string;
+    language?: string;
+    filePath?: string;
   };
-  output: {
-    lineCount: number;
-    tokensUsed: number;
-    cost: number;
+  output_data: {
+    classification?: {
+      riskLevel: 'low' | 'medium' | 'high' | 'critical';
+      reason: string[];
+    };
+    cost?: number;
   };
-  needsApproval: boolean;
-  approved?: boolean;
+  proposed_change: {
+    owner: string;
+    repo: string;
+    path: string;
+    baseBranch: string;
+    diff: string;
+    changes?: FileChange[];
+  } | null;
 }
 
 const PendingApprovals: React.FC<PendingApprovalsProps> = ({ onUpdate }) => {
@@ -37,16 +67,19 @@ const PendingApprovals: React.FC<PendingApprovalsProps> = ({ onUpdate }) => {
   const [loading, setLoading] = useState(true);
   const [selectedTask, setSelectedTask] = useState<Task | null>(null);
   const [actionLoading, setActionLoading] = useState(false);
+  const [actionError, setActionError] = useState<string | null>(null);
+  const { token, user } = useAuthStore();
+  const authOptions = useMemo(() => ({ token: token || undefined }), [token]);
+  // Deciding on changes needs ai:approve in the active organization
+  const canDecide = hasPermission(user, 'ai:approve');
 
-  useEffect(() => {
-    loadPendingTasks();
-  }, []);
-
-  const loadPendingTasks = async () => {
+  const loadPendingTasks = useCallback(async () => {
     try {
-      const response = await fetch('/api/ai/pending-approvals?limit=50');
-      const data = await response.json();
-      
+      const data = await api.get<{ success: boolean; tasks: Task[] }>('/ai/pending-approvals', {
+        ...authOptions,
+        params: { limit: 50 }
+      });
+
       if (data.success) {
         setTasks(data.tasks);
       }
@@ -55,35 +88,39 @@ const PendingApprovals: React.FC<PendingApprovalsProps> = ({ onUpdate }) => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [authOptions]);
+
+  useEffect(() => {
+    loadPendingTasks();
+  }, [loadPendingTasks]);
 
   const handleApprove = async (taskId: string, comment: string = '') => {
     setActionLoading(true);
+    setActionError(null);
     try {
-      const response = await fetch(`/api/ai/approve/${taskId}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          userId: 'current-user-id', // Replace with actual user ID
-          comment
-        })
-      });
-
-      const data = await response.json();
-      
-      if (data.success) {
-        // Remove from pending list
-        setTasks(tasks.filter(t => t.taskId !== taskId));
+      const data = await api.post<ApproveResponse>(`/ai/approve/${taskId}`, { comment }, authOptions);
+
+      if (data.status === 'awaiting_approval') {
+        // Still needs approvals from other reviewers
+        const updated = tasks.map(t => t.id === taskId ? { ...t, approval_count: data.approvals?.received } : t);
+        setTasks(updated);
+        setSelectedTask(updated.find(t => t.id === taskId) || null);
+      } else {
+        // Remove from pending list, the change is no longer awaiting a decision
+        setTasks(tasks.filter(t => t.id !== taskId));
         setSelectedTask(null);
         
+        if (!data.success) {
+          setActionError(`Approved, but the change could not be applied: ${data.error}`);
+        }
+        
         if (onUpdate) {
           onUpdate();
         }
       }
     } catch (error) {
       console.error('Failed to approve task:', error);
+      setActionError(error instanceof Error ? error.message : 'Failed to approve change');
     } finally {
       setActionLoading(false);
     }
@@ -96,45 +133,86 @@ const PendingApprovals: React.FC<PendingApprovalsProps> = ({ onUpdate }) => {
     }
 
     setActionLoading(true);
+    setActionError(null);
     try {
-      const response = await fetch(`/api/ai/reject/${taskId}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          userId: 'current-user-id', // Replace with actual user ID
-          reason
-        })
-      });
+      await api.post(`/ai/reject/${taskId}`, { reason }, authOptions);
 
-      const data = await response.json();
-      
-      if (data.success) {
-        setTasks(tasks.filter(t => t.taskId !== taskId));
-        setSelectedTask(null);
-        
-        if (onUpdate) {
-          onUpdate();
-        }
+      setTasks(tasks.filter(t => t.id !== taskId));
+      setSelectedTask(null);
+
+      if (onUpdate) {
+        onUpdate();
       }
     } catch (error) {
       console.error('Failed to reject task:', error);
+      setActionError(error instanceof Error ? error.message : 'Failed to reject change');
     } finally {
       setActionLoading(false);
     }
   };
 
-  const getRiskBadge = (lineCount: number) => {
-    if (lineCount > 100) {
-      return <Badge variant="error">High Risk</Badge>;
-    } else if (lineCount > 50) {
+  const getRiskBadge = (task: Task) => {
+    const riskLevel = task.output_data?.classification?.riskLevel || 'medium';
+
+    if (riskLevel === 'critical' || riskLevel === 'high') {
+      return <Badge variant="error">{riskLevel === 'critical' ? 'Critical Risk' : 'High Risk'}</Badge>;
+    } else if (riskLevel === 'medium') {
       return <Badge variant="warning">Medium Risk</Badge>;
     } else {
       return <Badge variant="success">Low Risk</Badge>;
     }
   };
 
+  const getApprovalProgress = (task: Task) => {
+    const required = task.required_approvals || 1;
+    if (required <= 1) {
+      return null;
+    }
+
+    return `${task.approval_count || 0} of ${required} approvals`;
+  };
+
+  const operationVariants: Record<FileChange['operation'], 'success' | 'primary' | 'error' | 'warning'> = {
+    create: 'success',
+    modify: 'primary',
+    delete: 'error',
+    rename: 'warning'
+  };
+
+  const getChangedFiles = (task: Task): FileChange[] => {
+    const change = task.proposed_change;
+    if (!change) {
+      return [];
+    }
+    // Changes staged before multi-file support only carry a single diff
+    return change.changes?.length
+      ? change.changes
+      : [{ operation: 'modify', path: change.path, diff: change.diff }];
+  };
+
+  const renderDiff = (diff: string) => (
+    <pre className="text-sm font-mono">
+      {diff.split('\n').map((line, i) => (
+        <div key={i} className={getDiffLineClass(line)}>
+          {line || ' '}
+        </div>
+      ))}
+    </pre>
+  );
+
+  const getDiffLineClass = (line: string) => {
+    if (line.startsWith('+') && !line.startsWith('+++')) {
+      return 'text-green-700 bg-green-50';
+    }
+    if (line.startsWith('-') && !line.startsWith('---')) {
+      return 'text-red-700 bg-red-50';
+    }
+    if (line.startsWith('@@')) {
+      return 'text-blue-600';
+    }
+    return 'text-gray-800';
+  };
+
   if (loading) {
     return (
       <Card className="p-8 text-center">
@@ -169,11 +247,17 @@ const PendingApprovals: React.FC<PendingApprovalsProps> = ({ onUpdate }) => {
           </Button>
         </div>
 
+        {actionError && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+            {actionError}
+          </div>
+        )}
+
         {tasks.map((task) => (
           <Card
-            key={task.taskId}
+            key={task.id}
             className={`p-4 cursor-pointer transition-all ${
-              selectedTask?.taskId === task.taskId
+              selectedTask?.id === task.id
                 ? 'ring-2 ring-blue-500'
                 : 'hover:shadow-md'
             }`}
@@ -183,28 +267,41 @@ const PendingApprovals: React.FC<PendingApprovalsProps> = ({ onUpdate }) => {
               <div className="flex items-center gap-2">
                 <Clock className="w-5 h-5 text-yellow-500" />
                 <span className="font-semibold text-sm text-gray-600">
-                  {new Date(task.timestamp).toLocaleString()}
+                  {new Date(task.created_at).toLocaleString()}
                 </span>
               </div>
-              {getRiskBadge(task.output.lineCount)}
+              {getRiskBadge(task)}
             </div>
 
             <h3 className="font-semibold text-lg mb-1">
-              {task.input.description}
+              {task.description}
             </h3>
 
             <div className="flex items-center gap-4 text-sm text-gray-600 mb-3">
-              <span className="flex items-center gap-1">
-                <Code className="w-4 h-4" />
-                {task.input.language}
-              </span>
-              <span>{task.output.lineCount} lines</span>
-              <span>${task.output.cost.toFixed(6)}</span>
+              {task.input_data?.language && (
+                <span className="flex items-center gap-1">
+                  <Code className="w-4 h-4" />
+                  {task.input_data.language}
+                </span>
+              )}
+              {task.output_data?.cost !== undefined && (
+                <span>${task.output_data.cost.toFixed(6)}</span>
+              )}
+              {task.approval_expires_at && (
+                <span>Expires {new Date(task.approval_expires_at).toLocaleString()}</span>
+              )}
+              {getApprovalProgress(task) && (
+                <span className="flex items-center gap-1">
+                  <CheckCircle className="w-4 h-4" />
+                  {getApprovalProgress(task)}
+                </span>
+              )}
             </div>
 
-            {task.input.filePath && (
+            {task.proposed_change && (
               <div className="text-xs text-gray-500 font-mono bg-gray-100 px-2 py-1 rounded">
-                {task.input.filePath}
+                {task.proposed_change.repo}/{task.proposed_change.path}
+                {getChangedFiles(task).length > 1 && ` +${getChangedFiles(task).length - 1} more`}
               </div>
             )}
           </Card>
@@ -216,76 +313,106 @@ const PendingApprovals: React.FC<PendingApprovalsProps> = ({ onUpdate }) => {
         {selectedTask ? (
           <Card className="p-6">
             <div className="flex items-center justify-between mb-6">
-              <h2 className="text-xl font-semibold">Review Code</h2>
-              {getRiskBadge(selectedTask.output.lineCount)}
+              <h2 className="text-xl font-semibold">Review Change</h2>
+              {getRiskBadge(selectedTask)}
             </div>
 
             <div className="space-y-4 mb-6">
               <div>
                 <label className="text-sm font-medium text-gray-700">Description</label>
-                <p className="text-gray-900 mt-1">{selectedTask.input.description}</p>
+                <p className="text-gray-900 mt-1">{selectedTask.description}</p>
               </div>
 
-              <div className="grid grid-cols-2 gap-4">
-                <div>
-                  <label className="text-sm font-medium text-gray-700">Language</label>
-                  <p className="text-gray-900 mt-1">{selectedTask.input.language}</p>
-                </div>
-                <div>
-                  <label className="text-sm font-medium text-gray-700">Lines Changed</label>
-                  <p className="text-gray-900 mt-1">{selectedTask.output.lineCount}</p>
+              {selectedTask.proposed_change && (
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="text-sm font-medium text-gray-700">Repository</label>
+                    <p className="text-gray-900 mt-1 font-mono text-sm">
+                      {selectedTask.proposed_change.owner}/{selectedTask.proposed_change.repo}
+                    </p>
+                  </div>
+                  <div>
+                    <label className="text-sm font-medium text-gray-700">Base Branch</label>
+                    <p className="text-gray-900 mt-1 font-mono text-sm flex items-center gap-1">
+                      <GitBranch className="w-4 h-4" />
+                      {selectedTask.proposed_change.baseBranch}
+                    </p>
+                  </div>
                 </div>
-              </div>
+              )}
 
-              {selectedTask.input.filePath && (
+              {selectedTask.proposed_change && (
                 <div>
-                  <label className="text-sm font-medium text-gray-700">File Path</label>
-                  <p className="text-gray-900 mt-1 font-mono text-sm bg-gray-100 px-2 py-1 rounded">
-                    {selectedTask.input.filePath}
-                  </p>
+                  <label className="text-sm font-medium text-gray-700">
+                    Files ({getChangedFiles(selectedTask).length})
+                  </label>
+                  <ul className="mt-1 space-y-1">
+                    {getChangedFiles(selectedTask).map((file) => (
+                      <li key={file.path} className="flex items-center gap-2 font-mono text-sm bg-gray-100 px-2 py-1 rounded">
+                        <Badge variant={operationVariants[file.operation] || 'neutral'}>{file.operation}</Badge>
+                        <span className="text-gray-900 truncate">
+                          {file.previousPath ? `${file.previousPath} → ${file.path}` : file.path}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
                 </div>
               )}
 
               <div>
                 <label className="text-sm font-medium text-gray-700">Agent</label>
-                <p className="text-gray-900 mt-1">{selectedTask.agentName}</p>
+                <p className="text-gray-900 mt-1">{selectedTask.agent_name}</p>
               </div>
 
-              <div>
-                <label className="text-sm font-medium text-gray-700">Cost</label>
-                <p className="text-gray-900 mt-1">${selectedTask.output.cost.toFixed(6)}</p>
-              </div>
-
-              <div>
-                <label className="text-sm font-medium text-gray-700">Tokens Used</label>
-                <p className="text-gray-900 mt-1">{selectedTask.output.tokensUsed.toLocaleString()}</p>
-              </div>
+              {(selectedTask.output_data?.classification?.reason?.length ?? 0) > 0 && (
+                <div>
+                  <label className="text-sm font-medium text-gray-700">Why Review Is Needed</label>
+                  <ul className="list-disc list-inside mt-1 text-gray-900 text-sm">
+                    {selectedTask.output_data.classification?.reason.map((reason, i) => (
+                      <li key={i}>{reason}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
 
-            {/* Code Preview (Demo - would fetch actual code) */}
+            {/* Proposed Diff */}
             <div className="mb-6">
               <label className="text-sm font-medium text-gray-700 mb-2 block">
-                Generated Code Preview
+                Proposed Diff
               </label>
-              <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 max-h-96 overflow-y-auto">
-                <pre className="text-sm font-mono text-gray-800">
-                  {`// Generated code for: ${selectedTask.input.description}
-// Language: ${selectedTask.input.language}
-// Lines: ${selectedTask.output.lineCount}
-
-// Code would be displayed here in production
-function exampleFunction() {
-  // Implementation...
-}`}
-                </pre>
+              <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 max-h-96 overflow-y-auto space-y-4">
+                {getChangedFiles(selectedTask).some(file => file.diff) ? (
+                  getChangedFiles(selectedTask).map((file) => (
+                    <div key={file.path}>
+                      {getChangedFiles(selectedTask).length > 1 && (
+                        <div className="text-xs font-semibold text-gray-600 font-mono mb-1">{file.path}</div>
+                      )}
+                      {renderDiff(file.diff || '')}
+                    </div>
+                  ))
+                ) : (
+                  <p className="text-sm text-gray-500">No diff stored for this change.</p>
+                )}
               </div>
             </div>
 
             {/* Approval Actions */}
             <div className="space-y-3">
+              {getApprovalProgress(selectedTask) && (
+                <p className="text-sm text-gray-600">
+                  {getApprovalProgress(selectedTask)}
+                  {selectedTask.approver_roles?.length ? ` from ${selectedTask.approver_roles.join(' or ')}` : ''}
+                </p>
+              )}
+
+              {!canDecide && (
+                <p className="text-sm text-gray-600">Your role cannot approve or reject changes.</p>
+              )}
+
               <Button
-                onClick={() => handleApprove(selectedTask.taskId)}
-                disabled={actionLoading}
+                onClick={() => handleApprove(selectedTask.id)}
+                disabled={actionLoading || !canDecide}
                 className="w-full bg-green-600 hover:bg-green-700"
               >
                 <CheckCircle className="w-4 h-4 mr-2" />
@@ -296,10 +423,10 @@ function exampleFunction() {
                 onClick={() => {
                   const reason = prompt('Please provide a reason for rejection:');
                   if (reason) {
-                    handleReject(selectedTask.taskId, reason);
+                    handleReject(selectedTask.id, reason);
                   }
                 }}
-                disabled={actionLoading}
+                disabled={actionLoading || !canDecide}
                 variant="danger"
                 className="w-full"
               >
@@ -5,7 +5,9 @@
 
 import React, { useState, useEffect } from 'react';
 import { Card } from '../ui/Card';
-import { DollarSign, Zap, TrendingUp, Activity, Calendar } from 'lucide-react';
+import { DollarSign, Zap, TrendingUp, Activity, Calendar, AlertTriangle } from 'lucide-react';
+import { useAuthStore } from '../../store/authStore';
+import api from '../../lib/api';
 
 interface Stats {
   audit: {
@@ -25,10 +27,37 @@ interface Stats {
   };
 }
 
+interface PeriodBudget {
+  limit: number | null;
+  spent: number;
+  remaining: number | null;
+  percent: number | null;
+  state: 'ok' | 'warning' | 'exceeded';
+}
+
+interface BudgetStatus {
+  budget: {
+    soft_limit_percent: number;
+    hard_limit: boolean;
+  } | null;
+  state: 'ok' | 'warning' | 'exceeded';
+  daily: PeriodBudget;
+  monthly: PeriodBudget;
+  burnDown: Array<{ date: string; cost: number; cumulative: number }>;
+}
+
+const BUDGET_COLORS = {
+  ok: 'bg-green-500',
+  warning: 'bg-yellow-500',
+  exceeded: 'bg-red-500',
+};
+
 const UsageStats: React.FC = () => {
   const [stats, setStats] = useState<Stats | null>(null);
+  const [budget, setBudget] = useState<BudgetStatus | null>(null);
   const [loading, setLoading] = useState(true);
   const [dateRange, setDateRange] = useState<'today' | 'week' | 'month' | 'all'>('all');
+  const { token } = useAuthStore();
 
   useEffect(() => {
     loadStats();
@@ -36,7 +65,7 @@ const UsageStats: React.FC = () => {
 
   const loadStats = async () => {
     try {
-      let url = '/api/ai/stats';
+      const params: Record<string, string> = {};
       
       if (dateRange !== 'all') {
         const now = new Date();
@@ -50,15 +79,24 @@ const UsageStats: React.FC = () => {
           startDate.setDate(now.getDate() - 30);
         }
         
-        url += `?startDate=${startDate.toISOString()}&endDate=${now.toISOString()}`;
+        params.startDate = startDate.toISOString();
+        params.endDate = now.toISOString();
       }
 
-      const response = await fetch(url);
-      const data = await response.json();
-      
+      const authOptions = { token: token || undefined };
+      const [data, budgetStatus] = await Promise.all([
+        api.get<Stats & { success: boolean }>('/ai/stats', { ...authOptions, params }),
+        // The budget is optional, stats still show without it
+        api.get<BudgetStatus>('/ai/usage/budget', authOptions).catch(() => null)
+      ]);
+
       if (data.success) {
         setStats(data);
       }
+
+      if (budgetStatus) {
+        setBudget(budgetStatus);
+      }
     } catch (error) {
       console.error('Failed to load stats:', error);
     } finally {
@@ -91,6 +129,17 @@ const UsageStats: React.FC = () => {
     ? ((stats.audit.autoApproved / stats.audit.total) * 100).toFixed(1)
     : '0';
 
+  // Burn-down: month-to-date spend against the monthly limit, projected to month end
+  const now = new Date();
+  const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+  const monthToDate = budget?.monthly.spent ?? 0;
+  const projected = (monthToDate / now.getDate()) * daysInMonth;
+  const monthlyLimit = budget?.monthly.limit ?? null;
+  const chartMax = Math.max(monthlyLimit ?? 0, projected, monthToDate) || 1;
+  const spendByDay = new Map(
+    (budget?.burnDown || []).map((point) => [new Date(point.date).getDate(), point.cumulative])
+  );
+
   return (
     <div className="space-y-6">
       {/* Date Range Selector */}
@@ -115,6 +164,53 @@ const UsageStats: React.FC = () => {
         </div>
       </Card>
 
+      {/* Budget */}
+      {budget && (
+        <Card className="p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold">Budget</h2>
+            {budget.state !== 'ok' && (
+              <span className={`flex items-center gap-1 text-sm font-medium ${
+                budget.state === 'exceeded' ? 'text-red-600' : 'text-yellow-600'
+              }`}>
+                <AlertTriangle className="w-4 h-4" />
+                {budget.state === 'exceeded'
+                  ? budget.budget?.hard_limit ? 'Limit reached, AI requests are paused' : 'Limit reached'
+                  : 'Approaching limit'}
+              </span>
+            )}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {(['daily', 'monthly'] as const).map((period) => {
+              const periodBudget = budget[period];
+
+              return (
+                <div key={period}>
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="text-sm font-medium text-gray-700 capitalize">{period}</span>
+                    <span className="text-sm text-gray-600">
+                      ${periodBudget.spent.toFixed(2)}
+                      {periodBudget.limit !== null ? ` of $${periodBudget.limit.toFixed(2)}` : ' (no limit)'}
+                    </span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className={`${BUDGET_COLORS[periodBudget.state]} h-2 rounded-full transition-all`}
+                      style={{ width: `${Math.min(periodBudget.percent ?? 0, 100)}%` }}
+                    />
+                  </div>
+                  {periodBudget.remaining !== null && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      ${periodBudget.remaining.toFixed(2)} remaining
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </Card>
+      )}
+
       {/* Cost Overview */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         <Card className="p-6">
@@ -286,13 +382,53 @@ const UsageStats: React.FC = () => {
         </div>
       </Card>
 
-      {/* Cost Trends (Placeholder) */}
-      <Card className="p-6">
-        <h2 className="text-xl font-semibold mb-4">Cost Trends</h2>
-        <div className="h-48 flex items-center justify-center bg-gray-50 rounded-lg">
-          <p className="text-gray-500">Chart visualization would go here</p>
-        </div>
-      </Card>
+      {/* Burn-down */}
+      {budget && (
+        <Card className="p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold">Monthly Burn-down</h2>
+            <span className="text-sm text-gray-600">
+              Projected ${projected.toFixed(2)}
+              {monthlyLimit !== null && ` of $${monthlyLimit.toFixed(2)}`}
+            </span>
+          </div>
+          <div className="relative h-48 flex items-end gap-1 bg-gray-50 rounded-lg p-2">
+            {monthlyLimit !== null && (
+              <div
+                className="absolute left-0 right-0 border-t-2 border-dashed border-red-400"
+                style={{ bottom: `${(monthlyLimit / chartMax) * 100}%` }}
+              />
+            )}
+            {Array.from({ length: daysInMonth }, (_, index) => {
+              const day = index + 1;
+              // Days without usage carry the running total forward
+              let cumulative = 0;
+              for (let d = day; d > 0; d--) {
+                if (spendByDay.has(d)) {
+                  cumulative = spendByDay.get(d)!;
+                  break;
+                }
+              }
+              const future = day > now.getDate();
+
+              return (
+                <div
+                  key={day}
+                  title={future ? `Day ${day}` : `Day ${day}: $${cumulative.toFixed(2)}`}
+                  className={`flex-1 rounded-t ${
+                    future
+                      ? 'bg-gray-200'
+                      : monthlyLimit !== null && cumulative >= monthlyLimit
+                        ? 'bg-red-500'
+                        : 'bg-blue-500'
+                  }`}
+                  style={{ height: `${((future ? 0 : cumulative) / chartMax) * 100}%` }}
+                />
+              );
+            })}
+          </div>
+        </Card>
+      )}
     </div>
   );
 };
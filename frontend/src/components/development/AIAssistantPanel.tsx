@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useRef, useState } from 'react';
 import {
   Sparkles,
   Send,
@@ -9,12 +9,14 @@ import {
   Copy,
   Check,
   Settings,
+  Square,
   Wand2,
 } from 'lucide-react';
 import { Card, CardHeader } from '../ui/Card';
 import { Button } from '../ui/Button';
 import { Badge } from '../ui/Badge';
 import { api } from '../../lib/api';
+import { useAuthStore } from '../../store/authStore';
 
 interface Message {
   id: string;
@@ -22,8 +24,22 @@ interface Message {
   content: string;
   timestamp: Date;
   type?: 'code' | 'text' | 'suggestion';
+  usage?: Usage;
 }
 
+interface Usage {
+  provider: string;
+  model: string;
+  tokensUsed: number;
+  cost: number;
+}
+
+type ChatFrame =
+  | { event: 'chunk'; data: { text: string } }
+  | { event: 'done'; data: { message: string; type?: Message['type']; usage: Usage } }
+  | { event: 'error'; data: { message: string } }
+  | { event: 'start' | 'cancelled'; data: { streamId: string } };
+
 interface Suggestion {
   id: string;
   type: 'refactor' | 'bug-fix' | 'optimization' | 'documentation';
@@ -47,6 +63,12 @@ export function AIAssistantPanel() {
   const [loading, setLoading] = useState(false);
   const [copiedId, setCopiedId] = useState<string | null>(null);
   const [suggestions] = useState<Suggestion[]>([]);
+  const abortRef = useRef<AbortController | null>(null);
+  const { token } = useAuthStore();
+
+  const updateMessage = (id: string, update: Partial<Message>) => {
+    setMessages((prev) => prev.map((m) => (m.id === id ? { ...m, ...update } : m)));
+  };
 
   const handleSendMessage = async () => {
     if (!input.trim()) return;
@@ -63,43 +85,64 @@ export function AIAssistantPanel() {
     setInput('');
     setLoading(true);
 
-    try {
-      // Call AI assistant API
-      const response = await api.post<{ message: string; type?: string }>('/api/ai/assistant/chat', {
-        messages: [...messages, userMessage].map((m) => ({
-          role: m.role,
-          content: m.content,
-        })),
-        context: {
-          file: 'current-file.tsx', // Would come from editor
-          selection: '', // Would come from editor selection
-        },
-      });
+    const assistantId = (Date.now() + 1).toString();
+    setMessages((prev) => [
+      ...prev,
+      { id: assistantId, role: 'assistant', content: '', timestamp: new Date(), type: 'text' },
+    ]);
 
-      const assistantMessage: Message = {
-        id: (Date.now() + 1).toString(),
-        role: 'assistant',
-        content: response.message,
-        timestamp: new Date(),
-        type: (response.type as 'code' | 'text' | 'suggestion') || 'text',
-      };
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let content = '';
 
-      setMessages((prev) => [...prev, assistantMessage]);
+    try {
+      // Stream the reply so it shows up as it is written
+      await api.stream<ChatFrame>(
+        '/ai/assistant/chat/stream',
+        {
+          messages: [...messages, userMessage].map((m) => ({
+            role: m.role,
+            content: m.content,
+          })),
+          context: {
+            file: 'current-file.tsx', // Would come from editor
+            selection: '', // Would come from editor selection
+          },
+        },
+        (frame) => {
+          if (frame.event === 'chunk') {
+            content += frame.data.text;
+            updateMessage(assistantId, { content });
+          } else if (frame.event === 'done') {
+            updateMessage(assistantId, {
+              content: frame.data.message,
+              type: frame.data.type || 'text',
+              usage: frame.data.usage,
+            });
+          } else if (frame.event === 'error') {
+            throw new Error(frame.data.message);
+          }
+        },
+        { token: token || undefined, signal: controller.signal }
+      );
     } catch (error) {
-      console.error('Failed to get AI response:', error);
-      const errorMessage: Message = {
-        id: (Date.now() + 1).toString(),
-        role: 'assistant',
-        content: 'Sorry, I encountered an error. Please try again.',
-        timestamp: new Date(),
-        type: 'text',
-      };
-      setMessages((prev) => [...prev, errorMessage]);
+      if (controller.signal.aborted) {
+        updateMessage(assistantId, { content: content || 'Generation stopped.' });
+      } else {
+        console.error('Failed to get AI response:', error);
+        updateMessage(assistantId, { content: 'Sorry, I encountered an error. Please try again.' });
+      }
     } finally {
+      abortRef.current = null;
       setLoading(false);
     }
   };
 
+  const handleStop = () => {
+    // Closing the stream cancels the generation on the server
+    abortRef.current?.abort();
+  };
+
   const handleCopyCode = (code: string, id: string) => {
     navigator.clipboard.writeText(code);
     setCopiedId(id);
@@ -252,7 +295,7 @@ export function AIAssistantPanel() {
         </CardHeader>
 
         <div className="space-y-4 max-h-[400px] overflow-y-auto mb-4">
-          {messages.map((message) => (
+          {messages.filter((message) => message.content).map((message) => (
             <div
               key={message.id}
               className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}
@@ -281,10 +324,16 @@ export function AIAssistantPanel() {
                     {message.content}
                   </p>
                 )}
+                {message.usage && (
+                  <p className="text-[10px] text-slate-500 mt-2">
+                    {message.usage.provider} · {message.usage.tokensUsed} tokens · $
+                    {message.usage.cost.toFixed(4)}
+                  </p>
+                )}
               </div>
             </div>
           ))}
-          {loading && (
+          {loading && !messages[messages.length - 1]?.content && (
             <div className="flex justify-start">
               <div className="bg-[#232931] border border-[#2A3240] rounded-lg p-3">
                 <div className="flex items-center gap-2 text-slate-400">
@@ -307,13 +356,15 @@ export function AIAssistantPanel() {
             className="flex-1 bg-[#232931] text-white text-sm px-4 py-2 rounded-lg border border-[#2A3240] focus:border-blue-500 outline-none"
             disabled={loading}
           />
-          <Button
-            onClick={handleSendMessage}
-            variant="primary"
-            disabled={!input.trim() || loading}
-          >
-            <Send className="w-4 h-4" />
-          </Button>
+          {loading ? (
+            <Button onClick={handleStop} variant="secondary">
+              <Square className="w-4 h-4" />
+            </Button>
+          ) : (
+            <Button onClick={handleSendMessage} variant="primary" disabled={!input.trim()}>
+              <Send className="w-4 h-4" />
+            </Button>
+          )}
         </div>
       </Card>
     </div>
@@ -2,6 +2,7 @@ import type { ReactNode } from 'react';
 import { Sidebar } from './Sidebar';
 import { Header } from './Header';
 import { useUIStore } from '../../store/uiStore';
+import { useAuthStore } from '../../store/authStore';
 import { cn } from '../../lib/utils';
 
 interface DashboardLayoutProps {
@@ -10,12 +11,15 @@ interface DashboardLayoutProps {
 
 export function DashboardLayout({ children }: DashboardLayoutProps) {
   const { sidebarCollapsed } = useUIStore();
+  const { user } = useAuthStore();
 
   return (
     <div className="min-h-screen bg-[#0F1419]">
       <Sidebar />
       <Header />
+      {/* Keyed by organization so pages reload their data after a switch */}
       <main
+        key={user?.organizationId || 'none'}
         className={cn(
           'pt-16 transition-all duration-300',
           sidebarCollapsed ? 'ml-16' : 'ml-64'
@@ -1,11 +1,33 @@
-import { Bell, Search, Settings, User, LogOut } from 'lucide-react';
+import { useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import { Bell, Search, Settings, User, LogOut, Building2, ChevronDown, Check, ShieldCheck } from 'lucide-react';
 import { useAuthStore } from '../../store/authStore';
 import { useUIStore } from '../../store/uiStore';
 import { cn } from '../../lib/utils';
 
 export function Header() {
-  const { user, logout } = useAuthStore();
+  const { user, organizations, fetchOrganizations, switchOrganization, logout } = useAuthStore();
   const { sidebarCollapsed } = useUIStore();
+  const queryClient = useQueryClient();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchOrganizations().catch((error) => console.error('Failed to load organizations:', error));
+  }, [fetchOrganizations]);
+
+  const activeOrganization = organizations.find((organization) => organization.id === user?.organizationId);
+
+  const handleSwitch = async (organizationId: string) => {
+    if (organizationId === user?.organizationId) return;
+    try {
+      await switchOrganization(organizationId);
+      // Cached data belongs to the previous organization
+      queryClient.clear();
+    } catch (error) {
+      console.error('Failed to switch organization:', error);
+    }
+  };
 
   return (
     <header
@@ -40,6 +62,42 @@ export function Header() {
             <Settings className="w-5 h-5" />
           </button>
 
+          {/* Organization switcher */}
+          {organizations.length > 0 && (
+            <div className="relative group">
+              <button className="flex items-center gap-2 px-3 py-2 text-sm text-slate-300 hover:text-white hover:bg-[#232931] rounded-lg transition-all">
+                <Building2 className="w-4 h-4" />
+                <span className="hidden md:inline max-w-[10rem] truncate">
+                  {activeOrganization?.name || 'Select organization'}
+                </span>
+                {organizations.length > 1 && <ChevronDown className="w-4 h-4" />}
+              </button>
+
+              {organizations.length > 1 && (
+                <div className="absolute right-0 top-full mt-2 w-64 bg-[#1A1F28] border border-[#3A4352] rounded-lg shadow-xl opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all">
+                  <div className="p-2">
+                    {organizations.map((organization) => (
+                      <button
+                        key={organization.id}
+                        onClick={() => handleSwitch(organization.id)}
+                        className="w-full flex items-center justify-between gap-2 px-3 py-2 text-sm text-slate-400 hover:text-white hover:bg-[#232931] rounded-lg transition-all"
+                      >
+                        <span className="text-left truncate">
+                          {organization.name}
+                          <span className="block text-xs text-slate-500">
+                            {organization.role}
+                            {organization.isDefault && ' · default'}
+                          </span>
+                        </span>
+                        {organization.id === user?.organizationId && <Check className="w-4 h-4 text-[#0176D3]" />}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* User menu */}
           <div className="relative group">
             <button className="flex items-center gap-3 pl-3 pr-4 py-2 hover:bg-[#232931] rounded-lg transition-all">
@@ -55,6 +113,13 @@ export function Header() {
             {/* Dropdown */}
             <div className="absolute right-0 top-full mt-2 w-48 bg-[#1A1F28] border border-[#3A4352] rounded-lg shadow-xl opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all">
               <div className="p-2">
+                <button
+                  onClick={() => navigate('/security')}
+                  className="w-full flex items-center gap-2 px-3 py-2 text-sm text-slate-400 hover:text-white hover:bg-[#232931] rounded-lg transition-all"
+                >
+                  <ShieldCheck className="w-4 h-4" />
+                  <span>Security</span>
+                </button>
                 <button
                   onClick={logout}
                   className="w-full flex items-center gap-2 px-3 py-2 text-sm text-slate-400 hover:text-white hover:bg-[#232931] rounded-lg transition-all"
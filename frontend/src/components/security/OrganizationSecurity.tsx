@@ -0,0 +1,89 @@
+/**
+ * Organization Security Component
+ * Owners require two-factor sign-in for approving and rolling back AI
+ * changes and rolling back deployments
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { Lock } from 'lucide-react';
+import { Card, CardHeader } from '../ui/Card';
+import { Badge } from '../ui/Badge';
+import { Button } from '../ui/Button';
+import { useAuthStore, hasPermission } from '../../store/authStore';
+import api from '../../lib/api';
+
+export function OrganizationSecurity() {
+  const { token, user } = useAuthStore();
+  const authOptions = useMemo(() => ({ token: token || undefined }), [token]);
+  const organizationId = user?.organizationId;
+  const canManage = hasPermission(user, 'security:manage');
+
+  const [requireMfa, setRequireMfa] = useState<boolean | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (organizationId) {
+      api
+        .get<{ organization: { require_mfa: boolean } }>(`/organizations/${organizationId}`, authOptions)
+        .then((data) => setRequireMfa(data.organization.require_mfa))
+        .catch((err) => setError(err.message || 'Failed to load security settings'));
+    }
+  }, [organizationId, authOptions]);
+
+  const handleToggle = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const data = await api.put<{ security: { require_mfa: boolean } }>(
+        `/organizations/${organizationId}/security`,
+        { requireMfa: !requireMfa },
+        authOptions
+      );
+      setRequireMfa(data.security.require_mfa);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update security settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center gap-2">
+          <Lock className="w-4 h-4" />
+          <span>Organization Security</span>
+        </div>
+        {requireMfa !== null && (
+          <Badge variant={requireMfa ? 'success' : 'neutral'}>{requireMfa ? '2FA required' : '2FA optional'}</Badge>
+        )}
+      </CardHeader>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-500/20 border border-red-500/30 rounded-lg">
+          <p className="text-sm text-red-400">{error}</p>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        <p className="text-sm text-slate-400">
+          When required, approving or rolling back AI changes and rolling back deployments only works in sessions signed in with
+          two-factor authentication.
+        </p>
+
+        {requireMfa && user && !user.mfaVerified && (
+          <p className="text-sm text-amber-400">
+            This session isn't signed in with two-factor authentication, so you can't take those actions here.
+          </p>
+        )}
+
+        {canManage && requireMfa !== null && (
+          <Button size="sm" variant={requireMfa ? 'secondary' : 'primary'} onClick={handleToggle} disabled={saving}>
+            {requireMfa ? 'Stop requiring two-factor' : 'Require two-factor'}
+          </Button>
+        )}
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,239 @@
+/**
+ * Two-Factor Settings Component
+ * Set up TOTP two-factor authentication, manage recovery codes, turn it off
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import type { FormEvent } from 'react';
+import { ShieldCheck, KeyRound } from 'lucide-react';
+import { Card, CardHeader } from '../ui/Card';
+import { Badge } from '../ui/Badge';
+import { Button } from '../ui/Button';
+import { Input } from '../ui/Input';
+import { useAuthStore } from '../../store/authStore';
+import type { User } from '../../store/authStore';
+import api from '../../lib/api';
+
+interface MfaStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+}
+
+interface MfaSetup {
+  secret: string;
+  otpauthUrl: string;
+  qrCode: string;
+  expiresIn: number;
+}
+
+// Responses that come with new tokens for the current session
+interface SessionResponse {
+  user?: User;
+  accessToken?: string;
+  refreshToken?: string;
+  recoveryCodes?: string[];
+}
+
+type Action = 'regenerate' | 'disable' | null;
+
+export function TwoFactorSettings() {
+  const { token, setToken, setUser } = useAuthStore();
+  const authOptions = useMemo(() => ({ token: token || undefined }), [token]);
+
+  const [status, setStatus] = useState<MfaStatus | null>(null);
+  const [setup, setSetup] = useState<MfaSetup | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [action, setAction] = useState<Action>(null);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const data = await api.get<{ mfa: MfaStatus }>('/auth/mfa', authOptions);
+      setStatus(data.mfa);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load two-factor status');
+    }
+  }, [authOptions]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const applySession = (data: SessionResponse) => {
+    if (data.accessToken && data.user) {
+      setToken(data.accessToken, data.refreshToken);
+      setUser(data.user);
+    }
+  };
+
+  const reset = () => {
+    setCode('');
+    setError(null);
+    setAction(null);
+  };
+
+  const handleStart = async () => {
+    reset();
+    setRecoveryCodes(null);
+    try {
+      const data = await api.post<{ setup: MfaSetup }>('/auth/mfa/setup', undefined, authOptions);
+      setSetup(data.setup);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to start setup');
+    }
+  };
+
+  const handleEnable = async (e: FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const data = await api.post<SessionResponse>('/auth/mfa/enable', { code }, authOptions);
+      applySession(data);
+      setRecoveryCodes(data.recoveryCodes || null);
+      setSetup(null);
+      setCode('');
+      await loadStatus();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to turn on two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleConfirm = async (e: FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      if (action === 'regenerate') {
+        const data = await api.post<SessionResponse>('/auth/mfa/recovery-codes', { code }, authOptions);
+        setRecoveryCodes(data.recoveryCodes || null);
+      } else {
+        const data = await api.post<SessionResponse>('/auth/mfa/disable', { code }, authOptions);
+        applySession(data);
+        setRecoveryCodes(null);
+      }
+      reset();
+      await loadStatus();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Invalid code');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center gap-2">
+          <ShieldCheck className="w-4 h-4" />
+          <span>Two-Factor Authentication</span>
+        </div>
+        {status && (
+          <Badge variant={status.enabled ? 'success' : 'neutral'}>{status.enabled ? 'On' : 'Off'}</Badge>
+        )}
+      </CardHeader>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-500/20 border border-red-500/30 rounded-lg">
+          <p className="text-sm text-red-400">{error}</p>
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="mb-6 p-4 bg-[#232931] border border-[#3A4352] rounded-lg">
+          <div className="flex items-center gap-2 mb-2 text-sm font-medium text-white">
+            <KeyRound className="w-4 h-4" />
+            Recovery codes
+          </div>
+          <p className="text-xs text-slate-400 mb-3">
+            Save these somewhere safe. Each one signs you in once if you lose your authenticator app. They won't be
+            shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm text-slate-200">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {!status ? (
+        <p className="text-slate-400 text-sm py-8 text-center">Loading...</p>
+      ) : setup ? (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-slate-400">
+            Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-48 h-48 rounded-lg" />
+          <p className="text-xs text-slate-500">
+            Can't scan it? Enter this key instead: <span className="font-mono text-slate-300">{setup.secret}</span>
+          </p>
+          <div className="flex gap-3">
+            <Input
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="123456"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+            <Button type="submit" disabled={submitting}>
+              {submitting ? 'Verifying...' : 'Turn on'}
+            </Button>
+            <Button type="button" variant="ghost" onClick={() => setSetup(null)}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      ) : status.enabled ? (
+        <div className="space-y-4">
+          <p className="text-sm text-slate-400">
+            Signing in asks for a code from your authenticator app.{' '}
+            {status.recoveryCodesRemaining} recovery {status.recoveryCodesRemaining === 1 ? 'code' : 'codes'} left.
+          </p>
+
+          {action ? (
+            <form onSubmit={handleConfirm} className="flex gap-3">
+              <Input
+                placeholder="Authenticator or recovery code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+              />
+              <Button type="submit" variant={action === 'disable' ? 'danger' : 'primary'} disabled={submitting}>
+                {action === 'disable' ? 'Turn off' : 'New codes'}
+              </Button>
+              <Button type="button" variant="ghost" onClick={reset}>
+                Cancel
+              </Button>
+            </form>
+          ) : (
+            <div className="flex gap-3">
+              <Button size="sm" variant="secondary" onClick={() => setAction('regenerate')}>
+                New recovery codes
+              </Button>
+              <Button size="sm" variant="danger" onClick={() => setAction('disable')}>
+                Turn off
+              </Button>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <p className="text-sm text-slate-400">
+            Protect your account with a code from an authenticator app in addition to your password. Some
+            organizations require it for approving or rolling back AI changes and rolling back deployments.
+          </p>
+          <Button size="sm" onClick={handleStart}>
+            Set up two-factor authentication
+          </Button>
+        </div>
+      )}
+    </Card>
+  );
+}
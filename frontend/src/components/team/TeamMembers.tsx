@@ -0,0 +1,249 @@
+/**
+ * Team Members Component
+ * Members of the active organization and pending invitations
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import type { FormEvent } from 'react';
+import { UserPlus, Mail, RefreshCw, X } from 'lucide-react';
+import { Card, CardHeader } from '../ui/Card';
+import { Badge } from '../ui/Badge';
+import { Button } from '../ui/Button';
+import { Input } from '../ui/Input';
+import { useAuthStore, hasPermission } from '../../store/authStore';
+import api from '../../lib/api';
+
+interface Member {
+  id: string;
+  email: string;
+  name: string;
+  role: string;
+  mfa_enabled: boolean;
+  joined_at: string;
+}
+
+interface Invitation {
+  id: string;
+  email: string;
+  role: string;
+  invited_by_name: string | null;
+  send_count: number;
+  last_sent_at: string;
+  expires_at: string;
+  expired: boolean;
+  delivered?: boolean;
+}
+
+interface Role {
+  name: string;
+  builtIn: boolean;
+}
+
+export function TeamMembers() {
+  const { token, user } = useAuthStore();
+  const authOptions = useMemo(() => ({ token: token || undefined }), [token]);
+  const organizationId = user?.organizationId;
+  const canManage = hasPermission(user, 'members:manage');
+
+  const [members, setMembers] = useState<Member[]>([]);
+  const [invitations, setInvitations] = useState<Invitation[]>([]);
+  const [roles, setRoles] = useState<Role[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [showInvite, setShowInvite] = useState(false);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('member');
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadTeam = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [membersData, rolesData] = await Promise.all([
+        api.get<{ members: Member[] }>(`/organizations/${organizationId}/members`, authOptions),
+        api.get<{ roles: Role[] }>(`/organizations/${organizationId}/roles`, authOptions),
+      ]);
+      setMembers(membersData.members);
+      setRoles(rolesData.roles);
+
+      if (canManage) {
+        const invitationsData = await api.get<{ invitations: Invitation[] }>(
+          `/organizations/${organizationId}/invitations`,
+          authOptions
+        );
+        setInvitations(invitationsData.invitations);
+      }
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load team');
+    } finally {
+      setLoading(false);
+    }
+  }, [organizationId, canManage, authOptions]);
+
+  useEffect(() => {
+    if (organizationId) {
+      loadTeam();
+    }
+  }, [organizationId, loadTeam]);
+
+  const reportDelivery = (invitation: Invitation) => {
+    setNotice(
+      invitation.delivered === false
+        ? `The invitation for ${invitation.email} was saved but the email could not be sent. Try resending it.`
+        : `Invitation sent to ${invitation.email}.`
+    );
+  };
+
+  const handleInvite = async (e: FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const { invitation } = await api.post<{ invitation: Invitation }>(
+        `/organizations/${organizationId}/invitations`,
+        { email: inviteEmail, role: inviteRole },
+        authOptions
+      );
+      reportDelivery(invitation);
+      setInviteEmail('');
+      setShowInvite(false);
+      await loadTeam();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to send invitation');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleResend = async (invitationId: string) => {
+    try {
+      const { invitation } = await api.post<{ invitation: Invitation }>(
+        `/organizations/${organizationId}/invitations/${invitationId}/resend`,
+        undefined,
+        authOptions
+      );
+      reportDelivery(invitation);
+      await loadTeam();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to resend invitation');
+    }
+  };
+
+  const handleRevoke = async (invitationId: string) => {
+    if (!confirm('Revoke this invitation? Its link will stop working.')) return;
+    try {
+      await api.delete(`/organizations/${organizationId}/invitations/${invitationId}`, authOptions);
+      await loadTeam();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to revoke invitation');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <span>Team Members</span>
+        {canManage && (
+          <Button size="sm" onClick={() => setShowInvite(!showInvite)}>
+            <UserPlus className="w-4 h-4 mr-2" />
+            Invite
+          </Button>
+        )}
+      </CardHeader>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-500/20 border border-red-500/30 rounded-lg">
+          <p className="text-sm text-red-400">{error}</p>
+        </div>
+      )}
+
+      {notice && (
+        <div className="mb-4 p-3 bg-[#0176D3]/10 border border-[#0176D3]/30 rounded-lg">
+          <p className="text-sm text-slate-300">{notice}</p>
+        </div>
+      )}
+
+      {showInvite && (
+        <form onSubmit={handleInvite} className="mb-6 flex flex-col md:flex-row gap-3">
+          <Input
+            type="email"
+            placeholder="teammate@company.com"
+            value={inviteEmail}
+            onChange={(e) => setInviteEmail(e.target.value)}
+            required
+          />
+          <select
+            value={inviteRole}
+            onChange={(e) => setInviteRole(e.target.value)}
+            className="px-3 py-2 bg-[#232931] border border-slate-700 rounded-lg text-white text-sm"
+          >
+            {roles.map((role) => (
+              <option key={role.name} value={role.name}>
+                {role.name}
+              </option>
+            ))}
+          </select>
+          <Button type="submit" disabled={submitting}>
+            {submitting ? 'Sending...' : 'Send invitation'}
+          </Button>
+        </form>
+      )}
+
+      {loading ? (
+        <p className="text-slate-400 text-sm py-8 text-center">Loading team...</p>
+      ) : (
+        <div className="space-y-6">
+          <div className="divide-y divide-[#3A4352]">
+            {members.map((member) => (
+              <div key={member.id} className="flex items-center justify-between py-3">
+                <div>
+                  <div className="text-sm font-medium text-white">{member.name}</div>
+                  <div className="text-xs text-slate-400">{member.email}</div>
+                </div>
+                <div className="flex items-center gap-2">
+                  {member.mfa_enabled && <Badge variant="success">2FA</Badge>}
+                  <Badge variant={member.role === 'owner' ? 'primary' : 'neutral'}>{member.role}</Badge>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {canManage && invitations.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-slate-300 mb-2">Pending invitations</h3>
+              <div className="divide-y divide-[#3A4352]">
+                {invitations.map((invitation) => (
+                  <div key={invitation.id} className="flex items-center justify-between py-3">
+                    <div className="flex items-center gap-3">
+                      <Mail className="w-4 h-4 text-slate-500" />
+                      <div>
+                        <div className="text-sm text-white">{invitation.email}</div>
+                        <div className="text-xs text-slate-400">
+                          {invitation.invited_by_name ? `Invited by ${invitation.invited_by_name} · ` : ''}
+                          {invitation.expired
+                            ? 'Expired'
+                            : `Expires ${new Date(invitation.expires_at).toLocaleDateString()}`}
+                          {invitation.send_count > 1 && ` · sent ${invitation.send_count} times`}
+                        </div>
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <Badge variant={invitation.expired ? 'warning' : 'neutral'}>{invitation.role}</Badge>
+                      <Button size="sm" variant="ghost" onClick={() => handleResend(invitation.id)} title="Resend">
+                        <RefreshCw className="w-4 h-4" />
+                      </Button>
+                      <Button size="sm" variant="ghost" onClick={() => handleRevoke(invitation.id)} title="Revoke">
+                        <X className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
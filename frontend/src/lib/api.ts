@@ -3,6 +3,8 @@
  * Base configuration for API calls
  */
 
+import { useAuthStore } from '../store/authStore';
+
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3002/api';
 
 interface ApiOptions extends RequestInit {
@@ -10,16 +12,47 @@ interface ApiOptions extends RequestInit {
   params?: Record<string, any>;
 }
 
+export interface StreamFrame {
+  event: string;
+  data: unknown;
+}
+
 class ApiClient {
   private baseUrl: string;
+  private refreshing: Promise<string | null> | null = null;
 
   constructor(baseUrl: string) {
     this.baseUrl = baseUrl;
   }
 
+  /**
+   * Access token to retry with after a 401, or null to give up
+   * Refresh tokens work once, so concurrent 401s share a single refresh,
+   * and a token that was already replaced is not refreshed again.
+   */
+  private async renewToken(expiredToken: string): Promise<string | null> {
+    const { token, refreshToken } = useAuthStore.getState();
+    if (token && token !== expiredToken) return token;
+    if (!refreshToken) return null;
+
+    if (!this.refreshing) {
+      this.refreshing = useAuthStore
+        .getState()
+        .refreshSession()
+        .then(() => useAuthStore.getState().token)
+        .catch(() => null)
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+
+    return this.refreshing;
+  }
+
   private async request<T>(
     endpoint: string,
-    options: ApiOptions = {}
+    options: ApiOptions = {},
+    retried = false
   ): Promise<T> {
     const { token, params, ...fetchOptions } = options;
 
@@ -44,11 +77,23 @@ class ApiClient {
       headers,
     });
 
+    if (response.status === 401 && token && !retried) {
+      const renewed = await this.renewToken(token);
+      if (renewed) {
+        return this.request<T>(endpoint, { ...options, token: renewed }, true);
+      }
+    }
+
     if (!response.ok) {
       const error = await response.json().catch(() => ({
         message: 'An error occurred',
       }));
-      throw new Error(error.message || `HTTP ${response.status}`);
+      throw new Error(error.message || error.error || `HTTP ${response.status}`);
+    }
+
+    // 204 No Content, e.g. from DELETE routes
+    if (response.status === 204) {
+      return undefined as T;
     }
 
     return response.json();
@@ -97,6 +142,80 @@ class ApiClient {
   async delete<T>(endpoint: string, options?: ApiOptions): Promise<T> {
     return this.request<T>(endpoint, { ...options, method: 'DELETE' });
   }
+
+  /**
+   * POST and read the response as Server-Sent Events
+   * Pass an AbortSignal in options to stop reading and cancel the generation.
+   */
+  async stream<F extends StreamFrame = StreamFrame>(
+    endpoint: string,
+    data: unknown,
+    onFrame: (frame: F) => void,
+    options: ApiOptions = {},
+    retried = false
+  ): Promise<void> {
+    const { token, ...fetchOptions } = options;
+
+    const headers: Record<string, string> = {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+    };
+
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}${endpoint}`, {
+      ...fetchOptions,
+      method: 'POST',
+      headers,
+      body: JSON.stringify(data),
+    });
+
+    if (response.status === 401 && token && !retried) {
+      const renewed = await this.renewToken(token);
+      if (renewed) {
+        return this.stream<F>(endpoint, data, onFrame, { ...options, token: renewed }, true);
+      }
+    }
+
+    if (!response.ok || !response.body) {
+      const error = await response.json().catch(() => ({
+        message: 'An error occurred',
+      }));
+      throw new Error(error.message || error.error || `HTTP ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Frames are separated by a blank line
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        const raw = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        boundary = buffer.indexOf('\n\n');
+
+        let event = 'message';
+        let payload = '';
+        for (const line of raw.split('\n')) {
+          if (line.startsWith('event: ')) event = line.slice(7);
+          else if (line.startsWith('data: ')) payload += line.slice(6);
+        }
+
+        if (payload) {
+          onFrame({ event, data: JSON.parse(payload) } as F);
+        }
+      }
+    }
+  }
 }
 
 export const api = new ApiClient(API_BASE_URL);
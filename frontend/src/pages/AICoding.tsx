@@ -3,7 +3,7 @@
  * Main page for AI-powered code generation and management
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Card } from '../components/ui/Card';
 import { Badge } from '../components/ui/Badge';
 import { Code, Bot, CheckCircle, XCircle, Clock, DollarSign } from 'lucide-react';
@@ -11,11 +11,24 @@ import AITaskForm from '../components/ai-coding/AITaskForm';
 import PendingApprovals from '../components/ai-coding/PendingApprovals';
 import AuditLog from '../components/ai-coding/AuditLog';
 import UsageStats from '../components/ai-coding/UsageStats';
+import { useAuthStore } from '../store/authStore';
+import api from '../lib/api';
 
 type Tab = 'tasks' | 'approvals' | 'audit' | 'stats';
 
+interface StatsResponse {
+  success: boolean;
+  audit: {
+    total: number;
+    approvedActions: number;
+    rejectedActions: number;
+    totalCost: number;
+  };
+}
+
 const AICoding: React.FC = () => {
   const [activeTab, setActiveTab] = useState<Tab>('tasks');
+  const { token } = useAuthStore();
   const [stats, setStats] = useState({
     totalTasks: 0,
     approvedTasks: 0,
@@ -24,15 +37,10 @@ const AICoding: React.FC = () => {
     totalCost: 0
   });
 
-  useEffect(() => {
-    loadStats();
-  }, []);
-
-  const loadStats = async () => {
+  const loadStats = useCallback(async () => {
     try {
-      const response = await fetch('/api/ai/stats');
-      const data = await response.json();
-      
+      const data = await api.get<StatsResponse>('/ai/stats', { token: token || undefined });
+
       if (data.success) {
         setStats({
           totalTasks: data.audit.total,
@@ -45,7 +53,11 @@ const AICoding: React.FC = () => {
     } catch (error) {
       console.error('Failed to load stats:', error);
     }
-  };
+  }, [token]);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
 
   const tabs = [
     { id: 'tasks' as Tab, label: 'New Task', icon: Code },
@@ -0,0 +1,22 @@
+import { TwoFactorSettings } from '../components/security/TwoFactorSettings';
+import { OrganizationSecurity } from '../components/security/OrganizationSecurity';
+
+export function Security() {
+  return (
+    <div className="page-container">
+      <div className="section-header">
+        <div>
+          <h1 className="section-title">Security</h1>
+          <p className="text-slate-400 mt-1">
+            Two-factor authentication for your account and your organization
+          </p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <TwoFactorSettings />
+        <OrganizationSecurity />
+      </div>
+    </div>
+  );
+}
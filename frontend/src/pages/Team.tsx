@@ -1,6 +1,7 @@
-import { MessageSquare, Users, Calendar, UserPlus } from 'lucide-react';
+import { MessageSquare, Users, Calendar } from 'lucide-react';
 import { Card, CardHeader } from '../components/ui/Card';
 import { Badge } from '../components/ui/Badge';
+import { TeamMembers } from '../components/team/TeamMembers';
 
 export function Team() {
   return (
@@ -69,21 +70,7 @@ export function Team() {
 
       {/* Team Members */}
       <div className="mt-8">
-        <Card>
-          <CardHeader>
-            <span>Team Members</span>
-          </CardHeader>
-          <div className="text-center py-16">
-            <UserPlus className="w-12 h-12 text-slate-600 mx-auto mb-4" />
-            <h3 className="text-white font-medium mb-2">No team members yet</h3>
-            <p className="text-slate-400 text-sm mb-6">
-              Invite your team to collaborate on projects and see their activity here
-            </p>
-            <button className="px-4 py-2 rounded-lg bg-[#0176D3] hover:bg-[#015FB0] text-white transition-all">
-              Invite Team Members
-            </button>
-          </div>
-        </Card>
+        <TeamMembers />
       </div>
     </div>
   );
@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import type { FormEvent } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Button } from '../../components/ui/Button';
+import { Input } from '../../components/ui/Input';
+import { useAuthStore } from '../../store/authStore';
+import type { User } from '../../store/authStore';
+import api from '../../lib/api';
+
+interface InvitationPreview {
+  email: string;
+  role: string;
+  organization: { id: string; name: string };
+  invitedBy: string | null;
+  expiresAt: string;
+  hasAccount: boolean;
+}
+
+export function AcceptInvitation() {
+  const navigate = useNavigate();
+  const { token: invitationToken } = useParams<{ token: string }>();
+  const { user, token, isAuthenticated, setUser, setToken } = useAuthStore();
+  const [invitation, setInvitation] = useState<InvitationPreview | null>(null);
+  const [formData, setFormData] = useState({ name: '', password: '', confirmPassword: '' });
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    api
+      .get<{ invitation: InvitationPreview }>(`/invitations/${invitationToken}`)
+      .then((data) => setInvitation(data.invitation))
+      .catch((err) => setError(err.message || 'This invitation is not valid'));
+  }, [invitationToken]);
+
+  // Signed in as the invited account: accept as is. Otherwise create one.
+  const signedInAsInvitee = isAuthenticated && user?.email.toLowerCase() === invitation?.email;
+
+  const handleAccept = async (e: FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    if (!signedInAsInvitee && formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const data = await api.post<{ user: User; accessToken: string; refreshToken: string }>(
+        `/invitations/${invitationToken}/accept`,
+        signedInAsInvitee ? {} : { name: formData.name, password: formData.password },
+        { token: signedInAsInvitee ? token || undefined : undefined }
+      );
+
+      setToken(data.accessToken, data.refreshToken);
+      setUser(data.user);
+      navigate('/team');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to accept invitation');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-[#0F1419] flex items-center justify-center px-4">
+      <div className="w-full max-w-md">
+        {/* Logo */}
+        <div className="text-center mb-8">
+          <div className="inline-flex items-center justify-center w-16 h-16 rounded-2xl bg-gradient-to-br from-[#0176D3] to-[#014F86] mb-4">
+            <span className="text-white font-bold text-2xl">CO</span>
+          </div>
+          <h1 className="text-3xl font-bold text-white mb-2">Company OS</h1>
+        </div>
+
+        <div className="card">
+          {!invitation ? (
+            <p className="text-sm text-slate-400">{error || 'Loading invitation...'}</p>
+          ) : (
+            <>
+              <h2 className="text-xl font-bold text-white mb-2">Join {invitation.organization.name}</h2>
+              <p className="text-sm text-slate-400 mb-6">
+                {invitation.invitedBy || 'A teammate'} invited {invitation.email} to join as {invitation.role}.
+              </p>
+
+              {invitation.hasAccount && !signedInAsInvitee ? (
+                <p className="text-sm text-slate-300">
+                  You already have an account.{' '}
+                  <a href="/login" className="text-[#0176D3] hover:text-[#1A8FE3] font-medium">
+                    Sign in as {invitation.email}
+                  </a>{' '}
+                  and open this link again to accept.
+                </p>
+              ) : (
+                <form onSubmit={handleAccept} className="space-y-4">
+                  {!signedInAsInvitee && (
+                    <>
+                      <div>
+                        <label htmlFor="name" className="block text-sm font-medium text-slate-300 mb-2">
+                          Full Name
+                        </label>
+                        <Input
+                          id="name"
+                          type="text"
+                          value={formData.name}
+                          onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                          required
+                        />
+                      </div>
+
+                      <div>
+                        <label htmlFor="password" className="block text-sm font-medium text-slate-300 mb-2">
+                          Password
+                        </label>
+                        <Input
+                          id="password"
+                          type="password"
+                          placeholder="••••••••"
+                          value={formData.password}
+                          onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                          required
+                        />
+                      </div>
+
+                      <div>
+                        <label htmlFor="confirmPassword" className="block text-sm font-medium text-slate-300 mb-2">
+                          Confirm Password
+                        </label>
+                        <Input
+                          id="confirmPassword"
+                          type="password"
+                          placeholder="••••••••"
+                          value={formData.confirmPassword}
+                          onChange={(e) => setFormData({ ...formData, confirmPassword: e.target.value })}
+                          required
+                        />
+                      </div>
+                    </>
+                  )}
+
+                  {error && (
+                    <div className="p-3 bg-red-500/20 border border-red-500/30 rounded-lg">
+                      <p className="text-sm text-red-400">{error}</p>
+                    </div>
+                  )}
+
+                  <Button type="submit" className="w-full" disabled={submitting}>
+                    {signedInAsInvitee ? 'Accept invitation' : 'Create account and join'}
+                  </Button>
+                </form>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
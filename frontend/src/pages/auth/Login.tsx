@@ -7,9 +7,10 @@ import { Input } from '../../components/ui/Input';
 
 export function Login() {
   const navigate = useNavigate();
-  const { login, isLoading } = useAuthStore();
+  const { login, verifyMfa, cancelMfa, mfaChallenge, isLoading } = useAuthStore();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
   const [error, setError] = useState('');
 
   const handleSubmit = async (e: FormEvent) => {
@@ -18,12 +19,33 @@ export function Login() {
 
     try {
       await login(email, password);
-      navigate('/dashboard');
+      if (!useAuthStore.getState().mfaChallenge) {
+        navigate('/dashboard');
+      }
     } catch (err) {
       setError('Invalid credentials');
     }
   };
 
+  const handleVerify = async (e: FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      await verifyMfa(code);
+      navigate('/dashboard');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Invalid code');
+      setCode('');
+    }
+  };
+
+  const handleBack = () => {
+    cancelMfa();
+    setCode('');
+    setError('');
+  };
+
   return (
     <div className="min-h-screen bg-[#0F1419] flex items-center justify-center px-4">
       <div className="w-full max-w-md">
@@ -36,58 +58,97 @@ export function Login() {
           <p className="text-slate-400">Mission control for your entire company</p>
         </div>
 
-        {/* Login form */}
-        <div className="card">
-          <h2 className="text-xl font-bold text-white mb-6">Sign in to your account</h2>
-
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-slate-300 mb-2">
-                Email
-              </label>
-              <Input
-                id="email"
-                type="email"
-                placeholder="you@company.com"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                required
-              />
-            </div>
+        {/* Two-factor step */}
+        {mfaChallenge && (
+          <div className="card">
+            <h2 className="text-xl font-bold text-white mb-2">Two-factor authentication</h2>
+            <p className="text-sm text-slate-400 mb-6">
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+            </p>
 
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-slate-300 mb-2">
-                Password
-              </label>
+            <form onSubmit={handleVerify} className="space-y-4">
               <Input
-                id="password"
-                type="password"
-                placeholder="••••••••"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
+                id="code"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="123456"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                autoFocus
                 required
               />
-            </div>
 
-            {error && (
-              <div className="p-3 bg-red-500/20 border border-red-500/30 rounded-lg">
-                <p className="text-sm text-red-400">{error}</p>
+              {error && (
+                <div className="p-3 bg-red-500/20 border border-red-500/30 rounded-lg">
+                  <p className="text-sm text-red-400">{error}</p>
+                </div>
+              )}
+
+              <Button type="submit" className="w-full" disabled={isLoading}>
+                {isLoading ? 'Verifying...' : 'Verify'}
+              </Button>
+            </form>
+
+            <button onClick={handleBack} className="mt-6 w-full text-center text-sm text-slate-400 hover:text-white">
+              Use a different account
+            </button>
+          </div>
+        )}
+
+        {/* Login form */}
+        {!mfaChallenge && (
+          <div className="card">
+            <h2 className="text-xl font-bold text-white mb-6">Sign in to your account</h2>
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-slate-300 mb-2">
+                  Email
+                </label>
+                <Input
+                  id="email"
+                  type="email"
+                  placeholder="you@company.com"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                />
               </div>
-            )}
-
-            <Button type="submit" className="w-full" disabled={isLoading}>
-              {isLoading ? 'Signing in...' : 'Sign in'}
-            </Button>
-          </form>
-
-          {/* Sign up link */}
-          <p className="mt-6 text-center text-sm text-slate-400">
-            Don't have an account?{' '}
-            <a href="/signup" className="text-[#0176D3] hover:text-[#1A8FE3] font-medium">
-              Sign up
-            </a>
-          </p>
-        </div>
+
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-slate-300 mb-2">
+                  Password
+                </label>
+                <Input
+                  id="password"
+                  type="password"
+                  placeholder="••••••••"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                />
+              </div>
+
+              {error && (
+                <div className="p-3 bg-red-500/20 border border-red-500/30 rounded-lg">
+                  <p className="text-sm text-red-400">{error}</p>
+                </div>
+              )}
+
+              <Button type="submit" className="w-full" disabled={isLoading}>
+                {isLoading ? 'Signing in...' : 'Sign in'}
+              </Button>
+            </form>
+
+            {/* Sign up link */}
+            <p className="mt-6 text-center text-sm text-slate-400">
+              Don't have an account?{' '}
+              <a href="/signup" className="text-[#0176D3] hover:text-[#1A8FE3] font-medium">
+                Sign up
+              </a>
+            </p>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,33 +1,62 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 
-interface User {
+export interface User {
   id: string;
   email: string;
   name: string;
   avatar?: string;
+  role: string | null;
+  permissions?: string[];
+  organizationId?: string | null;
+  mfaEnabled?: boolean;
+  mfaVerified?: boolean;
+}
+
+export interface UserOrganization {
+  id: string;
+  name: string;
+  slug: string;
+  logo_url?: string | null;
   role: string;
+  isActive: boolean;
+  isDefault: boolean;
 }
 
 interface AuthState {
   user: User | null;
   token: string | null;
+  refreshToken: string | null;
+  organizations: UserOrganization[];
+  mfaChallenge: string | null;
   isAuthenticated: boolean;
   isLoading: boolean;
   login: (email: string, password: string) => Promise<void>;
+  verifyMfa: (code: string) => Promise<void>;
+  cancelMfa: () => void;
+  fetchOrganizations: () => Promise<void>;
+  switchOrganization: (organizationId: string, remember?: boolean) => Promise<void>;
   loginWithOAuth: (provider: string, code: string) => Promise<void>;
-  logout: () => void;
+  refreshSession: () => Promise<void>;
+  logout: () => Promise<void>;
   setUser: (user: User) => void;
-  setToken: (token: string) => void;
+  setToken: (token: string, refreshToken?: string) => void;
 }
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3002/api';
 
+// Permissions are those of the user's role in the active organization
+export const hasPermission = (user: User | null, permission: string) =>
+  Boolean(user?.permissions?.includes(permission));
+
 export const useAuthStore = create<AuthState>()(
   persist(
-    (set) => ({
+    (set, get) => ({
       user: null,
       token: null,
+      refreshToken: null,
+      organizations: [],
+      mfaChallenge: null,
       isAuthenticated: false,
       isLoading: false,
 
@@ -47,9 +76,16 @@ export const useAuthStore = create<AuthState>()(
 
           const data = await response.json();
 
+          // Two-factor users finish signing in with verifyMfa
+          if (data.mfaRequired) {
+            set({ mfaChallenge: data.challengeToken, isLoading: false });
+            return;
+          }
+
           set({
             user: data.user,
             token: data.accessToken,
+            refreshToken: data.refreshToken,
             isAuthenticated: true,
             isLoading: false,
           });
@@ -59,6 +95,83 @@ export const useAuthStore = create<AuthState>()(
         }
       },
 
+      verifyMfa: async (code: string) => {
+        set({ isLoading: true });
+        try {
+          const response = await fetch(`${API_URL}/auth/login/mfa`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ challengeToken: get().mfaChallenge, code }),
+          });
+
+          if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.message || 'Invalid code');
+          }
+
+          const data = await response.json();
+
+          set({
+            user: data.user,
+            token: data.accessToken,
+            refreshToken: data.refreshToken,
+            mfaChallenge: null,
+            isAuthenticated: true,
+            isLoading: false,
+          });
+        } catch (error) {
+          set({ isLoading: false });
+          throw error;
+        }
+      },
+
+      cancelMfa: () => {
+        set({ mfaChallenge: null });
+      },
+
+      fetchOrganizations: async () => {
+        const response = await fetch(`${API_URL}/auth/me/organizations`, {
+          headers: { Authorization: `Bearer ${get().token}` },
+        });
+
+        if (!response.ok) {
+          throw new Error('Failed to load organizations');
+        }
+
+        const data = await response.json();
+        set({ organizations: data.organizations });
+      },
+
+      // Tokens are scoped to one organization, so switching issues new ones
+      switchOrganization: async (organizationId: string, remember = true) => {
+        const response = await fetch(`${API_URL}/auth/switch-organization`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${get().token}`,
+          },
+          body: JSON.stringify({ organizationId, remember }),
+        });
+
+        if (!response.ok) {
+          const error = await response.json();
+          throw new Error(error.message || 'Failed to switch organization');
+        }
+
+        const data = await response.json();
+
+        set((state) => ({
+          user: data.user,
+          token: data.accessToken,
+          refreshToken: data.refreshToken,
+          organizations: state.organizations.map((organization) => ({
+            ...organization,
+            isActive: organization.id === organizationId,
+            isDefault: remember ? organization.id === organizationId : organization.isDefault,
+          })),
+        }));
+      },
+
       loginWithOAuth: async (_provider: string, _code: string) => {
         set({ isLoading: true });
         try {
@@ -85,20 +198,48 @@ export const useAuthStore = create<AuthState>()(
         }
       },
 
-      logout: () => {
+      // Refresh tokens work once; each refresh returns the next one
+      refreshSession: async () => {
+        const response = await fetch(`${API_URL}/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken: get().refreshToken }),
+        });
+
+        if (!response.ok) {
+          await get().logout();
+          throw new Error('Session expired');
+        }
+
+        const data = await response.json();
+        set({ user: data.user, token: data.accessToken, refreshToken: data.refreshToken });
+      },
+
+      logout: async () => {
+        const { token } = get();
         set({
           user: null,
           token: null,
+          refreshToken: null,
+          organizations: [],
           isAuthenticated: false,
         });
+
+        // End the session server-side; the local state is cleared either way
+        if (token) {
+          await fetch(`${API_URL}/auth/logout`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}` },
+          }).catch(() => undefined);
+        }
       },
 
       setUser: (user: User) => {
         set({ user, isAuthenticated: true });
       },
 
-      setToken: (token: string) => {
-        set({ token });
+      setToken: (token: string, refreshToken?: string) => {
+        set(refreshToken ? { token, refreshToken } : { token });
       },
     }),
     {
@@ -106,6 +247,7 @@ export const useAuthStore = create<AuthState>()(
       partialize: (state) => ({
         user: state.user,
         token: state.token,
+        refreshToken: state.refreshToken,
         isAuthenticated: state.isAuthenticated,
       }),
     }
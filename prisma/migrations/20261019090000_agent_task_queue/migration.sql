@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "agent_tasks" ADD COLUMN     "max_retries" INTEGER NOT NULL DEFAULT 3,
+ADD COLUMN     "run_after" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateIndex
+CREATE INDEX "agent_tasks_status_priority_run_after_idx" ON "agent_tasks"("status", "priority" DESC, "run_after");
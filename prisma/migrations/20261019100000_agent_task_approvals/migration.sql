@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "agent_tasks" ADD COLUMN     "approval_expires_at" TIMESTAMPTZ(6),
+ADD COLUMN     "proposed_change" JSONB,
+ADD COLUMN     "review_comment" TEXT;
+
+-- CreateIndex
+CREATE INDEX "agent_tasks_status_approval_expires_at_idx" ON "agent_tasks"("status", "approval_expires_at");
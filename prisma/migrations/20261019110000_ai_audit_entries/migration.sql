@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "ai_audit_entries" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "organization_id" UUID NOT NULL,
+    "sequence" BIGINT NOT NULL,
+    "entry_type" VARCHAR(50) NOT NULL,
+    "task_id" VARCHAR(255),
+    "agent_name" VARCHAR(100),
+    "payload" JSONB NOT NULL DEFAULT '{}',
+    "prev_hash" VARCHAR(64) NOT NULL,
+    "hash" VARCHAR(64) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ai_audit_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ai_audit_entries_organization_id_sequence_key" ON "ai_audit_entries"("organization_id", "sequence");
+
+-- CreateIndex
+CREATE INDEX "ai_audit_entries_organization_id_entry_type_created_at_idx" ON "ai_audit_entries"("organization_id", "entry_type", "created_at" DESC);
+
+-- CreateIndex
+CREATE INDEX "ai_audit_entries_organization_id_task_id_idx" ON "ai_audit_entries"("organization_id", "task_id");
+
+-- CreateIndex
+CREATE INDEX "ai_audit_entries_organization_id_agent_name_created_at_idx" ON "ai_audit_entries"("organization_id", "agent_name", "created_at" DESC);
+
+-- CreateIndex
+CREATE INDEX "ai_audit_entries_organization_id_created_at_idx" ON "ai_audit_entries"("organization_id", "created_at" DESC);
+
+-- AddForeignKey
+ALTER TABLE "ai_audit_entries" ADD CONSTRAINT "ai_audit_entries_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
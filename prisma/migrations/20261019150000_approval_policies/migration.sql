@@ -0,0 +1,53 @@
+-- AlterTable
+ALTER TABLE "agent_tasks" ADD COLUMN     "required_approvals" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "approver_roles" TEXT[],
+ADD COLUMN     "approval_policy_version" INTEGER;
+
+-- CreateTable
+CREATE TABLE "agent_task_approvals" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "task_id" UUID NOT NULL,
+    "user_id" UUID NOT NULL,
+    "role" VARCHAR(50) NOT NULL,
+    "comment" TEXT,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "agent_task_approvals_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "approval_policies" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "organization_id" UUID NOT NULL,
+    "version" INTEGER NOT NULL,
+    "description" TEXT,
+    "rules" JSONB NOT NULL DEFAULT '[]',
+    "defaults" JSONB NOT NULL DEFAULT '{}',
+    "is_active" BOOLEAN NOT NULL DEFAULT false,
+    "created_by" UUID,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "approval_policies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "agent_task_approvals_task_id_user_id_key" ON "agent_task_approvals"("task_id", "user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "approval_policies_organization_id_version_key" ON "approval_policies"("organization_id", "version");
+
+-- CreateIndex
+CREATE INDEX "approval_policies_organization_id_is_active_idx" ON "approval_policies"("organization_id", "is_active");
+
+-- AddForeignKey
+ALTER TABLE "agent_task_approvals" ADD CONSTRAINT "agent_task_approvals_task_id_fkey" FOREIGN KEY ("task_id") REFERENCES "agent_tasks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "agent_task_approvals" ADD CONSTRAINT "agent_task_approvals_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "approval_policies" ADD CONSTRAINT "approval_policies_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "approval_policies" ADD CONSTRAINT "approval_policies_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
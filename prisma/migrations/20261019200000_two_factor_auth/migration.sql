@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "mfa_secret" TEXT,
+ADD COLUMN     "mfa_enabled_at" TIMESTAMPTZ(6),
+ADD COLUMN     "mfa_last_used_step" BIGINT;
+
+-- AlterTable
+ALTER TABLE "organizations" ADD COLUMN     "require_mfa" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "auth_sessions" ADD COLUMN     "mfa_verified_at" TIMESTAMPTZ(6);
+
+-- CreateTable
+CREATE TABLE "mfa_recovery_codes" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "user_id" UUID NOT NULL,
+    "code_hash" VARCHAR(64) NOT NULL,
+    "used_at" TIMESTAMPTZ(6),
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "mfa_recovery_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "mfa_recovery_codes_user_id_idx" ON "mfa_recovery_codes"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "mfa_recovery_codes" ADD CONSTRAINT "mfa_recovery_codes_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;